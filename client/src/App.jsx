@@ -13,6 +13,9 @@ import Metrics from './pages/Metrics';
 import ApiDocs from './pages/ApiDocs';
 import Backups from './pages/Backups';
 import Settings from './pages/Settings';
+import EnvGroups from './pages/EnvGroups';
+import Users from './pages/Users';
+import Account from './pages/Account';
 
 function App() {
   return (
@@ -35,7 +38,10 @@ function App() {
                       <Route path="/metrics" element={<Metrics />} />
                       <Route path="/api-docs" element={<ApiDocs />} />
                       <Route path="/backups" element={<Backups />} />
+                      <Route path="/env-groups" element={<EnvGroups />} />
                       <Route path="/settings" element={<Settings />} />
+                      <Route path="/users" element={<Users />} />
+                      <Route path="/account" element={<Account />} />
                     </Routes>
                   </Layout>
                 </ProtectedRoute>
@@ -1,17 +1,18 @@
 import { useState, useEffect } from 'react';
 
-function AddEnvModal({ isOpen, onClose, onAdd }) {
+// With secret set, collects a secret value instead; passing name rotates that secret
+function AddEnvModal({ isOpen, onClose, onAdd, secret = false, name = '' }) {
   const [varName, setVarName] = useState('');
   const [varValue, setVarValue] = useState('');
   const [error, setError] = useState('');
 
   useEffect(() => {
     if (isOpen) {
-      setVarName('');
+      setVarName(name);
       setVarValue('');
       setError('');
     }
-  }, [isOpen]);
+  }, [isOpen, name]);
 
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -26,6 +27,11 @@ function AddEnvModal({ isOpen, onClose, onAdd }) {
       setError('Variable name must contain only uppercase letters, digits, and underscores');
       return;
     }
+
+    if (secret && !varValue) {
+      setError('Secret value is required');
+      return;
+    }
     
     onAdd(varName, varValue);
     onClose();
@@ -55,9 +61,11 @@ function AddEnvModal({ isOpen, onClose, onAdd }) {
             <div className="flex items-center justify-between">
               <div className="flex items-center gap-3">
                 <div className="w-10 h-10 bg-gradient-to-br from-green-500 to-emerald-600 rounded-xl flex items-center justify-center shadow-md">
-                  <span className="text-xl">➕</span>
+                  <span className="text-xl">{secret ? '🔒' : '➕'}</span>
                 </div>
-                <h3 className="text-xl font-bold text-gray-900">Add Environment Variable</h3>
+                <h3 className="text-xl font-bold text-gray-900">
+                  {secret ? (name ? 'Rotate Secret' : 'Add Secret') : 'Add Environment Variable'}
+                </h3>
               </div>
               <button
                 type="button"
@@ -94,8 +102,9 @@ function AddEnvModal({ isOpen, onClose, onAdd }) {
                   setError('');
                 }}
                 placeholder="API_KEY"
-                className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500 font-mono transition-all duration-200 bg-gray-50 hover:bg-white"
-                autoFocus
+                className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500 font-mono transition-all duration-200 bg-gray-50 hover:bg-white disabled:opacity-60"
+                disabled={!!name}
+                autoFocus={!name}
               />
               <p className="text-xs text-gray-500 mt-2 flex items-center gap-1">
                 <span>💡</span>
@@ -105,18 +114,21 @@ function AddEnvModal({ isOpen, onClose, onAdd }) {
 
             <div>
               <label className="block text-sm font-semibold text-gray-700 mb-2">
-                Value
+                Value{secret && ' *'}
               </label>
               <textarea
                 value={varValue}
                 onChange={(e) => setVarValue(e.target.value)}
                 placeholder="your-secret-value"
                 rows="3"
+                autoFocus={!!name}
                 className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-green-500 focus:border-green-500 font-mono text-sm transition-all duration-200 bg-gray-50 hover:bg-white resize-none"
               />
               <p className="text-xs text-gray-500 mt-2 flex items-center gap-1">
                 <span>ℹ️</span>
-                Leave empty if you'll set the value later
+                {secret
+                  ? 'Encrypted at rest and never shown again, only a masked value'
+                  : "Leave empty if you'll set the value later"}
               </p>
             </div>
           </div>
@@ -134,7 +146,7 @@ function AddEnvModal({ isOpen, onClose, onAdd }) {
               type="submit"
               className="px-5 py-2.5 bg-gradient-to-r from-green-600 to-emerald-600 text-white rounded-xl hover:from-green-700 hover:to-emerald-700 transition-all duration-200 font-medium shadow-md hover:shadow-lg transform hover:scale-[1.02] active:scale-[0.98]"
             >
-              Add Variable
+              {secret ? 'Save Secret' : 'Add Variable'}
             </button>
           </div>
         </form>
@@ -0,0 +1,295 @@
+import { useState, useEffect } from 'react';
+import { apiTokensAPI, appsAPI } from '../services/api';
+import { useDialog } from '../contexts/DialogContext';
+import { useAuth } from '../context/AuthContext';
+import { isAdmin, canCreateApps } from '../utils/permissions';
+
+const EMPTY_FORM = { name: '', scopes: [], apps: [], expiresInDays: '90', username: '' };
+
+const EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'Never' },
+];
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : 'Never');
+
+/**
+ * API tokens section of the Settings page
+ * Lists the user's tokens (every token for admins), creates and revokes them.
+ */
+function ApiTokens() {
+  const { confirm, toast } = useDialog();
+  const { user } = useAuth();
+  const admin = isAdmin(user);
+  const [tokens, setTokens] = useState([]);
+  const [scopes, setScopes] = useState({});
+  const [apps, setApps] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [newToken, setNewToken] = useState(null);
+
+  useEffect(() => {
+    fetchTokens();
+  }, []);
+
+  const fetchTokens = async () => {
+    try {
+      const [tokensResponse, appsResponse] = await Promise.all([
+        apiTokensAPI.list(),
+        appsAPI.listApps(),
+      ]);
+      setTokens(tokensResponse.data.tokens || []);
+      setScopes(tokensResponse.data.scopes || {});
+      setApps(appsResponse.data.apps || []);
+    } catch (err) {
+      console.error('Failed to fetch API tokens:', err);
+    }
+  };
+
+  // Scopes the user's role can use
+  const availableScopes = Object.keys(scopes).filter((scope) => {
+    if (scope === 'admin') return admin;
+    if (scope === 'apps:create') return canCreateApps(user);
+    return true;
+  });
+
+  const toggle = (key, value) => {
+    setForm((prev) => ({
+      ...prev,
+      [key]: prev[key].includes(value) ? prev[key].filter((item) => item !== value) : [...prev[key], value],
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await apiTokensAPI.create({
+        name: form.name,
+        scopes: form.scopes,
+        apps: form.apps,
+        expiresInDays: form.expiresInDays || null,
+        username: form.username.trim() || undefined,
+      });
+      setNewToken(response.data.token);
+      setShowForm(false);
+      setForm(EMPTY_FORM);
+      fetchTokens();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to create API token');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    const confirmed = await confirm(`Revoke API token "${token.name}"? Scripts using it will stop working.`, {
+      title: 'Revoke API Token',
+      type: 'danger',
+      confirmText: 'Revoke'
+    });
+    if (!confirmed) return;
+
+    try {
+      await apiTokensAPI.revoke(token.id);
+      toast.success(`Revoked ${token.name}`);
+      fetchTokens();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to revoke API token');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      toast.success('Token copied to clipboard');
+    } catch {
+      toast.error('Failed to copy token');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <span className="text-2xl mr-2">🔑</span>
+          <h2 className="text-xl font-bold text-gray-900">API Tokens</h2>
+        </div>
+        {!showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 text-sm"
+          >
+            New Token
+          </button>
+        )}
+      </div>
+      <p className="text-gray-600 mb-4">
+        Tokens for scripts and CI, sent as <code className="bg-gray-100 px-2 py-0.5 rounded">Authorization: Bearer pxt_...</code>.
+        A token acts as its user, limited to its scopes and apps.
+      </p>
+
+      {newToken && (
+        <div className="mb-4 p-4 bg-green-50 border border-green-200 rounded-lg">
+          <p className="text-sm font-medium text-green-900 mb-2">
+            Copy your new token now. It will not be shown again.
+          </p>
+          <div className="flex gap-2">
+            <code className="flex-1 px-3 py-2 bg-white border border-green-200 rounded font-mono text-sm break-all">{newToken}</code>
+            <button
+              onClick={handleCopy}
+              className="px-3 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 text-sm"
+            >
+              Copy
+            </button>
+            <button
+              onClick={() => setNewToken(null)}
+              className="px-3 py-2 text-gray-600 hover:text-gray-800 text-sm"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="mb-6 p-4 border border-gray-200 rounded-lg space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="GitHub Actions deploy"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Scopes</label>
+            <div className="space-y-2">
+              {availableScopes.map((scope) => (
+                <label key={scope} className="flex items-start gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={form.scopes.includes(scope)}
+                    onChange={() => toggle('scopes', scope)}
+                    className="mt-0.5"
+                  />
+                  <span>
+                    <code className="font-mono text-gray-900">{scope}</code>
+                    <span className="text-gray-500"> - {scopes[scope]}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Apps</label>
+            <p className="text-sm text-gray-500 mb-2">Leave all unchecked for every app you can access.</p>
+            <div className="flex flex-wrap gap-3">
+              {apps.map((app) => (
+                <label key={app.slug} className="flex items-center gap-1 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={form.apps.includes(app.slug)}
+                    onChange={() => toggle('apps', app.slug)}
+                  />
+                  <span className="font-mono">{app.slug}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex gap-4">
+            <div className="flex-1">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Expires</label>
+              <select
+                value={form.expiresInDays}
+                onChange={(e) => setForm({ ...form, expiresInDays: e.target.value })}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {EXPIRY_OPTIONS.map((option) => (
+                  <option key={option.label} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {admin && (
+              <div className="flex-1">
+                <label className="block text-sm font-medium text-gray-700 mb-2">For User</label>
+                <input
+                  type="text"
+                  value={form.username}
+                  onChange={(e) => setForm({ ...form, username: e.target.value })}
+                  placeholder={user?.username}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+              </div>
+            )}
+          </div>
+
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={() => {
+                setShowForm(false);
+                setForm(EMPTY_FORM);
+              }}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving || !form.name.trim() || form.scopes.length === 0}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? 'Creating...' : 'Create Token'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {tokens.length === 0 ? (
+        <p className="text-sm text-gray-500">No API tokens</p>
+      ) : (
+        <div className="divide-y divide-gray-200">
+          {tokens.map((token) => (
+            <div key={token.id} className="flex justify-between items-start py-3">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {token.name}
+                  <code className="ml-2 text-xs text-gray-500 font-mono">{token.prefix}…</code>
+                  {token.expired && (
+                    <span className="ml-2 px-2 py-0.5 bg-red-100 text-red-800 text-xs rounded">expired</span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500 mt-0.5">
+                  {admin && token.username && <>{token.username} · </>}
+                  {token.scopes.join(', ')} · {token.apps.length > 0 ? token.apps.join(', ') : 'all apps'}
+                </p>
+                <p className="text-xs text-gray-500 mt-0.5">
+                  Expires {formatDate(token.expiresAt)} · Last used {token.lastUsedAt ? `${formatDate(token.lastUsedAt)} from ${token.lastUsedIp || 'unknown IP'}` : 'never'}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRevoke(token)}
+                className="text-sm text-red-600 hover:text-red-800 font-medium"
+              >
+                Revoke
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ApiTokens;
@@ -0,0 +1,110 @@
+import { useEffect, useRef } from 'react';
+
+const STATUS_STEPS = ['queued', 'installing', 'building', 'validating', 'live'];
+
+const getDeploymentStatusColor = (status) => {
+  switch (status) {
+    case 'live':
+      return 'bg-green-100 text-green-800';
+    case 'failed':
+      return 'bg-red-100 text-red-800';
+    case 'queued':
+    case 'cancelled':
+    case 'skipped':
+      return 'bg-gray-100 text-gray-800';
+    default:
+      return 'bg-blue-100 text-blue-800';
+  }
+};
+
+export function DeploymentStatusBadge({ status }) {
+  return (
+    <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${getDeploymentStatusColor(status)}`}>
+      {status}
+    </span>
+  );
+}
+
+function DeploymentLog({ deployment, logs, onCancel }) {
+  const logRef = useRef(null);
+
+  // Keep the newest line in view while the build runs
+  useEffect(() => {
+    if (logRef.current) {
+      logRef.current.scrollTop = logRef.current.scrollHeight;
+    }
+  }, [logs.length]);
+
+  const status = deployment?.status || 'queued';
+  const running = !['live', 'failed', 'cancelled', 'skipped'].includes(status);
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        {STATUS_STEPS.map((step) => (
+          <span
+            key={step}
+            className={`px-2 py-0.5 text-xs font-medium rounded-full ${
+              step === status ? getDeploymentStatusColor(step) : 'bg-gray-50 text-gray-400'
+            }`}
+          >
+            {step}
+          </span>
+        ))}
+        {['failed', 'cancelled', 'skipped'].includes(status) && <DeploymentStatusBadge status={status} />}
+        {running && (
+          <span className="inline-block animate-spin rounded-full h-3 w-3 border-b-2 border-blue-600"></span>
+        )}
+        {deployment?.queuePosition > 0 && (
+          <span className="text-xs text-gray-500">Position {deployment.queuePosition} in build queue</span>
+        )}
+        {running && deployment && onCancel && (
+          <button
+            type="button"
+            onClick={() => onCancel(deployment)}
+            className="ml-auto text-xs text-red-600 hover:text-red-800"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+
+      {deployment?.logsTruncated && (
+        <p className="text-xs text-gray-500 mb-1">Older lines were dropped</p>
+      )}
+
+      <div
+        ref={logRef}
+        className="bg-gray-900 rounded-lg p-3 h-80 overflow-y-auto font-mono text-xs leading-5"
+      >
+        {logs.length === 0 ? (
+          <p className="text-gray-500">Waiting for output...</p>
+        ) : (
+          logs.map((entry, index) => (
+            <div
+              key={index}
+              className={`whitespace-pre-wrap break-all ${
+                entry.stream === 'stderr'
+                  ? 'text-red-300'
+                  : entry.stream === 'system'
+                    ? 'text-blue-300'
+                    : 'text-gray-100'
+              }`}
+            >
+              <span className="text-gray-500 mr-2">
+                {new Date(entry.timestamp).toLocaleTimeString()}
+              </span>
+              {entry.line}
+            </div>
+          ))
+        )}
+      </div>
+
+      {deployment?.error && (
+        <p className="mt-2 text-sm text-red-600">{deployment.error}</p>
+      )}
+    </div>
+  );
+}
+
+export default DeploymentLog;
@@ -1,20 +1,26 @@
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { isAdmin, canCreateApps } from '../utils/permissions';
 
 function Sidebar() {
   const location = useLocation();
   const { user, logout } = useAuth();
 
+  const admin = isAdmin(user);
+
+  // Items the current user can't use are hidden
   const navItems = [
     { path: '/', label: 'Dashboard', icon: '📊', gradient: 'from-blue-500 to-blue-600' },
     { path: '/apps', label: 'Apps', icon: '📦', gradient: 'from-purple-500 to-purple-600' },
-    { path: '/upload', label: 'Upload App', icon: '⬆️', gradient: 'from-green-500 to-green-600' },
+    { path: '/upload', label: 'Upload App', icon: '⬆️', gradient: 'from-green-500 to-green-600', visible: canCreateApps(user) },
     { path: '/cached', label: 'Cached Apps', icon: '🗂️', gradient: 'from-yellow-500 to-yellow-600' },
     { path: '/backups', label: 'Backups', icon: '💾', gradient: 'from-indigo-500 to-indigo-600' },
+    { path: '/env-groups', label: 'Env Groups', icon: '🧩', gradient: 'from-teal-500 to-teal-600', visible: canCreateApps(user) },
     { path: '/metrics', label: 'Metrics', icon: '📈', gradient: 'from-pink-500 to-pink-600' },
     { path: '/api-docs', label: 'API Docs', icon: '📚', gradient: 'from-cyan-500 to-cyan-600' },
+    { path: '/users', label: 'Users', icon: '👥', gradient: 'from-orange-500 to-orange-600', visible: admin },
     { path: '/settings', label: 'Settings', icon: '⚙️', gradient: 'from-gray-500 to-gray-600' },
-  ];
+  ].filter((item) => item.visible !== false);
 
   const isActive = (path) => {
     if (path === '/') return location.pathname === '/';
@@ -58,10 +64,14 @@ function Sidebar() {
 
       {/* Footer */}
       <div className="p-4 border-t border-dark-700/50 bg-dark-800/50 backdrop-blur-sm">
-        <div className="bg-dark-800/80 rounded-lg p-3 mb-3 border border-dark-700/50">
+        <Link
+          to="/account"
+          className="block bg-dark-800/80 rounded-lg p-3 mb-3 border border-dark-700/50 hover:border-dark-600 transition-colors duration-200"
+          title="Account settings"
+        >
           <p className="font-semibold text-white text-sm">{user?.username}</p>
           <p className="text-xs text-dark-400 mt-0.5 capitalize">{user?.role}</p>
-        </div>
+        </Link>
         <button
           onClick={logout}
           className="w-full bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800 text-white px-4 py-2.5 rounded-lg transition-all duration-200 text-sm font-medium shadow-md hover:shadow-lg"
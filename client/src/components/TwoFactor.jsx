@@ -0,0 +1,242 @@
+import { useState, useEffect } from 'react';
+import { authAPI } from '../services/api';
+import { useDialog } from '../contexts/DialogContext';
+
+/**
+ * Two-factor authentication section of the Settings page
+ * Sets up TOTP with a QR code, shows recovery codes once, and turns 2FA off
+ * or replaces the recovery codes after re-entering the password.
+ */
+function TwoFactor() {
+  const { toast } = useDialog();
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null); // { secret, otpauthUri, qrCode } while setting up
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [action, setAction] = useState(null); // 'disable' or 'regenerate' while asking for the password
+  const [password, setPassword] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await authAPI.getTwoFactor();
+      setStatus(response.data.twoFactor);
+    } catch (err) {
+      console.error('Failed to fetch two-factor status:', err);
+    }
+  };
+
+  const handleStartSetup = async () => {
+    try {
+      setSaving(true);
+      const response = await authAPI.setupTwoFactor();
+      setSetup(response.data);
+      setCode('');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to start setup');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await authAPI.enableTwoFactor(code);
+      setStatus(response.data.twoFactor);
+      setRecoveryCodes(response.data.recoveryCodes);
+      setSetup(null);
+      setCode('');
+      toast.success(response.data.message || 'Two-factor authentication enabled');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to enable two-factor authentication');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePasswordAction = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = action === 'disable'
+        ? await authAPI.disableTwoFactor(password)
+        : await authAPI.regenerateRecoveryCodes(password);
+      setStatus(response.data.twoFactor);
+      setRecoveryCodes(response.data.recoveryCodes || null);
+      setAction(null);
+      setPassword('');
+      toast.success(response.data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Request failed');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCopyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      toast.success('Recovery codes copied to clipboard');
+    } catch {
+      toast.error('Failed to copy recovery codes');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <span className="text-2xl mr-2">🛡️</span>
+          <h2 className="text-xl font-bold text-gray-900">Two-Factor Authentication</h2>
+        </div>
+        {status && (
+          <span className={`px-2 py-1 text-xs font-semibold rounded ${status.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+            {status.enabled ? 'Enabled' : 'Disabled'}
+          </span>
+        )}
+      </div>
+      <p className="text-gray-600 mb-4">
+        Require a code from an authenticator app (Google Authenticator, 1Password, Authy, ...) after your password when logging in.
+      </p>
+
+      {recoveryCodes && (
+        <div className="mb-4 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+          <p className="text-sm font-medium text-yellow-900 mb-2">
+            Save these recovery codes somewhere safe. Each works once if you lose your device, and they will not be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-1 font-mono text-sm text-gray-900 mb-3">
+            {recoveryCodes.map((recoveryCode) => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={handleCopyCodes}
+              className="px-3 py-2 bg-yellow-600 text-white rounded-lg hover:bg-yellow-700 text-sm"
+            >
+              Copy
+            </button>
+            <button
+              onClick={() => setRecoveryCodes(null)}
+              className="px-3 py-2 text-gray-600 hover:text-gray-800 text-sm"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      {status && !status.enabled && !setup && (
+        <button
+          onClick={handleStartSetup}
+          disabled={saving}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          Set Up Two-Factor Authentication
+        </button>
+      )}
+
+      {setup && (
+        <form onSubmit={handleEnable} className="p-4 border border-gray-200 rounded-lg">
+          <p className="text-sm text-gray-700 mb-3">
+            Scan the QR code with your authenticator app, then enter the code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Two-factor authentication QR code" className="w-48 h-48 mb-3" />
+          <p className="text-sm text-gray-500 mb-4">
+            Can't scan it? Enter this key instead:{' '}
+            <code className="bg-gray-100 px-2 py-0.5 rounded font-mono break-all">{setup.secret}</code>
+          </p>
+          <div className="flex gap-2">
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              className="w-40 px-4 py-2 border border-gray-300 rounded-lg font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <button
+              type="submit"
+              disabled={saving || !code.trim()}
+              className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {saving ? 'Verifying...' : 'Enable'}
+            </button>
+            <button
+              type="button"
+              onClick={() => setSetup(null)}
+              className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {status?.enabled && (
+        <>
+          <p className="text-sm text-gray-600 mb-4">
+            Enabled {status.enabledAt ? new Date(status.enabledAt).toLocaleDateString() : ''} · {status.recoveryCodesLeft} recovery code{status.recoveryCodesLeft !== 1 ? 's' : ''} left
+          </p>
+
+          {action ? (
+            <form onSubmit={handlePasswordAction} className="flex gap-2">
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Your password"
+                autoComplete="current-password"
+                autoFocus
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                type="submit"
+                disabled={saving || !password}
+                className={`px-4 py-2 text-white rounded-lg disabled:opacity-50 disabled:cursor-not-allowed ${action === 'disable' ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'}`}
+              >
+                {action === 'disable' ? 'Disable 2FA' : 'New Recovery Codes'}
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setAction(null);
+                  setPassword('');
+                }}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            </form>
+          ) : (
+            <div className="flex gap-3">
+              <button
+                onClick={() => setAction('regenerate')}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                New Recovery Codes
+              </button>
+              <button
+                onClick={() => setAction('disable')}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
+              >
+                Disable
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TwoFactor;
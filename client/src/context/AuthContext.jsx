@@ -1,5 +1,6 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { authAPI, clearSession } from '../services/api';
 
 const AuthContext = createContext(null);
 
@@ -17,32 +18,55 @@ export const AuthProvider = ({ children }) => {
     if (storedToken && storedUser) {
       setToken(storedToken);
       setUser(JSON.parse(storedUser));
+
+      // Pick up role and app grant changes made since the last login
+      authAPI.verify()
+        .then((response) => {
+          localStorage.setItem('user', JSON.stringify(response.data.user));
+          setUser(response.data.user);
+        })
+        .catch((err) => console.error('Failed to refresh user:', err));
     }
     
     setLoading(false);
   }, []);
 
-  const login = (newToken, newUser) => {
+  const login = (newToken, newUser, refreshToken) => {
     localStorage.setItem('token', newToken);
+    localStorage.setItem('refreshToken', refreshToken);
     localStorage.setItem('user', JSON.stringify(newUser));
     setToken(newToken);
     setUser(newUser);
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  const endSession = () => {
+    clearSession();
     setToken(null);
     setUser(null);
     navigate('/login');
   };
 
+  // End this session on the server too, so its refresh token stops working
+  const logout = async () => {
+    try {
+      await authAPI.logout(localStorage.getItem('refreshToken'));
+    } catch (err) {
+      console.error('Failed to end session:', err);
+    }
+    endSession();
+  };
+
+  const logoutEverywhere = async () => {
+    await authAPI.revokeAllSessions();
+    endSession();
+  };
+
   const isAuthenticated = () => {
     return !!token;
   };
 
   return (
-    <AuthContext.Provider value={{ user, token, loading, login, logout, isAuthenticated }}>
+    <AuthContext.Provider value={{ user, token, loading, login, logout, logoutEverywhere, isAuthenticated }}>
       {children}
     </AuthContext.Provider>
   );
@@ -0,0 +1,202 @@
+import { useState, useEffect } from 'react';
+import Header from '../components/Header';
+import { authAPI } from '../services/api';
+import { useDialog } from '../contexts/DialogContext';
+import { useAuth } from '../context/AuthContext';
+
+function Account() {
+  const { confirm, toast } = useDialog();
+  const { user, logout, logoutEverywhere } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await authAPI.getSessions();
+      setSessions(response.data.sessions || []);
+    } catch (err) {
+      console.error('Failed to fetch sessions:', err);
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      await logout();
+      return;
+    }
+
+    try {
+      await authAPI.revokeSession(session.id);
+      toast.success(`Logged out ${session.device}`);
+      fetchSessions();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to end session');
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    const confirmed = await confirm('Log out of every session, including this one?', {
+      title: 'Log Out Everywhere',
+      type: 'danger',
+      confirmText: 'Log Out Everywhere'
+    });
+    if (!confirmed) return;
+
+    try {
+      await logoutEverywhere();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to end sessions');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (newPassword !== confirmPassword) {
+      toast.warning('The new passwords do not match');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await authAPI.changePassword(currentPassword, newPassword);
+      toast.success(response.data.message || 'Password changed');
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      fetchSessions();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to change password');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <Header title="Account" subtitle="Your login, permissions and sessions" />
+
+      <div className="px-8 pb-8 max-w-2xl space-y-6">
+        <div className="bg-white rounded-lg border border-gray-200 p-6">
+          <h3 className="text-lg font-bold text-gray-900 mb-4">Profile</h3>
+          <p className="text-sm text-gray-600">
+            Username: <span className="font-mono text-gray-900">{user?.username}</span>
+          </p>
+          <p className="text-sm text-gray-600 mt-1">
+            Role: <span className="capitalize text-gray-900">{user?.role}</span>
+          </p>
+          {user?.sso && (
+            <p className="text-sm text-gray-600 mt-1">
+              Signs in with single sign-on; the role is set by your identity provider.
+            </p>
+          )}
+          {(user?.role === 'developer' || user?.role === 'viewer') && (
+            <p className="text-sm text-gray-600 mt-1">
+              Apps:{' '}
+              {user.apps?.length > 0
+                ? user.apps.map((grant) => `${grant.slug} (${grant.role})`).join(', ')
+                : 'none'}
+            </p>
+          )}
+        </div>
+
+        {!user?.sso && (
+          <form onSubmit={handleSubmit} className="bg-white rounded-lg border border-gray-200 p-6">
+            <h3 className="text-lg font-bold text-gray-900 mb-4">Change Password</h3>
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Current Password</label>
+              <input
+                type="password"
+                value={currentPassword}
+                onChange={(e) => setCurrentPassword(e.target.value)}
+                autoComplete="current-password"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">New Password</label>
+              <input
+                type="password"
+                value={newPassword}
+                onChange={(e) => setNewPassword(e.target.value)}
+                placeholder="At least 8 characters"
+                autoComplete="new-password"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Confirm New Password</label>
+              <input
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                autoComplete="new-password"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={saving || !currentPassword || !newPassword}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Change Password'}
+            </button>
+          </form>
+        )}
+
+        <div className="bg-white rounded-lg border border-gray-200 p-6">
+          <div className="flex justify-between items-center mb-4">
+            <h3 className="text-lg font-bold text-gray-900">Sessions</h3>
+            <button
+              onClick={handleLogoutEverywhere}
+              className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 text-sm"
+            >
+              Log Out Everywhere
+            </button>
+          </div>
+
+          {sessions.length === 0 ? (
+            <p className="text-sm text-gray-500">No active sessions</p>
+          ) : (
+            <div className="divide-y divide-gray-200">
+              {sessions.map((session) => (
+                <div key={session.id} className="flex justify-between items-center py-3">
+                  <div>
+                    <p className="text-sm font-medium text-gray-900" title={session.userAgent}>
+                      {session.device}
+                      {session.current && (
+                        <span className="ml-2 px-2 py-0.5 bg-green-100 text-green-800 text-xs rounded">this session</span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-0.5">
+                      {session.ip || 'Unknown IP'} · Last seen {new Date(session.lastSeenAt).toLocaleString()} · Signed in {new Date(session.createdAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleRevoke(session)}
+                    className="text-sm text-red-600 hover:text-red-800 font-medium"
+                  >
+                    Log out
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default Account;
@@ -1,16 +1,23 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import Header from '../components/Header';
-import { appsAPI, webhookAPI, backupAPI } from '../services/api';
+import { appsAPI, webhookAPI, backupAPI, envGroupsAPI } from '../services/api';
 import ErrorAlert from '../components/ErrorAlert';
 import { validateAppName, RESERVED_NAMES } from '../utils/errorHandler';
 import { useDialog } from '../contexts/DialogContext';
 import AddEnvModal from '../components/AddEnvModal';
+import DeploymentLog, { DeploymentStatusBadge } from '../components/DeploymentLog';
+import { usePlatformConfig, getAppUrl } from '../utils/platformConfig';
+import { useAuth } from '../context/AuthContext';
+import { isAdmin } from '../utils/permissions';
 
 function AppDetails() {
   const { slug } = useParams();
   const navigate = useNavigate();
   const { confirm, toast } = useDialog();
+  const platformConfig = usePlatformConfig();
+  const { user } = useAuth();
+  const admin = isAdmin(user);
   const [app, setApp] = useState(null);
   const [loading, setLoading] = useState(true);
   const [pageError, setPageError] = useState(null);
@@ -19,8 +26,11 @@ function AppDetails() {
     name: '',
     description: '',
     status: 'active',
+    isolated: false,
+    maxMemoryMB: '',
+    maxCpuTimeMs: '',
   });
-  const [activeTab, setActiveTab] = useState('details'); // 'details', 'env', 'logs', 'webhooks', 'backups'
+  const [activeTab, setActiveTab] = useState('details'); // 'details', 'env', 'logs', 'deployments', 'releases', 'webhooks', 'backups'
   const [envVars, setEnvVars] = useState(null);
   const [logs, setLogs] = useState([]);
   const [webhook, setWebhook] = useState(null);
@@ -31,22 +41,64 @@ function AppDetails() {
   const [editingEnv, setEditingEnv] = useState(false);
   const [newEnvVars, setNewEnvVars] = useState({});
   const [showAddEnvModal, setShowAddEnvModal] = useState(false);
+  const [appEnvGroups, setAppEnvGroups] = useState(null);
+  const [allEnvGroups, setAllEnvGroups] = useState([]);
+  const [groupToAttach, setGroupToAttach] = useState('');
+  const [secrets, setSecrets] = useState(null);
+  const [secretsLoading, setSecretsLoading] = useState(false);
+  const [secretModal, setSecretModal] = useState(null); // { name }, '' for a new secret
   const [renaming, setRenaming] = useState(false);
   const [newSlugName, setNewSlugName] = useState('');
   const [error, setError] = useState(null);
   const [creatingBackup, setCreatingBackup] = useState(false);
+  const [backupSecrets, setBackupSecrets] = useState(false);
+  const [backupPassphrase, setBackupPassphrase] = useState('');
+  const [gitRef, setGitRef] = useState('');
+  const [newDomain, setNewDomain] = useState('');
+  const [domainLoading, setDomainLoading] = useState(false);
+  const [releases, setReleases] = useState(null);
+  const [releasesLoading, setReleasesLoading] = useState(false);
+  const [rollingBack, setRollingBack] = useState(null);
+  const [canary, setCanary] = useState(null);
+  const [canaryWeight, setCanaryWeight] = useState(10);
+  const [canaryLoading, setCanaryLoading] = useState(false);
+  const [deployments, setDeployments] = useState(null);
+  const [deploymentsLoading, setDeploymentsLoading] = useState(false);
+  const [selectedDeployment, setSelectedDeployment] = useState(null);
+  const [deploymentLogs, setDeploymentLogs] = useState([]);
+  const [gitWebhook, setGitWebhook] = useState(null);
+  const [gitWebhookSecret, setGitWebhookSecret] = useState(null);
+  const [gitWebhookDeliveries, setGitWebhookDeliveries] = useState([]);
+  const [gitWebhookLoading, setGitWebhookLoading] = useState(false);
+  const [gitCredentials, setGitCredentials] = useState(null);
+  const [gitToken, setGitToken] = useState('');
+  const [gitUsername, setGitUsername] = useState('');
+  const [gitCredentialsLoading, setGitCredentialsLoading] = useState(false);
+  const deploymentStreamRef = useRef(null);
 
   useEffect(() => {
     fetchApp();
   }, [slug]);
 
+  // Stop following deployment logs when leaving the page
+  useEffect(() => {
+    return () => deploymentStreamRef.current?.abort();
+  }, []);
+
   useEffect(() => {
     if (activeTab === 'env' && !envVars) {
       fetchEnv();
+      fetchEnvGroups();
+      fetchSecrets();
     } else if (activeTab === 'logs' && logs.length === 0) {
       fetchLogs();
-    } else if (activeTab === 'webhooks' && !webhook) {
-      fetchWebhook();
+    } else if (activeTab === 'deployments' && !deployments) {
+      fetchDeployments();
+    } else if (activeTab === 'releases' && !releases) {
+      fetchReleases();
+    } else if (activeTab === 'webhooks') {
+      if (!webhook) fetchWebhook();
+      if (!gitWebhook) fetchGitWebhook();
     }
   }, [activeTab]);
 
@@ -64,6 +116,50 @@ function AppDetails() {
     }
   };
 
+  const fetchEnvGroups = async () => {
+    try {
+      const [response, groupsResponse] = await Promise.all([
+        appsAPI.getEnvGroups(slug),
+        envGroupsAPI.list()
+      ]);
+      setAppEnvGroups(response.data.groups || []);
+      setAllEnvGroups(groupsResponse.data.groups || []);
+    } catch (err) {
+      console.error('Failed to fetch environment groups:', err);
+      setAppEnvGroups([]);
+    }
+  };
+
+  const handleSetEnvGroups = async (groups) => {
+    try {
+      const response = await appsAPI.setEnvGroups(slug, groups);
+      setAppEnvGroups(response.data.groups);
+      setGroupToAttach('');
+      toast.success('Environment groups updated! App will reload.');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to update environment groups');
+    }
+  };
+
+  const moveEnvGroup = (index, offset) => {
+    const groups = [...appEnvGroups];
+    [groups[index], groups[index + offset]] = [groups[index + offset], groups[index]];
+    handleSetEnvGroups(groups);
+  };
+
+  const fetchSecrets = async () => {
+    try {
+      setSecretsLoading(true);
+      const response = await appsAPI.getSecrets(slug);
+      setSecrets(response.data.secrets || []);
+    } catch (err) {
+      console.error('Failed to fetch secrets:', err);
+      setSecrets([]);
+    } finally {
+      setSecretsLoading(false);
+    }
+  };
+
   const fetchLogs = async () => {
     try {
       setLogsLoading(true);
@@ -77,6 +173,192 @@ function AppDetails() {
     }
   };
 
+  const fetchReleases = async () => {
+    try {
+      setReleasesLoading(true);
+      const [response, canaryResponse] = await Promise.all([
+        appsAPI.getReleases(slug),
+        appsAPI.getCanary(slug)
+      ]);
+      setReleases(response.data.releases || []);
+      setCanary(canaryResponse.data);
+      if (canaryResponse.data.canary) {
+        setCanaryWeight(canaryResponse.data.canary.weight);
+      }
+    } catch (err) {
+      console.error('Failed to fetch releases:', err);
+      setReleases([]);
+    } finally {
+      setReleasesLoading(false);
+    }
+  };
+
+  const fetchDeployments = async () => {
+    try {
+      setDeploymentsLoading(true);
+      const response = await appsAPI.getDeployments(slug);
+      setDeployments(response.data.deployments || []);
+    } catch (err) {
+      console.error('Failed to fetch deployments:', err);
+      setDeployments([]);
+    } finally {
+      setDeploymentsLoading(false);
+    }
+  };
+
+  // Replay a deployment's logs and keep following them while it runs
+  const handleSelectDeployment = (deployment) => {
+    deploymentStreamRef.current?.abort();
+    const controller = new AbortController();
+    deploymentStreamRef.current = controller;
+
+    setSelectedDeployment(deployment);
+    setDeploymentLogs([]);
+
+    appsAPI.streamDeployment(slug, deployment.id, (event, data) => {
+      if (event === 'log') {
+        setDeploymentLogs((prev) => [...prev, data.entry]);
+      } else if (event === 'status' || event === 'end') {
+        setSelectedDeployment(data.deployment);
+        setDeployments((prev) => prev?.map((d) => (d.id === data.deployment.id ? data.deployment : d)));
+      }
+    }, controller.signal).catch((err) => {
+      if (!controller.signal.aborted) {
+        console.error('Failed to stream deployment logs:', err);
+        toast.error('Failed to load deployment logs');
+      }
+    });
+  };
+
+  const handleCancelDeployment = async (deployment) => {
+    const confirmed = await confirm('Cancel this deployment? Running build commands are stopped and the current release keeps serving.', {
+      title: 'Cancel Deployment',
+      type: 'warning',
+      confirmText: 'Cancel Deployment'
+    });
+    if (!confirmed) return;
+
+    try {
+      const response = await appsAPI.cancelDeployment(slug, deployment.id);
+      toast.success(response.data.message || 'Cancellation requested');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to cancel deployment');
+    }
+  };
+
+  const formatDuration = (deployment) => {
+    if (!deployment.finishedAt) return '—';
+    const seconds = Math.round((new Date(deployment.finishedAt) - new Date(deployment.createdAt)) / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  };
+
+  const handleRollback = async (release) => {
+    const confirmed = await confirm(`Roll back "${app.name}" to release v${release.version}?`, {
+      title: 'Rollback',
+      type: 'warning',
+      confirmText: 'Rollback'
+    });
+    if (!confirmed) return;
+
+    try {
+      setRollingBack(release.version);
+      const response = await appsAPI.rollback(slug, release.version);
+      toast.success(response.data.message || `Rolled back to v${release.version}`);
+      fetchApp();
+      fetchReleases();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to roll back');
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  const handleStartCanary = async (release) => {
+    const confirmed = await confirm(`Send ${canaryWeight}% of new visitors to release v${release.version}? Everyone else stays on v${app.currentRelease}.`, {
+      title: 'Start Canary',
+      type: 'warning',
+      confirmText: 'Start Canary'
+    });
+    if (!confirmed) return;
+
+    try {
+      setCanaryLoading(true);
+      const response = await appsAPI.startCanary(slug, release.version, canaryWeight);
+      toast.success(response.data.message || `Canary v${release.version} started`);
+      fetchReleases();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to start canary');
+    } finally {
+      setCanaryLoading(false);
+    }
+  };
+
+  const handleUpdateCanaryWeight = async () => {
+    try {
+      setCanaryLoading(true);
+      const response = await appsAPI.startCanary(slug, canary.canary.release, canaryWeight);
+      toast.success(response.data.message || 'Canary weight updated');
+      fetchReleases();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to update canary weight');
+    } finally {
+      setCanaryLoading(false);
+    }
+  };
+
+  const handlePromoteCanary = async () => {
+    const confirmed = await confirm(`Promote release v${canary.canary.release} and send it all traffic?`, {
+      title: 'Promote Canary',
+      type: 'warning',
+      confirmText: 'Promote'
+    });
+    if (!confirmed) return;
+
+    try {
+      setCanaryLoading(true);
+      const response = await appsAPI.promoteCanary(slug);
+      toast.success(response.data.message || 'Canary promoted');
+      fetchApp();
+      fetchReleases();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to promote canary');
+    } finally {
+      setCanaryLoading(false);
+    }
+  };
+
+  const handleAbortCanary = async () => {
+    const confirmed = await confirm(`Abort the canary and send all traffic back to v${app.currentRelease}?`, {
+      title: 'Abort Canary',
+      type: 'danger',
+      confirmText: 'Abort'
+    });
+    if (!confirmed) return;
+
+    try {
+      setCanaryLoading(true);
+      const response = await appsAPI.abortCanary(slug);
+      toast.success(response.data.message || 'Canary aborted');
+      fetchReleases();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to abort canary');
+    } finally {
+      setCanaryLoading(false);
+    }
+  };
+
+  const getReleaseStatusColor = (release) => {
+    if (release.current) return 'bg-green-100 text-green-800';
+    switch (release.status) {
+      case 'ready':
+        return 'bg-blue-100 text-blue-800';
+      case 'failed':
+        return 'bg-red-100 text-red-800';
+      default:
+        return 'bg-gray-100 text-gray-800';
+    }
+  };
+
   const handleUpdateEnv = async (action = 'merge') => {
     try {
       await appsAPI.updateEnv(slug, {
@@ -107,6 +389,35 @@ function AppDetails() {
     }
   };
 
+  const handleSaveSecret = async (key, value) => {
+    try {
+      const response = await appsAPI.setSecret(slug, key, value);
+      fetchSecrets();
+      if (response.data.movedFromEnv) {
+        fetchEnv();
+      }
+      toast.success(`${response.data.message}! App will reload.`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to save secret');
+    }
+  };
+
+  const handleDeleteSecret = async (key) => {
+    const confirmed = await confirm(`Delete secret "${key}"? Apps using it will stop receiving it.`, {
+      title: 'Delete Secret',
+      type: 'danger'
+    });
+    if (!confirmed) return;
+
+    try {
+      await appsAPI.deleteSecret(slug, key);
+      fetchSecrets();
+      toast.success('Secret deleted successfully!');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to delete secret');
+    }
+  };
+
   const fetchApp = async () => {
     try {
       setLoading(true);
@@ -117,7 +428,13 @@ function AppDetails() {
         name: response.data.app.name,
         description: response.data.app.description || '',
         status: response.data.app.status,
+        isolated: !!response.data.app.isolated,
+        maxMemoryMB: response.data.app.resourceLimits?.maxMemoryMB ?? '',
+        maxCpuTimeMs: response.data.app.resourceLimits?.maxCpuTimeMs ?? '',
       });
+      if (response.data.app.repoUrl) {
+        fetchGitCredentials();
+      }
     } catch (err) {
       setPageError(err.response?.data?.error || 'Failed to fetch app details');
     } finally {
@@ -128,7 +445,15 @@ function AppDetails() {
   const handleUpdate = async (e) => {
     e.preventDefault();
     try {
-      await appsAPI.updateApp(slug, formData);
+      const { maxMemoryMB, maxCpuTimeMs, ...metadata } = formData;
+      await appsAPI.updateApp(slug, {
+        ...metadata,
+        resourceLimits: {
+          // Limits only apply to isolated apps
+          maxMemoryMB: maxMemoryMB === '' || !metadata.isolated ? null : Number(maxMemoryMB),
+          maxCpuTimeMs: maxCpuTimeMs === '' || !metadata.isolated ? null : Number(maxCpuTimeMs),
+        },
+      });
       setEditing(false);
       fetchApp();
       toast.success('App updated successfully!');
@@ -137,6 +462,52 @@ function AppDetails() {
     }
   };
 
+  const handleAddDomain = async (e) => {
+    e.preventDefault();
+    if (!newDomain.trim()) return;
+
+    try {
+      setDomainLoading(true);
+      await appsAPI.addDomain(slug, newDomain.trim());
+      setNewDomain('');
+      fetchApp();
+      toast.success('Domain added! Verify ownership to start routing traffic.');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to add domain');
+    } finally {
+      setDomainLoading(false);
+    }
+  };
+
+  const handleVerifyDomain = async (hostname) => {
+    try {
+      setDomainLoading(true);
+      await appsAPI.verifyDomain(slug, hostname);
+      fetchApp();
+      toast.success(`${hostname} verified successfully!`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to verify domain');
+    } finally {
+      setDomainLoading(false);
+    }
+  };
+
+  const handleRemoveDomain = async (hostname) => {
+    const confirmed = await confirm(`Remove custom domain "${hostname}"?`, {
+      title: 'Remove Domain',
+      type: 'danger'
+    });
+    if (!confirmed) return;
+
+    try {
+      await appsAPI.removeDomain(slug, hostname);
+      fetchApp();
+      toast.success('Domain removed successfully!');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to remove domain');
+    }
+  };
+
   const handleDelete = async () => {
     const confirmed = await confirm(`Are you sure you want to delete "${app.name}"? This will remove all app files.`, {
       title: 'Delete App',
@@ -156,11 +527,12 @@ function AppDetails() {
 
   const handleRedeploy = async () => {
     try {
-      await appsAPI.redeployApp(slug);
+      const response = await appsAPI.redeployApp(slug);
       fetchApp();
-      toast.success('App redeployed successfully!');
+      toast.success(response.data.message || 'App redeployed successfully!');
     } catch (err) {
-      toast.error(err.response?.data?.error || 'Failed to redeploy app');
+      const data = err.response?.data;
+      toast.error(data?.message ? `${data.error}. ${data.message}` : (data?.error || 'Failed to redeploy app'));
     }
   };
 
@@ -256,8 +628,136 @@ function AppDetails() {
     }
   };
 
+  // Git push webhook (auto-deploy) functions
+  const fetchGitWebhook = async () => {
+    try {
+      setGitWebhookLoading(true);
+      const [settings, deliveries] = await Promise.all([
+        webhookAPI.getGitWebhook(slug),
+        webhookAPI.getGitWebhookDeliveries(slug)
+      ]);
+      setGitWebhook(settings.data.gitWebhook);
+      setGitWebhookDeliveries(deliveries.data.deliveries || []);
+    } catch (err) {
+      console.error('Failed to fetch Git webhook:', err);
+    } finally {
+      setGitWebhookLoading(false);
+    }
+  };
+
+  const handleEnableGitWebhook = async () => {
+    if (gitWebhook?.enabled) {
+      const confirmed = await confirm('Rotate the webhook secret? Pushes signed with the old secret will be rejected until you update it in your Git host.', {
+        title: 'Rotate Secret',
+        type: 'warning',
+        confirmText: 'Rotate'
+      });
+      if (!confirmed) return;
+    }
+
+    try {
+      const response = await webhookAPI.enableGitWebhook(slug);
+      setGitWebhook(response.data.gitWebhook);
+      setGitWebhookSecret(response.data.gitWebhook.secret);
+      toast.success(response.data.message);
+    } catch (err) {
+      setError(err);
+      toast.error(err.response?.data?.error || 'Failed to enable Git webhook');
+    }
+  };
+
+  const handleDisableGitWebhook = async () => {
+    const confirmed = await confirm('Stop deploying this app on push?', {
+      title: 'Disable Auto-Deploy',
+      type: 'danger'
+    });
+    if (!confirmed) return;
+
+    try {
+      await webhookAPI.disableGitWebhook(slug);
+      toast.success('Git webhook disabled');
+      setGitWebhook({ ...gitWebhook, enabled: false });
+      setGitWebhookSecret(null);
+    } catch (err) {
+      setError(err);
+      toast.error(err.response?.data?.error || 'Failed to disable Git webhook');
+    }
+  };
+
+  // Repository access (deploy key or access token) functions
+  const fetchGitCredentials = async () => {
+    try {
+      const response = await appsAPI.getGitCredentials(slug);
+      setGitCredentials(response.data.credentials);
+    } catch (err) {
+      console.error('Failed to fetch Git credentials:', err);
+    }
+  };
+
+  const handleCreateDeployKey = async () => {
+    if (gitCredentials) {
+      const confirmed = await confirm('Generate a new deploy key? The current credentials stop being used and the new public key has to be added to the repository.', {
+        title: 'Generate Deploy Key',
+        type: 'warning',
+        confirmText: 'Generate'
+      });
+      if (!confirmed) return;
+    }
+
+    try {
+      setGitCredentialsLoading(true);
+      const response = await appsAPI.createDeployKey(slug);
+      setGitCredentials(response.data.credentials);
+      toast.success(response.data.message);
+    } catch (err) {
+      setError(err);
+      toast.error(err.response?.data?.error || 'Failed to generate deploy key');
+    } finally {
+      setGitCredentialsLoading(false);
+    }
+  };
+
+  const handleSaveGitToken = async (e) => {
+    e.preventDefault();
+    try {
+      setGitCredentialsLoading(true);
+      const response = await appsAPI.setGitToken(slug, gitToken.trim(), gitUsername.trim() || null);
+      setGitCredentials(response.data.credentials);
+      setGitToken('');
+      setGitUsername('');
+      toast.success(response.data.message);
+    } catch (err) {
+      setError(err);
+      toast.error(err.response?.data?.error || 'Failed to save access token');
+    } finally {
+      setGitCredentialsLoading(false);
+    }
+  };
+
+  const handleRemoveGitCredentials = async () => {
+    const confirmed = await confirm('Remove the repository credentials? Private repositories can no longer be fetched for this app.', {
+      title: 'Remove Credentials',
+      type: 'danger'
+    });
+    if (!confirmed) return;
+
+    try {
+      await appsAPI.deleteGitCredentials(slug);
+      setGitCredentials(null);
+      toast.success('Git credentials removed');
+    } catch (err) {
+      setError(err);
+      toast.error(err.response?.data?.error || 'Failed to remove Git credentials');
+    }
+  };
+
   // Backup function
   const handleCreateBackup = async () => {
+    if (backupSecrets && backupPassphrase.length < 8) {
+      toast.warning('Enter a passphrase of at least 8 characters to include secrets');
+      return;
+    }
+
     const confirmed = await confirm(`Create backup for "${app.name}"?`, {
       title: 'Create Backup',
       type: 'info',
@@ -267,8 +767,11 @@ function AppDetails() {
 
     try {
       setCreatingBackup(true);
-      const response = await backupAPI.createBackup(slug);
+      const response = await backupAPI.createBackup(slug, backupSecrets
+        ? { includeSecrets: true, passphrase: backupPassphrase }
+        : {});
       toast.success(response.data.message || 'Backup created successfully!');
+      setBackupPassphrase('');
     } catch (err) {
       setError(err);
       toast.error(err.response?.data?.error || 'Failed to create backup');
@@ -279,7 +782,9 @@ function AppDetails() {
 
   // Git update function
   const handleGitUpdate = async () => {
-    const confirmed = await confirm(`Pull latest changes from Git for "${app.name}"?`, {
+    const ref = gitRef.trim();
+    const target = ref || app.repoBranch || 'main';
+    const confirmed = await confirm(`Deploy ${target} from Git for "${app.name}"?`, {
       title: 'Git Update',
       type: 'info',
       confirmText: 'Update'
@@ -287,13 +792,17 @@ function AppDetails() {
     if (!confirmed) return;
 
     try {
-      const response = await appsAPI.gitUpdate(slug);
+      const response = await appsAPI.gitUpdate(slug, ref ? { ref } : {});
       toast.success(response.data.message || 'Git update completed successfully!');
+      setGitRef('');
       fetchApp();
       fetchLogs();
+      fetchReleases();
+      fetchDeployments();
     } catch (err) {
       setError(err);
       toast.error(err.response?.data?.error || 'Failed to update from Git');
+      fetchDeployments();
     }
   };
 
@@ -382,6 +891,26 @@ function AppDetails() {
             >
               Logs
             </button>
+            <button
+              onClick={() => setActiveTab('deployments')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'deployments'
+                  ? 'border-blue-600 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              Deployments
+            </button>
+            <button
+              onClick={() => setActiveTab('releases')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'releases'
+                  ? 'border-blue-600 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              Releases
+            </button>
             <button
               onClick={() => setActiveTab('webhooks')}
               className={`py-4 px-1 border-b-2 font-medium text-sm ${
@@ -471,6 +1000,62 @@ function AppDetails() {
                       </select>
                     </div>
 
+                    <div>
+                      <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={formData.isolated}
+                          disabled={!admin && app.isolated}
+                          onChange={(e) =>
+                            setFormData({ ...formData, isolated: e.target.checked })
+                          }
+                          className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500 disabled:opacity-50"
+                        />
+                        Run in isolated worker process
+                      </label>
+                      <p className="text-xs text-gray-500 mt-1 ml-6">
+                        Backend and fullstack apps run in their own process so a crash cannot take down the platform. The app reloads on save.
+                        {!admin && app.isolated && ' Only owners and admins can turn this off.'}
+                      </p>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Memory Limit (MB)
+                        </label>
+                        <input
+                          type="number"
+                          min="1"
+                          value={formData.maxMemoryMB}
+                          onChange={(e) =>
+                            setFormData({ ...formData, maxMemoryMB: e.target.value })
+                          }
+                          disabled={!formData.isolated}
+                          placeholder="Unlimited"
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                        />
+                        <p className="text-xs text-gray-500 mt-1">Isolated apps only</p>
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          CPU Limit (ms per minute)
+                        </label>
+                        <input
+                          type="number"
+                          min="1"
+                          value={formData.maxCpuTimeMs}
+                          onChange={(e) =>
+                            setFormData({ ...formData, maxCpuTimeMs: e.target.value })
+                          }
+                          disabled={!formData.isolated}
+                          placeholder="Unlimited"
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                        />
+                        <p className="text-xs text-gray-500 mt-1">Isolated apps only; apps over budget are unloaded</p>
+                      </div>
+                    </div>
+
                     <div className="flex gap-3 pt-2">
                       <button
                         type="submit"
@@ -486,6 +1071,9 @@ function AppDetails() {
                             name: app.name,
                             description: app.description || '',
                             status: app.status,
+                            isolated: !!app.isolated,
+                            maxMemoryMB: app.resourceLimits?.maxMemoryMB ?? '',
+                            maxCpuTimeMs: app.resourceLimits?.maxCpuTimeMs ?? '',
                           });
                         }}
                         className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
@@ -544,6 +1132,31 @@ function AppDetails() {
                   </div>
                 )}
 
+                <div>
+                  <p className="text-sm text-gray-600">Current Release</p>
+                  <p className="text-gray-900 font-medium">
+                    {app.currentRelease ? `v${app.currentRelease}` : 'Not tracked'}
+                  </p>
+                </div>
+
+                <div>
+                  <p className="text-sm text-gray-600">Runtime</p>
+                  <p className="text-gray-900 font-medium">
+                    {app.isolated ? '🔒 Isolated worker process' : 'Shared platform process'}
+                  </p>
+                </div>
+
+                <div>
+                  <p className="text-sm text-gray-600">Resource Limits</p>
+                  <p className="text-gray-900 font-medium">
+                    Memory: {app.resourceLimits?.maxMemoryMB ? `${app.resourceLimits.maxMemoryMB} MB` : 'Unlimited'}
+                    {' · '}
+                    CPU: {app.resourceLimits?.maxCpuTimeMs
+                      ? `${app.resourceLimits.maxCpuTimeMs} ms / ${Math.round((app.resourceLimits.cpuWindowMs || 60000) / 1000)}s`
+                      : 'Unlimited'}
+                  </p>
+                </div>
+
                 {app.entryFile && (
                   <div>
                     <p className="text-sm text-gray-600">Entry File</p>
@@ -565,6 +1178,22 @@ function AppDetails() {
                   </div>
                 )}
 
+                {app.repoPath && (
+                  <div>
+                    <p className="text-sm text-gray-600">Subdirectory</p>
+                    <p className="text-gray-900 font-mono text-sm">{app.repoPath}/</p>
+                  </div>
+                )}
+
+                {app.deployedCommitSha && (
+                  <div>
+                    <p className="text-sm text-gray-600">Deployed Commit</p>
+                    <p className="text-gray-900 font-mono text-sm" title={app.deployedCommitSha}>
+                      {app.deployedCommitSha.slice(0, 12)}
+                    </p>
+                  </div>
+                )}
+
                 <div>
                   <p className="text-sm text-gray-600">Folder Exists</p>
                   <p className="text-gray-900 font-medium">
@@ -596,6 +1225,166 @@ function AppDetails() {
               </div>
             </div>
 
+            {/* Custom Domains */}
+            <div className="bg-white rounded-lg border border-gray-200 p-6">
+              <h2 className="text-xl font-bold text-gray-900 mb-2">Custom Domains</h2>
+              <p className="text-sm text-gray-600 mb-6">
+                Point a hostname at this server, then verify ownership to route it to this app.
+              </p>
+
+              {app.customDomains && app.customDomains.length > 0 ? (
+                <div className="space-y-4 mb-6">
+                  {app.customDomains.map((domain) => (
+                    <div key={domain.hostname} className="border border-gray-200 rounded-lg p-4">
+                      <div className="flex justify-between items-start">
+                        <div>
+                          <p className="font-mono text-sm text-gray-900">{domain.hostname}</p>
+                          {domain.verified ? (
+                            <span className="mt-1 px-2 py-0.5 inline-flex text-xs font-semibold rounded-full bg-green-100 text-green-800">
+                              ✓ Verified
+                            </span>
+                          ) : (
+                            <span className="mt-1 px-2 py-0.5 inline-flex text-xs font-semibold rounded-full bg-yellow-100 text-yellow-800">
+                              Pending verification
+                            </span>
+                          )}
+                        </div>
+                        <div className="flex gap-3">
+                          {!domain.verified && (
+                            <button
+                              onClick={() => handleVerifyDomain(domain.hostname)}
+                              disabled={domainLoading}
+                              className="text-blue-600 hover:text-blue-700 text-sm disabled:opacity-50"
+                            >
+                              Verify
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleRemoveDomain(domain.hostname)}
+                            className="text-red-600 hover:text-red-700 text-sm"
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      </div>
+                      {!domain.verified && (
+                        <div className="mt-3 bg-gray-50 rounded p-3 text-xs text-gray-700">
+                          <p>
+                            Once DNS points here, PlatformX serves this token at{' '}
+                            <code>http://{domain.hostname}/.well-known/platformx-verification</code>:
+                          </p>
+                          <p className="font-mono break-all mt-1">{domain.verificationToken}</p>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-sm text-gray-400 mb-6">No custom domains</p>
+              )}
+
+              <form onSubmit={handleAddDomain} className="flex gap-3">
+                <input
+                  type="text"
+                  value={newDomain}
+                  onChange={(e) => setNewDomain(e.target.value)}
+                  placeholder="shop.example.com"
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  type="submit"
+                  disabled={domainLoading || !newDomain.trim()}
+                  className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  Add Domain
+                </button>
+              </form>
+            </div>
+
+            {/* Repository Access */}
+            {app.repoUrl && (
+              <div className="bg-white rounded-lg border border-gray-200 p-6">
+                <h2 className="text-xl font-bold text-gray-900 mb-2">Repository Access</h2>
+                <p className="text-sm text-gray-600 mb-6">
+                  Credentials used to fetch a private repository. Use a deploy key with SSH URLs
+                  (<code className="bg-gray-100 px-1 rounded">git@host:owner/repo.git</code>) or an access token with HTTPS URLs.
+                </p>
+
+                {gitCredentials?.type === 'ssh' && (
+                  <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg space-y-2">
+                    <p className="text-sm text-green-800">
+                      <strong>✓ SSH deploy key</strong> <span className="font-mono text-xs">{gitCredentials.fingerprint}</span>
+                    </p>
+                    <p className="text-sm text-green-700">Add this public key to the repository as a read-only deploy key:</p>
+                    <textarea
+                      readOnly
+                      value={gitCredentials.publicKey}
+                      rows={3}
+                      onFocus={(e) => e.target.select()}
+                      className="w-full px-3 py-2 border border-green-200 rounded-lg font-mono text-xs bg-white"
+                    />
+                  </div>
+                )}
+
+                {gitCredentials?.type === 'token' && (
+                  <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg">
+                    <p className="text-sm text-green-800">
+                      <strong>✓ Access token saved</strong>
+                      {gitCredentials.username && <> (username <code className="bg-white px-1 rounded">{gitCredentials.username}</code>)</>}
+                    </p>
+                  </div>
+                )}
+
+                {!gitCredentials && (
+                  <p className="text-sm text-gray-400 mb-6">
+                    No credentials for this app. GitHub and GitLab repositories use the global token from Settings.
+                  </p>
+                )}
+
+                <form onSubmit={handleSaveGitToken} className="flex gap-3 mb-4">
+                  <input
+                    type="text"
+                    value={gitUsername}
+                    onChange={(e) => setGitUsername(e.target.value)}
+                    placeholder="Username (optional)"
+                    className="w-44 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <input
+                    type="password"
+                    value={gitToken}
+                    onChange={(e) => setGitToken(e.target.value)}
+                    placeholder="Access token"
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <button
+                    type="submit"
+                    disabled={gitCredentialsLoading || !gitToken.trim()}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Save Token
+                  </button>
+                </form>
+
+                <div className="flex gap-3">
+                  <button
+                    onClick={handleCreateDeployKey}
+                    disabled={gitCredentialsLoading}
+                    className="bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 disabled:opacity-50"
+                  >
+                    🔑 {gitCredentials?.type === 'ssh' ? 'Regenerate Deploy Key' : 'Generate Deploy Key'}
+                  </button>
+                  {gitCredentials && (
+                    <button
+                      onClick={handleRemoveGitCredentials}
+                      className="text-red-600 hover:text-red-700 text-sm px-4"
+                    >
+                      Remove Credentials
+                    </button>
+                  )}
+                </div>
+              </div>
+            )}
+
             {/* Error Info */}
             {app.lastError && (
               <div className="bg-red-50 border border-red-200 rounded-lg p-6">
@@ -648,7 +1437,7 @@ function AppDetails() {
               <h3 className="font-bold text-gray-900 mb-4">Actions</h3>
               <div className="space-y-3">
                 <a
-                  href={`http://${app.slug}.platformx.localhost:5000`}
+                  href={getAppUrl(app.slug, platformConfig)}
                   target="_blank"
                   rel="noopener noreferrer"
                   className="block w-full bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 text-center"
@@ -664,12 +1453,21 @@ function AppDetails() {
                 </button>
 
                 {app.deploymentMethod === 'git-import' && app.repoUrl && (
-                  <button
-                    onClick={handleGitUpdate}
-                    className="w-full bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700"
-                  >
-                    🔄 Git Pull & Update
-                  </button>
+                  <div className="space-y-2">
+                    <input
+                      type="text"
+                      value={gitRef}
+                      onChange={(e) => setGitRef(e.target.value)}
+                      placeholder={`Branch, tag or commit (${app.repoBranch || 'main'})`}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                    />
+                    <button
+                      onClick={handleGitUpdate}
+                      className="w-full bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700"
+                    >
+                      🔄 Git Update
+                    </button>
+                  </div>
                 )}
 
                 <button
@@ -830,6 +1628,162 @@ function AppDetails() {
           </div>
         )}
 
+        {activeTab === 'env' && (
+          <div className="bg-white rounded-lg border border-gray-200 p-6 mt-6">
+            <div className="flex justify-between items-start mb-2">
+              <h2 className="text-xl font-bold text-gray-900">Environment Groups</h2>
+              <Link to="/env-groups" className="text-blue-600 hover:text-blue-700 text-sm">
+                Manage Groups
+              </Link>
+            </div>
+            <p className="text-gray-600 mb-6">
+              Shared variables merged beneath this app's own. Groups further down the list override the ones above them.
+            </p>
+
+            {!appEnvGroups ? (
+              <div className="text-center py-8">
+                <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                <p className="text-gray-600 mt-4">Loading environment groups...</p>
+              </div>
+            ) : (
+              <div>
+                {appEnvGroups.length === 0 ? (
+                  <p className="text-center py-4 text-gray-500">No environment groups attached</p>
+                ) : (
+                  <div className="space-y-3 mb-4">
+                    {appEnvGroups.map((name, index) => {
+                      const group = allEnvGroups.find((g) => g.name === name);
+                      return (
+                        <div key={name} className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
+                          <div className="flex-1">
+                            <p className="font-mono text-sm font-medium text-gray-900">
+                              {index + 1}. {name}
+                            </p>
+                            {group && (
+                              <p className="text-xs text-gray-500 mt-1">
+                                {Object.keys(group.variables).join(', ') || 'No variables'}
+                              </p>
+                            )}
+                          </div>
+                          {admin && (
+                            <>
+                              <button
+                                onClick={() => moveEnvGroup(index, -1)}
+                                disabled={index === 0}
+                                className="ml-4 text-gray-600 hover:text-gray-900 text-sm disabled:opacity-30"
+                                title="Lower precedence"
+                              >
+                                ↑
+                              </button>
+                              <button
+                                onClick={() => moveEnvGroup(index, 1)}
+                                disabled={index === appEnvGroups.length - 1}
+                                className="ml-2 text-gray-600 hover:text-gray-900 text-sm disabled:opacity-30"
+                                title="Higher precedence"
+                              >
+                                ↓
+                              </button>
+                              <button
+                                onClick={() => handleSetEnvGroups(appEnvGroups.filter((g) => g !== name))}
+                                className="ml-4 text-red-600 hover:text-red-700 text-sm"
+                              >
+                                Detach
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+
+                {admin ? (
+                  <div className="flex gap-2">
+                    <select
+                      value={groupToAttach}
+                      onChange={(e) => setGroupToAttach(e.target.value)}
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Select a group to attach...</option>
+                      {allEnvGroups
+                        .filter((group) => !appEnvGroups.includes(group.name))
+                        .map((group) => (
+                          <option key={group.name} value={group.name}>{group.name}</option>
+                        ))}
+                    </select>
+                    <button
+                      onClick={() => handleSetEnvGroups([...appEnvGroups, groupToAttach])}
+                      disabled={!groupToAttach}
+                      className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                      Attach
+                    </button>
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-500">Only admins can attach environment groups and see their values.</p>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {activeTab === 'env' && (
+          <div className="bg-white rounded-lg border border-gray-200 p-6 mt-6">
+            <div className="flex justify-between items-start mb-2">
+              <h2 className="text-xl font-bold text-gray-900">Secrets</h2>
+              <button
+                onClick={() => setSecretModal({ name: '' })}
+                className="text-blue-600 hover:text-blue-700 text-sm"
+              >
+                + Add Secret
+              </button>
+            </div>
+            <p className="text-gray-600 mb-6">
+              Encrypted at rest and available to the app in <code className="bg-gray-100 px-1 rounded">req.appEnv</code> like
+              other variables. Values can be replaced but are never shown again, and are left out of backups unless included
+              with a passphrase.
+            </p>
+
+            {secretsLoading && !secrets ? (
+              <div className="text-center py-8">
+                <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                <p className="text-gray-600 mt-4">Loading secrets...</p>
+              </div>
+            ) : (secrets || []).length === 0 ? (
+              <div className="text-center py-8 text-gray-500">
+                <p>No secrets set</p>
+              </div>
+            ) : (
+              <div className="space-y-3">
+                {secrets.map((secret) => (
+                  <div key={secret.key} className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
+                    <div className="flex-1">
+                      <p className="font-mono text-sm font-medium text-gray-900">🔒 {secret.key}</p>
+                      <p className="font-mono text-sm text-gray-600 mt-1">{secret.value}</p>
+                      <p className="text-xs text-gray-500 mt-1">
+                        Last rotated {new Date(secret.rotatedAt).toLocaleString()}
+                        {secret.updatedBy && ` by ${secret.updatedBy}`}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => setSecretModal({ name: secret.key })}
+                      className="ml-4 text-blue-600 hover:text-blue-700 text-sm"
+                    >
+                      Rotate
+                    </button>
+                    <button
+                      onClick={() => handleDeleteSecret(secret.key)}
+                      className="ml-4 text-red-600 hover:text-red-700 text-sm"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Logs Tab */}
         {activeTab === 'logs' && (
           <div className="bg-white rounded-lg border border-gray-200 p-6">
@@ -890,6 +1844,275 @@ function AppDetails() {
           </div>
         )}
 
+        {/* Deployments Tab */}
+        {activeTab === 'deployments' && (
+          <div className="bg-white rounded-lg border border-gray-200 p-6">
+            <div className="flex justify-between items-start mb-2">
+              <h2 className="text-xl font-bold text-gray-900">Deployments</h2>
+              <button
+                onClick={fetchDeployments}
+                className="text-blue-600 hover:text-blue-700 text-sm"
+              >
+                🔄 Refresh
+              </button>
+            </div>
+            <p className="text-gray-600 mb-6">
+              Every upload, import and Git update runs as a deployment. Select one to see its build output, live while it runs.
+            </p>
+
+            {deploymentsLoading ? (
+              <div className="text-center py-8">
+                <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                <p className="text-gray-600 mt-4">Loading deployments...</p>
+              </div>
+            ) : !deployments || deployments.length === 0 ? (
+              <div className="text-center py-8 text-gray-500">
+                <p>No deployments yet</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Source</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Release</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Commit</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Triggered By</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Started</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Duration</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {deployments.map((deployment) => (
+                      <tr
+                        key={deployment.id}
+                        onClick={() => handleSelectDeployment(deployment)}
+                        className={`cursor-pointer hover:bg-gray-50 ${
+                          selectedDeployment?.id === deployment.id ? 'bg-blue-50' : ''
+                        }`}
+                      >
+                        <td className="px-4 py-3 whitespace-nowrap">
+                          <DeploymentStatusBadge status={deployment.status} />
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">{deployment.source}</td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+                          {deployment.release ? `v${deployment.release}` : '—'}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+                          {deployment.commitSha ? (
+                            <code className="bg-gray-100 px-1 rounded" title={deployment.commitSha}>
+                              {deployment.commitSha.slice(0, 7)}
+                            </code>
+                          ) : '—'}
+                          {deployment.branch && <span className="ml-1 text-xs text-gray-500">({deployment.branch})</span>}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">{deployment.triggeredBy || '—'}</td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+                          {new Date(deployment.createdAt).toLocaleString()}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">{formatDuration(deployment)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {selectedDeployment && (
+              <div className="mt-6">
+                <h3 className="font-semibold text-gray-900 mb-3">
+                  Deployment started {new Date(selectedDeployment.createdAt).toLocaleString()}
+                </h3>
+                <DeploymentLog deployment={selectedDeployment} logs={deploymentLogs} onCancel={handleCancelDeployment} />
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Releases Tab */}
+        {activeTab === 'releases' && (
+          <div className="bg-white rounded-lg border border-gray-200 p-6">
+            <div className="flex justify-between items-start mb-2">
+              <h2 className="text-xl font-bold text-gray-900">Releases</h2>
+              <button
+                onClick={fetchReleases}
+                className="text-blue-600 hover:text-blue-700 text-sm"
+              >
+                🔄 Refresh
+              </button>
+            </div>
+            <p className="text-gray-600 mb-6">
+              Every deployment is stored as an immutable release. Roll back to switch the app to an earlier release instantly,
+              or run a release as a canary to send it a share of traffic before promoting it.
+            </p>
+
+            {canary?.canary && (
+              <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg">
+                <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+                  <div>
+                    <h3 className="font-semibold text-gray-900">
+                      Canary v{canary.canary.release} receives {canary.canary.weight}% of new visitors
+                    </h3>
+                    <p className="text-sm text-gray-600">
+                      Started {new Date(canary.canary.startedAt).toLocaleString()}
+                      {canary.canary.startedBy && ` by ${canary.canary.startedBy}`}
+                      {' '}· Visitors stay on their release via cookie; send <code className="bg-white px-1 rounded">X-PlatformX-Release: v{canary.canary.release}</code> to pick one
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={canaryWeight}
+                      onChange={(e) => setCanaryWeight(Number(e.target.value))}
+                      className="w-20 px-2 py-1 border border-gray-300 rounded-lg text-sm"
+                    />
+                    <span className="text-sm text-gray-600">%</span>
+                    <button
+                      onClick={handleUpdateCanaryWeight}
+                      disabled={canaryLoading}
+                      className="px-3 py-1 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      Update
+                    </button>
+                    <button
+                      onClick={handlePromoteCanary}
+                      disabled={canaryLoading}
+                      className="px-3 py-1 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+                    >
+                      Promote
+                    </button>
+                    <button
+                      onClick={handleAbortCanary}
+                      disabled={canaryLoading}
+                      className="px-3 py-1 text-sm bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+                    >
+                      Abort
+                    </button>
+                  </div>
+                </div>
+
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="py-1 pr-4 font-medium">Release</th>
+                      <th className="py-1 pr-4 font-medium">Requests</th>
+                      <th className="py-1 pr-4 font-medium">Error Rate (5xx)</th>
+                      <th className="py-1 pr-4 font-medium">Avg Latency</th>
+                      <th className="py-1 pr-4 font-medium">p95 Latency</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[
+                      { label: `v${canary.currentRelease} (current)`, metrics: canary.metrics?.current },
+                      { label: `v${canary.canary.release} (canary)`, metrics: canary.metrics?.canary }
+                    ].map(({ label, metrics }) => (
+                      <tr key={label} className="text-gray-900">
+                        <td className="py-1 pr-4 font-medium">{label}</td>
+                        <td className="py-1 pr-4">{metrics ? metrics.requests : 0}</td>
+                        <td className="py-1 pr-4">{metrics ? `${(metrics.errorRate * 100).toFixed(2)}%` : '—'}</td>
+                        <td className="py-1 pr-4">{metrics ? `${metrics.avgResponseTime}ms` : '—'}</td>
+                        <td className="py-1 pr-4">{metrics ? `${metrics.p95ResponseTime}ms` : '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {releasesLoading ? (
+              <div className="text-center py-8">
+                <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                <p className="text-gray-600 mt-4">Loading releases...</p>
+              </div>
+            ) : !releases || releases.length === 0 ? (
+              <div className="text-center py-8 text-gray-500">
+                <p>No releases yet</p>
+                <p className="text-sm mt-1">Releases are recorded from the next deployment on</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Release</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Source</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Commit</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Deployed By</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Created</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Build</th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {releases.map((release) => (
+                      <tr key={release.version} className="hover:bg-gray-50">
+                        <td className="px-4 py-3 whitespace-nowrap">
+                          <span className="font-medium text-gray-900">v{release.version}</span>
+                          <span className={`ml-2 px-2 py-0.5 text-xs font-medium rounded-full ${getReleaseStatusColor(release)}`}>
+                            {release.current ? 'current' : release.status}
+                          </span>
+                          {canary?.canary?.release === release.version && (
+                            <span className="ml-1 px-2 py-0.5 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800">
+                              canary
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">{release.source}</td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+                          {release.commitSha ? (
+                            <code className="bg-gray-100 px-1 rounded" title={release.commitSha}>
+                              {release.commitSha.slice(0, 7)}
+                            </code>
+                          ) : '—'}
+                          {release.branch && <span className="ml-1 text-xs text-gray-500">({release.branch})</span>}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">{release.uploadedBy || '—'}</td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+                          {new Date(release.createdAt).toLocaleString()}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-600">
+                          {release.error ? (
+                            <span className="text-red-600" title={release.error}>Failed</span>
+                          ) : release.build?.success === true ? (
+                            <span className="text-green-600" title={release.build.output || ''}>Succeeded</span>
+                          ) : release.build?.success === false ? (
+                            <span className="text-red-600" title={release.build.output || ''}>Failed</span>
+                          ) : (
+                            <span className="text-gray-400">No build</span>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-right text-sm">
+                          {!release.current && release.status === 'ready' && !canary?.canary && (
+                            <button
+                              onClick={() => handleStartCanary(release)}
+                              disabled={canaryLoading}
+                              className="mr-3 text-yellow-600 hover:text-yellow-800 disabled:opacity-50"
+                            >
+                              Canary
+                            </button>
+                          )}
+                          {!release.current && release.status === 'ready' && canary?.canary?.release !== release.version && (
+                            <button
+                              onClick={() => handleRollback(release)}
+                              disabled={rollingBack !== null}
+                              className="text-orange-600 hover:text-orange-800 disabled:opacity-50"
+                            >
+                              {rollingBack === release.version ? 'Rolling back...' : 'Rollback'}
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Webhooks Tab */}
         {activeTab === 'webhooks' && (
           <div className="bg-white rounded-lg border border-gray-200 p-6">
@@ -977,6 +2200,132 @@ function AppDetails() {
           </div>
         )}
 
+        {activeTab === 'webhooks' && (
+          <div className="bg-white rounded-lg border border-gray-200 p-6 mt-6">
+            <div className="flex justify-between items-start mb-2">
+              <h2 className="text-xl font-bold text-gray-900">Deploy on Push</h2>
+              <button
+                onClick={fetchGitWebhook}
+                className="text-blue-600 hover:text-blue-700 text-sm"
+              >
+                🔄 Refresh
+              </button>
+            </div>
+            <p className="text-gray-600 mb-6">
+              Add this webhook to your GitHub, GitLab or Gitea repository to update the app whenever
+              {' '}<code className="bg-gray-100 px-1 rounded">{gitWebhook?.branch || app.repoBranch || 'main'}</code> is pushed.
+              {app.repoPath && (
+                <> Pushes that don't change <code className="bg-gray-100 px-1 rounded">{app.repoPath}/</code> are skipped.</>
+              )}
+            </p>
+
+            {gitWebhookLoading && !gitWebhook ? (
+              <div className="text-center py-8">
+                <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                <p className="text-gray-600 mt-4">Loading webhook settings...</p>
+              </div>
+            ) : !app.repoUrl ? (
+              <p className="text-sm text-gray-500">Only apps imported from Git can be deployed on push.</p>
+            ) : (
+              <div>
+                {gitWebhook?.enabled && (
+                  <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg space-y-2">
+                    <p className="text-sm text-green-800">
+                      <strong>✓ Auto-deploy enabled</strong>
+                    </p>
+                    <p className="text-sm text-green-700">
+                      Payload URL: <code className="font-mono bg-white px-2 py-1 rounded break-all">{gitWebhook.url}</code>
+                    </p>
+                    <p className="text-sm text-green-700">
+                      Content type: <code className="font-mono bg-white px-2 py-1 rounded">application/json</code>
+                    </p>
+                    {gitWebhookSecret ? (
+                      <p className="text-sm text-green-700">
+                        Secret: <code className="font-mono bg-white px-2 py-1 rounded break-all">{gitWebhookSecret}</code>
+                        <span className="block text-xs mt-1">Copy it now - it won't be shown again. GitLab calls it the Secret token.</span>
+                      </p>
+                    ) : (
+                      <p className="text-xs text-green-700">The secret is only shown when generated. Rotate it if you lost it.</p>
+                    )}
+                  </div>
+                )}
+
+                <div className="flex gap-3 mb-6">
+                  <button
+                    onClick={handleEnableGitWebhook}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+                  >
+                    {gitWebhook?.enabled ? 'Rotate Secret' : 'Enable Auto-Deploy'}
+                  </button>
+                  {gitWebhook?.enabled && (
+                    <button
+                      onClick={handleDisableGitWebhook}
+                      className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700"
+                    >
+                      Disable
+                    </button>
+                  )}
+                </div>
+
+                <h3 className="font-semibold text-gray-900 mb-3">Recent Deliveries</h3>
+                {gitWebhookDeliveries.length === 0 ? (
+                  <p className="text-sm text-gray-500">No deliveries yet</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Received</th>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Event</th>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Ref</th>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Commit</th>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Result</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {gitWebhookDeliveries.map((delivery) => (
+                          <tr key={delivery.id}>
+                            <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+                              {new Date(delivery.receivedAt).toLocaleString()}
+                            </td>
+                            <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+                              {delivery.provider} · {delivery.event || '—'}
+                              {delivery.pusher && <span className="block text-xs text-gray-500">by {delivery.pusher}</span>}
+                            </td>
+                            <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">{delivery.ref || '—'}</td>
+                            <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-600">
+                              {delivery.commitSha ? (
+                                <code className="bg-gray-100 px-1 rounded" title={delivery.commitSha}>
+                                  {delivery.commitSha.slice(0, 7)}
+                                </code>
+                              ) : '—'}
+                            </td>
+                            <td className="px-4 py-3 whitespace-nowrap">
+                              <span className={`px-2 py-0.5 text-xs font-medium rounded-full ${
+                                delivery.status === 'deployed'
+                                  ? 'bg-green-100 text-green-800'
+                                  : delivery.status === 'failed' || delivery.status === 'rejected'
+                                    ? 'bg-red-100 text-red-800'
+                                    : delivery.status === 'deploying'
+                                      ? 'bg-blue-100 text-blue-800'
+                                      : 'bg-gray-100 text-gray-800'
+                              }`}>
+                                {delivery.status}
+                              </span>
+                            </td>
+                            <td className="px-4 py-3 text-sm text-gray-600">{delivery.message || '—'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Backups Tab */}
         {activeTab === 'backups' && (
           <div className="bg-white rounded-lg border border-gray-200 p-6">
@@ -994,9 +2343,37 @@ function AppDetails() {
                 <li>• You can restore backups with a different app name</li>
                 <li>• View and manage all backups in the Backups page</li>
                 <li>• Old backups are automatically cleaned up (configurable)</li>
+                <li>• Secrets are only included when you choose to, encrypted with a passphrase</li>
               </ul>
             </div>
 
+            <div className="mb-6 p-4 border border-gray-200 rounded-lg">
+              <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={backupSecrets}
+                  onChange={(e) => setBackupSecrets(e.target.checked)}
+                  className="rounded"
+                />
+                Include secrets
+              </label>
+              {backupSecrets && (
+                <div className="mt-3">
+                  <input
+                    type="password"
+                    value={backupPassphrase}
+                    onChange={(e) => setBackupPassphrase(e.target.value)}
+                    placeholder="Passphrase (at least 8 characters)"
+                    autoComplete="new-password"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Secrets are re-encrypted with this passphrase. It is not stored; you need it to restore them.
+                  </p>
+                </div>
+              )}
+            </div>
+
             <div className="space-y-4">
               <button
                 onClick={handleCreateBackup}
@@ -1129,6 +2506,15 @@ function AppDetails() {
           setNewEnvVars({ ...newEnvVars, [key]: value });
         }}
       />
+
+      {/* Add/Rotate Secret Modal */}
+      <AddEnvModal
+        isOpen={!!secretModal}
+        secret
+        name={secretModal?.name || ''}
+        onClose={() => setSecretModal(null)}
+        onAdd={handleSaveSecret}
+      />
     </>
   );
 }
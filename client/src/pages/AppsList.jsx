@@ -3,9 +3,15 @@ import { Link } from 'react-router-dom';
 import Header from '../components/Header';
 import { appsAPI } from '../services/api';
 import { useDialog } from '../contexts/DialogContext';
+import { usePlatformConfig, getAppUrl } from '../utils/platformConfig';
+import { useAuth } from '../context/AuthContext';
+import { isAdmin, canCreateApps } from '../utils/permissions';
 
 function AppsList() {
   const { confirm, toast } = useDialog();
+  const platformConfig = usePlatformConfig();
+  const { user } = useAuth();
+  const admin = isAdmin(user);
   const [apps, setApps] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -117,28 +123,34 @@ function AppsList() {
           </div>
 
           <div className="flex gap-3 flex-wrap">
-            <button
-              onClick={() => handleSync(false)}
-              className="bg-gradient-to-r from-green-600 to-green-700 text-white px-5 py-2.5 rounded-xl hover:from-green-700 hover:to-green-800 transition-all duration-200 font-medium shadow-md hover:shadow-lg flex items-center gap-2 transform hover:scale-[1.02]"
-            >
-              <span>🔄</span>
-              Sync with Filesystem
-            </button>
-            <button
-              onClick={() => handleSync(true)}
-              className="bg-gradient-to-r from-emerald-600 to-emerald-700 text-white px-5 py-2.5 rounded-xl hover:from-emerald-700 hover:to-emerald-800 transition-all duration-200 font-medium shadow-md hover:shadow-lg text-sm flex items-center gap-2 transform hover:scale-[1.02]"
-              title="Sync and automatically rename folders with invalid names"
-            >
-              <span>🔄</span>
-              Sync & Rename
-            </button>
-            <Link
-              to="/upload"
-              className="bg-gradient-to-r from-blue-600 to-blue-700 text-white px-6 py-2.5 rounded-xl hover:from-blue-700 hover:to-blue-800 transition-all duration-200 font-medium shadow-md hover:shadow-lg flex items-center gap-2 transform hover:scale-[1.02]"
-            >
-              <span>⬆️</span>
-              Upload New App
-            </Link>
+            {admin && (
+              <>
+                <button
+                  onClick={() => handleSync(false)}
+                  className="bg-gradient-to-r from-green-600 to-green-700 text-white px-5 py-2.5 rounded-xl hover:from-green-700 hover:to-green-800 transition-all duration-200 font-medium shadow-md hover:shadow-lg flex items-center gap-2 transform hover:scale-[1.02]"
+                >
+                  <span>🔄</span>
+                  Sync with Filesystem
+                </button>
+                <button
+                  onClick={() => handleSync(true)}
+                  className="bg-gradient-to-r from-emerald-600 to-emerald-700 text-white px-5 py-2.5 rounded-xl hover:from-emerald-700 hover:to-emerald-800 transition-all duration-200 font-medium shadow-md hover:shadow-lg text-sm flex items-center gap-2 transform hover:scale-[1.02]"
+                  title="Sync and automatically rename folders with invalid names"
+                >
+                  <span>🔄</span>
+                  Sync & Rename
+                </button>
+              </>
+            )}
+            {canCreateApps(user) && (
+              <Link
+                to="/upload"
+                className="bg-gradient-to-r from-blue-600 to-blue-700 text-white px-6 py-2.5 rounded-xl hover:from-blue-700 hover:to-blue-800 transition-all duration-200 font-medium shadow-md hover:shadow-lg flex items-center gap-2 transform hover:scale-[1.02]"
+              >
+                <span>⬆️</span>
+                Upload New App
+              </Link>
+            )}
           </div>
         </div>
 
@@ -166,13 +178,15 @@ function AppsList() {
                 <div className="text-6xl mb-4 opacity-50">📦</div>
                 <p className="text-gray-600 text-xl font-semibold mb-2">No apps found</p>
                 <p className="text-gray-500 mb-6">Start by uploading your first application</p>
-                <Link
-                  to="/upload"
-                  className="inline-flex items-center gap-2 bg-gradient-to-r from-blue-600 to-blue-700 text-white px-6 py-3 rounded-xl hover:from-blue-700 hover:to-blue-800 transition-all duration-200 font-medium shadow-md hover:shadow-lg transform hover:scale-[1.02]"
-                >
-                  <span>⬆️</span>
-                  Upload your first app
-                </Link>
+                {canCreateApps(user) && (
+                  <Link
+                    to="/upload"
+                    className="inline-flex items-center gap-2 bg-gradient-to-r from-blue-600 to-blue-700 text-white px-6 py-3 rounded-xl hover:from-blue-700 hover:to-blue-800 transition-all duration-200 font-medium shadow-md hover:shadow-lg transform hover:scale-[1.02]"
+                  >
+                    <span>⬆️</span>
+                    Upload your first app
+                  </Link>
+                )}
               </div>
             ) : (
               <div className="bg-white rounded-2xl border border-gray-200 overflow-hidden shadow-soft">
@@ -214,7 +228,7 @@ function AppsList() {
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <a
-                            href={`http://${app.slug}.platformx.localhost:5000`}
+                            href={getAppUrl(app.slug, platformConfig)}
                             target="_blank"
                             rel="noopener noreferrer"
                             className="text-sm text-blue-600 hover:text-blue-800 font-mono hover:underline"
@@ -247,13 +261,15 @@ function AppsList() {
                             <span>👁️</span>
                             View
                           </Link>
-                          <button
-                            onClick={() => handleDelete(app.slug)}
-                            className="inline-flex items-center gap-1 text-red-600 hover:text-red-800 font-medium hover:underline"
-                          >
-                            <span>🗑️</span>
-                            Delete
-                          </button>
+                          {admin && (
+                            <button
+                              onClick={() => handleDelete(app.slug)}
+                              className="inline-flex items-center gap-1 text-red-600 hover:text-red-800 font-medium hover:underline"
+                            >
+                              <span>🗑️</span>
+                              Delete
+                            </button>
+                          )}
                         </td>
                       </tr>
                     ))}
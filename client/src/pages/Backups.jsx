@@ -16,6 +16,7 @@ function Backups() {
     backupName: '',
     newName: '',
     overwrite: false,
+    passphrase: '',
   });
 
   useEffect(() => {
@@ -50,9 +51,16 @@ function Backups() {
       if (restoreOptions.overwrite) {
         options.overwrite = true;
       }
+      if (restoreOptions.passphrase) {
+        options.passphrase = restoreOptions.passphrase;
+      }
 
       const response = await backupAPI.restoreBackup(restoreOptions.backupName, options);
-      toast.success(response.data.message || 'Backup restored successfully!');
+      if (response.data.secretsSkipped) {
+        toast.warning(response.data.message);
+      } else {
+        toast.success(response.data.message || 'Backup restored successfully!');
+      }
       setRestoring(null);
       navigate('/apps');
     } catch (err) {
@@ -203,6 +211,7 @@ function Backups() {
                             backupName: backup.filename,
                             newName: '',
                             overwrite: false,
+                            passphrase: '',
                           });
                         }}
                         className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700"
@@ -265,6 +274,23 @@ function Backups() {
               </label>
             </div>
 
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Secrets Passphrase (optional)
+              </label>
+              <input
+                type="password"
+                value={restoreOptions.passphrase}
+                onChange={(e) => setRestoreOptions({ ...restoreOptions, passphrase: e.target.value })}
+                placeholder="Only for backups that include secrets"
+                autoComplete="off"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Without it, the app is restored without its secrets
+              </p>
+            </div>
+
             <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4">
               <p className="text-sm text-yellow-800">
                 <strong>Warning:</strong> Restoring will:
@@ -282,7 +308,7 @@ function Backups() {
               <button
                 onClick={() => {
                   setRestoring(null);
-                  setRestoreOptions({ backupName: '', newName: '', overwrite: false });
+                  setRestoreOptions({ backupName: '', newName: '', overwrite: false, passphrase: '' });
                 }}
                 className="flex-1 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
               >
@@ -2,9 +2,11 @@ import { useState, useEffect } from 'react';
 import Header from '../components/Header';
 import { platformAPI } from '../services/api';
 import { useDialog } from '../contexts/DialogContext';
+import { usePlatformConfig, getAppUrl } from '../utils/platformConfig';
 
 function CachedApps() {
   const { confirm, toast } = useDialog();
+  const platformConfig = usePlatformConfig();
   const [cachedApps, setCachedApps] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -53,6 +55,20 @@ function CachedApps() {
     }
   };
 
+  const formatUsage = (used, limit, unit) => {
+    if (used === null || used === undefined) return 'n/a';
+    if (!limit) return `${used} ${unit}`;
+    return `${used} / ${limit} ${unit}`;
+  };
+
+  const getUsageColor = (used, limit) => {
+    if (!limit || used === null || used === undefined) return 'text-gray-900';
+    const ratio = used / limit;
+    if (ratio >= 0.9) return 'text-red-600 font-semibold';
+    if (ratio >= 0.7) return 'text-yellow-600';
+    return 'text-green-600';
+  };
+
   const formatDuration = (ms) => {
     const minutes = Math.floor(ms / 60000);
     const seconds = Math.floor((ms % 60000) / 1000);
@@ -144,6 +160,12 @@ function CachedApps() {
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Requests
                       </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Memory
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        CPU (window)
+                      </th>
                       <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Actions
                       </th>
@@ -154,13 +176,18 @@ function CachedApps() {
                       <tr key={app.appName} className="hover:bg-gray-50">
                         <td className="px-6 py-4 whitespace-nowrap">
                           <a
-                            href={`http://${app.appName}.platformx.localhost:5000`}
+                            href={getAppUrl(app.appName, platformConfig)}
                             target="_blank"
                             rel="noopener noreferrer"
                             className="text-sm font-medium text-blue-600 hover:text-blue-800"
                           >
                             {app.appName}
                           </a>
+                          {app.isolated && (
+                            <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-purple-100 text-purple-800">
+                              worker pid {app.pid}
+                            </span>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
                           {new Date(app.loadedAt).toLocaleTimeString()}
@@ -174,6 +201,12 @@ function CachedApps() {
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                           {app.requestCount.toLocaleString()}
                         </td>
+                        <td className={`px-6 py-4 whitespace-nowrap text-sm ${getUsageColor(app.usage?.memoryMB, app.limits?.maxMemoryMB)}`}>
+                          {formatUsage(app.usage?.memoryMB, app.limits?.maxMemoryMB, 'MB')}
+                        </td>
+                        <td className={`px-6 py-4 whitespace-nowrap text-sm ${getUsageColor(app.usage?.cpuTimeMs, app.limits?.maxCpuTimeMs)}`}>
+                          {formatUsage(app.usage?.cpuTimeMs, app.limits?.maxCpuTimeMs, 'ms')}
+                        </td>
                         <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                           <button
                             onClick={() => handleUnload(app.appName)}
@@ -224,6 +257,8 @@ function CachedApps() {
                 <li>• Cached apps respond faster (no loading delay)</li>
                 <li>• Idle apps (15+ min) are automatically unloaded</li>
                 <li>• You can manually unload apps to free memory</li>
+                <li>• Apps over their memory or CPU limit are unloaded and marked as error</li>
+                <li>• Memory usage is only measured for apps running in isolated workers</li>
               </ul>
             </div>
           </>
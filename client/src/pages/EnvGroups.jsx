@@ -0,0 +1,308 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Header from '../components/Header';
+import { envGroupsAPI } from '../services/api';
+import ErrorAlert from '../components/ErrorAlert';
+import { useDialog } from '../contexts/DialogContext';
+import { useAuth } from '../context/AuthContext';
+import { isAdmin } from '../utils/permissions';
+
+const EMPTY_FORM = { name: '', description: '', variables: '' };
+
+// Variables are edited as KEY=value lines, like a .env file
+const formatVariables = (variables) =>
+  Object.entries(variables || {}).map(([key, value]) => `${key}=${value}`).join('\n');
+
+const parseVariables = (text) => {
+  const variables = {};
+  for (const line of text.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    const index = trimmed.indexOf('=');
+    if (index === -1) {
+      throw new Error(`Missing "=" in line: ${trimmed}`);
+    }
+    variables[trimmed.slice(0, index).trim()] = trimmed.slice(index + 1).trim();
+  }
+  return variables;
+};
+
+function EnvGroups() {
+  const { confirm, toast } = useDialog();
+  const { user } = useAuth();
+  const admin = isAdmin(user);
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null); // null, 'new' or the name of the group being edited
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchGroups();
+  }, []);
+
+  const fetchGroups = async () => {
+    try {
+      setLoading(true);
+      const response = await envGroupsAPI.list();
+      setGroups(response.data.groups || []);
+      setError(null);
+    } catch (err) {
+      setError(err);
+      console.error('Failed to fetch environment groups:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startEditing = (group) => {
+    setEditing(group ? group.name : 'new');
+    setForm(group
+      ? { name: group.name, description: group.description, variables: formatVariables(group.variables) }
+      : EMPTY_FORM);
+  };
+
+  const handleSave = async () => {
+    let variables;
+    try {
+      variables = parseVariables(form.variables);
+    } catch (err) {
+      toast.warning(err.message);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      if (editing === 'new') {
+        await envGroupsAPI.create({ name: form.name, description: form.description, variables });
+        toast.success(`Group "${form.name}" created`);
+      } else {
+        const response = await envGroupsAPI.update(editing, {
+          description: form.description,
+          variables,
+          action: 'replace',
+        });
+        const reloaded = response.data.reloaded || [];
+        toast.success(`Group "${editing}" updated${reloaded.length > 0 ? `, reloading ${reloaded.join(', ')}` : ''}`);
+      }
+      setEditing(null);
+      fetchGroups();
+    } catch (err) {
+      const details = err.response?.data?.details;
+      toast.error(details ? details.join(' ') : err.response?.data?.error || 'Failed to save group');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (group) => {
+    const usage = group.apps.length > 0 ? ` It will be detached from ${group.apps.join(', ')}.` : '';
+    const confirmed = await confirm(`Delete environment group "${group.name}"?${usage}`, {
+      title: 'Delete Environment Group',
+      type: 'danger',
+      confirmText: 'Delete'
+    });
+    if (!confirmed) return;
+
+    try {
+      await envGroupsAPI.delete(group.name);
+      toast.success('Environment group deleted');
+      fetchGroups();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to delete group');
+    }
+  };
+
+  const renderForm = () => (
+    <div className="bg-white rounded-lg border border-blue-200 p-6 mb-6">
+      <h3 className="text-lg font-bold text-gray-900 mb-4">
+        {editing === 'new' ? 'New Environment Group' : `Edit ${editing}`}
+      </h3>
+
+      {editing === 'new' && (
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value.toLowerCase() })}
+            placeholder="smtp"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono"
+          />
+          <p className="text-xs text-gray-500 mt-1">Lowercase letters, digits and hyphens</p>
+        </div>
+      )}
+
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+        <input
+          type="text"
+          value={form.description}
+          onChange={(e) => setForm({ ...form, description: e.target.value })}
+          placeholder="Outgoing mail settings"
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-gray-700 mb-2">Variables</label>
+        <textarea
+          value={form.variables}
+          onChange={(e) => setForm({ ...form, variables: e.target.value })}
+          placeholder={'SMTP_HOST=smtp.example.com\nSMTP_PORT=587'}
+          rows="8"
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono text-sm"
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          One KEY=value per line. Saving reloads every app using the group.
+        </p>
+      </div>
+
+      <div className="flex gap-3">
+        <button
+          onClick={handleSave}
+          disabled={saving || !form.name}
+          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save Group'}
+        </button>
+        <button
+          onClick={() => setEditing(null)}
+          className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+
+  if (loading) {
+    return (
+      <>
+        <Header title="Environment Groups" subtitle="Variables shared across apps" />
+        <div className="px-8 text-center py-12">
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          <p className="text-gray-600 mt-4">Loading environment groups...</p>
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <Header title="Environment Groups" subtitle="Variables shared across apps" />
+
+      <div className="px-8 pb-8">
+        {error && <ErrorAlert error={error} onClose={() => setError(null)} />}
+
+        {/* Actions */}
+        <div className="flex justify-between items-center mb-6">
+          {admin ? (
+            <button
+              onClick={() => startEditing(null)}
+              className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+            >
+              + New Group
+            </button>
+          ) : (
+            <div />
+          )}
+
+          <div className="text-sm text-gray-600">
+            {groups.length} group{groups.length !== 1 ? 's' : ''} total
+          </div>
+        </div>
+
+        {/* Info Box */}
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
+          <p className="text-sm text-blue-800">
+            <strong>💡 Tip:</strong> Attach groups to apps from the Environment Variables tab of the app.
+            Groups attached later override earlier ones, and the app's own variables override all groups.
+            {!admin && ' Only admins can see group values and attach groups.'}
+          </p>
+        </div>
+
+        {editing === 'new' && renderForm()}
+
+        {/* Groups List */}
+        {groups.length === 0 && editing !== 'new' ? (
+          <div className="bg-white rounded-lg border border-gray-200 p-12 text-center">
+            <div className="text-6xl mb-4">🧩</div>
+            <h3 className="text-xl font-bold text-gray-900 mb-2">No Environment Groups Yet</h3>
+            <p className="text-gray-600 mb-4">
+              Create a group for variables several apps share, like SMTP settings or feature flags.
+            </p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 gap-4">
+            {groups.map((group) => (
+              editing === group.name ? (
+                <div key={group.name}>{renderForm()}</div>
+              ) : (
+                <div key={group.name} className="bg-white rounded-lg border border-gray-200 p-6">
+                  <div className="flex justify-between items-start">
+                    <div className="flex-1">
+                      <div className="flex items-center gap-3 mb-1">
+                        <h3 className="text-lg font-bold text-gray-900 font-mono">{group.name}</h3>
+                        <span className="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded">
+                          {group.count} variable{group.count !== 1 ? 's' : ''}
+                        </span>
+                      </div>
+                      {group.description && (
+                        <p className="text-sm text-gray-600 mb-3">{group.description}</p>
+                      )}
+
+                      {group.count > 0 && (
+                        <div className="p-3 bg-gray-50 rounded-lg mb-3 space-y-1">
+                          {Object.entries(group.variables).map(([key, value]) => (
+                            <p key={key} className="font-mono text-xs text-gray-700 break-all">
+                              <span className="font-medium text-gray-900">{key}</span>={value}
+                            </p>
+                          ))}
+                        </div>
+                      )}
+
+                      <p className="text-sm text-gray-600">
+                        Used by:{' '}
+                        {group.apps.length === 0 ? (
+                          <span className="text-gray-400">no apps</span>
+                        ) : (
+                          group.apps.map((slug, index) => (
+                            <span key={slug}>
+                              {index > 0 && ', '}
+                              <Link to={`/apps/${slug}`} className="text-blue-600 hover:text-blue-700">{slug}</Link>
+                            </span>
+                          ))
+                        )}
+                      </p>
+                    </div>
+
+                    {admin && (
+                      <div className="flex gap-2 ml-4">
+                        <button
+                          onClick={() => startEditing(group)}
+                          className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleDelete(group)}
+                          className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )
+            ))}
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
+
+export default EnvGroups;
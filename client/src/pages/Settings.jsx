@@ -1,26 +1,39 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Header from '../components/Header';
+import ApiTokens from '../components/ApiTokens';
+import TwoFactor from '../components/TwoFactor';
 import { settingsAPI } from '../services/api';
 import { useDialog } from '../contexts/DialogContext';
+import { useAuth } from '../context/AuthContext';
+import { isAdmin } from '../utils/permissions';
+import { usePlatformConfig, loadPlatformConfig } from '../utils/platformConfig';
 
 function Settings() {
   const navigate = useNavigate();
   const { toast, confirm } = useDialog();
-  const [loading, setLoading] = useState(true);
+  const { user } = useAuth();
+  // Everyone manages their 2FA and API tokens here; platform settings are for admins
+  const admin = isAdmin(user);
+  const [loading, setLoading] = useState(admin);
   const [saving, setSaving] = useState(false);
   const [settings, setSettings] = useState({
     githubToken: '',
     autoBackupEnabled: false,
     backupRetentionDays: 30,
-    webhooksEnabled: false
+    webhooksEnabled: false,
+    platformDomains: ''
   });
+  const platformConfig = usePlatformConfig();
+  const [activeDomains, setActiveDomains] = useState(null);
   const [showToken, setShowToken] = useState(false);
   const [hasChanges, setHasChanges] = useState(false);
 
   useEffect(() => {
-    loadSettings();
-  }, []);
+    if (admin) {
+      loadSettings();
+    }
+  }, [admin]);
 
   const loadSettings = async () => {
     try {
@@ -34,7 +47,8 @@ function Settings() {
           githubToken: dbSettings['github.token']?.value || '',
           autoBackupEnabled: dbSettings['backup.auto_enabled']?.value || false,
           backupRetentionDays: dbSettings['backup.retention_days']?.value || 30,
-          webhooksEnabled: dbSettings['webhooks.enabled']?.value || false
+          webhooksEnabled: dbSettings['webhooks.enabled']?.value || false,
+          platformDomains: (dbSettings['platform.domains']?.value || []).join(', ')
         });
       }
     } catch (error) {
@@ -75,14 +89,23 @@ function Settings() {
           value: settings.webhooksEnabled,
           category: 'webhook',
           description: 'Enable webhook notifications'
+        },
+        'platform.domains': {
+          value: settings.platformDomains,
+          category: 'system',
+          description: 'Base domains apps are served under (first is primary)'
         }
       };
 
       const response = await settingsAPI.updateMultiple({ settings: payload });
 
-      if (response.data.success) {
+      if (response.data.errors?.length) {
+        toast.error(response.data.errors.map(e => `${e.key}: ${e.error}`).join('; '));
+      } else if (response.data.success) {
         toast.success('Settings saved successfully!');
         setHasChanges(false);
+        const config = await loadPlatformConfig(true);
+        setActiveDomains(config.domains);
       } else {
         toast.error(response.data.error || 'Failed to save settings');
       }
@@ -153,6 +176,24 @@ function Settings() {
     );
   }
 
+  if (!admin) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <Header />
+
+        <div className="max-w-4xl mx-auto p-6">
+          <div className="mb-6">
+            <h1 className="text-3xl font-bold text-gray-900">Settings</h1>
+            <p className="text-gray-600 mt-1">Two-factor authentication and API tokens</p>
+          </div>
+
+          {!user?.sso && <TwoFactor />}
+          <ApiTokens />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       <Header />
@@ -305,6 +346,33 @@ function Settings() {
           </div>
         </div>
 
+        {/* Platform Domain Settings */}
+        <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
+          <div className="flex items-center mb-4">
+            <span className="text-2xl mr-2">🌐</span>
+            <h2 className="text-xl font-bold text-gray-900">Platform Domains</h2>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Base Domains
+            </label>
+            <input
+              type="text"
+              value={settings.platformDomains}
+              onChange={(e) => handleChange('platformDomains', e.target.value)}
+              placeholder="apps.example.com, platformx.localhost"
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <p className="text-sm text-gray-500 mt-2">
+              Comma-separated. Apps are served at <code className="bg-gray-100 px-2 py-0.5 rounded">&lt;app&gt;.&lt;domain&gt;</code> on every domain; the first one is used for generated links. Domains from <code className="bg-gray-100 px-2 py-0.5 rounded">PLATFORM_DOMAINS</code> are always included.
+            </p>
+            <p className="text-sm text-gray-500 mt-1">
+              Active: <strong>{(activeDomains || platformConfig.domains).join(', ')}</strong>
+            </p>
+          </div>
+        </div>
+
         {/* Action Buttons */}
         <div className="flex justify-end gap-3">
           <button
@@ -329,6 +397,11 @@ function Settings() {
             )}
           </button>
         </div>
+
+        <div className="mt-6">
+          {!user?.sso && <TwoFactor />}
+          <ApiTokens />
+        </div>
       </div>
     </div>
   );
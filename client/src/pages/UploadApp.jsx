@@ -3,10 +3,13 @@ import { useNavigate } from 'react-router-dom';
 import Header from '../components/Header';
 import { appsAPI } from '../services/api';
 import ErrorAlert from '../components/ErrorAlert';
+import DeploymentLog from '../components/DeploymentLog';
 import { validateAppName, RESERVED_NAMES } from '../utils/errorHandler';
+import { usePlatformConfig, getAppUrl } from '../utils/platformConfig';
 
 function UploadApp() {
   const navigate = useNavigate();
+  const platformConfig = usePlatformConfig();
   const [deploymentMethod, setDeploymentMethod] = useState('zip'); // 'zip' or 'git'
   const [file, setFile] = useState(null);
   const [appName, setAppName] = useState('');
@@ -16,13 +19,18 @@ function UploadApp() {
   const [proxyRoutes, setProxyRoutes] = useState([{ path: '', target: '' }]);
   const [repoUrl, setRepoUrl] = useState('');
   const [repoBranch, setRepoBranch] = useState('main');
+  const [repoPath, setRepoPath] = useState('');
   const [githubToken, setGithubToken] = useState('');
   const [showGithubToken, setShowGithubToken] = useState(false);
+  const [deployKey, setDeployKey] = useState(null);
+  const [generatingKey, setGeneratingKey] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(false);
   const [deploymentResult, setDeploymentResult] = useState(null);
+  const [deployment, setDeployment] = useState(null);
+  const [deploymentLogs, setDeploymentLogs] = useState([]);
 
   // Update entry file when app type changes
   useEffect(() => {
@@ -33,6 +41,28 @@ function UploadApp() {
     }
   }, [appType]);
 
+  const isSshUrl = !!repoUrl && !/^https?:\/\//.test(repoUrl);
+
+  // Deploy keys are stored by app name, so one can be added to the repository before the first deploy
+  const handleGenerateDeployKey = async () => {
+    const validation = validateName(appName);
+    if (!validation.valid) {
+      setError('Enter a valid app name first:\n' + validation.errors.join('\n'));
+      return;
+    }
+
+    try {
+      setGeneratingKey(true);
+      setError(null);
+      const response = await appsAPI.createDeployKey(appName);
+      setDeployKey(response.data.credentials);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to generate deploy key');
+    } finally {
+      setGeneratingKey(false);
+    }
+  };
+
   const validateName = (name) => {
     return validateAppName(name);
   };
@@ -64,6 +94,14 @@ function UploadApp() {
     setProxyRoutes(updated);
   };
 
+  const handleCancelDeployment = async (running) => {
+    try {
+      await appsAPI.cancelDeployment(running.appSlug, running.id);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to cancel deployment');
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(null);
@@ -81,8 +119,8 @@ function UploadApp() {
         setError('Repository URL is required');
         return;
       }
-      if (!repoUrl.match(/^https:\/\/|^git@/)) {
-        setError('Repository URL must start with https:// or git@');
+      if (!repoUrl.match(/^(https?|ssh):\/\/|^[\w.-]+@[\w.-]+:/)) {
+        setError('Repository URL must be an HTTPS URL or an SSH URL (git@host:owner/repo.git)');
         return;
       }
     }
@@ -104,9 +142,43 @@ function UploadApp() {
       return;
     }
 
+    // Follow the deployment's build output while the request runs
+    const watcher = new AbortController();
+    let deploymentId = null;
+    let onStreamReady;
+    const streamReady = new Promise((resolve) => {
+      onStreamReady = resolve;
+      setTimeout(resolve, 2000); // Deploy anyway if the stream is unavailable
+    });
+
+    setDeployment(null);
+    setDeploymentLogs([]);
+    appsAPI.watchDeployments(appName, (event, data) => {
+      if (event === 'ready') {
+        onStreamReady();
+        return;
+      }
+      if (event === 'created' && !deploymentId) {
+        deploymentId = data.deploymentId;
+      }
+      if (data.deploymentId !== deploymentId) return;
+
+      if (event === 'log') {
+        setDeploymentLogs((prev) => [...prev, data.entry]);
+      } else if (data.deployment) {
+        setDeployment(data.deployment);
+      }
+    }, watcher.signal).catch((err) => {
+      if (!watcher.signal.aborted) {
+        console.error('Failed to stream deployment logs:', err);
+      }
+      onStreamReady();
+    });
+
     // Deploy
     try {
       setUploading(true);
+      await streamReady;
       let response;
 
       if (deploymentMethod === 'zip') {
@@ -147,9 +219,13 @@ function UploadApp() {
           entryFile,
         };
         
-        // Add GitHub token if provided
-        if (githubToken) {
-          payload.githubToken = githubToken;
+        // Add access token if provided (saved for the app)
+        if (githubToken && !isSshUrl) {
+          payload.gitToken = githubToken;
+        }
+        
+        if (repoPath.trim()) {
+          payload.repoPath = repoPath.trim();
         }
         
         if (appType !== 'auto') {
@@ -183,6 +259,7 @@ function UploadApp() {
       setEntryFile('server.js');
       setRepoUrl('');
       setRepoBranch('main');
+      setRepoPath('');
       
       // Redirect after 3 seconds
       setTimeout(() => {
@@ -193,6 +270,8 @@ function UploadApp() {
       setUploadProgress(0);
     } finally {
       setUploading(false);
+      // Give the last events a moment to arrive
+      setTimeout(() => watcher.abort(), 1000);
     }
   };
 
@@ -249,7 +328,11 @@ function UploadApp() {
               <input
                 type="text"
                 value={appName}
-                onChange={(e) => setAppName(e.target.value)}
+                onChange={(e) => {
+                  setAppName(e.target.value);
+                  // A generated key belongs to the name it was created for
+                  setDeployKey(null);
+                }}
                 placeholder="my-app"
                 className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                 disabled={uploading}
@@ -259,7 +342,7 @@ function UploadApp() {
               </p>
               {appName && (
                 <p className="text-blue-600 text-sm mt-2">
-                  Your app will be accessible at: <strong>http://{appName}.platformx.localhost:5000</strong>
+                  Your app will be accessible at: <strong>{getAppUrl(appName, platformConfig)}</strong>
                 </p>
               )}
               
@@ -450,7 +533,7 @@ function UploadApp() {
                     disabled={uploading}
                   />
                   <p className="text-gray-500 text-sm mt-1">
-                    HTTPS or Git URL of the repository
+                    HTTPS or SSH URL of the repository (any Git host)
                   </p>
                 </div>
 
@@ -473,30 +556,83 @@ function UploadApp() {
 
                 <div className="mb-6">
                   <label className="block text-sm font-medium text-gray-700 mb-2">
-                    GitHub Token (Optional)
+                    Subdirectory (Optional)
                   </label>
-                  <div className="relative">
-                    <input
-                      type={showGithubToken ? 'text' : 'password'}
-                      value={githubToken}
-                      onChange={(e) => setGithubToken(e.target.value)}
-                      placeholder="ghp_xxxxxxxxxxxx (for private repos)"
-                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 pr-10"
-                      disabled={uploading}
-                    />
-                    <button
-                      type="button"
-                      onClick={() => setShowGithubToken(!showGithubToken)}
-                      className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-500 hover:text-gray-700"
-                      tabIndex={-1}
-                    >
-                      {showGithubToken ? '🙈' : '👁️'}
-                    </button>
-                  </div>
+                  <input
+                    type="text"
+                    value={repoPath}
+                    onChange={(e) => setRepoPath(e.target.value)}
+                    placeholder="apps/api"
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    disabled={uploading}
+                  />
                   <p className="text-gray-500 text-sm mt-1">
-                    Leave empty to use global token from Settings. Required for private repositories.
+                    Deploy the app from this directory of a monorepo instead of the repository root
                   </p>
                 </div>
+
+                {isSshUrl ? (
+                  <div className="mb-6">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Deploy Key
+                    </label>
+                    {deployKey ? (
+                      <div className="space-y-2">
+                        <textarea
+                          readOnly
+                          value={deployKey.publicKey}
+                          rows={3}
+                          onFocus={(e) => e.target.select()}
+                          className="w-full px-4 py-2 border border-gray-300 rounded-lg font-mono text-xs bg-gray-50"
+                        />
+                        <p className="text-gray-500 text-sm">
+                          Add this public key to the repository as a read-only deploy key, then deploy.
+                        </p>
+                      </div>
+                    ) : (
+                      <>
+                        <button
+                          type="button"
+                          onClick={handleGenerateDeployKey}
+                          disabled={uploading || generatingKey}
+                          className="bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 disabled:opacity-50"
+                        >
+                          {generatingKey ? 'Generating...' : '🔑 Generate Deploy Key'}
+                        </button>
+                        <p className="text-gray-500 text-sm mt-1">
+                          Required for private repositories. Skip it if this app name already has a deploy key.
+                        </p>
+                      </>
+                    )}
+                  </div>
+                ) : (
+                  <div className="mb-6">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Access Token (Optional)
+                    </label>
+                    <div className="relative">
+                      <input
+                        type={showGithubToken ? 'text' : 'password'}
+                        value={githubToken}
+                        onChange={(e) => setGithubToken(e.target.value)}
+                        placeholder="ghp_xxxxxxxxxxxx (for private repos)"
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 pr-10"
+                        disabled={uploading}
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setShowGithubToken(!showGithubToken)}
+                        className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-500 hover:text-gray-700"
+                        tabIndex={-1}
+                      >
+                        {showGithubToken ? '🙈' : '👁️'}
+                      </button>
+                    </div>
+                    <p className="text-gray-500 text-sm mt-1">
+                      Saved encrypted for this app and used for later updates. Leave empty to use the global token from Settings (GitHub/GitLab only).
+                    </p>
+                  </div>
+                )}
               </>
             )}
 
@@ -527,6 +663,14 @@ function UploadApp() {
               </div>
             )}
 
+            {/* Build Output */}
+            {deployment && (
+              <div className="mb-6">
+                <h3 className="text-sm font-medium text-gray-700 mb-2">Deployment</h3>
+                <DeploymentLog deployment={deployment} logs={deploymentLogs} onCancel={handleCancelDeployment} />
+              </div>
+            )}
+
             {/* Success Message */}
             {success && (
               <div className="mb-6 bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
@@ -0,0 +1,372 @@
+import { useState, useEffect } from 'react';
+import Header from '../components/Header';
+import { usersAPI, appsAPI } from '../services/api';
+import ErrorAlert from '../components/ErrorAlert';
+import { useDialog } from '../contexts/DialogContext';
+import { useAuth } from '../context/AuthContext';
+import { ROLES, canManageRole } from '../utils/permissions';
+
+const EMPTY_FORM = { username: '', password: '', role: 'developer', apps: [], disabled: false };
+
+const ROLE_DESCRIPTIONS = {
+  owner: 'Everything, including managing owners',
+  admin: 'Every app, settings and users (except owners)',
+  developer: 'Create apps, deploy and configure granted apps',
+  viewer: 'Read-only access to granted apps',
+};
+
+const getRoleColor = (role) => {
+  switch (role) {
+    case 'owner':
+      return 'bg-purple-100 text-purple-800';
+    case 'admin':
+      return 'bg-blue-100 text-blue-800';
+    case 'developer':
+      return 'bg-green-100 text-green-800';
+    default:
+      return 'bg-gray-100 text-gray-800';
+  }
+};
+
+function Users() {
+  const { confirm, toast } = useDialog();
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [apps, setApps] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null); // null, 'new' or the username being edited
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchUsers();
+  }, []);
+
+  const fetchUsers = async () => {
+    try {
+      setLoading(true);
+      const [usersResponse, appsResponse] = await Promise.all([
+        usersAPI.list(),
+        appsAPI.listApps(),
+      ]);
+      setUsers(usersResponse.data.users || []);
+      setApps(appsResponse.data.apps || []);
+      setError(null);
+    } catch (err) {
+      setError(err);
+      console.error('Failed to fetch users:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startEditing = (user) => {
+    setEditing(user ? user.username : 'new');
+    setForm(user
+      ? { username: user.username, password: '', role: user.role, apps: user.apps, disabled: user.disabled }
+      : EMPTY_FORM);
+  };
+
+  const setGrant = (slug, role) => {
+    const others = form.apps.filter((grant) => grant.slug !== slug);
+    setForm({ ...form, apps: role ? [...others, { slug, role }] : others });
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      if (editing === 'new') {
+        await usersAPI.create({
+          username: form.username,
+          password: form.password,
+          role: form.role,
+          apps: form.apps,
+        });
+        toast.success(`User "${form.username}" created`);
+      } else {
+        await usersAPI.update(editing, {
+          role: form.role,
+          apps: form.apps,
+          disabled: form.disabled,
+          ...(form.password ? { password: form.password } : {}),
+        });
+        toast.success(`User "${editing}" updated`);
+      }
+      setEditing(null);
+      fetchUsers();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to save user');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (user) => {
+    const confirmed = await confirm(`Delete user "${user.username}"? They will be logged out immediately.`, {
+      title: 'Delete User',
+      type: 'danger',
+      confirmText: 'Delete'
+    });
+    if (!confirmed) return;
+
+    try {
+      await usersAPI.delete(user.username);
+      toast.success('User deleted');
+      fetchUsers();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to delete user');
+    }
+  };
+
+  // For users who lost both their authenticator and their recovery codes
+  const handleResetTwoFactor = async (user) => {
+    const confirmed = await confirm(`Turn off two-factor authentication for "${user.username}"? They can log in with only their password until they set it up again.`, {
+      title: 'Reset Two-Factor Authentication',
+      type: 'warning',
+      confirmText: 'Reset 2FA'
+    });
+    if (!confirmed) return;
+
+    try {
+      await usersAPI.update(user.username, { disableTwoFactor: true });
+      toast.success('Two-factor authentication reset');
+      fetchUsers();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to reset two-factor authentication');
+    }
+  };
+
+  const renderForm = () => {
+    const isSelf = editing === currentUser?.username;
+    const needsGrants = form.role === 'developer' || form.role === 'viewer';
+
+    return (
+      <div className="bg-white rounded-lg border border-blue-200 p-6 mb-6">
+        <h3 className="text-lg font-bold text-gray-900 mb-4">
+          {editing === 'new' ? 'New User' : `Edit ${editing}`}
+        </h3>
+
+        {editing === 'new' && (
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">Username</label>
+            <input
+              type="text"
+              value={form.username}
+              onChange={(e) => setForm({ ...form, username: e.target.value.toLowerCase() })}
+              placeholder="jane"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono"
+            />
+          </div>
+        )}
+
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            {editing === 'new' ? 'Password' : 'New Password'}
+          </label>
+          <input
+            type="password"
+            value={form.password}
+            onChange={(e) => setForm({ ...form, password: e.target.value })}
+            placeholder={editing === 'new' ? 'At least 8 characters' : 'Leave empty to keep the current password'}
+            autoComplete="new-password"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+
+        <div className="mb-4">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Role</label>
+          <select
+            value={form.role}
+            onChange={(e) => setForm({
+              ...form,
+              role: e.target.value,
+              // Viewers only get read access to their apps
+              apps: e.target.value === 'viewer' ? form.apps.map((grant) => ({ ...grant, role: 'viewer' })) : form.apps,
+            })}
+            disabled={isSelf}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+          >
+            {ROLES.filter((role) => canManageRole(currentUser, role)).map((role) => (
+              <option key={role} value={role}>
+                {role} - {ROLE_DESCRIPTIONS[role]}
+              </option>
+            ))}
+          </select>
+          {isSelf && <p className="text-xs text-gray-500 mt-1">You cannot change your own role</p>}
+        </div>
+
+        {needsGrants && (
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-2">App Access</label>
+            {apps.length === 0 ? (
+              <p className="text-sm text-gray-500">No apps yet</p>
+            ) : (
+              <div className="border border-gray-200 rounded-lg divide-y divide-gray-200 max-h-64 overflow-y-auto">
+                {apps.map((app) => {
+                  const grant = form.apps.find((entry) => entry.slug === app.slug);
+                  return (
+                    <div key={app.slug} className="flex items-center justify-between px-3 py-2">
+                      <span className="font-mono text-sm text-gray-900">{app.slug}</span>
+                      <select
+                        value={grant ? grant.role : ''}
+                        onChange={(e) => setGrant(app.slug, e.target.value)}
+                        className="px-2 py-1 border border-gray-300 rounded text-sm"
+                      >
+                        <option value="">No access</option>
+                        <option value="viewer">Viewer</option>
+                        {form.role === 'developer' && <option value="developer">Developer</option>}
+                      </select>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+            <p className="text-xs text-gray-500 mt-1">
+              Developers are also granted access to the apps they create.
+            </p>
+          </div>
+        )}
+
+        {editing !== 'new' && !isSelf && (
+          <label className="flex items-center gap-2 mb-4 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.disabled}
+              onChange={(e) => setForm({ ...form, disabled: e.target.checked })}
+            />
+            Disabled (cannot log in)
+          </label>
+        )}
+
+        <div className="flex gap-3">
+          <button
+            onClick={handleSave}
+            disabled={saving || !form.username || (editing === 'new' && !form.password)}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save User'}
+          </button>
+          <button
+            onClick={() => setEditing(null)}
+            className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  if (loading) {
+    return (
+      <>
+        <Header title="Users" subtitle="Dashboard accounts and permissions" />
+        <div className="px-8 text-center py-12">
+          <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+          <p className="text-gray-600 mt-4">Loading users...</p>
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <Header title="Users" subtitle="Dashboard accounts and permissions" />
+
+      <div className="px-8 pb-8">
+        {error && <ErrorAlert error={error} onClose={() => setError(null)} />}
+
+        {/* Actions */}
+        <div className="flex justify-between items-center mb-6">
+          <button
+            onClick={() => startEditing(null)}
+            className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+          >
+            + New User
+          </button>
+
+          <div className="text-sm text-gray-600">
+            {users.length} user{users.length !== 1 ? 's' : ''} total
+          </div>
+        </div>
+
+        {editing === 'new' && renderForm()}
+
+        {/* Users List */}
+        <div className="grid grid-cols-1 gap-4">
+          {users.map((user) => (
+            editing === user.username ? (
+              <div key={user.username}>{renderForm()}</div>
+            ) : (
+              <div key={user.username} className="bg-white rounded-lg border border-gray-200 p-6">
+                <div className="flex justify-between items-start">
+                  <div className="flex-1">
+                    <div className="flex items-center gap-3 mb-1">
+                      <h3 className="text-lg font-bold text-gray-900 font-mono">{user.username}</h3>
+                      <span className={`px-2 py-1 text-xs rounded capitalize ${getRoleColor(user.role)}`}>
+                        {user.role}
+                      </span>
+                      {user.disabled && (
+                        <span className="px-2 py-1 bg-red-100 text-red-800 text-xs rounded">disabled</span>
+                      )}
+                      {user.twoFactorEnabled && (
+                        <span className="px-2 py-1 bg-green-100 text-green-800 text-xs rounded">2FA</span>
+                      )}
+                      {user.username === currentUser?.username && (
+                        <span className="text-xs text-gray-500">(you)</span>
+                      )}
+                    </div>
+
+                    <p className="text-sm text-gray-600">
+                      Apps:{' '}
+                      {user.role === 'owner' || user.role === 'admin' ? (
+                        <span>all</span>
+                      ) : user.apps.length === 0 ? (
+                        <span className="text-gray-400">none</span>
+                      ) : (
+                        user.apps.map((grant) => `${grant.slug} (${grant.role})`).join(', ')
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Last login: {user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'never'}
+                    </p>
+                  </div>
+
+                  {canManageRole(currentUser, user.role) && (
+                    <div className="flex gap-2 ml-4">
+                      <button
+                        onClick={() => startEditing(user)}
+                        className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700"
+                      >
+                        Edit
+                      </button>
+                      {user.twoFactorEnabled && user.username !== currentUser?.username && (
+                        <button
+                          onClick={() => handleResetTwoFactor(user)}
+                          className="border border-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-50"
+                        >
+                          Reset 2FA
+                        </button>
+                      )}
+                      {user.username !== currentUser?.username && (
+                        <button
+                          onClick={() => handleDelete(user)}
+                          className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700"
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              </div>
+            )
+          ))}
+        </div>
+      </div>
+    </>
+  );
+}
+
+export default Users;
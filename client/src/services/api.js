@@ -1,6 +1,6 @@
 import axios from 'axios';
 
-const API_BASE_URL = 'http://platformx.localhost:5000';
+export const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://platformx.localhost:5000';
 
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -23,7 +23,61 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor to handle 401 errors and capture request IDs
+// Auth endpoints answer 401 for bad credentials, not expired access tokens
+const AUTH_ENDPOINTS = ['/api/auth/login', '/api/auth/login/2fa', '/api/auth/oidc/exchange', '/api/auth/refresh', '/api/auth/logout'];
+
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+const storeSession = (data) => {
+  localStorage.setItem('token', data.token);
+  localStorage.setItem('refreshToken', data.refreshToken);
+  if (data.user) {
+    localStorage.setItem('user', JSON.stringify(data.user));
+  }
+};
+
+let pendingRefresh = null;
+
+/**
+ * Get a new access token with the refresh token
+ * Concurrent callers share one request, since each refresh token works once.
+ * Resolves with the new access token.
+ */
+export const refreshAccessToken = () => {
+  if (!pendingRefresh) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    pendingRefresh = axios
+      .post(`${API_BASE_URL}/api/auth/refresh`, { refreshToken })
+      .then((response) => {
+        storeSession(response.data);
+        return response.data.token;
+      })
+      .catch((error) => {
+        // Another tab may have refreshed with the same token first
+        const current = localStorage.getItem('refreshToken');
+        if (current && current !== refreshToken) {
+          return localStorage.getItem('token');
+        }
+        throw error;
+      })
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+  return pendingRefresh;
+};
+
+const endSession = () => {
+  clearSession();
+  window.location.href = '/login';
+};
+
+// Response interceptor to refresh expired access tokens and capture request IDs
 api.interceptors.response.use(
   (response) => {
     // Capture request ID from response headers
@@ -33,24 +87,84 @@ api.interceptors.response.use(
     }
     return response;
   },
-  (error) => {
+  async (error) => {
     // Capture request ID from error response
     const requestId = error.response?.headers?.['x-request-id'];
     if (requestId && error.response) {
       if (!error.response.data) error.response.data = {};
       error.response.data._requestId = requestId;
     }
-    
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+
+    const { config } = error;
+    if (error.response?.status === 401 && config && !AUTH_ENDPOINTS.includes(config.url)) {
+      if (config._retried || !localStorage.getItem('refreshToken')) {
+        endSession();
+        return Promise.reject(error);
+      }
+
+      // Access token expired: refresh it and retry the request once
+      try {
+        const token = await refreshAccessToken();
+        config._retried = true;
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch {
+        endSession();
+      }
     }
     return Promise.reject(error);
   }
 );
 
+/**
+ * Read a Server-Sent Events endpoint
+ * Uses fetch instead of EventSource so the auth header can be sent.
+ * Resolves when the server closes the stream; abort it with `signal`.
+ */
+export const streamEvents = async (path, onEvent, signal) => {
+  const open = (token) => fetch(`${API_BASE_URL}${path}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    signal,
+  });
+
+  let response = await open(localStorage.getItem('token'));
+  if (response.status === 401 && localStorage.getItem('refreshToken')) {
+    response = await open(await refreshAccessToken());
+  }
+
+  if (!response.ok) {
+    throw new Error(`Event stream failed with status ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    let index;
+    while ((index = buffer.indexOf('\n\n')) !== -1) {
+      const message = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+
+      let event = 'message';
+      let data = '';
+      message.split('\n').forEach((line) => {
+        if (line.startsWith('event: ')) event = line.slice(7);
+        else if (line.startsWith('data: ')) data += line.slice(6);
+      });
+
+      if (data) {
+        onEvent(event, JSON.parse(data));
+      }
+    }
+  }
+};
+
 // Admin Apps API
 export const appsAPI = {
   // List all apps
@@ -109,9 +223,26 @@ export const appsAPI = {
     return api.post('/api/apps/git-import', data);
   },
 
-  // Git update
-  gitUpdate: (slug) => {
-    return api.post(`/api/apps/git-update/${slug}`);
+  // Git update (ref: branch, tag or commit SHA; defaults to the app's branch)
+  gitUpdate: (slug, data = {}) => {
+    return api.post(`/api/apps/git-update/${slug}`, data);
+  },
+
+  // Git credentials (work before the app exists)
+  getGitCredentials: (slug) => {
+    return api.get(`/api/admin/apps/${slug}/git-credentials`);
+  },
+
+  createDeployKey: (slug) => {
+    return api.post(`/api/admin/apps/${slug}/git-credentials/deploy-key`);
+  },
+
+  setGitToken: (slug, token, username) => {
+    return api.put(`/api/admin/apps/${slug}/git-credentials/token`, { token, username });
+  },
+
+  deleteGitCredentials: (slug) => {
+    return api.delete(`/api/admin/apps/${slug}/git-credentials`);
   },
 
   // Environment variables
@@ -131,10 +262,97 @@ export const appsAPI = {
     return api.delete(`/api/admin/apps/${slug}/env`);
   },
 
+  // Environment groups attached to an app
+  getEnvGroups: (slug) => {
+    return api.get(`/api/admin/apps/${slug}/env-groups`);
+  },
+
+  setEnvGroups: (slug, groups) => {
+    return api.put(`/api/admin/apps/${slug}/env-groups`, { groups });
+  },
+
+  // Secrets (write-only, values come back masked)
+  getSecrets: (slug) => {
+    return api.get(`/api/admin/apps/${slug}/secrets`);
+  },
+
+  setSecret: (slug, key, value) => {
+    return api.put(`/api/admin/apps/${slug}/secrets/${key}`, { value });
+  },
+
+  deleteSecret: (slug, key) => {
+    return api.delete(`/api/admin/apps/${slug}/secrets/${key}`);
+  },
+
   // Logs
   getLogs: (slug, format = 'json') => {
     return api.get(`/api/admin/apps/${slug}/logs`, { params: { format } });
   },
+
+  // Custom domains
+  getDomains: (slug) => {
+    return api.get(`/api/admin/apps/${slug}/domains`);
+  },
+
+  addDomain: (slug, hostname) => {
+    return api.post(`/api/admin/apps/${slug}/domains`, { hostname });
+  },
+
+  removeDomain: (slug, hostname) => {
+    return api.delete(`/api/admin/apps/${slug}/domains/${hostname}`);
+  },
+
+  verifyDomain: (slug, hostname) => {
+    return api.post(`/api/admin/apps/${slug}/domains/${hostname}/verify`);
+  },
+
+  // Releases
+  getReleases: (slug) => {
+    return api.get(`/api/admin/apps/${slug}/releases`);
+  },
+
+  rollback: (slug, releaseId) => {
+    return api.post(`/api/admin/apps/${slug}/rollback/${releaseId}`);
+  },
+
+  getCanary: (slug) => {
+    return api.get(`/api/admin/apps/${slug}/canary`);
+  },
+
+  startCanary: (slug, releaseId, weight) => {
+    return api.post(`/api/admin/apps/${slug}/canary`, { releaseId, weight });
+  },
+
+  promoteCanary: (slug) => {
+    return api.post(`/api/admin/apps/${slug}/canary/promote`);
+  },
+
+  abortCanary: (slug) => {
+    return api.post(`/api/admin/apps/${slug}/canary/abort`);
+  },
+
+  // Deployments
+  getDeployments: (slug) => {
+    return api.get(`/api/admin/apps/${slug}/deployments`);
+  },
+
+  getDeployment: (slug, deploymentId) => {
+    return api.get(`/api/admin/apps/${slug}/deployments/${deploymentId}`);
+  },
+
+  // Follow every deployment of an app (works before the app exists)
+  watchDeployments: (slug, onEvent, signal) => {
+    return streamEvents(`/api/admin/apps/${slug}/deployments/events`, onEvent, signal);
+  },
+
+  // Replay one deployment's log and follow it until it finishes
+  streamDeployment: (slug, deploymentId, onEvent, signal) => {
+    return streamEvents(`/api/admin/apps/${slug}/deployments/${deploymentId}/stream`, onEvent, signal);
+  },
+
+  cancelDeployment: (slug, deploymentId) => {
+    return api.post(`/api/admin/apps/${slug}/deployments/${deploymentId}/cancel`);
+  },
 };
 
 // Platform API (for cached apps, health, metrics, etc.)
@@ -170,6 +388,11 @@ export const platformAPI = {
     return api.get('/api/status');
   },
 
+  // Platform domain configuration
+  getPlatformConfig: () => {
+    return api.get('/api/platform/config');
+  },
+
   // Get cached apps
   getCachedApps: () => {
     return api.get('/api/apps/cached');
@@ -191,8 +414,8 @@ export const platformAPI = {
 // Backup & Restore API
 export const backupAPI = {
   // Create backup
-  createBackup: (slug) => {
-    return api.post(`/api/admin/apps/${slug}/backup`);
+  createBackup: (slug, options = {}) => {
+    return api.post(`/api/admin/apps/${slug}/backup`, options);
   },
 
   // List backups
@@ -214,6 +437,109 @@ export const backupAPI = {
   },
 };
 
+// Environment Groups API
+export const envGroupsAPI = {
+  list: () => {
+    return api.get('/api/admin/env-groups');
+  },
+
+  create: (data) => {
+    return api.post('/api/admin/env-groups', data);
+  },
+
+  update: (name, data) => {
+    return api.patch(`/api/admin/env-groups/${name}`, data);
+  },
+
+  delete: (name) => {
+    return api.delete(`/api/admin/env-groups/${name}`);
+  },
+};
+
+// Users API
+export const usersAPI = {
+  list: () => {
+    return api.get('/api/admin/users');
+  },
+
+  create: (data) => {
+    return api.post('/api/admin/users', data);
+  },
+
+  update: (username, data) => {
+    return api.patch(`/api/admin/users/${username}`, data);
+  },
+
+  delete: (username) => {
+    return api.delete(`/api/admin/users/${username}`);
+  },
+};
+
+// API tokens for scripts and CI
+export const apiTokensAPI = {
+  list: () => {
+    return api.get('/api/admin/api-tokens');
+  },
+
+  // The response holds the token itself; it can't be fetched again
+  create: (data) => {
+    return api.post('/api/admin/api-tokens', data);
+  },
+
+  revoke: (id) => {
+    return api.delete(`/api/admin/api-tokens/${id}`);
+  },
+};
+
+// Auth API for the logged in user
+export const authAPI = {
+  verify: () => {
+    return api.get('/api/auth/verify');
+  },
+
+  logout: (refreshToken) => {
+    return api.post('/api/auth/logout', { refreshToken });
+  },
+
+  getSessions: () => {
+    return api.get('/api/auth/sessions');
+  },
+
+  revokeSession: (id) => {
+    return api.delete(`/api/auth/sessions/${id}`);
+  },
+
+  // Log out everywhere, this session included
+  revokeAllSessions: () => {
+    return api.delete('/api/auth/sessions');
+  },
+
+  changePassword: (currentPassword, newPassword) => {
+    return api.put('/api/auth/password', { currentPassword, newPassword });
+  },
+
+  getTwoFactor: () => {
+    return api.get('/api/auth/2fa');
+  },
+
+  // Returns a new secret as otpauthUri and qrCode; active once confirmed with enableTwoFactor
+  setupTwoFactor: () => {
+    return api.post('/api/auth/2fa/setup');
+  },
+
+  enableTwoFactor: (code) => {
+    return api.post('/api/auth/2fa/enable', { code });
+  },
+
+  disableTwoFactor: (password) => {
+    return api.post('/api/auth/2fa/disable', { password });
+  },
+
+  regenerateRecoveryCodes: (password) => {
+    return api.post('/api/auth/2fa/recovery-codes', { password });
+  },
+};
+
 // Webhook API
 export const webhookAPI = {
   // Register webhook
@@ -235,6 +561,24 @@ export const webhookAPI = {
   testWebhook: (slug) => {
     return api.post(`/api/admin/apps/${slug}/webhook/test`);
   },
+
+  // Git push webhook (auto-deploy)
+  getGitWebhook: (slug) => {
+    return api.get(`/api/admin/apps/${slug}/git-webhook`);
+  },
+
+  // Enable, or rotate the secret - the response holds the new secret
+  enableGitWebhook: (slug) => {
+    return api.post(`/api/admin/apps/${slug}/git-webhook`);
+  },
+
+  disableGitWebhook: (slug) => {
+    return api.delete(`/api/admin/apps/${slug}/git-webhook`);
+  },
+
+  getGitWebhookDeliveries: (slug, limit = 20) => {
+    return api.get(`/api/admin/apps/${slug}/git-webhook/deliveries`, { params: { limit } });
+  },
 };
 
 // Settings API
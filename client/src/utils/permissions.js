@@ -0,0 +1,31 @@
+// Mirrors server/utils/permissions.js so the dashboard only offers actions
+// the server will allow. The server still checks every request.
+
+export const ROLES = ['owner', 'admin', 'developer', 'viewer'];
+
+// Access a grant can give to a single app
+export const APP_ROLES = ['developer', 'viewer'];
+
+export const isAdmin = (user) => !!user && (user.role === 'owner' || user.role === 'admin');
+
+/**
+ * Role a user has on an app: 'admin', 'developer', 'viewer' or null for no access
+ */
+export const getAppRole = (user, slug) => {
+  if (!user) return null;
+  if (isAdmin(user)) return 'admin';
+
+  const grant = (user.apps || []).find((entry) => entry.slug === slug);
+  if (!grant) return null;
+  return user.role === 'viewer' ? 'viewer' : grant.role;
+};
+
+export const canWriteApp = (user, slug) => {
+  const role = getAppRole(user, slug);
+  return role === 'admin' || role === 'developer';
+};
+
+export const canCreateApps = (user) => isAdmin(user) || user?.role === 'developer';
+
+// Only owners manage owners
+export const canManageRole = (user, role) => isAdmin(user) && (role !== 'owner' || user.role === 'owner');
@@ -0,0 +1,67 @@
+import { useState, useEffect } from 'react';
+import { platformAPI, API_BASE_URL } from '../services/api';
+
+// Fallback until the server config loads: derive from the API URL
+const apiUrl = new URL(API_BASE_URL);
+const DEFAULT_CONFIG = {
+  domains: [apiUrl.hostname],
+  primaryDomain: apiUrl.hostname,
+  platformUrl: apiUrl.origin,
+  appUrlTemplate: `${apiUrl.protocol}//{slug}.${apiUrl.host}`,
+};
+
+let cachedConfig = null;
+let pendingRequest = null;
+
+/**
+ * Fetch the platform domain configuration once and share it
+ */
+export const loadPlatformConfig = (force = false) => {
+  if (cachedConfig && !force) {
+    return Promise.resolve(cachedConfig);
+  }
+
+  if (!pendingRequest || force) {
+    pendingRequest = platformAPI
+      .getPlatformConfig()
+      .then((response) => {
+        cachedConfig = { ...DEFAULT_CONFIG, ...response.data };
+        return cachedConfig;
+      })
+      .catch((error) => {
+        console.error('Failed to load platform config:', error);
+        return cachedConfig || DEFAULT_CONFIG;
+      })
+      .finally(() => {
+        pendingRequest = null;
+      });
+  }
+
+  return pendingRequest;
+};
+
+/**
+ * Build the public URL of an app on the primary domain
+ */
+export const getAppUrl = (slug, config = cachedConfig || DEFAULT_CONFIG) => {
+  return config.appUrlTemplate.replace('{slug}', slug);
+};
+
+/**
+ * React hook returning the platform config (domains, URL template)
+ */
+export const usePlatformConfig = () => {
+  const [config, setConfig] = useState(cachedConfig || DEFAULT_CONFIG);
+
+  useEffect(() => {
+    let active = true;
+    loadPlatformConfig().then((loaded) => {
+      if (active) setConfig(loaded);
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return config;
+};
@@ -3,14 +3,36 @@
  * Forwards requests to loaded app routers
  */
 
+const workerManager = require('../utils/workerManager');
+const { runWithAppEnv, capturePlatformContext, bindAppListeners } = require('../utils/envIsolation');
+
 async function appForwarder(req, res, next) {
+    // Isolated apps are proxied to their worker process
+    if (req.appWorker) {
+        return workerManager.forward(req.appWorker, req, res, next);
+    }
+
     if (!req.appRouter) {
         return next();
     }
 
+    // In-process app code runs with the app's own process.env, including
+    // the listeners it adds to the request and response
+    let runApp = (fn) => fn();
+    if (req.appProcessEnv) {
+        bindAppListeners(req);
+        bindAppListeners(res);
+        runApp = (fn) => runWithAppEnv(req.appProcessEnv, fn);
+    }
+
+    // The router's callback is platform code again, even when the app calls
+    // it from its own code. It goes back to the platform's context through a
+    // snapshot only this function holds.
+    const platformContext = capturePlatformContext();
+
     try {
         // Forward request to the app's router
-        req.appRouter(req, res, (err) => {
+        runApp(() => req.appRouter(req, res, (err) => platformContext(() => {
             if (err) {
                 console.error(`[AppForwarder] Error in app ${req.appName}:`, err);
                 
@@ -26,7 +48,7 @@ async function appForwarder(req, res, next) {
                 // If the app didn't handle the route, pass to next middleware
                 next();
             }
-        });
+        })));
     } catch (err) {
         console.error(`[AppForwarder] Critical error forwarding to ${req.appName}:`, err);
         
@@ -1,43 +1,184 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const userManager = require('../utils/userManager');
+const sessionManager = require('../utils/sessionManager');
+const apiTokenManager = require('../utils/apiTokenManager');
+const { hasScope, canReadApp, canWriteApp } = require('../utils/permissions');
 
-// Generate JWT token
+// Access tokens are short-lived; the dashboard renews them with its refresh token
+const ACCESS_TOKEN_TTL = 15 * 60; // 15 minutes, in seconds
+
+// Generate JWT access token for a session
 const generateToken = (payload) => {
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: '7d' // Token expires in 7 days
+    expiresIn: ACCESS_TOKEN_TTL
   });
 };
 
-// Verify JWT token middleware
-const authenticateToken = (req, res, next) => {
+// Authenticate a request made with an API token (pxt_...)
+const authenticateApiToken = async (token, req, res, next) => {
+  try {
+    const apiToken = await apiTokenManager.authenticate(token, req);
+    if (!apiToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired API token.'
+      });
+    }
+
+    const user = await User.findById(apiToken.userId);
+    if (!user || user.disabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'The account of this API token is not found or disabled.'
+      });
+    }
+
+    req.user = { ...userManager.format(user), token: apiTokenManager.toScope(apiToken) };
+    req.apiToken = apiToken;
+    next();
+  } catch (error) {
+    console.error('[AUTH] Error checking API token:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error during authentication.'
+    });
+  }
+};
+
+// Verify JWT token middleware; API tokens are accepted as well
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
   if (!token) {
-    return res.status(401).json({ 
-      success: false, 
-      message: 'Access denied. No token provided.' 
+    return res.status(401).json({
+      success: false,
+      message: 'Access denied. No token provided.'
     });
   }
 
+  if (apiTokenManager.isApiToken(token)) {
+    return authenticateApiToken(token, req, res, next);
+  }
+
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; // Add user info to request
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({ 
-        success: false, 
-        message: 'Token expired. Please login again.' 
+      return res.status(401).json({
+        success: false,
+        message: 'Token expired. Please login again.'
       });
     }
-    return res.status(403).json({ 
-      success: false, 
-      message: 'Invalid token.' 
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid token.'
     });
   }
+
+  try {
+    // Logged out sessions invalidate their access tokens right away
+    const session = decoded.sid ? await sessionManager.get(decoded.sid) : null;
+    // The session must belong to the account the token names
+    if (!session || String(session.userId) !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session ended. Please login again.'
+      });
+    }
+
+    // Load the account so role changes and disabling take effect immediately
+    const user = await User.findById(decoded.id);
+    if (!user || user.disabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account not found or disabled. Please login again.'
+      });
+    }
+
+    await sessionManager.touch(session, req);
+
+    req.user = userManager.format(user); // Add user info to request
+    req.sessionId = decoded.sid;
+    next();
+  } catch (error) {
+    console.error('[AUTH] Error loading user:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error during authentication.'
+    });
+  }
+};
+
+const forbidden = (res, error) => res.status(403).json({
+  success: false,
+  error
+});
+
+/**
+ * Require one of the given platform roles
+ * Use after authenticateToken.
+ * @param {...string} roles
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return forbidden(res, 'You do not have permission to perform this action');
+  }
+  next();
+};
+
+/**
+ * Require an API token scope; dashboard sessions always pass
+ * Use after authenticateToken.
+ * @param {string} scope - Key of SCOPES in utils/permissions.js
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (!hasScope(req.user, scope)) {
+    return forbidden(res, `This API token is missing the '${scope}' scope`);
+  }
+  next();
+};
+
+/**
+ * Reject API tokens, for account and token management
+ * Use after authenticateToken.
+ */
+const sessionOnly = (req, res, next) => {
+  if (req.apiToken) {
+    return forbidden(res, 'API tokens cannot be used for this action; login to the dashboard instead');
+  }
+  next();
+};
+
+/**
+ * Require read or write access to the app in req.params.slug
+ * Use after authenticateToken.
+ * @param {string} access - 'read' or 'write'
+ * @param {string} scope - API token scope needed; defaults to apps:read or apps:config
+ */
+const requireAppAccess = (access, scope = access === 'write' ? 'apps:config' : 'apps:read') => (req, res, next) => {
+  const { slug } = req.params;
+  if (!hasScope(req.user, scope)) {
+    return forbidden(res, `This API token is missing the '${scope}' scope`);
+  }
+  const allowed = access === 'write' ? canWriteApp(req.user, slug) : canReadApp(req.user, slug);
+
+  if (!allowed) {
+    return forbidden(res, access === 'write'
+      ? `You do not have permission to change app '${slug}'`
+      : `You do not have access to app '${slug}'`);
+  }
+  next();
 };
 
 module.exports = {
+  ACCESS_TOKEN_TTL,
   generateToken,
-  authenticateToken
+  authenticateToken,
+  requireRole,
+  requireScope,
+  sessionOnly,
+  requireAppAccess
 };
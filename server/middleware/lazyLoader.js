@@ -2,11 +2,30 @@ const path = require('path');
 const fs = require('fs');
 const fileWatcher = require('./fileWatcher');
 const EnvManager = require('../utils/envManager');
+const secretsManager = require('../utils/secretsManager');
+const envGroupManager = require('../utils/envGroupManager');
+const { buildAppEnv, runWithAppEnv, registerAppDir, forgetAppDir } = require('../utils/envIsolation');
 const MongoDBManager = require('../utils/mongodbManager');
 const Logger = require('../utils/logger');
 const StaticServer = require('./staticServer');
+const workerManager = require('../utils/workerManager');
+const lifecycleHooks = require('../utils/lifecycleHooks');
+const { resolveApp } = require('../utils/appResolver');
+const { resolveAppRouter, fixViewsPath, runReadinessCheck } = require('../utils/appModuleLoader');
 
 const appCache = new Map();
+const reloading = new Map(); // appName -> Promise of an in-progress hot swap
+const canaryLoads = new Map(); // appName -> Promise of a canary release being loaded
+
+// Sticky release assignment while a canary is running
+const RELEASE_COOKIE_PREFIX = 'platformx_release_';
+const RELEASE_HEADER = 'x-platformx-release';
+const RELEASE_COOKIE_MAX_AGE = 24 * 60 * 60 * 1000; // 1 day
+
+const BYTES_PER_MB = 1024 * 1024;
+
+// Prefix of App.lastError for apps unloaded by enforceResourceLimits
+const RESOURCE_LIMIT_ERROR = 'Resource limit exceeded';
 
 /**
  * Forbidden patterns that indicate standalone server usage
@@ -51,11 +70,400 @@ function validateAppCode(filePath) {
 }
 
 /**
- * Clear require cache for an app (useful for hot reload)
- * @param {string} appServerPath 
+ * Remove every module loaded from an app directory from the require cache
+ * Modules are keyed by real path, i.e. the release directory.
+ * @param {string} appDir 
+ */
+function clearAppModules(appDir) {
+    Object.keys(require.cache).forEach(key => {
+        if (key.startsWith(appDir + path.sep)) {
+            delete require.cache[key];
+        }
+    });
+    forgetAppDir(appDir);
+}
+
+/**
+ * Drop a crashed worker from the cache so the next request starts a fresh one
+ * @param {string} appName 
+ * @param {string} error 
+ * @param {Object} worker - Worker that exited
+ */
+function handleWorkerExit(appName, error, worker) {
+    const cached = appCache.get(appName);
+    if (!cached) {
+        return;
+    }
+
+    // A crashed canary stops receiving traffic; the current release keeps serving
+    if (cached.canary && cached.canary.entry.worker === worker) {
+        cached.canary = null;
+        return;
+    }
+
+    if (cached.worker && (!worker || cached.worker === worker)) {
+        appCache.delete(appName);
+        fileWatcher.unwatchApp(appName);
+    }
+}
+
+/**
+ * Release the resources held by a cache entry that no longer takes traffic
+ * @param {Object} entry - Cached app entry
+ * @param {Object} options - { drain: let an old worker finish in-flight requests }
+ */
+function disposeEntry(entry, options = {}) {
+    if (entry.worker) {
+        if (options.drain) {
+            workerManager.retire(entry.worker);
+        } else {
+            workerManager.stopWorker(entry.worker);
+        }
+    } else {
+        clearAppModules(entry.appDir);
+    }
+}
+
+/**
+ * Read the resource budget from app metadata
+ * @param {Object} appMetadata - App document
+ * @returns {Object} - { maxMemoryMB, maxCpuTimeMs, cpuWindowMs }
+ */
+function getResourceLimits(appMetadata) {
+    const limits = appMetadata.resourceLimits || {};
+    return {
+        maxMemoryMB: limits.maxMemoryMB || null,
+        maxCpuTimeMs: limits.maxCpuTimeMs || null,
+        cpuWindowMs: limits.cpuWindowMs || 60000
+    };
+}
+
+/**
+ * Get current resource usage for a cached app
+ * Only isolated apps can be measured (their worker's RSS and CPU time): an
+ * in-process app shares the platform's heap and CPU time with every other
+ * in-process app and request, so its usage is null.
+ * @param {Object} data - Cached app entry
+ * @returns {Object} - { memoryMB, cpuTimeMs, windowStartedAt }
+ */
+function getResourceUsage(data) {
+    let memoryMB = null;
+    let cpuTimeMs = null;
+
+    if (data.worker) {
+        const usage = data.worker.usage;
+        memoryMB = usage ? Math.round(usage.rss / BYTES_PER_MB) : null;
+        cpuTimeMs = usage ? Math.max(0, usage.cpuTimeMs - data.cpu.baselineMs) : 0;
+    }
+
+    return {
+        memoryMB,
+        cpuTimeMs: cpuTimeMs === null ? null : Math.round(cpuTimeMs),
+        windowStartedAt: new Date(data.cpu.windowStart).toISOString()
+    };
+}
+
+/**
+ * Start a new CPU accounting window once the current one has elapsed
+ * @param {Object} data - Cached app entry
+ */
+function rollCpuWindow(data) {
+    const now = Date.now();
+    if (now - data.cpu.windowStart < data.limits.cpuWindowMs) {
+        return;
+    }
+
+    data.cpu.windowStart = now;
+    if (data.worker && data.worker.usage) {
+        data.cpu.baselineMs = data.worker.usage.cpuTimeMs;
+    }
+}
+
+/**
+ * Load an app and build its cache entry
+ * For hot swaps of isolated apps a replacement worker is started next to the
+ * running one; canary releases get a worker of their own.
+ * @param {string} appName 
+ * @param {string} appPath - Path to the app directory
+ * @param {Object} options - { replaceWorker, candidate, release, config } where
+ *   config ({ entryFile, appType, buildDir }) overrides the app's current settings
+ * @returns {Promise<Object>} - { entry, canary } on success, { status, error, hint } otherwise
+ */
+async function loadAppEntry(appName, appPath, options = {}) {
+    // Get app metadata to find the entry file and app type
+    const App = require('../models/App');
+    const appMetadata = await App.findBySlug(appName);
+
+    if (!appMetadata) {
+        return { status: 404, error: 'App not found' };
+    }
+
+    // An evicted app stays down until it is redeployed or set back to active
+    if (appMetadata.status === 'error' && (appMetadata.lastError || '').startsWith(RESOURCE_LIMIT_ERROR)) {
+        return {
+            status: 503,
+            error: appMetadata.lastError,
+            hint: 'Redeploy the app or set its status back to active'
+        };
+    }
+
+    const config = options.config || appMetadata;
+    const appType = config.appType || 'backend';
+    const entryFile = config.entryFile || 'server.js';
+    const buildDir = config.buildDir;
+    const proxyConfig = appMetadata.proxyConfig ? Object.fromEntries(appMetadata.proxyConfig) : null;
+    const limits = getResourceLimits(appMetadata);
+
+    console.log(`[LazyLoader] Loading ${appType} app: ${appName}`);
+
+    let router = null;
+    let worker = null;
+    let appEnv = {};
+    let processEnv = null;
+
+    // Handle based on app type
+    if (appType === 'frontend') {
+        // Frontend-only app - serve static files
+        const detectedBuildDir = buildDir || StaticServer.detectBuildDir(appPath);
+        
+        if (!detectedBuildDir) {
+            return {
+                status: 500,
+                error: 'Frontend build not found. Please build your app (npm run build) and ensure dist/build folder exists.'
+            };
+        }
+
+        console.log(`[LazyLoader] Serving frontend from: ${detectedBuildDir}`);
+        router = StaticServer.createServer(appPath, detectedBuildDir, proxyConfig);
+        
+    } else if (appType === 'backend' || appType === 'fullstack') {
+        // Backend or fullstack app - load Express router
+        const appServerPath = path.join(appPath, entryFile);
+        
+        // Check if entry file exists
+        if (!fs.existsSync(appServerPath)) {
+            return { status: 500, error: `App configuration error: ${entryFile} not found` };
+        }
+
+        // Validate app code for forbidden patterns (only for backend)
+        const validation = validateAppCode(appServerPath);
+        if (!validation.valid) {
+            console.error(`[LazyLoader] Validation failed for ${appName}: ${validation.error}`);
+            await Logger.log(appName, 'error', `Validation failed: ${validation.error}`);
+            return { status: 403, error: validation.error };
+        }
+
+        // Load per-app environment variables: shared groups first, then the
+        // app's .env, then secrets
+        const groupEnv = await envGroupManager.load(appMetadata.envGroups);
+        const secrets = await secretsManager.load(appName);
+        appEnv = { ...groupEnv, ...EnvManager.loadEnvSync(appName), ...secrets };
+        console.log(`[LazyLoader] Loaded ${Object.keys(appEnv).length} env variables (${Object.keys(secrets).length} secrets) for ${appName}`);
+
+        if (appMetadata.isolated) {
+            // Isolated app - run in its own worker process
+            const workerOptions = {
+                appPath,
+                entryFile,
+                appEnv,
+                maxMemoryMB: limits.maxMemoryMB,
+                onExit: handleWorkerExit
+            };
+            if (options.candidate) {
+                worker = await workerManager.startCandidate(appName, workerOptions);
+            } else if (options.replaceWorker) {
+                worker = await workerManager.replace(appName, workerOptions);
+            } else {
+                worker = await workerManager.start(appName, workerOptions);
+            }
+        } else {
+            // App code sees its own process.env, never the platform's secrets
+            processEnv = buildAppEnv(appEnv);
+            registerAppDir(appPath, processEnv);
+
+            // Load the app module
+            const appModule = runWithAppEnv(processEnv, () => require(appServerPath));
+
+            // Support both direct export and function export
+            const resolved = runWithAppEnv(processEnv, () => resolveAppRouter(appModule));
+            if (!resolved.router) {
+                return { status: 500, error: resolved.error, hint: resolved.hint };
+            }
+            router = resolved.router;
+
+            // Fix view engine paths for the app
+            fixViewsPath(router, appPath);
+
+            // Optional app-provided check before taking traffic
+            await runWithAppEnv(processEnv, () => runReadinessCheck(appModule, router));
+        }
+    } else {
+        return { status: 500, error: `Unsupported app type: ${appType}` };
+    }
+
+    const entry = {
+        router,
+        loadedAt: Date.now(),
+        lastUsed: Date.now(),
+        requestCount: 0,
+        appEnv,  // Store environment variables
+        processEnv,  // process.env of in-process app code
+        appType,  // Store app type
+        appDir: fs.realpathSync(appPath),  // Resolved release directory
+        release: options.release || appMetadata.currentRelease,  // Release number served
+        canary: null,  // { release, weight, entry } while a candidate release takes traffic
+        worker,  // Worker handle for isolated apps
+        limits,  // Resource budget
+        cpu: {
+            windowStart: Date.now(),
+            baselineMs: 0   // Worker CPU total at window start
+        }
+    };
+
+    const label = options.candidate ? `canary release v${entry.release}` : `${appType} app`;
+    await Logger.log(appName, 'load', worker
+        ? `${label} started in isolated worker (pid ${worker.pid})`
+        : `${label} loaded into memory`, { 
+        appType,
+        isolated: !!worker,
+        release: entry.release,
+        envVarsCount: Object.keys(appEnv).length 
+    });
+
+    // App-declared onLoad hook, never holds up the first request
+    lifecycleHooks.runInBackground(appName, entry.appDir, 'onLoad', { release: entry.release });
+
+    const canary = appMetadata.canary && appMetadata.canary.release
+        ? { release: appMetadata.canary.release, weight: appMetadata.canary.weight }
+        : null;
+
+    return { entry, canary };
+}
+
+/**
+ * Load a candidate release of an app from its release directory
+ * @param {string} appName 
+ * @param {number} version - Release number
+ * @returns {Promise<Object>} - Cache entry for the release
+ */
+async function loadCanaryEntry(appName, version) {
+    const Release = require('../models/Release');
+    const releaseManager = require('../utils/releaseManager');
+
+    const release = await Release.findVersion(appName, version);
+    if (!release || release.status !== 'ready') {
+        throw new Error(`Release v${version} is not available`);
+    }
+
+    const releasePath = releaseManager.getReleasePath(appName, version);
+    if (!fs.existsSync(releasePath)) {
+        throw new Error(`Files for release v${version} are missing`);
+    }
+
+    const result = await loadAppEntry(appName, releasePath, {
+        candidate: true,
+        release: version,
+        config: release.config
+    });
+    if (!result.entry) {
+        throw new Error(result.error);
+    }
+
+    return result.entry;
+}
+
+/**
+ * Load the app's canary release next to a freshly loaded current release
+ * A canary that fails to load is logged and skipped so the app still serves.
+ * @param {string} appName 
+ * @param {Object} cached - Cache entry of the current release
+ * @param {Object} canary - { release, weight }
+ */
+async function attachCanary(appName, cached, canary) {
+    if (!canary || canary.release === cached.release) {
+        return;
+    }
+
+    // Concurrent first requests share the same load
+    if (!canaryLoads.has(appName)) {
+        const promise = loadCanaryEntry(appName, canary.release)
+            .then(entry => {
+                // The app may have been unloaded or swapped meanwhile
+                if (appCache.get(appName) !== cached || cached.canary) {
+                    disposeEntry(entry);
+                    return;
+                }
+                cached.canary = { release: canary.release, weight: canary.weight, entry };
+            })
+            .catch(async err => {
+                console.error(`[LazyLoader] Failed to load canary for ${appName}:`, err.message);
+                await Logger.log(appName, 'error', `Failed to load canary release v${canary.release}: ${err.message}`, {}, 'error');
+            })
+            .finally(() => {
+                canaryLoads.delete(appName);
+            });
+        canaryLoads.set(appName, promise);
+    }
+
+    await canaryLoads.get(appName);
+}
+
+/**
+ * Read a cookie from the request without a cookie parser
+ * @param {Object} req 
+ * @param {string} name 
+ * @returns {string|null}
+ */
+function readCookie(req, name) {
+    const header = req.headers.cookie;
+    if (!header) {
+        return null;
+    }
+
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index !== -1 && part.slice(0, index).trim() === name) {
+            return decodeURIComponent(part.slice(index + 1).trim());
+        }
+    }
+    return null;
+}
+
+/**
+ * Pick the release that serves a request while a canary is running
+ * Clients stay on one release: an explicit X-PlatformX-Release header wins,
+ * then the sticky cookie; new clients are assigned by the canary weight.
+ * @param {Object} req 
+ * @param {Object} res 
+ * @param {Object} cached - Cache entry of the current release
+ * @returns {Object} - Cache entry to serve the request with
  */
-function clearAppCache(appServerPath) {
-    delete require.cache[require.resolve(appServerPath)];
+function selectReleaseEntry(req, res, cached) {
+    const canary = cached.canary;
+    if (!canary) {
+        return cached;
+    }
+
+    const cookieName = `${RELEASE_COOKIE_PREFIX}${req.appName}`;
+    const requested = parseInt(String(req.get(RELEASE_HEADER) || readCookie(req, cookieName) || '').replace(/^v/i, ''), 10);
+
+    let entry;
+    if (requested === canary.release) {
+        entry = canary.entry;
+    } else if (requested === cached.release) {
+        entry = cached;
+    } else {
+        entry = Math.random() * 100 < canary.weight ? canary.entry : cached;
+        res.cookie(cookieName, `v${entry.release}`, {
+            maxAge: RELEASE_COOKIE_MAX_AGE,
+            httpOnly: true,
+            sameSite: 'lax',
+            path: req.baseUrl || '/'
+        });
+    }
+
+    res.setHeader('X-PlatformX-Release', `v${entry.release}`);
+    return entry;
 }
 
 /**
@@ -71,135 +479,22 @@ async function lazyLoader(req, res, next) {
 
     if (!cached) {
         try {
-            // Get app metadata to find the entry file and app type
-            const App = require('../models/App');
-            const appMetadata = await App.findBySlug(req.appName);
-            
-            if (!appMetadata) {
-                return res.status(404).json({ 
-                    error: 'App not found',
-                    appName: req.appName 
-                });
-            }
-
-            const appType = appMetadata.appType || 'backend';
-            const entryFile = appMetadata.entryFile || 'server.js';
-            const buildDir = appMetadata.buildDir;
-            const proxyConfig = appMetadata.proxyConfig ? Object.fromEntries(appMetadata.proxyConfig) : null;
-
-            console.log(`[LazyLoader] Loading ${appType} app: ${req.appName}`);
-
-            let router;
-            let appEnv = {};
-
-            // Handle based on app type
-            if (appType === 'frontend') {
-                // Frontend-only app - serve static files
-                const detectedBuildDir = buildDir || StaticServer.detectBuildDir(req.appPath);
-                
-                if (!detectedBuildDir) {
-                    return res.status(500).json({ 
-                        error: 'Frontend build not found. Please build your app (npm run build) and ensure dist/build folder exists.',
-                        appName: req.appName 
-                    });
-                }
-
-                console.log(`[LazyLoader] Serving frontend from: ${detectedBuildDir}`);
-                router = StaticServer.createServer(req.appPath, detectedBuildDir, proxyConfig);
-                
-            } else if (appType === 'backend' || appType === 'fullstack') {
-                // Backend or fullstack app - load Express router
-                const appServerPath = path.join(req.appPath, entryFile);
-                
-                // Check if entry file exists
-                if (!fs.existsSync(appServerPath)) {
-                    return res.status(500).json({ 
-                        error: `App configuration error: ${entryFile} not found`,
-                        appName: req.appName 
-                    });
-                }
-
-                // Validate app code for forbidden patterns (only for backend)
-                const validation = validateAppCode(appServerPath);
-                if (!validation.valid) {
-                    console.error(`[LazyLoader] Validation failed for ${req.appName}: ${validation.error}`);
-                    await Logger.log(req.appName, 'error', `Validation failed: ${validation.error}`);
-                    return res.status(403).json({ 
-                        error: validation.error,
-                        appName: req.appName
-                    });
-                }
-
-                // Load per-app environment variables
-                appEnv = EnvManager.loadEnvSync(req.appName);
-                console.log(`[LazyLoader] Loaded ${Object.keys(appEnv).length} env variables for ${req.appName}`);
-
-                // Load the app module
-                const appModule = require(appServerPath);
-
-                // Support both direct export and function export
-                if (typeof appModule === 'function') {
-                    // Check if it's an Express app (has .use, .get, .post, etc.)
-                    if (appModule.use && appModule.get && appModule.post) {
-                        // It's an Express app directly exported
-                        router = appModule;
-                    } else {
-                        // It's a factory function - execute it to get the router
-                        router = appModule();
-                        
-                        // Validate router
-                        if (!router || typeof router !== 'function') {
-                            return res.status(500).json({ 
-                                error: 'App function must return a valid Express router or app',
-                                appName: req.appName
-                            });
-                        }
-                    }
-                } else {
-                    return res.status(500).json({ 
-                        error: 'App must export an Express app or a function that returns an Express app',
-                        appName: req.appName,
-                        hint: 'Use: module.exports = app; or module.exports = () => app;'
-                    });
-                }
-
-                // Fix view engine paths for the app
-                if (router.set && router.get) {
-                    const viewEngine = router.get('view engine');
-                    
-                    // If the app uses a view engine (ejs, pug, etc.), ensure views path is correct
-                    if (viewEngine) {
-                        const currentViews = router.get('views');
-                        const viewsPath = path.join(req.appPath, 'views');
-                        
-                        // Always set to app's views directory to override default cwd behavior
-                        router.set('views', viewsPath);
-                        console.log(`[LazyLoader] Set views path to: ${viewsPath} (was: ${currentViews})`);
-                    }
-                }
-            } else {
-                return res.status(500).json({ 
-                    error: `Unsupported app type: ${appType}`,
-                    appName: req.appName 
+            const result = await loadAppEntry(req.appName, req.appPath);
+            if (!result.entry) {
+                return res.status(result.status).json({ 
+                    error: result.error,
+                    appName: req.appName,
+                    hint: result.hint || undefined
                 });
             }
 
             // Cache the router with metadata
-            cached = {
-                router,
-                loadedAt: Date.now(),
-                lastUsed: Date.now(),
-                requestCount: 0,
-                appEnv,  // Store environment variables
-                appType  // Store app type
-            };
-
+            cached = result.entry;
             appCache.set(req.appName, cached);
-            console.log(`[LazyLoader] ✅ Loaded ${appType} app: ${req.appName}`);
-            await Logger.log(req.appName, 'load', `${appType} app loaded into memory`, { 
-                appType,
-                envVarsCount: Object.keys(appEnv).length 
-            });
+            console.log(`[LazyLoader] ✅ Loaded ${cached.appType} app: ${req.appName}`);
+
+            // Bring the candidate release back up if a canary is running
+            await attachCanary(req.appName, cached, result.canary);
 
             // Start watching for file changes (hot reload in development)
             if (process.env.NODE_ENV === 'development') {
@@ -220,12 +515,20 @@ async function lazyLoader(req, res, next) {
     // Update usage statistics
     cached.lastUsed = Date.now();
     cached.requestCount++;
+
+    // Route to the canary release for its share of clients
+    const target = selectReleaseEntry(req, res, cached);
     
-    // Attach router to request
-    req.appRouter = cached.router;
+    // Attach router (or worker for isolated apps) to request
+    // In-flight requests keep these references, so they finish on the
+    // version they started on even if the app is hot-swapped meanwhile
+    req.appRouter = target.router;
+    req.appProcessEnv = target.processEnv;
+    req.appWorker = target.worker;
+    req.appRelease = target.release;
     
     // Attach per-app environment variables (read-only)
-    req.appEnv = { ...cached.appEnv };  // Clone to prevent mutation
+    req.appEnv = { ...target.appEnv };  // Clone to prevent mutation
     
     // Attach per-app MongoDB database
     const appDb = MongoDBManager.getAppDatabase(req.appName);
@@ -238,6 +541,196 @@ async function lazyLoader(req, res, next) {
     next();
 }
 
+/**
+ * Preload the current version of an app and swap it in without downtime
+ * The running version keeps serving until the new one has loaded and passed
+ * its readiness check; if loading fails the running version stays in place.
+ * @param {string} appName 
+ * @returns {Promise<Object>} - { swapped: boolean } (false if the app was not loaded before)
+ */
+function reloadApp(appName) {
+    // Concurrent redeploys share the same swap
+    if (reloading.has(appName)) {
+        return reloading.get(appName);
+    }
+
+    const promise = swapApp(appName).finally(() => {
+        reloading.delete(appName);
+    });
+    reloading.set(appName, promise);
+
+    return promise;
+}
+
+async function swapApp(appName) {
+    const resolved = resolveApp(appName);
+    if (!resolved.exists) {
+        throw new Error(`App directory not found for ${appName}`);
+    }
+
+    const previous = appCache.get(appName);
+
+    // Shared apps need fresh module instances; the running router keeps
+    // references to the modules it already loaded
+    if (!previous || !previous.worker) {
+        clearAppModules(fs.realpathSync(resolved.appPath));
+    }
+
+    let result;
+    try {
+        result = await loadAppEntry(appName, resolved.appPath, {
+            replaceWorker: !!(previous && previous.worker)
+        });
+        if (!result.entry) {
+            throw new Error(result.error);
+        }
+    } catch (err) {
+        console.error(`[LazyLoader] Hot swap failed for ${appName}:`, err.message);
+        await Logger.log(appName, 'error', previous
+            ? `Hot swap failed, previous version still serving: ${err.message}`
+            : `Failed to preload: ${err.message}`, {}, 'error');
+        throw err;
+    }
+
+    const entry = result.entry;
+    appCache.set(appName, entry);
+
+    if (previous) {
+        // A running canary keeps its share of traffic
+        entry.canary = previous.canary;
+
+        // Old worker finishes its in-flight requests, then exits
+        if (previous.worker && previous.worker !== entry.worker) {
+            workerManager.retire(previous.worker);
+        }
+        if (!previous.worker && previous.appDir !== entry.appDir) {
+            clearAppModules(previous.appDir);
+        }
+    } else {
+        if (process.env.NODE_ENV === 'development') {
+            fileWatcher.watchApp(appName, unloadApp);
+        }
+        await attachCanary(appName, entry, result.canary);
+    }
+
+    console.log(`[LazyLoader] 🔁 ${previous ? 'Hot-swapped' : 'Preloaded'} ${entry.appType} app: ${appName}`);
+    return { swapped: !!previous };
+}
+
+/**
+ * Switch a loaded app to newly activated code
+ * Hot-swaps when possible; if the new code fails to load the app is unloaded
+ * so the next request reports the error instead of serving stale code.
+ * Apps that are not loaded are left to load lazily.
+ * @param {string} appName 
+ * @returns {Promise<Object>} - { wasLoaded, swapped, error }
+ */
+async function swapOrUnload(appName) {
+    if (!appCache.has(appName)) {
+        return { wasLoaded: false, swapped: false, error: null };
+    }
+
+    try {
+        await reloadApp(appName);
+        return { wasLoaded: true, swapped: true, error: null };
+    } catch (err) {
+        unloadApp(appName);
+        return { wasLoaded: true, swapped: false, error: err.message };
+    }
+}
+
+/**
+ * Check whether an app is currently loaded
+ * @param {string} appName 
+ * @returns {boolean}
+ */
+function isAppLoaded(appName) {
+    return appCache.has(appName);
+}
+
+/**
+ * Start (or re-weight) a canary release of a loaded app
+ * The candidate is loaded before it takes any traffic; apps that are not
+ * loaded pick the canary up when they next load.
+ * @param {string} appName 
+ * @param {number} version - Candidate release number
+ * @param {number} weight - Percentage of new clients routed to the candidate
+ * @returns {Promise<boolean>} - Whether the candidate is loaded now
+ */
+async function startCanary(appName, version, weight) {
+    const cached = appCache.get(appName);
+    if (!cached) {
+        return false;
+    }
+
+    if (cached.canary && cached.canary.release === version) {
+        cached.canary.weight = weight;
+        return true;
+    }
+
+    const entry = await loadCanaryEntry(appName, version);
+
+    // The app may have been unloaded while the candidate was loading
+    if (appCache.get(appName) !== cached) {
+        disposeEntry(entry);
+        return false;
+    }
+
+    const previous = cached.canary;
+    cached.canary = { release: version, weight, entry };
+    if (previous) {
+        disposeEntry(previous.entry, { drain: true });
+    }
+
+    console.log(`[LazyLoader] 🐤 Canary v${version} taking ${weight}% of traffic for ${appName}`);
+    return true;
+}
+
+/**
+ * Stop routing traffic to the canary release
+ * @param {string} appName 
+ * @returns {boolean} - Whether a canary was loaded
+ */
+function abortCanary(appName) {
+    const cached = appCache.get(appName);
+    if (!cached || !cached.canary) {
+        return false;
+    }
+
+    const canary = cached.canary;
+    cached.canary = null;
+    disposeEntry(canary.entry, { drain: true });
+
+    console.log(`[LazyLoader] Canary v${canary.release} stopped for ${appName}`);
+    return true;
+}
+
+/**
+ * Make the loaded canary the app's current version
+ * Call after the canary release has been activated on disk. The already
+ * warm candidate takes over all traffic; without one the app is hot-swapped.
+ * @param {string} appName 
+ * @returns {Promise<Object>} - { wasLoaded, swapped, error }
+ */
+async function promoteCanary(appName) {
+    const cached = appCache.get(appName);
+    if (!cached || !cached.canary) {
+        return swapOrUnload(appName);
+    }
+
+    const entry = cached.canary.entry;
+    entry.lastUsed = cached.lastUsed;
+    entry.requestCount = cached.requestCount;
+    if (entry.worker) {
+        workerManager.promote(entry.worker);
+    }
+    appCache.set(appName, entry);
+    disposeEntry(cached, { drain: true });
+
+    console.log(`[LazyLoader] ✅ Promoted canary v${entry.release} for ${appName}`);
+    return { wasLoaded: true, swapped: true, error: null };
+}
+
 /**
  * Get all cached apps info
  * @returns {Array}
@@ -250,7 +743,13 @@ function getCachedApps() {
             loadedAt: new Date(data.loadedAt).toISOString(),
             lastUsed: new Date(data.lastUsed).toISOString(),
             requestCount: data.requestCount,
-            idleTime: Date.now() - data.lastUsed
+            idleTime: Date.now() - data.lastUsed,
+            isolated: !!data.worker,
+            pid: data.worker ? data.worker.pid : null,
+            release: data.release,
+            canary: data.canary ? { release: data.canary.release, weight: data.canary.weight } : null,
+            usage: getResourceUsage(data),
+            limits: data.limits
         });
     }
     return apps;
@@ -263,19 +762,21 @@ function getCachedApps() {
  */
 function unloadApp(appName) {
     if (appCache.has(appName)) {
-        const appPath = path.join(__dirname, '../apps', appName, 'server.js');
-        try {
-            clearAppCache(appPath);
-            
-            // Also clear all related modules in require cache
-            const appDir = path.join(__dirname, '../apps', appName);
-            Object.keys(require.cache).forEach(key => {
-                if (key.startsWith(appDir)) {
-                    delete require.cache[key];
-                }
-            });
-        } catch (err) {
-            console.error(`[LazyLoader] Error clearing cache for ${appName}:`, err.message);
+        const cached = appCache.get(appName);
+
+        if (cached.canary) {
+            disposeEntry(cached.canary.entry);
+        }
+
+        if (cached.worker) {
+            // Isolated app - kill the worker process
+            workerManager.stop(appName);
+        } else {
+            try {
+                clearAppModules(cached.appDir);
+            } catch (err) {
+                console.error(`[LazyLoader] Error clearing cache for ${appName}:`, err.message);
+            }
         }
         appCache.delete(appName);
         
@@ -286,6 +787,7 @@ function unloadApp(appName) {
         Logger.log(appName, 'unload', 'App unloaded from memory').catch(err => {
             console.error('[LazyLoader] Failed to log unload event:', err);
         });
+        lifecycleHooks.runInBackground(appName, cached.appDir, 'onUnload', { release: cached.release });
         return true;
     }
     return false;
@@ -315,10 +817,77 @@ function unloadIdleApps(idleThreshold = 15 * 60 * 1000) { // Default: 15 minutes
     return unloaded;
 }
 
+/**
+ * Unload an app that exceeded its resource budget and mark it as errored
+ * @param {string} appName 
+ * @param {string} reason - Human readable description of the violation
+ * @param {Object} usage - Usage at the time of eviction
+ * @param {Object} limits - Configured limits
+ */
+async function evictApp(appName, reason, usage, limits) {
+    console.warn(`[LazyLoader] ⚠️ Evicting ${appName}: ${reason}`);
+    unloadApp(appName);
+
+    try {
+        const App = require('../models/App');
+        await App.findOneAndUpdate(
+            { slug: appName },
+            {
+                status: 'error',
+                lastError: `${RESOURCE_LIMIT_ERROR}: ${reason}`,
+                updatedAt: new Date()
+            }
+        );
+    } catch (err) {
+        console.error(`[LazyLoader] Failed to update status for ${appName}:`, err.message);
+    }
+
+    await Logger.log(appName, 'error', `${RESOURCE_LIMIT_ERROR}: ${reason}`, { usage, limits }, 'error');
+}
+
+/**
+ * Check loaded apps against their resource limits and evict offenders
+ * @returns {Array} - Array of evicted app names
+ */
+function enforceResourceLimits() {
+    const evicted = [];
+
+    for (const [appName, data] of appCache.entries()) {
+        const { maxMemoryMB, maxCpuTimeMs, cpuWindowMs } = data.limits;
+        const usage = getResourceUsage(data);
+        let reason = null;
+
+        if (maxMemoryMB && usage.memoryMB !== null && usage.memoryMB > maxMemoryMB) {
+            reason = `memory usage ${usage.memoryMB}MB exceeds limit of ${maxMemoryMB}MB`;
+        } else if (maxCpuTimeMs && usage.cpuTimeMs !== null && usage.cpuTimeMs > maxCpuTimeMs) {
+            reason = `CPU time ${usage.cpuTimeMs}ms in ${Math.round(cpuWindowMs / 1000)}s window exceeds limit of ${maxCpuTimeMs}ms`;
+        }
+
+        if (reason) {
+            evictApp(appName, reason, usage, data.limits).catch(err => {
+                console.error(`[LazyLoader] Failed to evict ${appName}:`, err);
+            });
+            evicted.push(appName);
+        } else {
+            rollCpuWindow(data);
+        }
+    }
+
+    return evicted;
+}
+
 module.exports = {
     lazyLoader,
+    selectReleaseEntry,
     getCachedApps,
     unloadApp,
+    reloadApp,
+    swapOrUnload,
+    isAppLoaded,
+    startCanary,
+    abortCanary,
+    promoteCanary,
     unloadIdleApps,
+    enforceResourceLimits,
     validateAppCode
 };
@@ -1,5 +1,19 @@
 const Logger = require('../utils/logger');
 
+// Response times kept per release for percentile calculation
+const RELEASE_SAMPLE_SIZE = 500;
+
+/**
+ * Empty request, response time and error stats
+ */
+function createRequestStats() {
+  return {
+    requests: { total: 0, success: 0, errors: 0, byStatus: {}, byMethod: {}, byPath: {} },
+    responseTimes: { total: 0, count: 0, min: Infinity, max: 0, avg: 0 },
+    errors: { byType: {}, byPath: {}, last10: [] }
+  };
+}
+
 /**
  * Metrics Collector
  * Tracks request metrics, response times, and error rates
@@ -37,6 +51,12 @@ class MetricsCollector {
       lastReset: new Date()
     };
 
+    // Per-release stats for apps, used to compare a canary with the current release
+    this.releaseMetrics = {}; // appName -> { [version]: stats }
+
+    // Request stats per app, for users who may only see some apps
+    this.appMetrics = {}; // appName -> createRequestStats()
+
     // Update memory metrics every 30 seconds
     this.memoryInterval = setInterval(() => {
       this.updateMemoryMetrics();
@@ -83,6 +103,15 @@ class MetricsCollector {
           this.recordError(req, statusCode);
         }
 
+        if (req.appName) {
+          this.recordAppRequest(req, path, statusCode, responseTime);
+        }
+
+        // Break down app traffic by the release that served it
+        if (req.appName && req.appRelease) {
+          this.recordReleaseRequest(req.appName, req.appRelease, statusCode, responseTime);
+        }
+
         // Attach metrics to request for logging
         req.metrics = {
           responseTime,
@@ -136,6 +165,109 @@ class MetricsCollector {
     }
   }
 
+  /**
+   * Record a request served by an app
+   */
+  recordAppRequest(req, path, statusCode, time) {
+    const stats = this.appMetrics[req.appName] || (this.appMetrics[req.appName] = createRequestStats());
+    const count = (counts, key) => {
+      counts[key] = (counts[key] || 0) + 1;
+    };
+
+    stats.requests.total++;
+    count(stats.requests.byMethod, req.method);
+    count(stats.requests.byPath, path);
+    count(stats.requests.byStatus, statusCode);
+
+    stats.responseTimes.total += time;
+    stats.responseTimes.count++;
+    stats.responseTimes.min = Math.min(stats.responseTimes.min, time);
+    stats.responseTimes.max = Math.max(stats.responseTimes.max, time);
+    stats.responseTimes.avg = stats.responseTimes.total / stats.responseTimes.count;
+
+    if (statusCode >= 200 && statusCode < 400) {
+      stats.requests.success++;
+    } else if (statusCode >= 400) {
+      stats.requests.errors++;
+      count(stats.errors.byType, this.getErrorType(statusCode));
+      count(stats.errors.byPath, path);
+      stats.errors.last10.unshift({ timestamp: new Date(), path, statusCode, method: req.method, ip: req.ip });
+      if (stats.errors.last10.length > 10) {
+        stats.errors.last10.pop();
+      }
+    }
+  }
+
+  /**
+   * Record a request served by a specific app release
+   */
+  recordReleaseRequest(appName, version, statusCode, time) {
+    const releases = this.releaseMetrics[appName] || (this.releaseMetrics[appName] = {});
+    const stats = releases[version] || (releases[version] = {
+      requests: 0,
+      clientErrors: 0,
+      serverErrors: 0,
+      totalTime: 0,
+      maxTime: 0,
+      samples: [],
+      since: new Date()
+    });
+
+    stats.requests++;
+    if (statusCode >= 500) {
+      stats.serverErrors++;
+    } else if (statusCode >= 400) {
+      stats.clientErrors++;
+    }
+    stats.totalTime += time;
+    stats.maxTime = Math.max(stats.maxTime, time);
+
+    stats.samples.push(time);
+    if (stats.samples.length > RELEASE_SAMPLE_SIZE) {
+      stats.samples.shift();
+    }
+  }
+
+  /**
+   * Get error rate and latency per release of an app
+   * Error rate counts 5xx responses only; 4xx are reported separately.
+   * @param {string} appName - App slug
+   * @returns {Array} - One entry per release, newest first
+   */
+  getReleaseMetrics(appName) {
+    const releases = this.releaseMetrics[appName] || {};
+
+    return Object.entries(releases)
+      .map(([version, stats]) => {
+        const sorted = [...stats.samples].sort((a, b) => a - b);
+        const percentile = (p) => sorted.length
+          ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))]
+          : 0;
+
+        return {
+          release: Number(version),
+          requests: stats.requests,
+          clientErrors: stats.clientErrors,
+          serverErrors: stats.serverErrors,
+          errorRate: stats.requests ? stats.serverErrors / stats.requests : 0,
+          avgResponseTime: stats.requests ? Math.round(stats.totalTime / stats.requests) : 0,
+          p50ResponseTime: percentile(0.5),
+          p95ResponseTime: percentile(0.95),
+          maxResponseTime: stats.maxTime,
+          since: stats.since
+        };
+      })
+      .sort((a, b) => b.release - a.release);
+  }
+
+  /**
+   * Clear per-release stats of an app (e.g. when a new canary starts)
+   * @param {string} appName - App slug
+   */
+  resetReleaseMetrics(appName) {
+    delete this.releaseMetrics[appName];
+  }
+
   /**
    * Update memory metrics
    */
@@ -181,6 +313,54 @@ class MetricsCollector {
     };
   }
 
+  /**
+   * Get metrics of some apps only, in the shape of getMetrics()
+   * Platform memory is left out.
+   * @param {Function} includeApp - (appName) => boolean
+   */
+  getAppMetrics(includeApp) {
+    const merged = createRequestStats();
+    const add = (target, source) => {
+      for (const [key, value] of Object.entries(source)) {
+        target[key] = (target[key] || 0) + value;
+      }
+    };
+
+    for (const [appName, stats] of Object.entries(this.appMetrics)) {
+      if (!includeApp(appName)) {
+        continue;
+      }
+      merged.requests.total += stats.requests.total;
+      merged.requests.success += stats.requests.success;
+      merged.requests.errors += stats.requests.errors;
+      add(merged.requests.byStatus, stats.requests.byStatus);
+      add(merged.requests.byMethod, stats.requests.byMethod);
+      add(merged.requests.byPath, stats.requests.byPath);
+
+      merged.responseTimes.total += stats.responseTimes.total;
+      merged.responseTimes.count += stats.responseTimes.count;
+      merged.responseTimes.min = Math.min(merged.responseTimes.min, stats.responseTimes.min);
+      merged.responseTimes.max = Math.max(merged.responseTimes.max, stats.responseTimes.max);
+
+      add(merged.errors.byType, stats.errors.byType);
+      add(merged.errors.byPath, stats.errors.byPath);
+      merged.errors.last10.push(...stats.errors.last10);
+    }
+
+    if (merged.responseTimes.count) {
+      merged.responseTimes.avg = merged.responseTimes.total / merged.responseTimes.count;
+    }
+    merged.errors.last10 = merged.errors.last10
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, 10);
+
+    return {
+      ...merged,
+      timestamp: new Date(),
+      uptime: Math.round(process.uptime())
+    };
+  }
+
   /**
    * Reset metrics
    */
@@ -215,6 +395,8 @@ class MetricsCollector {
       uptime: 0,
       lastReset: new Date()
     };
+    this.releaseMetrics = {};
+    this.appMetrics = {};
   }
 
   /**
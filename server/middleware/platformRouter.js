@@ -1,20 +1,90 @@
 const { extractSubdomain } = require('../utils/subdomainExtractor');
 const { resolveApp } = require('../utils/appResolver');
+const domainResolver = require('../utils/domainResolver');
+const platformDomains = require('../utils/platformDomains');
 
-function platformRouter(req , res , next){
+const APP_PATH_PATTERN = new RegExp(`^${platformDomains.APP_PATH_PREFIX}/([^/]+)(/.*)?$`);
+
+/**
+ * Route /apps/<slug>/... on the platform domain to the app (path mode)
+ * Strips the prefix from req.url and exposes it as req.baseUrl.
+ * @returns {boolean} - Whether the request was handled
+ */
+function routeByPath(req, res, next) {
+    const match = req.path.match(APP_PATH_PATTERN);
+    if (!match) {
+        return false;
+    }
+
+    const appName = match[1].toLowerCase();
+    const basePath = platformDomains.getAppBasePath(appName);
+    const result = resolveApp(appName);
+    if (!result.exists) {
+        res.status(404).send({ error: 'App not found'});
+        return true;
+    }
+
+    // Redirect /apps/<slug> to /apps/<slug>/ so relative URLs resolve under the prefix
+    if (!match[2] && ['GET', 'HEAD'].includes(req.method)) {
+        const query = req.url.slice(req.path.length);
+        res.redirect(301, `${basePath}/${query}`);
+        return true;
+    }
+
+    // Strip the prefix so the app sees its own routes
+    const rest = req.url.slice(basePath.length);
+    req.url = rest.startsWith('/') ? rest : `/${rest}`;
+    req.baseUrl = basePath;
+
+    req.appName = appName;
+    req.appPath = result.appPath;
+    next();
+    return true;
+}
+
+async function platformRouter(req , res , next){
     const hostname =req.hostname;
+
+    // Domain ownership check - serve the token for any attached hostname
+    if (req.path === domainResolver.verificationPath) {
+        try {
+            const token = await domainResolver.getVerificationToken(hostname);
+            if (token) {
+                return res.type('text/plain').send(token);
+            }
+        } catch (err) {
+            console.error(`[PlatformRouter] Failed to look up verification token for ${hostname}:`, err.message);
+        }
+    }
+
     const sub = extractSubdomain(hostname);
     if(sub.isPlatform){
+        if (platformDomains.isPathRoutingEnabled() && routeByPath(req, res, next)) {
+            return;
+        }
         return next();
     }
-    if(!sub.appName){
+
+    // Subdomains are not routed in path-only mode
+    let appName = platformDomains.isSubdomainRoutingEnabled() ? sub.appName : null;
+
+    // Not a platform subdomain - look up custom domains
+    if(!appName){
+        try {
+            appName = await domainResolver.resolve(hostname);
+        } catch (err) {
+            console.error(`[PlatformRouter] Failed to resolve custom domain ${hostname}:`, err.message);
+            return res.status(503).send({ error: 'Domain lookup unavailable'});
+        }
+    }
+    if(!appName){
         return res.status(404).send({error: ' Invalid app domain'});
     }
-    const result = resolveApp(sub.appName);
+    const result = resolveApp(appName);
     if(!result.exists){
         return res.status(404).send({ error: 'App not found'});
     }
-    req.appName = sub.appName;
+    req.appName = appName;
     req.appPath = result.appPath;
     
     next();
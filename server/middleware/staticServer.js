@@ -53,6 +53,21 @@ class StaticServer {
       });
     }
 
+    // Under path-based routing (req.baseUrl = /apps/<slug>), HTML pages are
+    // rewritten so root-relative asset URLs resolve under the prefix
+    router.use((req, res, next) => {
+      if (!req.baseUrl || !['GET', 'HEAD'].includes(req.method)) {
+        return next();
+      }
+
+      const htmlFile = StaticServer.resolveHtmlFile(staticPath, req.path);
+      if (!htmlFile) {
+        return next();
+      }
+
+      StaticServer.sendHtml(res, htmlFile, req.baseUrl);
+    });
+
     // Serve static files
     router.use(express.static(staticPath, {
       index: ['index.html'],
@@ -61,10 +76,13 @@ class StaticServer {
     }));
 
     // SPA fallback - serve index.html for all non-file routes
-    router.get('*', (req, res) => {
+    router.get('/{*splat}', (req, res) => {
       const indexPath = path.join(staticPath, 'index.html');
       
       if (fs.existsSync(indexPath)) {
+        if (req.baseUrl) {
+          return StaticServer.sendHtml(res, indexPath, req.baseUrl);
+        }
         res.sendFile(indexPath);
       } else {
         res.status(404).json({ 
@@ -77,6 +95,81 @@ class StaticServer {
     return router;
   }
 
+  /**
+   * Find the HTML file a request path maps to (directory index or .html file)
+   * @param {string} staticPath - Absolute path to the build directory
+   * @param {string} requestPath - Request path (e.g., '/', '/about/', '/docs.html')
+   * @returns {string|null} - Absolute file path or null
+   */
+  static resolveHtmlFile(staticPath, requestPath) {
+    let decodedPath;
+    try {
+      decodedPath = decodeURIComponent(requestPath);
+    } catch (err) {
+      return null;
+    }
+
+    let filePath;
+    if (decodedPath.endsWith('/')) {
+      filePath = path.join(staticPath, decodedPath, 'index.html');
+    } else if (decodedPath.endsWith('.html')) {
+      filePath = path.join(staticPath, decodedPath);
+    } else {
+      return null;
+    }
+
+    // Prevent path traversal outside the build directory
+    if (!filePath.startsWith(staticPath + path.sep)) {
+      return null;
+    }
+
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+
+  /**
+   * Rewrite an HTML document to work under a path prefix
+   * Prefixes root-relative src/href/action URLs and injects a <base> tag.
+   * @param {string} html - HTML document
+   * @param {string} basePath - Prefix the app is mounted under (e.g., '/apps/my-shop')
+   * @returns {string}
+   */
+  static rewriteHtml(html, basePath) {
+    const base = basePath.endsWith('/') ? basePath : `${basePath}/`;
+    const escapedBase = base.slice(1).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    // Skip protocol-relative URLs and paths that already carry the prefix
+    const rootRelative = new RegExp(`(\\s(?:src|href|action)=["'])/(?!/|${escapedBase})`, 'gi');
+    let output = html.replace(rootRelative, `$1${base}`);
+
+    // Relative URLs and client-side routers resolve against <base>
+    if (!/<base\s/i.test(output)) {
+      output = output.replace(/<head(\s[^>]*)?>/i, (tag) => `${tag}\n    <base href="${base}">`);
+    }
+
+    return output;
+  }
+
+  /**
+   * Send an HTML file rewritten for a path prefix
+   * @param {Object} res - Express response
+   * @param {string} filePath - Absolute path to the HTML file
+   * @param {string} basePath - Prefix the app is mounted under
+   */
+  static sendHtml(res, filePath, basePath) {
+    fs.readFile(filePath, 'utf8', (err, html) => {
+      if (err) {
+        console.error('[StaticServer] Failed to read HTML file:', err.message);
+        return res.status(500).json({
+          error: 'Failed to read file',
+          message: err.message
+        });
+      }
+
+      res.set('Cache-Control', 'no-cache');
+      res.type('html').send(StaticServer.rewriteHtml(html, basePath));
+    });
+  }
+
   /**
    * Check if a directory contains a valid frontend build
    * @param {string} appPath - Path to app directory
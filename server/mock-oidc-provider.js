@@ -0,0 +1,142 @@
+/**
+ * mock-oidc-provider.js
+ * A minimal OpenID Connect provider for trying out single sign-on locally
+ *
+ * Not for production: it signs in whoever fills in the form. Start it with
+ * `npm run mock-oidc` and point the platform at it:
+ *
+ *   OIDC_ISSUER=http://localhost:5556
+ *   OIDC_CLIENT_ID=platformx
+ *   OIDC_ROLE_MAPPING=group:admins=admin,domain:example.com=developer
+ *
+ * Supports discovery, the authorization-code flow with PKCE (S256), userinfo
+ * and a JWKS endpoint with a key generated at startup.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = process.env.MOCK_OIDC_PORT || 5556;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Authorization codes and access tokens, in memory
+const codes = new Map();
+const accessTokens = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile', 'groups']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Login form standing in for the provider's own login page
+app.get('/authorize', (req, res) => {
+  const { response_type: responseType, code_challenge_method: challengeMethod } = req.query;
+  if (responseType !== 'code' || challengeMethod !== 'S256' || !req.query.code_challenge) {
+    return res.status(400).send('Only response_type=code with PKCE (S256) is supported');
+  }
+
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+
+  res.send(`<!DOCTYPE html>
+<html>
+<head><title>Mock OIDC Provider</title></head>
+<body style="font-family: sans-serif; max-width: 400px; margin: 60px auto;">
+  <h2>Mock OIDC Provider</h2>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Username<br><input name="username" value="jane" required></label></p>
+    <p><label>Email<br><input name="email" value="jane@example.com" required></label></p>
+    <p><label>Groups (comma-separated)<br><input name="groups" value="admins"></label></p>
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { client_id: clientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge, username, email, groups } = req.body;
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    clientId,
+    redirectUri,
+    nonce,
+    codeChallenge,
+    claims: {
+      sub: `mock|${username}`,
+      preferred_username: username,
+      name: username,
+      email,
+      email_verified: true,
+      groups: String(groups || '').split(',').map(group => group.trim()).filter(Boolean)
+    }
+  });
+
+  const url = new URL(redirectUri);
+  url.searchParams.set('code', code);
+  url.searchParams.set('state', state);
+  res.redirect(url.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, code_verifier: codeVerifier } = req.body;
+  const entry = codes.get(code);
+  codes.delete(code);
+
+  const challenge = codeVerifier ? crypto.createHash('sha256').update(codeVerifier).digest('base64url') : null;
+  if (grantType !== 'authorization_code' || !entry || entry.clientId !== clientId ||
+    entry.redirectUri !== redirectUri || entry.codeChallenge !== challenge) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  const accessToken = crypto.randomBytes(16).toString('hex');
+  accessTokens.set(accessToken, entry.claims);
+
+  const idToken = jwt.sign({ ...entry.claims, nonce: entry.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: clientId,
+    expiresIn: 300
+  });
+
+  res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const claims = accessTokens.get(token);
+  if (!claims) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+  res.json(claims);
+});
+
+app.listen(PORT, () => {
+  console.log(`🔑 Mock OIDC provider running at ${ISSUER}`);
+});
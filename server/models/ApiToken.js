@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * ApiToken Model
+ * A long-lived token for scripts and CI, acting as its user with limited scopes
+ * Only a SHA-256 hash of the token is stored; the token itself is shown once
+ * when it is created.
+ */
+const apiTokenSchema = new mongoose.Schema({
+  // What the token is for, e.g. "GitHub Actions deploy"
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // User the token acts as
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // SHA-256 of the token
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Start of the token (e.g. pxt_AbCd1234), to recognise it in the list
+  prefix: {
+    type: String,
+    required: true
+  },
+
+  // Allowed actions, see SCOPES in utils/permissions.js
+  scopes: {
+    type: [String],
+    default: []
+  },
+
+  // Apps the token is limited to; empty for every app its user can access
+  apps: {
+    type: [String],
+    default: []
+  },
+
+  // Null for tokens that don't expire
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+
+  // User who created the token (an admin may create one for a service account)
+  createdBy: {
+    type: String,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+
+module.exports = ApiToken;
@@ -85,6 +85,18 @@ const appSchema = new mongoose.Schema({
     default: null
   },
 
+  // Subdirectory of the repository holding the app (null = repository root)
+  repoPath: {
+    type: String,
+    default: null
+  },
+
+  // Commit SHA of the live release (if deployed via git)
+  deployedCommitSha: {
+    type: String,
+    default: null
+  },
+
   // Entry file path (relative to app root)
   entryFile: {
     type: String,
@@ -112,10 +124,104 @@ const appSchema = new mongoose.Schema({
     default: null
   },
 
+  // Shared environment groups, lowest precedence first; the app's own .env
+  // overrides all of them
+  envGroups: {
+    type: [String],
+    default: []
+  },
+
   // Webhook URL for deployment notifications
   webhookUrl: {
     type: String,
     default: null
+  },
+
+  // Secret verifying Git push webhooks (POST /api/hooks/git/:slug); null = auto-deploy disabled
+  gitWebhookSecret: {
+    type: String,
+    default: null
+  },
+
+  // Release number currently linked at server/apps/<slug> (null = not release-managed)
+  currentRelease: {
+    type: Number,
+    default: null
+  },
+
+  // Candidate release receiving a share of traffic before promotion (release null = none)
+  canary: {
+    release: {
+      type: Number,
+      default: null
+    },
+    // Percentage of new visitors routed to the candidate (0-100)
+    weight: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100
+    },
+    startedAt: {
+      type: Date,
+      default: null
+    },
+    startedBy: {
+      type: String,
+      default: null
+    }
+  },
+
+  // Run backend/fullstack apps in a dedicated worker process instead of the platform process
+  isolated: {
+    type: Boolean,
+    default: false
+  },
+
+  // Custom hostnames routed to this app (e.g., "shop.example.com")
+  customDomains: [{
+    hostname: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    // Token served at /.well-known/platformx-verification to prove ownership
+    verificationToken: {
+      type: String,
+      required: true
+    },
+    verified: {
+      type: Boolean,
+      default: false
+    },
+    verifiedAt: {
+      type: Date,
+      default: null
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Resource budget enforced by the loader (null = unlimited)
+  resourceLimits: {
+    // Max memory in MB (worker RSS for isolated apps)
+    maxMemoryMB: {
+      type: Number,
+      default: null
+    },
+    // Max CPU time in ms the app may use within one window
+    maxCpuTimeMs: {
+      type: Number,
+      default: null
+    },
+    // Length of the CPU accounting window in ms
+    cpuWindowMs: {
+      type: Number,
+      default: 60000
+    }
   }
 }, {
   timestamps: false // We handle timestamps manually for more control
@@ -133,6 +239,9 @@ appSchema.methods.incrementRequestCount = async function() {
   await this.save();
 };
 
+// Index for custom domain lookups
+appSchema.index({ 'customDomains.hostname': 1 });
+
 // Static method to find by slug
 appSchema.statics.findBySlug = function(slug) {
   return this.findOne({ slug });
@@ -147,6 +256,11 @@ appSchema.statics.listApps = function(filters = {}) {
   return this.find(query).sort({ createdAt: -1 });
 };
 
+// Static method to find the app a custom hostname is attached to
+appSchema.statics.findByDomain = function(hostname) {
+  return this.findOne({ 'customDomains.hostname': hostname.toLowerCase() });
+};
+
 const App = mongoose.model('App', appSchema);
 
 module.exports = App;
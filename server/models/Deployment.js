@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+/**
+ * Deployment Model
+ * One run of the deploy pipeline (ZIP upload, Git import, Git update or Git
+ * push webhook) with its status and the build output captured line by line.
+ */
+const deploymentSchema = new mongoose.Schema({
+  // Slug of the app being deployed
+  appSlug: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+
+  // What triggered the deployment
+  source: {
+    type: String,
+    enum: ['zip-upload', 'git-import', 'git-update', 'git-webhook'],
+    required: true
+  },
+
+  // queued -> installing -> building -> validating -> live, or failed/cancelled at any step;
+  // skipped when a push didn't change the directory a monorepo app is deployed from
+  status: {
+    type: String,
+    enum: ['queued', 'installing', 'building', 'validating', 'live', 'failed', 'cancelled', 'skipped'],
+    default: 'queued'
+  },
+
+  // Release produced by this deployment (set once the release exists)
+  release: {
+    type: Number,
+    default: null
+  },
+
+  // Git commit and branch (git-import / git-update)
+  commitSha: {
+    type: String,
+    default: null
+  },
+
+  branch: {
+    type: String,
+    default: null
+  },
+
+  // Admin user who triggered the deploy
+  triggeredBy: {
+    type: String,
+    default: null
+  },
+
+  // Output of the pipeline steps, one entry per line
+  logs: [{
+    _id: false,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    // stdout/stderr of build commands, system for pipeline messages
+    stream: {
+      type: String,
+      enum: ['stdout', 'stderr', 'system'],
+      default: 'system'
+    },
+    line: {
+      type: String,
+      default: ''
+    }
+  }],
+
+  // Set when older lines were dropped to keep the document small
+  logsTruncated: {
+    type: Boolean,
+    default: false
+  },
+
+  // Why the deployment failed
+  error: {
+    type: String,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: false
+});
+
+deploymentSchema.index({ appSlug: 1, createdAt: -1 });
+
+// Static method to list an app's deployments without their logs, newest first
+deploymentSchema.statics.listForApp = function(appSlug, limit = 20) {
+  return this.find({ appSlug })
+    .select('-logs')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+const Deployment = mongoose.model('Deployment', deploymentSchema);
+
+module.exports = Deployment;
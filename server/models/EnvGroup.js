@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * Environment Group Model
+ * A named set of variables shared by several apps (SMTP settings, sandbox
+ * keys, feature flags). Apps list the groups they use in App.envGroups.
+ */
+const envGroupSchema = new mongoose.Schema({
+  // Unique name, lowercase letters, digits and hyphens
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9-]+$/
+  },
+
+  description: {
+    type: String,
+    default: ''
+  },
+
+  // Variables, same rules as .env keys
+  variables: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+envGroupSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+const EnvGroup = mongoose.model('EnvGroup', envGroupSchema);
+
+module.exports = EnvGroup;
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * Git Webhook Delivery Model
+ * One request received on POST /api/hooks/git/:slug and what came of it
+ */
+const gitWebhookDeliverySchema = new mongoose.Schema({
+  // Slug of the app the webhook was sent for
+  appSlug: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+
+  // github, gitlab, gitea or generic
+  provider: {
+    type: String,
+    default: 'generic'
+  },
+
+  // Event name sent by the provider (push, ping, Push Hook...)
+  event: {
+    type: String,
+    default: null
+  },
+
+  // Provider's delivery id, if it sends one
+  deliveryId: {
+    type: String,
+    default: null
+  },
+
+  // Pushed ref and commit
+  ref: {
+    type: String,
+    default: null
+  },
+
+  commitSha: {
+    type: String,
+    default: null
+  },
+
+  // Who pushed, as reported by the provider
+  pusher: {
+    type: String,
+    default: null
+  },
+
+  // rejected: signature invalid (no longer recorded), ignored: not a push to the deployed branch
+  // (or it didn't change the app's repoPath), deploying -> deployed/failed/ignored:
+  // an update was triggered
+  status: {
+    type: String,
+    enum: ['rejected', 'ignored', 'deploying', 'deployed', 'failed'],
+    required: true
+  },
+
+  // Why the delivery was rejected/ignored, or the deploy outcome
+  message: {
+    type: String,
+    default: null
+  },
+
+  // Deployment started by this delivery
+  deployment: {
+    type: String,
+    default: null
+  },
+
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+gitWebhookDeliverySchema.index({ appSlug: 1, receivedAt: -1 });
+
+const GitWebhookDelivery = mongoose.model('GitWebhookDelivery', gitWebhookDeliverySchema);
+
+module.exports = GitWebhookDelivery;
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+/**
+ * Release Model
+ * Immutable record of one deployment of an app. Files for each release live
+ * in server/releases/<slug>/v<version>; server/apps/<slug> links to the
+ * current one.
+ */
+const releaseSchema = new mongoose.Schema({
+  // Slug of the app this release belongs to
+  appSlug: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+
+  // Sequential release number per app (1, 2, 3...)
+  version: {
+    type: Number,
+    required: true
+  },
+
+  // How the release was produced
+  source: {
+    type: String,
+    enum: ['zip-upload', 'git-import', 'git-update', 'git-webhook', 'backup-restore', 'existing'],
+    required: true
+  },
+
+  // ready: can be activated, failed: deploy did not complete,
+  // pruned: files removed by retention (metadata kept)
+  status: {
+    type: String,
+    enum: ['pending', 'ready', 'failed', 'pruned'],
+    default: 'pending'
+  },
+
+  // Git commit deployed (git-import / git-update)
+  commitSha: {
+    type: String,
+    default: null
+  },
+
+  // Git branch the release was built from
+  branch: {
+    type: String,
+    default: null
+  },
+
+  // Admin user who triggered the deploy
+  uploadedBy: {
+    type: String,
+    default: null
+  },
+
+  // App settings the release was deployed with; restored on rollback
+  config: {
+    entryFile: {
+      type: String,
+      default: 'server.js'
+    },
+    appType: {
+      type: String,
+      enum: ['backend', 'frontend', 'fullstack'],
+      default: 'backend'
+    },
+    buildDir: {
+      type: String,
+      default: null
+    }
+  },
+
+  // Outcome of the build step (null when no build was needed)
+  build: {
+    success: {
+      type: Boolean,
+      default: null
+    },
+    output: {
+      type: String,
+      default: null
+    }
+  },
+
+  // Error that caused the release to fail
+  error: {
+    type: String,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Last time this release became the current one
+  activatedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: false
+});
+
+releaseSchema.index({ appSlug: 1, version: -1 }, { unique: true });
+
+// Static method to list an app's releases, newest first
+releaseSchema.statics.listForApp = function(appSlug) {
+  return this.find({ appSlug }).sort({ version: -1 });
+};
+
+// Static method to find one release of an app
+releaseSchema.statics.findVersion = function(appSlug, version) {
+  return this.findOne({ appSlug, version });
+};
+
+const Release = mongoose.model('Release', releaseSchema);
+
+module.exports = Release;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * Secret Model
+ * An app secret, encrypted with the platform key (see utils/encryption.js)
+ * Unlike variables in the app's .env file, secret values are never returned
+ * by the API; apps receive them in req.appEnv.
+ */
+const secretSchema = new mongoose.Schema({
+  // Slug of the app the secret belongs to
+  appSlug: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    index: true
+  },
+
+  // Variable name, same rules as .env keys
+  key: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // Encrypted value (enc:v1:...)
+  value: {
+    type: String,
+    required: true
+  },
+
+  // Masked value shown in the dashboard, e.g. ••••••••abcd
+  masked: {
+    type: String,
+    required: true
+  },
+
+  // Last time the value was set
+  rotatedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Admin who last set the value
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+secretSchema.index({ appSlug: 1, key: 1 }, { unique: true });
+
+const Secret = mongoose.model('Secret', secretSchema);
+
+module.exports = Secret;
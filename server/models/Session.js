@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Model
+ * A dashboard login, kept alive by a rotating refresh token
+ * Only hashes of refresh tokens are stored. Deleting a session logs it out:
+ * its refresh token stops working and so do the access tokens issued for it.
+ */
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // SHA-256 of the current refresh token
+  tokenHash: {
+    type: String,
+    required: true
+  },
+
+  // SHA-256 of the refresh token it replaced; presenting it again means the
+  // token was stolen, so the session is revoked
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+
+  // Browser and OS, from the User-Agent header
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+
+  userAgent: {
+    type: String,
+    default: ''
+  },
+
+  ip: {
+    type: String,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // When the refresh token was last rotated
+  rotatedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Pushed back every time the refresh token is rotated; MongoDB removes
+  // expired sessions
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  }
+}, {
+  timestamps: false
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
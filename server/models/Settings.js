@@ -21,7 +21,7 @@ const settingsSchema = new mongoose.Schema({
   },
   category: {
     type: String,
-    enum: ['github', 'system', 'backup', 'webhook', 'general'],
+    enum: ['github', 'git', 'system', 'backup', 'webhook', 'general'],
     default: 'general'
   },
   updatedAt: {
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const { ROLES, APP_ROLES } = require('../utils/permissions');
+
+/**
+ * User Model
+ * A dashboard account with a platform role and per-app grants
+ * (see utils/permissions.js for what each role may do)
+ */
+const grantSchema = new mongoose.Schema({
+  // Slug of the app
+  slug: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+
+  // Access to the app: developer (read and write) or viewer (read)
+  role: {
+    type: String,
+    enum: APP_ROLES,
+    default: 'viewer'
+  }
+}, {
+  _id: false
+});
+
+const userSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9._-]+$/
+  },
+
+  // bcrypt hash
+  passwordHash: {
+    type: String,
+    required: true
+  },
+
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer'
+  },
+
+  // Apps a developer or viewer can access; owners and admins can access every app
+  apps: {
+    type: [grantSchema],
+    default: []
+  },
+
+  // Disabled users can't log in and their tokens stop working
+  disabled: {
+    type: Boolean,
+    default: false
+  },
+
+  // TOTP two-factor authentication (see utils/twoFactor.js)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+
+    // Base32 secret, encrypted with the platform key
+    secret: {
+      type: String,
+      default: null
+    },
+
+    // Secret being set up, until it is confirmed with a code
+    pendingSecret: {
+      type: String,
+      default: null
+    },
+
+    // SHA-256 hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      default: []
+    },
+
+    // Last accepted time step, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      default: -1
+    },
+
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+
+    // Random id of the latest login challenge; older challenges stop working
+    challengeId: {
+      type: String,
+      default: null
+    },
+
+    // Codes tried against that challenge
+    challengeAttempts: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Identity at the SSO provider, for users created by single sign-on
+  sso: {
+    issuer: {
+      type: String,
+      default: null
+    },
+
+    subject: {
+      type: String,
+      default: null
+    },
+
+    email: {
+      type: String,
+      default: null
+    },
+
+    // Role last given by OIDC_ROLE_MAPPING or OIDC_DEFAULT_ROLE; a different
+    // role was set by an admin and is kept when no mapping rule matches
+    mappedRole: {
+      type: String,
+      default: null
+    }
+  },
+
+  lastLoginAt: {
+    type: Date,
+    default: null
+  },
+
+  // User who created the account, null for the initial owner
+  createdBy: {
+    type: String,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false
+});
+
+userSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+userSchema.statics.findByUsername = function(username) {
+  return this.findOne({ username: String(username).toLowerCase() });
+};
+
+userSchema.index({ 'sso.issuer': 1, 'sso.subject': 1 }, { sparse: true });
+
+userSchema.statics.findBySso = function(issuer, subject) {
+  return this.findOne({ 'sso.issuer': issuer, 'sso.subject': String(subject) });
+};
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
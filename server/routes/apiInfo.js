@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const apiDocs = require('../utils/apiDocs');
+const platformDomains = require('../utils/platformDomains');
 
 /**
  * API Documentation Route
@@ -9,7 +10,18 @@ const apiDocs = require('../utils/apiDocs');
 
 // Get full API documentation
 router.get('/docs', (req, res) => {
-  res.json(apiDocs);
+  res.json({
+    ...apiDocs,
+    baseUrl: platformDomains.getPlatformUrl()
+  });
+});
+
+// Get platform domain configuration (used by the dashboard to build app URLs)
+router.get('/platform/config', (req, res) => {
+  res.json({
+    success: true,
+    ...platformDomains.getPlatformConfig()
+  });
 });
 
 // Get API version
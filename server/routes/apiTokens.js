@@ -0,0 +1,157 @@
+const express = require('express');
+const User = require('../models/User');
+const apiTokenManager = require('../utils/apiTokenManager');
+const Logger = require('../utils/logger');
+const { SCOPES, isAdmin, canManageRole } = require('../utils/permissions');
+
+const router = express.Router();
+
+const MAX_EXPIRY_DAYS = 365 * 5;
+
+/**
+ * Expiry of a new token from expiresInDays (or null for no expiry)
+ * @returns {Date|null|undefined} - Undefined if invalid
+ */
+function parseExpiry(expiresInDays) {
+  if (expiresInDays === undefined || expiresInDays === null || expiresInDays === '') {
+    return null;
+  }
+  const days = Number(expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+    return undefined;
+  }
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * GET /api/admin/api-tokens
+ * List your API tokens; owners and admins see every user's tokens
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tokens = await apiTokenManager.list(isAdmin(req.user) ? null : req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      count: tokens.length,
+      tokens: tokens.map(token => apiTokenManager.format(token)),
+      scopes: SCOPES
+    });
+  } catch (error) {
+    console.error('[API-TOKENS] Error listing tokens:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to list API tokens'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/api-tokens
+ * Create an API token; the token is only returned in this response
+ * Body: { name, scopes: [], apps: [], expiresInDays, username }
+ * username lets owners and admins create a token for another user, such as a
+ * service account
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, apps = [], expiresInDays, username } = req.body || {};
+
+    let user;
+    if (username && username !== req.user.username) {
+      user = await User.findByUsername(username);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: `User '${username}' not found`
+        });
+      }
+      if (!canManageRole(req.user, user.role)) {
+        return res.status(403).json({
+          success: false,
+          error: `You do not have permission to create tokens for '${username}'`
+        });
+      }
+    } else {
+      user = await User.findById(req.user.id);
+    }
+
+    const expiresAt = parseExpiry(expiresInDays);
+    if (expiresAt === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: `expiresInDays must be a whole number of days between 1 and ${MAX_EXPIRY_DAYS}, or empty for no expiry`
+      });
+    }
+
+    const error = apiTokenManager.validate({ name, scopes, apps, expiresAt }, user);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const { apiToken, token } = await apiTokenManager.create(user, { name, scopes, apps, expiresAt }, req.user.username);
+    await apiToken.populate('userId', 'username role');
+
+    await Logger.platform.info(`API token created: '${apiToken.name}' for ${user.username} (${apiToken.scopes.join(', ')}) by ${req.user.username}`);
+
+    return res.status(201).json({
+      success: true,
+      token,
+      apiToken: apiTokenManager.format(apiToken),
+      message: 'API token created. Copy it now, it will not be shown again.'
+    });
+  } catch (error) {
+    console.error('[API-TOKENS] Error creating token:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create API token'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/api-tokens/:id
+ * Revoke an API token
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiToken = await apiTokenManager.get(req.params.id);
+    if (!apiToken) {
+      return res.status(404).json({
+        success: false,
+        error: 'API token not found'
+      });
+    }
+
+    const owner = apiToken.userId;
+    const isOwn = owner && owner._id.toString() === req.user.id;
+    // Tokens of deleted users can be removed by any admin
+    if (!isOwn && !canManageRole(req.user, owner ? owner.role : 'viewer')) {
+      return res.status(404).json({
+        success: false,
+        error: 'API token not found'
+      });
+    }
+
+    await apiToken.deleteOne();
+
+    await Logger.platform.info(`API token revoked: '${apiToken.name}' by ${req.user.username}`);
+
+    return res.status(200).json({
+      success: true,
+      id: req.params.id,
+      message: 'API token revoked'
+    });
+  } catch (error) {
+    console.error('[API-TOKENS] Error revoking token:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API token'
+    });
+  }
+});
+
+module.exports = router;
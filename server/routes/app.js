@@ -7,6 +7,9 @@ const express = require('express');
 const router = express.Router();
 const { listApps, getAppInfo } = require('../utils/appResolver');
 const { getCachedApps, unloadApp, unloadIdleApps } = require('../middleware/lazyLoader');
+const { getPlatformDomains, getAppUrls } = require('../utils/platformDomains');
+const { authenticateToken, requireRole, requireScope, requireAppAccess } = require('../middleware/auth');
+const { hasScope, canReadApp } = require('../utils/permissions');
 
 // GET /api - Platform info
 router.get('/', (req, res) => {
@@ -14,6 +17,7 @@ router.get('/', (req, res) => {
         platform: 'PlatformX',
         version: '1.0.0',
         status: 'running',
+        domains: getPlatformDomains(),
         timestamp: new Date().toISOString(),
         endpoints: [
             'GET /api',
@@ -22,7 +26,8 @@ router.get('/', (req, res) => {
             'GET /api/apps/cached',
             'POST /api/apps/:appName/unload',
             'POST /api/apps/unload-idle',
-            'GET /api/health'
+            'GET /api/health',
+            'GET /api/platform/config'
         ]
     });
 });
@@ -45,10 +50,12 @@ router.get('/apps', (req, res) => {
     }
 });
 
-// GET /api/apps/cached - Get currently loaded apps
-router.get('/apps/cached', (req, res) => {
+// GET /api/apps/cached - Get currently loaded apps the caller can read
+router.get('/apps/cached', authenticateToken, (req, res) => {
     try {
-        const cachedApps = getCachedApps();
+        const cachedApps = hasScope(req.user, 'apps:read')
+            ? getCachedApps().filter(app => canReadApp(req.user, app.appName))
+            : [];
         res.json({
             success: true,
             count: cachedApps.length,
@@ -64,9 +71,9 @@ router.get('/apps/cached', (req, res) => {
 });
 
 // GET /api/apps/:appName - Get detailed info about an app
-router.get('/apps/:appName', (req, res) => {
+router.get('/apps/:slug', authenticateToken, requireAppAccess('read'), (req, res) => {
     try {
-        const { appName } = req.params;
+        const { slug: appName } = req.params;
         const info = getAppInfo(appName);
         
         if (!info) {
@@ -84,6 +91,7 @@ router.get('/apps/:appName', (req, res) => {
             success: true,
             app: {
                 ...info,
+                urls: getAppUrls(appName),
                 isLoaded: !!cached,
                 ...(cached && {
                     loadedAt: cached.loadedAt,
@@ -103,9 +111,9 @@ router.get('/apps/:appName', (req, res) => {
 });
 
 // POST /api/apps/:appName/unload - Manually unload an app from cache
-router.post('/apps/:appName/unload', (req, res) => {
+router.post('/apps/:slug/unload', authenticateToken, requireAppAccess('write', 'apps:deploy'), (req, res) => {
     try {
-        const { appName } = req.params;
+        const { slug: appName } = req.params;
         const success = unloadApp(appName);
         
         if (success) {
@@ -128,8 +136,8 @@ router.post('/apps/:appName/unload', (req, res) => {
     }
 });
 
-// POST /api/apps/unload-idle - Unload all idle apps
-router.post('/apps/unload-idle', (req, res) => {
+// POST /api/apps/unload-idle - Unload all idle apps (owners and admins)
+router.post('/apps/unload-idle', authenticateToken, requireRole('owner', 'admin'), requireScope('admin'), (req, res) => {
     try {
         const { idleThreshold } = req.body || {};
         const threshold = idleThreshold || 15 * 60 * 1000; // Default: 15 minutes
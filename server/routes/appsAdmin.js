@@ -5,12 +5,58 @@ const fsSync = require('fs');
 const App = require('../models/App');
 const Logger = require('../utils/logger');
 const EnvManager = require('../utils/envManager');
-const { unloadApp } = require('../middleware/lazyLoader');
+const { unloadApp, reloadApp, swapOrUnload, isAppLoaded, startCanary, abortCanary, promoteCanary } = require('../middleware/lazyLoader');
+const metricsCollector = require('../middleware/metricsCollector');
 const backupManager = require('../utils/backupManager');
 const webhookManager = require('../utils/webhookManager');
+const gitWebhook = require('../utils/gitWebhook');
+const gitCredentials = require('../utils/gitCredentials');
+const { removeAppTempDir } = require('../utils/envIsolation');
+const secretsManager = require('../utils/secretsManager');
+const envGroupManager = require('../utils/envGroupManager');
+const domainResolver = require('../utils/domainResolver');
+const releaseManager = require('../utils/releaseManager');
+const Release = require('../models/Release');
+const Deployment = require('../models/Deployment');
+const deploymentManager = require('../utils/deploymentManager');
+const lifecycleHooks = require('../utils/lifecycleHooks');
+const { openEventStream } = require('../utils/eventStream');
+const userManager = require('../utils/userManager');
+const apiTokenManager = require('../utils/apiTokenManager');
+const { requireRole, requireScope, requireAppAccess } = require('../middleware/auth');
+const { canReadApp, canManageEnvGroups, canRunInProcess } = require('../utils/permissions');
+const mongoose = require('mongoose');
+const axios = require('axios');
 
 const router = express.Router();
 
+// Reading an app needs a grant, changing it a developer grant; deleting,
+// renaming, syncing and registering apps by hand are left to admins. API
+// tokens also need the matching scope (deploys need apps:deploy).
+const canRead = requireAppAccess('read');
+const canWrite = requireAppAccess('write');
+const canDeploy = requireAppAccess('write', 'apps:deploy');
+const adminOnly = [requireRole('owner', 'admin'), requireScope('admin')];
+
+// Protects secrets included in a backup
+const MIN_BACKUP_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Describe the canary of an app, or null when none is running
+ */
+function formatCanary(app) {
+  if (!app.canary || !app.canary.release) {
+    return null;
+  }
+
+  return {
+    release: app.canary.release,
+    weight: app.canary.weight,
+    startedAt: app.canary.startedAt,
+    startedBy: app.canary.startedBy
+  };
+}
+
 /**
  * Validate appName/slug follows PlatformX naming rules
  */
@@ -29,11 +75,33 @@ function validateSlug(slug) {
   return { valid: true };
 }
 
+/**
+ * Validate resource limits from a request body
+ * Each limit must be a positive number, or null to remove it
+ */
+function validateResourceLimits(limits) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    return { valid: false, error: 'resourceLimits must be an object' };
+  }
+
+  for (const key of ['maxMemoryMB', 'maxCpuTimeMs', 'cpuWindowMs']) {
+    const value = limits[key];
+    if (value === undefined || (value === null && key !== 'cpuWindowMs')) {
+      continue;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+      return { valid: false, error: `resourceLimits.${key} must be a positive number` };
+    }
+  }
+
+  return { valid: true };
+}
+
 /**
  * GET /api/admin/apps
  * List all apps with optional filtering
  */
-router.get('/', async (req, res) => {
+router.get('/', requireScope('apps:read'), async (req, res) => {
   try {
     const { status } = req.query;
     const filters = {};
@@ -42,7 +110,7 @@ router.get('/', async (req, res) => {
       filters.status = status;
     }
 
-    const apps = await App.listApps(filters);
+    const apps = (await App.listApps(filters)).filter(app => canReadApp(req.user, app.slug));
 
     return res.status(200).json({
       success: true,
@@ -70,7 +138,7 @@ router.get('/', async (req, res) => {
  * GET /api/admin/apps/:slug
  * Get full details about a single app
  */
-router.get('/:slug', async (req, res) => {
+router.get('/:slug', canRead, async (req, res) => {
   try {
     const { slug } = req.params;
     const app = await App.findBySlug(slug);
@@ -99,6 +167,18 @@ router.get('/:slug', async (req, res) => {
         lastDeployedAt: app.lastDeployedAt,
         lastError: app.lastError,
         requestCount: app.requestCount,
+        isolated: app.isolated,
+        resourceLimits: app.resourceLimits,
+        customDomains: app.customDomains,
+        currentRelease: app.currentRelease,
+        canary: formatCanary(app),
+        deploymentMethod: app.deploymentMethod,
+        entryFile: app.entryFile,
+        repoUrl: app.repoUrl,
+        repoBranch: app.repoBranch,
+        repoPath: app.repoPath,
+        deployedCommitSha: app.deployedCommitSha,
+        envGroups: app.envGroups,
         deployment: {
           folderExists,
           hasServerFile,
@@ -119,7 +199,7 @@ router.get('/:slug', async (req, res) => {
  * POST /api/admin/apps
  * Create/register a new app entry manually (without ZIP upload)
  */
-router.post('/', async (req, res) => {
+router.post('/', adminOnly, async (req, res) => {
   try {
     const { name, slug, description } = req.body;
 
@@ -182,12 +262,12 @@ router.post('/', async (req, res) => {
 
 /**
  * PATCH /api/admin/apps/:slug
- * Update app metadata (name, description, status)
+ * Update app metadata (name, description, status, isolated, resourceLimits)
  */
-router.patch('/:slug', async (req, res) => {
+router.patch('/:slug', canWrite, async (req, res) => {
   try {
     const { slug } = req.params;
-    const { name, description, status } = req.body;
+    const { name, description, status, isolated, resourceLimits } = req.body;
 
     const app = await App.findBySlug(slug);
     if (!app) {
@@ -210,8 +290,56 @@ router.patch('/:slug', async (req, res) => {
       app.status = status;
     }
 
+    let runtimeChanged = false;
+    if (isolated !== undefined) {
+      if (typeof isolated !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          error: 'isolated must be a boolean'
+        });
+      }
+      if (!isolated && app.isolated && !canRunInProcess(req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only owners and admins can run apps in the platform process'
+        });
+      }
+      runtimeChanged = app.isolated !== isolated;
+      app.isolated = isolated;
+    }
+
+    if (resourceLimits !== undefined) {
+      const limitsValidation = validateResourceLimits(resourceLimits);
+      if (!limitsValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: limitsValidation.error
+        });
+      }
+
+      for (const key of ['maxMemoryMB', 'maxCpuTimeMs', 'cpuWindowMs']) {
+        if (resourceLimits[key] !== undefined && app.resourceLimits[key] !== resourceLimits[key]) {
+          app.resourceLimits[key] = resourceLimits[key];
+          runtimeChanged = true;
+        }
+      }
+    }
+
+    // In-process apps share the platform's heap and CPU, so their usage can't be told apart
+    if (!app.isolated && (app.resourceLimits.maxMemoryMB || app.resourceLimits.maxCpuTimeMs)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Resource limits require isolated mode: in-process apps share the platform\'s memory and CPU'
+      });
+    }
+
     await app.save();
 
+    // Unload so the next request picks up the new runtime mode and limits
+    if (runtimeChanged) {
+      unloadApp(slug);
+    }
+
     console.log(`[ADMIN] Updated app: ${slug}`);
 
     return res.status(200).json({
@@ -221,6 +349,8 @@ router.patch('/:slug', async (req, res) => {
         slug: app.slug,
         status: app.status,
         description: app.description,
+        isolated: app.isolated,
+        resourceLimits: app.resourceLimits,
         updatedAt: app.updatedAt
       }
     });
@@ -237,7 +367,7 @@ router.patch('/:slug', async (req, res) => {
  * DELETE /api/admin/apps/:slug
  * Delete app metadata from DB and remove app folder
  */
-router.delete('/:slug', async (req, res) => {
+router.delete('/:slug', adminOnly, async (req, res) => {
   try {
     const { slug } = req.params;
 
@@ -258,9 +388,18 @@ router.delete('/:slug', async (req, res) => {
       await fs.rm(appPath, { recursive: true, force: true });
       console.log(`[ADMIN] Deleted app folder: ${appPath}`);
     }
+    await releaseManager.deleteApp(slug);
+    await gitCredentials.remove(slug);
+    await secretsManager.removeAll(slug);
+    await removeAppTempDir(slug);
+    await userManager.removeApp(slug);
+    await apiTokenManager.removeApp(slug);
 
     // Delete from database
     await App.deleteOne({ slug });
+    if (app.customDomains.length > 0) {
+      domainResolver.invalidate();
+    }
 
     await Logger.log(slug, 'delete', 'App deleted', { wasLoaded });
 
@@ -282,9 +421,13 @@ router.delete('/:slug', async (req, res) => {
 
 /**
  * POST /api/admin/apps/:slug/redeploy
- * Trigger a redeploy (force app reload)
+ * Trigger a redeploy (zero-downtime reload)
+ * A loaded app is preloaded next to the running version and swapped in once
+ * it passes its readiness check; the running version keeps serving until then.
+ * The app's predeploy hook runs first and a failure stops the redeploy;
+ * postdeploy runs once the app was redeployed.
  */
-router.post('/:slug/redeploy', async (req, res) => {
+router.post('/:slug/redeploy', canDeploy, async (req, res) => {
   try {
     const { slug } = req.params;
 
@@ -296,14 +439,43 @@ router.post('/:slug/redeploy', async (req, res) => {
       });
     }
 
-    // Force unload app (clears cache and require cache)
-    const wasLoaded = unloadApp(slug);
+    const appPath = path.join(__dirname, '../apps', slug);
+    try {
+      await lifecycleHooks.run(slug, appPath, 'predeploy', { release: app.currentRelease });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `Redeploy failed: ${error.message}`,
+        output: error.output,
+        message: 'The previous version is still serving traffic'
+      });
+    }
+
+    // Apps that aren't loaded pick up the current code on the next request
+    const wasLoaded = isAppLoaded(slug);
+    if (wasLoaded) {
+      try {
+        await reloadApp(slug);
+      } catch (error) {
+        return res.status(500).json({
+          success: false,
+          error: `Redeploy failed: ${error.message}`,
+          message: 'The previous version is still serving traffic'
+        });
+      }
+    }
 
     // Update lastDeployedAt
     app.lastDeployedAt = new Date();
     await app.save();
 
-    await Logger.log(slug, 'redeploy', 'App redeployed (forced reload)', { wasLoaded });
+    await Logger.log(slug, 'redeploy', wasLoaded
+      ? 'App redeployed (hot-swapped without downtime)'
+      : 'App redeployed (will load on next request)', { wasLoaded });
+
+    await lifecycleHooks.run(slug, appPath, 'postdeploy', { release: app.currentRelease }).catch(() => {
+      // Recorded in the event log; the app is already redeployed
+    });
 
     console.log(`[ADMIN] Redeployed app: ${slug}`);
 
@@ -312,7 +484,10 @@ router.post('/:slug/redeploy', async (req, res) => {
       slug,
       lastDeployedAt: app.lastDeployedAt,
       wasLoaded,
-      message: 'App redeployed successfully. It will reload on next request.'
+      swapped: wasLoaded,
+      message: wasLoaded
+        ? 'App redeployed successfully. New version is now serving traffic.'
+        : 'App redeployed successfully. It will load on next request.'
     });
   } catch (error) {
     console.error('[ADMIN] Error redeploying app:', error);
@@ -327,7 +502,7 @@ router.post('/:slug/redeploy', async (req, res) => {
  * POST /api/admin/apps/:slug/rename
  * Rename an app (updates slug, folder name, and database)
  */
-router.post('/:slug/rename', async (req, res) => {
+router.post('/:slug/rename', adminOnly, async (req, res) => {
   try {
     const { slug } = req.params;
     const { newName } = req.body;
@@ -389,14 +564,23 @@ router.post('/:slug/rename', async (req, res) => {
     // Unload app if it's cached
     unloadApp(slug);
 
-    // Rename folder
+    // Rename folder (and move release history along with it)
     fsSync.renameSync(oldPath, newPath);
+    await releaseManager.renameApp(slug, newName);
+    await gitCredentials.rename(slug, newName);
+    await secretsManager.rename(slug, newName);
+    await removeAppTempDir(slug);
+    await userManager.renameApp(slug, newName);
+    await apiTokenManager.renameApp(slug, newName);
 
     // Update database
     app.name = newName;
     app.slug = newName;
     await app.save();
 
+    // Custom domains now point at the new slug
+    domainResolver.invalidate();
+
     await Logger.log(newName, 'rename', `App renamed from ${slug} to ${newName}`);
 
     console.log(`[ADMIN] Renamed app: ${slug} -> ${newName}`);
@@ -458,7 +642,7 @@ function findEntryFile(appPath) {
  * Sync filesystem with database (bi-directional)
  * Optionally rename folders with invalid names
  */
-router.post('/sync', async (req, res) => {
+router.post('/sync', adminOnly, async (req, res) => {
   try {
     const { autoRename = false } = req.body; // Optional: auto-rename invalid folders
     const appsDir = path.join(__dirname, '../apps');
@@ -639,7 +823,7 @@ router.post('/sync', async (req, res) => {
  * GET /api/admin/apps/:slug/env
  * Get environment variables for an app
  */
-router.get('/:slug/env', async (req, res) => {
+router.get('/:slug/env', canRead, async (req, res) => {
   try {
     const { slug } = req.params;
 
@@ -672,7 +856,7 @@ router.get('/:slug/env', async (req, res) => {
  * PATCH /api/admin/apps/:slug/env
  * Update environment variables for an app
  */
-router.patch('/:slug/env', async (req, res) => {
+router.patch('/:slug/env', canWrite, async (req, res) => {
   try {
     const { slug } = req.params;
     const { env, envVars, action = 'merge' } = req.body;
@@ -746,7 +930,7 @@ router.patch('/:slug/env', async (req, res) => {
  * DELETE /api/admin/apps/:slug/env
  * Delete specific environment variables or entire .env file
  */
-router.delete('/:slug/env', async (req, res) => {
+router.delete('/:slug/env', canWrite, async (req, res) => {
   try {
     const { slug } = req.params;
     const { keys } = req.body;
@@ -791,11 +975,257 @@ router.delete('/:slug/env', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/apps/:slug/env-groups
+ * Environment groups attached to an app, lowest precedence first
+ */
+router.get('/:slug/env-groups', canRead, async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const app = await App.findBySlug(slug);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        error: `App '${slug}' not found`
+      });
+    }
+
+    const env = await envGroupManager.load(app.envGroups);
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      groups: app.envGroups,
+      env: canManageEnvGroups(req.user) ? env : envGroupManager.mask(env)
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error fetching env groups:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch environment groups'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/apps/:slug/env-groups
+ * Set the environment groups an app uses
+ * Body: { groups: [names] } - lowest precedence first; the app's own .env
+ * overrides all of them. Admins only: attaching a group hands its values to the app
+ */
+router.put('/:slug/env-groups', requireRole('owner', 'admin'), requireAppAccess('write', 'admin'), async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const { groups } = req.body || {};
+
+    if (!Array.isArray(groups) || groups.some(name => typeof name !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'groups must be an array of group names'
+      });
+    }
+
+    if (new Set(groups).size !== groups.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'A group can only be attached once'
+      });
+    }
+
+    const app = await App.findBySlug(slug);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        error: `App '${slug}' not found`
+      });
+    }
+
+    const missing = await envGroupManager.findMissing(groups);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Environment group not found: ${missing.join(', ')}`
+      });
+    }
+
+    app.envGroups = groups;
+    await app.save();
+
+    // Trigger app reload
+    const wasLoaded = unloadApp(slug);
+
+    await Logger.log(slug, 'env-update', 'Environment groups updated', { groups, wasLoaded });
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      groups: app.envGroups,
+      env: await envGroupManager.load(app.envGroups),
+      reloaded: wasLoaded,
+      message: 'Environment groups updated'
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error updating env groups:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update environment groups'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/apps/:slug/secrets
+ * List an app's secrets with masked values
+ */
+router.get('/:slug/secrets', canRead, async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const app = await App.findBySlug(slug);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        error: `App '${slug}' not found`
+      });
+    }
+
+    const secrets = await secretsManager.list(slug);
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      secrets,
+      count: secrets.length
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error fetching secrets:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch secrets'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/apps/:slug/secrets/:key
+ * Create or rotate a secret
+ * The value is write-only; a variable of the same name in the app's .env
+ * file is removed so the secret is the only copy.
+ */
+router.put('/:slug/secrets/:key', canWrite, async (req, res) => {
+  try {
+    const { slug, key } = req.params;
+    const { value } = req.body || {};
+
+    const app = await App.findBySlug(slug);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        error: `App '${slug}' not found`
+      });
+    }
+
+    const validation = EnvManager.validateEnvVars({ [key]: '' });
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.errors[0]
+      });
+    }
+
+    const valueError = secretsManager.validateValue(value);
+    if (valueError) {
+      return res.status(400).json({
+        success: false,
+        error: valueError
+      });
+    }
+
+    const { secret, created } = await secretsManager.set(slug, key, value, req.user ? req.user.username : null);
+
+    const envVars = await EnvManager.loadEnv(slug);
+    const movedFromEnv = Object.prototype.hasOwnProperty.call(envVars, key);
+    if (movedFromEnv) {
+      await EnvManager.deleteEnvKeys(slug, [key]);
+    }
+
+    // Trigger app reload
+    const wasLoaded = unloadApp(slug);
+
+    await Logger.log(slug, 'secret', `Secret ${key} ${created ? 'created' : 'rotated'}`, {
+      key,
+      movedFromEnv,
+      wasLoaded
+    });
+
+    return res.status(created ? 201 : 200).json({
+      success: true,
+      slug,
+      secret,
+      movedFromEnv,
+      reloaded: wasLoaded,
+      message: created ? 'Secret created' : 'Secret rotated'
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error saving secret:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save secret'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/apps/:slug/secrets/:key
+ * Delete a secret
+ */
+router.delete('/:slug/secrets/:key', canWrite, async (req, res) => {
+  try {
+    const { slug, key } = req.params;
+
+    const app = await App.findBySlug(slug);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        error: `App '${slug}' not found`
+      });
+    }
+
+    const removed = await secretsManager.remove(slug, key);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: `Secret '${key}' not found`
+      });
+    }
+
+    // Trigger app reload
+    const wasLoaded = unloadApp(slug);
+
+    await Logger.log(slug, 'secret', `Secret ${key} deleted`, { key, wasLoaded });
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      key,
+      reloaded: wasLoaded,
+      message: 'Secret deleted'
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error deleting secret:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete secret'
+    });
+  }
+});
+
 /**
  * GET /api/admin/apps/:slug/logs
  * Get logs for a specific app
  */
-router.get('/:slug/logs', async (req, res) => {
+router.get('/:slug/logs', canRead, async (req, res) => {
   try {
     const { slug } = req.params;
     const { limit = 100, format = 'json' } = req.query;
@@ -834,10 +1264,13 @@ router.get('/:slug/logs', async (req, res) => {
 /**
  * POST /api/admin/apps/:slug/backup
  * Create a backup of an app
+ * Secrets are left out unless includeSecrets is set, in which case they are
+ * re-encrypted under the given passphrase (needed again to restore them).
  */
-router.post('/:slug/backup', async (req, res) => {
+router.post('/:slug/backup', requireAppAccess('write', 'backups'), async (req, res) => {
   try {
     const { slug } = req.params;
+    const { includeSecrets = false, passphrase } = req.body || {};
 
     const app = await App.findBySlug(slug);
     if (!app) {
@@ -847,6 +1280,13 @@ router.post('/:slug/backup', async (req, res) => {
       });
     }
 
+    if (includeSecrets && (typeof passphrase !== 'string' || passphrase.length < MIN_BACKUP_PASSPHRASE_LENGTH)) {
+      return res.status(400).json({
+        success: false,
+        error: `A passphrase of at least ${MIN_BACKUP_PASSPHRASE_LENGTH} characters is required to include secrets`
+      });
+    }
+
     // Create backup
     const result = await backupManager.createBackup(slug, {
       name: app.name,
@@ -855,11 +1295,14 @@ router.post('/:slug/backup', async (req, res) => {
       status: app.status,
       createdAt: app.createdAt,
       deploymentMethod: app.deploymentMethod
+    }, {
+      secrets: includeSecrets ? await secretsManager.exportForBackup(slug, passphrase) : null
     });
 
     await Logger.log(slug, 'backup', 'Backup created', { 
       backupFileName: result.backupFileName,
-      size: result.size
+      size: result.size,
+      secretsCount: result.secretsCount
     });
 
     return res.status(200).json({
@@ -867,6 +1310,7 @@ router.post('/:slug/backup', async (req, res) => {
       slug,
       backupPath: result.backupFileName,
       size: result.size,
+      secretsCount: result.secretsCount,
       message: 'Backup created successfully'
     });
   } catch (error) {
@@ -882,7 +1326,7 @@ router.post('/:slug/backup', async (req, res) => {
  * POST /api/admin/apps/:slug/webhook
  * Register a webhook for an app
  */
-router.post('/:slug/webhook', async (req, res) => {
+router.post('/:slug/webhook', canWrite, async (req, res) => {
   try {
     const { slug } = req.params;
     const { url } = req.body;
@@ -933,7 +1377,7 @@ router.post('/:slug/webhook', async (req, res) => {
  * GET /api/admin/apps/:slug/webhook
  * Get webhook configuration for an app
  */
-router.get('/:slug/webhook', async (req, res) => {
+router.get('/:slug/webhook', canRead, async (req, res) => {
   try {
     const { slug } = req.params;
 
@@ -973,7 +1417,7 @@ router.get('/:slug/webhook', async (req, res) => {
  * DELETE /api/admin/apps/:slug/webhook
  * Delete webhook configuration for an app
  */
-router.delete('/:slug/webhook', async (req, res) => {
+router.delete('/:slug/webhook', canWrite, async (req, res) => {
   try {
     const { slug } = req.params;
 
@@ -1012,7 +1456,7 @@ router.delete('/:slug/webhook', async (req, res) => {
  * POST /api/admin/apps/:slug/webhook/test
  * Test webhook by sending a test event
  */
-router.post('/:slug/webhook/test', async (req, res) => {
+router.post('/:slug/webhook/test', canWrite, async (req, res) => {
   try {
     const { slug } = req.params;
 
@@ -1056,4 +1500,1143 @@ router.post('/:slug/webhook/test', async (req, res) => {
   }
 });
 
+/**
+ * Describe an app's Git push webhook
+ */
+function formatGitWebhook(app) {
+  return {
+    enabled: !!app.gitWebhookSecret,
+    url: gitWebhook.getHookUrl(app.slug),
+    branch: app.repoBranch || 'main',
+    repoUrl: app.repoUrl,
+    repoPath: app.repoPath
+  };
+}
+
+/**
+ * GET /api/admin/apps/:slug/git-webhook
+ * Get the Git push webhook (auto-deploy) settings of an app
+ * The secret is only returned when it is generated.
+ */
+router.get('/:slug/git-webhook', canRead, async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const app = await App.findBySlug(slug);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        error: `App '${slug}' not found`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      gitWebhook: formatGitWebhook(app)
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error fetching Git webhook:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch Git webhook settings'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/apps/:slug/git-webhook
+ * Enable auto-deploy on push, or rotate the secret of an enabled webhook
+ */
+router.post('/:slug/git-webhook', canWrite, async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const app = await App.findBySlug(slug);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        error: `App '${slug}' not found`
+      });
+    }
+
+    if (!app.repoUrl) {
+      return res.status(400).json({
+        success: false,
+        error: 'App was not deployed via git. Cannot deploy on push.'
+      });
+    }
+
+    const rotated = !!app.gitWebhookSecret;
+    app.gitWebhookSecret = gitWebhook.generateSecret();
+    await app.save();
+
+    await Logger.log(slug, 'webhook', rotated ? 'Git webhook secret rotated' : 'Git webhook enabled', {
+      branch: app.repoBranch || 'main'
+    });
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      gitWebhook: {
+        ...formatGitWebhook(app),
+        secret: app.gitWebhookSecret
+      },
+      message: rotated
+        ? 'Webhook secret rotated. Update it in your Git host.'
+        : 'Git webhook enabled. Add the URL and secret to your Git host.'
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error enabling Git webhook:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to enable Git webhook'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/apps/:slug/git-webhook
+ * Disable auto-deploy on push
+ */
+router.delete('/:slug/git-webhook', canWrite, async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const app = await App.findBySlug(slug);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        error: `App '${slug}' not found`
+      });
+    }
+
+    app.gitWebhookSecret = null;
+    await app.save();
+
+    await Logger.log(slug, 'webhook', 'Git webhook disabled');
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      message: 'Git webhook disabled'
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error disabling Git webhook:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to disable Git webhook'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/apps/:slug/git-webhook/deliveries
+ * Recent Git webhook deliveries and what came of them
+ */
+router.get('/:slug/git-webhook/deliveries', canRead, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+
+    const deliveries = await gitWebhook.list(slug, limit);
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      count: deliveries.length,
+      deliveries: deliveries.map(delivery => gitWebhook.format(delivery))
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error fetching Git webhook deliveries:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook deliveries'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/apps/:slug/git-credentials
+ * Credentials used to fetch the app's repository (public key or token username only)
+ * Credentials can be set up before the app is imported, so the app doesn't
+ * have to exist yet.
+ */
+router.get('/:slug/git-credentials', canRead, async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const validation = validateSlug(slug);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const credentials = await gitCredentials.get(slug);
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      credentials: gitCredentials.format(credentials)
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error fetching Git credentials:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch Git credentials'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/apps/:slug/git-credentials/deploy-key
+ * Generate an SSH deploy key for the app, replacing its current credentials
+ * Add the returned public key to the repository as a read-only deploy key.
+ */
+router.post('/:slug/git-credentials/deploy-key', canWrite, async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const validation = validateSlug(slug);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const credentials = await gitCredentials.createDeployKey(slug);
+
+    await Logger.log(slug, 'git', 'SSH deploy key generated', { fingerprint: credentials.fingerprint });
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      credentials,
+      message: 'Deploy key generated. Add the public key to your repository.'
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error generating deploy key:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to generate deploy key'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/apps/:slug/git-credentials/token
+ * Store an HTTPS access token for the app, replacing its current credentials
+ * Body: { token, username } - username is optional
+ */
+router.put('/:slug/git-credentials/token', canWrite, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const { token, username } = req.body || {};
+
+    const validation = validateSlug(slug);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'token is required'
+      });
+    }
+
+    if (username !== undefined && username !== null && typeof username !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'username must be a string'
+      });
+    }
+
+    const credentials = await gitCredentials.setToken(slug, token.trim(), username ? username.trim() : null);
+
+    await Logger.log(slug, 'git', 'Git access token saved');
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      credentials,
+      message: 'Access token saved'
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error saving Git token:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save access token'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/apps/:slug/git-credentials
+ * Remove the app's credentials; the global token is used again for GitHub/GitLab
+ */
+router.delete('/:slug/git-credentials', canWrite, async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const removed = await gitCredentials.remove(slug);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'No Git credentials configured'
+      });
+    }
+
+    await Logger.log(slug, 'git', 'Git credentials removed');
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      message: 'Git credentials removed'
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error removing Git credentials:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to remove Git credentials'
+    });
+  }
+});
+
+/**
+ * Serialize a custom domain for API responses
+ */
+function formatDomain(domain) {
+  return {
+    hostname: domain.hostname,
+    verified: domain.verified,
+    verifiedAt: domain.verifiedAt,
+    addedAt: domain.addedAt,
+    verificationToken: domain.verificationToken,
+    verificationPath: domainResolver.verificationPath
+  };
+}
+
+/**
+ * GET /api/admin/apps/:slug/domains
+ * List custom domains attached to an app
+ */
+router.get('/:slug/domains', canRead, async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const app = await App.findBySlug(slug);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        error: `App '${slug}' not found`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      domains: app.customDomains.map(formatDomain)
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error fetching domains:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch domains'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/apps/:slug/domains
+ * Attach a custom hostname to an app (unverified until ownership is checked)
+ */
+router.post('/:slug/domains', canWrite, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const { hostname } = req.body;
+
+    const validation = domainResolver.validateHostname(hostname);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error
+      });
+    }
+
+    const normalized = hostname.toLowerCase().trim();
+
+    const app = await App.findBySlug(slug);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        error: `App '${slug}' not found`
+      });
+    }
+
+    // A hostname can only belong to one app
+    const owner = await App.findByDomain(normalized);
+    if (owner) {
+      return res.status(409).json({
+        success: false,
+        error: owner.slug === slug
+          ? `Domain '${normalized}' is already attached to this app`
+          : `Domain '${normalized}' is already attached to another app`
+      });
+    }
+
+    app.customDomains.push({
+      hostname: normalized,
+      verificationToken: domainResolver.generateToken()
+    });
+    await app.save();
+
+    domainResolver.invalidate();
+
+    await Logger.log(slug, 'domain', `Custom domain added: ${normalized}`);
+
+    const domain = app.customDomains.find(d => d.hostname === normalized);
+
+    return res.status(201).json({
+      success: true,
+      slug,
+      domain: formatDomain(domain),
+      message: `Serve the verification token at http://${normalized}${domainResolver.verificationPath} and verify the domain to start routing traffic`
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error adding domain:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to add domain'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/apps/:slug/domains/:hostname
+ * Detach a custom hostname from an app
+ */
+router.delete('/:slug/domains/:hostname', canWrite, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const hostname = req.params.hostname.toLowerCase();
+
+    const app = await App.findBySlug(slug);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        error: `App '${slug}' not found`
+      });
+    }
+
+    const domain = app.customDomains.find(d => d.hostname === hostname);
+    if (!domain) {
+      return res.status(404).json({
+        success: false,
+        error: `Domain '${hostname}' is not attached to this app`
+      });
+    }
+
+    app.customDomains.pull(domain._id);
+    await app.save();
+
+    domainResolver.invalidate();
+
+    await Logger.log(slug, 'domain', `Custom domain removed: ${hostname}`);
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      message: `Domain '${hostname}' removed`
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error removing domain:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to remove domain'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/apps/:slug/domains/:hostname/verify
+ * Verify domain ownership by fetching the token from the well-known path
+ */
+router.post('/:slug/domains/:hostname/verify', canWrite, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const hostname = req.params.hostname.toLowerCase();
+
+    const app = await App.findBySlug(slug);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        error: `App '${slug}' not found`
+      });
+    }
+
+    const domain = app.customDomains.find(d => d.hostname === hostname);
+    if (!domain) {
+      return res.status(404).json({
+        success: false,
+        error: `Domain '${hostname}' is not attached to this app`
+      });
+    }
+
+    // Try the default HTTP port first, then the platform port (local setups)
+    const port = process.env.PORT || 5000;
+    const urls = [`http://${hostname}${domainResolver.verificationPath}`];
+    if (String(port) !== '80') {
+      urls.push(`http://${hostname}:${port}${domainResolver.verificationPath}`);
+    }
+
+    let served = null;
+    let lastError = null;
+    for (const url of urls) {
+      try {
+        const response = await axios.get(url, {
+          timeout: 5000,
+          maxRedirects: 3,
+          responseType: 'text',
+          validateStatus: status => status === 200
+        });
+        served = String(response.data).trim();
+        break;
+      } catch (err) {
+        lastError = err.message;
+      }
+    }
+
+    if (served !== domain.verificationToken) {
+      await Logger.log(slug, 'domain', `Domain verification failed: ${hostname}`, {
+        reason: served === null ? lastError : 'Token mismatch'
+      }, 'warn');
+
+      return res.status(400).json({
+        success: false,
+        error: served === null
+          ? `Could not reach ${hostname}: ${lastError}`
+          : `Token served at ${hostname}${domainResolver.verificationPath} does not match`
+      });
+    }
+
+    domain.verified = true;
+    domain.verifiedAt = new Date();
+    await app.save();
+
+    domainResolver.invalidate();
+
+    await Logger.log(slug, 'domain', `Custom domain verified: ${hostname}`);
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      domain: formatDomain(domain),
+      message: `Domain '${hostname}' verified`
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error verifying domain:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to verify domain'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/apps/:slug/releases
+ * List the app's release history (newest first)
+ */
+router.get('/:slug/releases', canRead, async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const app = await App.findBySlug(slug);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        error: `App '${slug}' not found`
+      });
+    }
+
+    const releases = await Release.listForApp(slug);
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      currentRelease: app.currentRelease,
+      canaryRelease: app.canary ? app.canary.release : null,
+      releases: releases.map(release => releaseManager.formatRelease(release, app.currentRelease))
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error fetching releases:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch releases'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/apps/:slug/rollback/:releaseId
+ * Make an earlier release current again
+ */
+router.post('/:slug/rollback/:releaseId', canDeploy, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const version = parseInt(String(req.params.releaseId).replace(/^v/i, ''), 10);
+
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'releaseId must be a release number (e.g., 3 or v3)'
+      });
+    }
+
+    const app = await App.findBySlug(slug);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        error: `App '${slug}' not found`
+      });
+    }
+
+    const release = await Release.findVersion(slug, version);
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        error: `Release v${version} not found`
+      });
+    }
+
+    if (release.version === app.currentRelease) {
+      return res.status(400).json({
+        success: false,
+        error: `Release v${version} is already current`
+      });
+    }
+
+    if (release.status !== 'ready') {
+      return res.status(400).json({
+        success: false,
+        error: `Release v${version} is ${release.status} and cannot be rolled back to`
+      });
+    }
+
+    if (app.canary && app.canary.release === version) {
+      return res.status(400).json({
+        success: false,
+        error: `Release v${version} is running as a canary - promote it instead`
+      });
+    }
+
+    const { previousVersion } = await releaseManager.rollback(slug, version, {
+      rolledBackBy: req.user ? req.user.username : null
+    });
+
+    // Switch running traffic to the activated release
+    const { wasLoaded, swapped, error: swapError } = await swapOrUnload(slug);
+
+    await App.findOneAndUpdate(
+      { slug },
+      {
+        status: 'active',
+        lastError: null,
+        lastDeployedAt: new Date(),
+        updatedAt: new Date()
+      }
+    );
+
+    console.log(`[ADMIN] Rolled back ${slug}: v${previousVersion} -> v${version}`);
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      previousRelease: previousVersion,
+      currentRelease: version,
+      wasLoaded,
+      swapped,
+      swapError,
+      message: `Rolled back to release v${version}`
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error rolling back app:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to roll back app'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/apps/:slug/canary
+ * Canary status with error rate and latency per release
+ */
+router.get('/:slug/canary', canRead, async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const app = await App.findBySlug(slug);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        error: `App '${slug}' not found`
+      });
+    }
+
+    const canary = formatCanary(app);
+    const metrics = metricsCollector.getReleaseMetrics(slug);
+    const metricsFor = (version) => metrics.find(entry => entry.release === version) || null;
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      currentRelease: app.currentRelease,
+      canary,
+      metrics: {
+        current: metricsFor(app.currentRelease),
+        canary: canary ? metricsFor(canary.release) : null
+      }
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error fetching canary:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch canary status'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/apps/:slug/canary
+ * Route a percentage of traffic to a candidate release
+ * Body: { releaseId: 3 | "v3", weight: 0-100 }
+ * Posting again for the running candidate only changes its weight. A weight
+ * of 0 gives a blue/green setup: only clients that send X-PlatformX-Release
+ * reach the candidate until it is promoted.
+ */
+router.post('/:slug/canary', canDeploy, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const { releaseId, weight = 10 } = req.body || {};
+    const version = parseInt(String(releaseId).replace(/^v/i, ''), 10);
+
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'releaseId must be a release number (e.g., 3 or v3)'
+      });
+    }
+
+    if (!Number.isInteger(weight) || weight < 0 || weight > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'weight must be an integer between 0 and 100'
+      });
+    }
+
+    const app = await App.findBySlug(slug);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        error: `App '${slug}' not found`
+      });
+    }
+
+    if (version === app.currentRelease) {
+      return res.status(400).json({
+        success: false,
+        error: `Release v${version} is already current`
+      });
+    }
+
+    if (app.canary && app.canary.release && app.canary.release !== version) {
+      return res.status(409).json({
+        success: false,
+        error: `Release v${app.canary.release} is already running as a canary - promote or abort it first`
+      });
+    }
+
+    const release = await Release.findVersion(slug, version);
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        error: `Release v${version} not found`
+      });
+    }
+
+    if (release.status !== 'ready') {
+      return res.status(400).json({
+        success: false,
+        error: `Release v${version} is ${release.status} and cannot take traffic`
+      });
+    }
+
+    const isNew = !app.canary || app.canary.release !== version;
+
+    // Load the candidate before sending it any traffic
+    let loaded;
+    try {
+      loaded = await startCanary(slug, version, weight);
+    } catch (error) {
+      await Logger.log(slug, 'canary', `Canary release v${version} failed to load: ${error.message}`, { release: version }, 'error');
+      return res.status(500).json({
+        success: false,
+        error: `Canary failed to load: ${error.message}`
+      });
+    }
+
+    app.canary = {
+      release: version,
+      weight,
+      startedAt: isNew ? new Date() : app.canary.startedAt,
+      startedBy: isNew ? (req.user ? req.user.username : null) : app.canary.startedBy
+    };
+    await app.save();
+
+    if (isNew) {
+      // Compare both releases over the same period
+      metricsCollector.resetReleaseMetrics(slug);
+    }
+
+    await Logger.log(slug, 'canary', isNew
+      ? `Canary started: v${version} receives ${weight}% of traffic`
+      : `Canary v${version} weight set to ${weight}%`, {
+      release: version,
+      currentRelease: app.currentRelease,
+      weight
+    });
+
+    console.log(`[ADMIN] Canary for ${slug}: v${version} at ${weight}%`);
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      canary: formatCanary(app),
+      loaded,
+      message: `Release v${version} now receives ${weight}% of traffic`
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error starting canary:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to start canary'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/apps/:slug/canary/promote
+ * Make the canary release current and send it all traffic
+ */
+router.post('/:slug/canary/promote', canDeploy, async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const app = await App.findBySlug(slug);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        error: `App '${slug}' not found`
+      });
+    }
+
+    const canary = formatCanary(app);
+    if (!canary) {
+      return res.status(400).json({
+        success: false,
+        error: 'No canary is running'
+      });
+    }
+
+    const previousVersion = app.currentRelease;
+    const metrics = metricsCollector.getReleaseMetrics(slug);
+
+    await releaseManager.activate(slug, canary.release);
+
+    const { wasLoaded, swapped, error: swapError } = await promoteCanary(slug);
+
+    await App.findOneAndUpdate(
+      { slug },
+      {
+        canary: { release: null, weight: 0, startedAt: null, startedBy: null },
+        status: 'active',
+        lastError: null,
+        lastDeployedAt: new Date(),
+        updatedAt: new Date()
+      }
+    );
+
+    await Logger.log(slug, 'canary', `Canary v${canary.release} promoted (was v${previousVersion})`, {
+      from: previousVersion,
+      to: canary.release,
+      promotedBy: req.user ? req.user.username : null,
+      metrics
+    });
+
+    console.log(`[ADMIN] Promoted canary for ${slug}: v${previousVersion} -> v${canary.release}`);
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      previousRelease: previousVersion,
+      currentRelease: canary.release,
+      wasLoaded,
+      swapped,
+      swapError,
+      message: `Release v${canary.release} promoted and now serves all traffic`
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error promoting canary:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to promote canary'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/apps/:slug/canary/abort
+ * Send all traffic back to the current release
+ */
+router.post('/:slug/canary/abort', canDeploy, async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const app = await App.findBySlug(slug);
+    if (!app) {
+      return res.status(404).json({
+        success: false,
+        error: `App '${slug}' not found`
+      });
+    }
+
+    const canary = formatCanary(app);
+    if (!canary) {
+      return res.status(400).json({
+        success: false,
+        error: 'No canary is running'
+      });
+    }
+
+    const metrics = metricsCollector.getReleaseMetrics(slug);
+
+    app.canary = { release: null, weight: 0, startedAt: null, startedBy: null };
+    await app.save();
+    abortCanary(slug);
+
+    await Logger.log(slug, 'canary', `Canary v${canary.release} aborted`, {
+      release: canary.release,
+      abortedBy: req.user ? req.user.username : null,
+      metrics
+    }, 'warn');
+
+    console.log(`[ADMIN] Aborted canary v${canary.release} for ${slug}`);
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      currentRelease: app.currentRelease,
+      message: `Canary v${canary.release} aborted - all traffic is back on v${app.currentRelease}`
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error aborting canary:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to abort canary'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/apps/:slug/deployments
+ * List recent deployments of an app (without logs)
+ */
+router.get('/:slug/deployments', canRead, async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const deployments = await Deployment.listForApp(slug, limit);
+
+    return res.status(200).json({
+      success: true,
+      slug,
+      deployments: deployments.map(deployment => deploymentManager.format(deployment))
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error fetching deployments:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch deployments'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/apps/:slug/deployments/events
+ * Server-Sent Events for every deployment of an app: created, status, log, finished
+ * Works before the app exists, so the dashboard can follow a first deploy.
+ */
+router.get('/:slug/deployments/events', canRead, (req, res) => {
+  const { slug } = req.params;
+
+  const listener = (event) => {
+    if (event.appSlug === slug) {
+      stream.send(event.type, event);
+    }
+  };
+
+  const stream = openEventStream(req, res, () => {
+    deploymentManager.off('event', listener);
+  });
+  deploymentManager.on('event', listener);
+  stream.send('ready', { appSlug: slug });
+});
+
+/**
+ * GET /api/admin/apps/:slug/deployments/:deploymentId
+ * Get one deployment with its full log
+ */
+router.get('/:slug/deployments/:deploymentId', canRead, async (req, res) => {
+  try {
+    const { slug, deploymentId } = req.params;
+
+    const deployment = mongoose.isValidObjectId(deploymentId)
+      ? await Deployment.findOne({ _id: deploymentId, appSlug: slug })
+      : null;
+    if (!deployment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deployment not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      deployment: deploymentManager.format(deployment, { logs: true })
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error fetching deployment:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch deployment'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/apps/:slug/deployments/:deploymentId/stream
+ * Server-Sent Events replaying a deployment's log and following it live
+ * Events: log ({ entry }), status ({ deployment }), end ({ deployment })
+ */
+router.get('/:slug/deployments/:deploymentId/stream', canRead, async (req, res) => {
+  try {
+    const { slug, deploymentId } = req.params;
+
+    const deployment = mongoose.isValidObjectId(deploymentId)
+      ? await Deployment.findOne({ _id: deploymentId, appSlug: slug })
+      : null;
+    if (!deployment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deployment not found'
+      });
+    }
+
+    const listener = (event) => {
+      if (event.deploymentId !== deployment.id) return;
+
+      if (event.type === 'log') {
+        stream.send('log', { entry: event.entry });
+      } else if (event.type === 'status') {
+        stream.send('status', { deployment: event.deployment });
+      } else if (event.type === 'finished') {
+        stream.send('end', { deployment: event.deployment });
+        stream.close();
+      }
+    };
+
+    const stream = openEventStream(req, res, () => {
+      deploymentManager.off('event', listener);
+    });
+
+    // Live logs include lines not saved yet; no await between reading them
+    // and subscribing, so nothing is missed or sent twice
+    const liveLogs = deploymentManager.getLiveLogs(deployment.id);
+    const logs = liveLogs || deployment.logs;
+
+    stream.send('status', { deployment: deploymentManager.format(deployment) });
+    logs.forEach(entry => stream.send('log', { entry }));
+
+    if (!liveLogs) {
+      stream.send('end', { deployment: deploymentManager.format(deployment) });
+      return stream.close();
+    }
+
+    deploymentManager.on('event', listener);
+  } catch (error) {
+    console.error('[ADMIN] Error streaming deployment:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to stream deployment'
+      });
+    }
+    res.end();
+  }
+});
+
+/**
+ * POST /api/admin/apps/:slug/deployments/:deploymentId/cancel
+ * Cancel a queued or running deployment
+ * Running build commands are killed along with their child processes and the
+ * partial release is removed; the current release keeps serving.
+ */
+router.post('/:slug/deployments/:deploymentId/cancel', canDeploy, async (req, res) => {
+  try {
+    const { slug, deploymentId } = req.params;
+
+    const deployment = mongoose.isValidObjectId(deploymentId)
+      ? await Deployment.findOne({ _id: deploymentId, appSlug: slug })
+      : null;
+    if (!deployment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Deployment not found'
+      });
+    }
+
+    const username = req.user ? req.user.username : null;
+    if (!deploymentManager.cancel(deployment.id, username)) {
+      return res.status(409).json({
+        success: false,
+        error: `Deployment has already finished (${deployment.status})`
+      });
+    }
+
+    await Logger.log(slug, 'deploy', `Deployment cancelled${username ? ` by ${username}` : ''}`, {
+      deployment: deployment.id
+    }, 'warn');
+
+    return res.status(202).json({
+      success: true,
+      message: 'Cancellation requested',
+      deployment: deploymentManager.format(deployment)
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error cancelling deployment:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to cancel deployment'
+    });
+  }
+});
+
 module.exports = router;
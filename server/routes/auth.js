@@ -1,10 +1,30 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
 const rateLimit = require('express-rate-limit');
-const { generateToken } = require('../middleware/auth');
+const User = require('../models/User');
+const userManager = require('../utils/userManager');
+const sessionManager = require('../utils/sessionManager');
+const twoFactor = require('../utils/twoFactor');
+const oidc = require('../utils/oidc');
+const { ACCESS_TOKEN_TTL, generateToken, authenticateToken, sessionOnly } = require('../middleware/auth');
 
 const router = express.Router();
 
+/**
+ * Access and refresh tokens for a session, as returned by login and refresh
+ */
+function tokenResponse(user, session, refreshToken) {
+  return {
+    token: generateToken({
+      id: user._id.toString(),
+      username: user.username,
+      role: user.role,
+      sid: session._id.toString()
+    }),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL
+  };
+}
+
 // Rate limiter for login endpoint - prevent brute force attacks
 const loginLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -17,6 +37,36 @@ const loginLimiter = rateLimit({
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
 });
 
+// Codes are only tried after a correct password, but still limited per IP
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    success: false,
+    message: 'Too many attempts. Please try again after 15 minutes.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Start a session for a user who passed login and respond with its tokens
+ */
+async function startSession(user, req, res) {
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  // Role and grants are read from the database on each request, not from the token
+  const { session, refreshToken } = await sessionManager.create(user, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful.',
+    ...tokenResponse(user, session, refreshToken),
+    user: userManager.format(user)
+  });
+}
+
 // Login endpoint
 router.post('/login', loginLimiter, async (req, res) => {
   try {
@@ -30,74 +80,524 @@ router.post('/login', loginLimiter, async (req, res) => {
       });
     }
 
-    // Get credentials from environment variables
-    const adminUsername = process.env.ADMIN_USERNAME;
-    const adminPassword = process.env.ADMIN_PASSWORD;
+    const user = await User.findByUsername(username);
 
-    // Check if environment variables are set
-    if (!adminUsername || !adminPassword) {
-      return res.status(500).json({
+    // Same response for unknown users and wrong passwords
+    if (!user || user.disabled || !(await userManager.verifyPassword(user, password))) {
+      return res.status(401).json({
         success: false,
-        message: 'Server authentication not configured. Please set ADMIN_USERNAME and ADMIN_PASSWORD in .env'
+        message: 'Invalid credentials.'
+      });
+    }
+
+    // With 2FA the password only earns a challenge, exchanged at /login/2fa
+    if (twoFactor.isEnabled(user)) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: await twoFactor.issueChallenge(user),
+        message: 'Enter the code from your authenticator app.'
       });
     }
 
-    // Validate username
-    if (username !== adminUsername) {
+    await startSession(user, req, res);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login.'
+    });
+  }
+});
+
+// Second login step - exchange the challenge token and a 2FA or recovery code for a session
+router.post('/login/2fa', twoFactorLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body || {};
+
+    const user = await twoFactor.claimChallenge(challengeToken);
+    if (!user || user.disabled || !twoFactor.isEnabled(user)) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials.'
+        challengeExpired: true,
+        message: 'Login expired. Please enter your password again.'
+      });
+    }
+
+    const method = code ? await twoFactor.verify(user, code) : null;
+    if (!method) {
+      const attemptsLeft = twoFactor.attemptsLeft(user);
+      return res.status(401).json({
+        success: false,
+        challengeExpired: attemptsLeft === 0,
+        attemptsLeft,
+        message: attemptsLeft === 0
+          ? 'Too many invalid codes. Please enter your password again.'
+          : 'Invalid code.'
       });
     }
 
-    // Validate password
-    // Check if password is already hashed (starts with $2a$ or $2b$)
-    let isPasswordValid;
-    if (adminPassword.startsWith('$2a$') || adminPassword.startsWith('$2b$')) {
-      // Password is hashed, use bcrypt compare
-      isPasswordValid = await bcrypt.compare(password, adminPassword);
-    } else {
-      // Password is plain text (for simplicity in .env), compare directly
-      isPasswordValid = password === adminPassword;
+    await twoFactor.endChallenge(user);
+
+    if (method === 'recovery') {
+      console.log(`[AUTH] ${user.username} logged in with a recovery code (${user.twoFactor.recoveryCodes.length} left)`);
+    }
+
+    await startSession(user, req, res);
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login.'
+    });
+  }
+});
+
+// Binds an SSO login to the browser that started it
+const OIDC_STATE_COOKIE = 'platformx_oidc_state';
+const OIDC_COOKIE_PATH = '/api/auth/oidc';
+
+function readCookie(req, name) {
+  const cookies = (req.headers.cookie || '').split(';').map(cookie => cookie.trim());
+  const match = cookies.find(cookie => cookie.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+}
+
+// Send the browser back to the dashboard login page after SSO
+function redirectToDashboard(res, params) {
+  res.redirect(`${oidc.getDashboardUrl()}/login?${new URLSearchParams(params)}`);
+}
+
+// SSO settings for the login page
+router.get('/oidc/config', (req, res) => {
+  res.json({
+    success: true,
+    ...oidc.getPublicConfig()
+  });
+});
+
+// Start single sign-on - redirects to the OIDC provider
+router.get('/oidc/login', async (req, res) => {
+  if (!oidc.isConfigured()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Single sign-on is not configured.'
+    });
+  }
+
+  try {
+    const { url, state } = await oidc.createAuthorizationUrl();
+
+    res.cookie(OIDC_STATE_COOKIE, state, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.PLATFORM_PROTOCOL === 'https',
+      path: OIDC_COOKIE_PATH,
+      maxAge: 10 * 60 * 1000
+    });
+    res.redirect(url);
+  } catch (error) {
+    console.error('[OIDC] Failed to start login:', error.message);
+    redirectToDashboard(res, { sso_error: 'The single sign-on provider is unavailable.' });
+  }
+});
+
+// Provider redirects back here with an authorization code
+router.get('/oidc/callback', async (req, res) => {
+  const { code, state, error, error_description: errorDescription } = req.query;
+  res.clearCookie(OIDC_STATE_COOKIE, { path: OIDC_COOKIE_PATH });
+
+  if (error) {
+    return redirectToDashboard(res, { sso_error: errorDescription || error });
+  }
+  if (!code || !state || readCookie(req, OIDC_STATE_COOKIE) !== state) {
+    return redirectToDashboard(res, { sso_error: 'The login could not be verified. Please try again.' });
+  }
+
+  try {
+    const claims = await oidc.handleCallback(String(code), String(state));
+
+    const user = await userManager.upsertSsoUser(
+      claims.iss,
+      claims,
+      oidc.mapRole(claims),
+      oidc.getDefaultRole(),
+      oidc.suggestUsername(claims)
+    );
+    if (!user) {
+      console.log(`[OIDC] Login refused for ${claims.email || claims.sub}: no role mapped`);
+      return redirectToDashboard(res, { sso_error: 'Your account is not allowed to access this platform.' });
+    }
+    if (user.disabled) {
+      return redirectToDashboard(res, { sso_error: 'Your account is disabled.' });
+    }
+
+    console.log(`[OIDC] ${user.username} signed in as ${user.role}`);
+    redirectToDashboard(res, { sso: oidc.createLoginCode(user) });
+  } catch (error) {
+    console.error('[OIDC] Login failed:', error.message);
+    redirectToDashboard(res, { sso_error: 'Single sign-on failed. Please try again.' });
+  }
+});
+
+// Exchange the one-time code from the SSO callback for a session
+router.post('/oidc/exchange', twoFactorLimiter, async (req, res) => {
+  try {
+    const userId = oidc.consumeLoginCode((req.body || {}).code);
+    const user = userId ? await User.findById(userId) : null;
+
+    if (!user || user.disabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login expired. Please sign in again.'
+      });
     }
 
-    if (!isPasswordValid) {
+    await startSession(user, req, res);
+  } catch (error) {
+    console.error('SSO exchange error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login.'
+    });
+  }
+});
+
+// Exchange a refresh token for new access and refresh tokens
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    const result = refreshToken ? await sessionManager.rotate(refreshToken, req) : null;
+    const user = result ? await User.findById(result.session.userId) : null;
+
+    if (!user || user.disabled) {
+      if (result) {
+        await result.session.deleteOne();
+      }
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials.'
+        message: 'Session expired. Please login again.'
       });
     }
 
-    // Generate JWT token
-    const token = generateToken({
-      username: adminUsername,
-      role: 'admin'
+    res.json({
+      success: true,
+      ...tokenResponse(user, result.session, result.refreshToken),
+      user: userManager.format(user)
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh.'
+    });
+  }
+});
+
+// Logout endpoint - ends the session of a refresh token
+// Works without an access token so an expired one doesn't prevent logging out
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    const session = refreshToken ? await sessionManager.findByToken(refreshToken) : null;
+    if (session) {
+      await session.deleteOne();
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out.'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout.'
+    });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', authenticateToken, sessionOnly, async (req, res) => {
+  try {
+    const sessions = await sessionManager.list(req.user.id);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => sessionManager.format(session, req.sessionId))
+    });
+  } catch (error) {
+    console.error('Session list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while listing sessions.'
     });
+  }
+});
+
+// Log out everywhere - end all of the current user's sessions, this one included
+router.delete('/sessions', authenticateToken, sessionOnly, async (req, res) => {
+  try {
+    const revoked = await sessionManager.revokeAll(req.user.id);
 
     res.json({
       success: true,
-      message: 'Login successful.',
-      token,
-      user: {
-        username: adminUsername,
-        role: 'admin'
-      }
+      revoked,
+      message: `Logged out of ${revoked} session${revoked !== 1 ? 's' : ''}.`
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Session revoke error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login.'
+      message: 'Server error while ending sessions.'
+    });
+  }
+});
+
+// End one of the current user's sessions
+router.delete('/sessions/:id', authenticateToken, sessionOnly, async (req, res) => {
+  try {
+    const revoked = await sessionManager.revoke(req.user.id, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found.'
+      });
+    }
+
+    res.json({
+      success: true,
+      current: req.params.id === req.sessionId,
+      message: 'Session ended.'
+    });
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while ending session.'
     });
   }
 });
 
 // Verify token endpoint (optional - for checking if token is still valid)
-router.get('/verify', require('../middleware/auth').authenticateToken, (req, res) => {
+router.get('/verify', authenticateToken, (req, res) => {
   res.json({
     success: true,
     user: req.user
   });
 });
 
+// Change the current user's password
+router.put('/password', authenticateToken, sessionOnly, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+
+    const passwordError = userManager.validatePassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (req.user.sso) {
+      return res.status(400).json({
+        success: false,
+        message: 'Single sign-on accounts log in with their identity provider and have no password here.'
+      });
+    }
+    if (!currentPassword || !(await userManager.verifyPassword(user, currentPassword))) {
+      // Not 401: the dashboard treats that as a logged out session
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect.'
+      });
+    }
+
+    user.passwordHash = await userManager.hashPassword(newPassword);
+    await user.save();
+
+    // Anyone logged in with the old password is logged out
+    const revoked = await sessionManager.revokeAll(user._id, req.sessionId);
+
+    res.json({
+      success: true,
+      message: revoked > 0 ? `Password changed. Logged out of ${revoked} other session${revoked !== 1 ? 's' : ''}.` : 'Password changed.'
+    });
+  } catch (error) {
+    console.error('Password change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing password.'
+    });
+  }
+});
+
+/**
+ * Load the current user and check their password, for changes to 2FA
+ * Responds with 400 (not 401, which the dashboard treats as logged out) if wrong.
+ * @returns {Promise<Object|null>} - User document, or null after responding
+ */
+async function confirmPassword(req, res) {
+  const { password } = req.body || {};
+  const user = await User.findById(req.user.id);
+
+  if (!password || !(await userManager.verifyPassword(user, password))) {
+    res.status(400).json({
+      success: false,
+      message: 'Password is incorrect.'
+    });
+    return null;
+  }
+  return user;
+}
+
+// Two-factor authentication status of the current user
+router.get('/2fa', authenticateToken, sessionOnly, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    res.json({
+      success: true,
+      twoFactor: twoFactor.status(user)
+    });
+  } catch (error) {
+    console.error('2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while loading two-factor authentication.'
+    });
+  }
+});
+
+// Start setting up 2FA - returns the secret as an otpauth URI and QR code
+router.post('/2fa/setup', authenticateToken, sessionOnly, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (req.user.sso) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication of single sign-on accounts is handled by the identity provider.'
+      });
+    }
+    if (twoFactor.isEnabled(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled.'
+      });
+    }
+
+    const { secret, otpauthUri, qrCode } = await twoFactor.setup(user);
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri,
+      qrCode
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while setting up two-factor authentication.'
+    });
+  }
+});
+
+// Confirm the setup with a code from the authenticator app - returns the recovery codes once
+router.post('/2fa/enable', authenticateToken, sessionOnly, async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    const user = await User.findById(req.user.id);
+
+    if (twoFactor.isEnabled(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled.'
+      });
+    }
+
+    const recoveryCodes = await twoFactor.enable(user, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid code. Check the time on your device and try again.'
+      });
+    }
+
+    console.log(`[AUTH] Two-factor authentication enabled for ${user.username}`);
+
+    res.json({
+      success: true,
+      recoveryCodes,
+      twoFactor: twoFactor.status(user),
+      message: 'Two-factor authentication enabled.'
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication.'
+    });
+  }
+});
+
+// Turn 2FA off - requires the password
+router.post('/2fa/disable', authenticateToken, sessionOnly, async (req, res) => {
+  try {
+    const user = await confirmPassword(req, res);
+    if (!user) return;
+
+    await twoFactor.disable(user);
+
+    console.log(`[AUTH] Two-factor authentication disabled for ${user.username}`);
+
+    res.json({
+      success: true,
+      twoFactor: twoFactor.status(user),
+      message: 'Two-factor authentication disabled.'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication.'
+    });
+  }
+});
+
+// Replace the recovery codes - requires the password
+router.post('/2fa/recovery-codes', authenticateToken, sessionOnly, async (req, res) => {
+  try {
+    const user = await confirmPassword(req, res);
+    if (!user) return;
+
+    if (!twoFactor.isEnabled(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled.'
+      });
+    }
+
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(user);
+
+    res.json({
+      success: true,
+      recoveryCodes,
+      twoFactor: twoFactor.status(user),
+      message: 'New recovery codes generated. The old ones no longer work.'
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating recovery codes.'
+    });
+  }
+});
+
 module.exports = router;
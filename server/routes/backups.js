@@ -3,17 +3,28 @@ const path = require('path');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const backupManager = require('../utils/backupManager');
+const releaseManager = require('../utils/releaseManager');
+const secretsManager = require('../utils/secretsManager');
+const { removeAppTempDir } = require('../utils/envIsolation');
 const Logger = require('../utils/logger');
+const userManager = require('../utils/userManager');
+const { canReadApp, canWriteApp, canCreateApps } = require('../utils/permissions');
 
 const router = express.Router();
 
+const forbidden = (res, error) => res.status(403).json({
+  success: false,
+  error
+});
+
 /**
  * GET /api/admin/backups
- * List all available backups
+ * List the backups of the apps the user can access
  */
 router.get('/', async (req, res) => {
   try {
-    const backups = await backupManager.listBackups();
+    const backups = (await backupManager.listBackups())
+      .filter(backup => canReadApp(req.user, backup.appName));
 
     return res.status(200).json({
       success: true,
@@ -32,10 +43,11 @@ router.get('/', async (req, res) => {
 /**
  * POST /api/admin/backups/restore
  * Restore an app from backup
+ * Secrets included in the backup are restored only if their passphrase is given.
  */
 router.post('/restore', async (req, res) => {
   try {
-    const { backupName, newName, overwrite } = req.body;
+    const { backupName, newName, overwrite, passphrase } = req.body;
 
     if (!backupName) {
       return res.status(400).json({
@@ -45,12 +57,20 @@ router.post('/restore', async (req, res) => {
     }
 
     // Parse original app name from backup filename
-    const originalAppName = backupName.split('-')[0];
+    const originalAppName = backupManager.getAppName(backupName) || backupName.split('-')[0];
     const targetAppName = newName || originalAppName;
 
     // Check if app exists and handle overwrite
     const App = require('../models/App');
     const existingApp = await App.findBySlug(targetAppName);
+
+    // Restoring needs access to the backup and write access to the app it replaces or creates
+    if (!canReadApp(req.user, originalAppName)) {
+      return forbidden(res, `You do not have access to backups of '${originalAppName}'`);
+    }
+    if (existingApp ? !canWriteApp(req.user, targetAppName) : !canCreateApps(req.user)) {
+      return forbidden(res, `You do not have permission to restore to '${targetAppName}'`);
+    }
     
     if (existingApp && !overwrite) {
       return res.status(409).json({
@@ -59,6 +79,20 @@ router.post('/restore', async (req, res) => {
       });
     }
 
+    // Check the passphrase before touching anything
+    const secretsData = backupManager.readSecrets(backupName);
+    let secrets = [];
+    if (secretsData && passphrase) {
+      try {
+        secrets = secretsManager.readBackup(secretsData, passphrase);
+      } catch (err) {
+        return res.status(400).json({
+          success: false,
+          error: err.message
+        });
+      }
+    }
+
     // If overwriting, delete the existing app first
     if (existingApp && overwrite) {
       const appPath = path.join(__dirname, '../apps', targetAppName);
@@ -66,11 +100,18 @@ router.post('/restore', async (req, res) => {
         await fs.rm(appPath, { recursive: true, force: true });
         await Logger.platform.info(`Deleted existing app for overwrite: ${targetAppName}`);
       }
+      await releaseManager.deleteApp(targetAppName);
+      await secretsManager.removeAll(targetAppName);
+      await removeAppTempDir(targetAppName);
       await existingApp.deleteOne();
     }
 
     // Restore the backup
     const result = await backupManager.restoreBackup(backupName, targetAppName);
+    await secretsManager.restore(targetAppName, secrets, req.user ? req.user.username : null);
+    if (!existingApp) {
+      await userManager.grantCreator(req.user, targetAppName);
+    }
 
     await Logger.platform.info(`Backup restored: ${backupName} -> ${targetAppName}`);
 
@@ -79,7 +120,11 @@ router.post('/restore', async (req, res) => {
       backupName,
       appName: targetAppName,
       overwrite: !!overwrite,
-      message: 'Backup restored successfully',
+      secretsRestored: secrets.length,
+      secretsSkipped: !!secretsData && !passphrase,
+      message: secretsData && !passphrase
+        ? 'Backup restored without its secrets (no passphrase given)'
+        : 'Backup restored successfully',
       ...result
     });
   } catch (error) {
@@ -99,6 +144,10 @@ router.delete('/:backupName', async (req, res) => {
   try {
     const { backupName } = req.params;
 
+    if (!canWriteApp(req.user, backupManager.getAppName(backupName))) {
+      return forbidden(res, 'You do not have permission to delete this backup');
+    }
+
     await backupManager.deleteBackup(backupName);
 
     await Logger.platform.info(`Backup deleted: ${backupName}`);
@@ -0,0 +1,102 @@
+const express = require('express');
+const dependencyCache = require('../utils/dependencyCache');
+const Logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/build-cache
+ * List cached node_modules with their lockfile, size and usage
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = await dependencyCache.getStatus();
+
+    return res.status(200).json({
+      success: true,
+      count: status.entries.length,
+      ...status
+    });
+  } catch (error) {
+    console.error('[BUILD_CACHE] Error reading cache:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to read dependency cache'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/build-cache/prune
+ * Remove cached entries
+ * Body: { olderThanDays, all, packages } - entries unused for olderThanDays,
+ * every entry (all), and/or the package download caches (packages)
+ */
+router.post('/prune', async (req, res) => {
+  try {
+    const { olderThanDays = null, all = false, packages = false } = req.body || {};
+
+    if (olderThanDays !== null && (typeof olderThanDays !== 'number' || olderThanDays < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'olderThanDays must be a non-negative number'
+      });
+    }
+
+    if (olderThanDays === null && !all && !packages) {
+      return res.status(400).json({
+        success: false,
+        error: 'Specify olderThanDays, all or packages'
+      });
+    }
+
+    const result = await dependencyCache.prune({ olderThanDays, all: !!all, packages: !!packages });
+
+    await Logger.platform.info(`Dependency cache pruned: ${result.removed.length} entries, ${result.freedBytes} bytes freed`);
+
+    return res.status(200).json({
+      success: true,
+      message: `Removed ${result.removed.length} cached entr${result.removed.length === 1 ? 'y' : 'ies'}`,
+      ...result
+    });
+  } catch (error) {
+    console.error('[BUILD_CACHE] Error pruning cache:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to prune dependency cache'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/build-cache/:key
+ * Remove one cached entry
+ */
+router.delete('/:key', async (req, res) => {
+  try {
+    const { key } = req.params;
+
+    if (!await dependencyCache.remove(key)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Cache entry not found'
+      });
+    }
+
+    await Logger.platform.info(`Dependency cache entry removed: ${key}`);
+
+    return res.status(200).json({
+      success: true,
+      key,
+      message: 'Cache entry removed'
+    });
+  } catch (error) {
+    console.error('[BUILD_CACHE] Error removing cache entry:', error);
+    return res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to remove cache entry'
+    });
+  }
+});
+
+module.exports = router;
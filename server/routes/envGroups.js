@@ -0,0 +1,253 @@
+const express = require('express');
+const EnvGroup = require('../models/EnvGroup');
+const EnvManager = require('../utils/envManager');
+const envGroupManager = require('../utils/envGroupManager');
+const Logger = require('../utils/logger');
+const { unloadApp } = require('../middleware/lazyLoader');
+const { requireRole, requireScope } = require('../middleware/auth');
+const { canReadApp, canManageEnvGroups } = require('../utils/permissions');
+
+const router = express.Router();
+
+// Developers can list groups and their keys; only admins see values and change them
+const canRead = [requireRole('owner', 'admin', 'developer'), requireScope('apps:read')];
+const canWrite = [requireRole('owner', 'admin'), requireScope('admin')];
+
+/**
+ * Keep only the apps the current user can see in a formatted group
+ */
+function visibleApps(group, user) {
+  return { ...group, apps: group.apps.filter(slug => canReadApp(user, slug)) };
+}
+
+/**
+ * Check a variables object from a request body
+ * @returns {Array<string>} - Errors, empty if valid
+ */
+function validateVariables(variables) {
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    return ['variables must be an object'];
+  }
+
+  const errors = EnvManager.validateEnvVars(variables).errors;
+  for (const [key, value] of Object.entries(variables)) {
+    if (typeof value !== 'string') {
+      errors.push(`Invalid value for ${key}: must be a string`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Unload the apps using a group so they pick up its variables on the next request
+ * @returns {Promise<Array<string>>} - Slugs of the apps that were loaded
+ */
+async function reloadApps(slugs, message) {
+  const reloaded = [];
+  for (const slug of slugs) {
+    if (unloadApp(slug)) {
+      reloaded.push(slug);
+    }
+    await Logger.log(slug, 'env-update', message);
+  }
+  return reloaded;
+}
+
+/**
+ * GET /api/admin/env-groups
+ * List environment groups with the apps using them
+ */
+router.get('/', canRead, async (req, res) => {
+  try {
+    const groups = (await envGroupManager.list(canManageEnvGroups(req.user))).map(group => visibleApps(group, req.user));
+
+    return res.status(200).json({
+      success: true,
+      count: groups.length,
+      groups
+    });
+  } catch (error) {
+    console.error('[ENV_GROUPS] Error listing groups:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to list environment groups'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/env-groups/:name
+ * Get a group and its variables
+ */
+router.get('/:name', canRead, async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    const group = await envGroupManager.get(name);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: `Environment group '${name}' not found`
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      group: visibleApps(
+        envGroupManager.format(group, await envGroupManager.getApps(name), canManageEnvGroups(req.user)),
+        req.user
+      )
+    });
+  } catch (error) {
+    console.error('[ENV_GROUPS] Error fetching group:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch environment group'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/env-groups
+ * Create a group
+ * Body: { name, description, variables }
+ */
+router.post('/', canWrite, async (req, res) => {
+  try {
+    const { name, description = '', variables = {} } = req.body || {};
+
+    if (!envGroupManager.isValidName(name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required and may only contain lowercase letters, digits and hyphens'
+      });
+    }
+
+    const errors = validateVariables(variables);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid environment variables',
+        details: errors
+      });
+    }
+
+    if (await envGroupManager.get(name)) {
+      return res.status(409).json({
+        success: false,
+        error: `Environment group '${name}' already exists`
+      });
+    }
+
+    const group = await EnvGroup.create({ name, description, variables });
+
+    await Logger.platform.info(`Environment group created: ${name} (${group.variables.size} variables)`);
+
+    return res.status(201).json({
+      success: true,
+      group: envGroupManager.format(group),
+      message: 'Environment group created'
+    });
+  } catch (error) {
+    console.error('[ENV_GROUPS] Error creating group:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create environment group'
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/env-groups/:name
+ * Update a group's description and/or variables and reload the apps using it
+ * Body: { description, variables, action: 'merge' | 'replace' }
+ */
+router.patch('/:name', canWrite, async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { description, variables, action = 'merge' } = req.body || {};
+
+    const group = await envGroupManager.get(name);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: `Environment group '${name}' not found`
+      });
+    }
+
+    if (variables !== undefined) {
+      const errors = validateVariables(variables);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid environment variables',
+          details: errors
+        });
+      }
+
+      group.variables = action === 'replace'
+        ? variables
+        : { ...Object.fromEntries(group.variables), ...variables };
+    }
+    if (typeof description === 'string') {
+      group.description = description;
+    }
+    await group.save();
+
+    const apps = await envGroupManager.getApps(name);
+    const reloaded = await reloadApps(apps, `Environment group '${name}' updated`);
+
+    await Logger.platform.info(`Environment group updated: ${name}, reloading ${reloaded.length} of ${apps.length} apps`);
+
+    return res.status(200).json({
+      success: true,
+      group: envGroupManager.format(group, apps),
+      reloaded,
+      message: 'Environment group updated'
+    });
+  } catch (error) {
+    console.error('[ENV_GROUPS] Error updating group:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update environment group'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/env-groups/:name
+ * Delete a group, detaching it from the apps using it
+ */
+router.delete('/:name', canWrite, async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    const apps = await envGroupManager.remove(name);
+    if (!apps) {
+      return res.status(404).json({
+        success: false,
+        error: `Environment group '${name}' not found`
+      });
+    }
+
+    const reloaded = await reloadApps(apps, `Environment group '${name}' deleted`);
+
+    await Logger.platform.info(`Environment group deleted: ${name}, detached from ${apps.length} apps`);
+
+    return res.status(200).json({
+      success: true,
+      name,
+      detachedFrom: apps,
+      reloaded,
+      message: 'Environment group deleted'
+    });
+  } catch (error) {
+    console.error('[ENV_GROUPS] Error deleting group:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete environment group'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+const express = require('express');
+const App = require('../models/App');
+const Logger = require('../utils/logger');
+const gitWebhook = require('../utils/gitWebhook');
+const { updateFromGit } = require('../utils/gitUpdater');
+
+const router = express.Router();
+
+/**
+ * POST /api/hooks/git/:slug
+ * Receive a push webhook from GitHub, GitLab, Gitea or a generic sender
+ * Public endpoint: requests are authenticated by the app's webhook secret.
+ * A verified push to the app's branch starts a Git update and is answered
+ * with 202 as soon as the deployment is queued. Apps deployed from a
+ * subdirectory (monorepos) are only updated if the push changed it.
+ */
+router.post('/git/:slug', async (req, res) => {
+  const { slug } = req.params;
+  let delivery = null;
+
+  try {
+    const app = await App.findBySlug(slug);
+    if (!app || !app.gitWebhookSecret) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not configured'
+      });
+    }
+
+    const provider = gitWebhook.detectProvider(req.headers);
+    const push = gitWebhook.parsePush(provider, req.headers, req.body);
+    const fields = {
+      appSlug: slug,
+      provider,
+      event: push.event,
+      deliveryId: push.deliveryId,
+      ref: push.ref,
+      commitSha: push.commitSha,
+      pusher: push.pusher
+    };
+
+    // Unsigned requests are not recorded: anyone could flood the capped
+    // delivery history and push the real deliveries out of it
+    if (!gitWebhook.verify(provider, req.headers, req.rawBody, app.gitWebhookSecret)) {
+      Logger.platform.warn(`[GIT_WEBHOOK] Rejected ${provider} webhook for ${slug}: invalid signature`);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid signature'
+      });
+    }
+
+    const branch = app.repoBranch || 'main';
+    const ignoreReason = app.repoUrl
+      ? gitWebhook.getIgnoreReason(push, branch, app.repoPath)
+      : 'App was not deployed via git';
+    if (ignoreReason) {
+      await gitWebhook.record({ ...fields, status: 'ignored', message: ignoreReason, finishedAt: new Date() });
+      return res.status(200).json({
+        success: true,
+        ignored: true,
+        message: ignoreReason
+      });
+    }
+
+    const label = gitWebhook.getProviderLabel(provider);
+    delivery = await gitWebhook.record({ ...fields, status: 'deploying' });
+    Logger.platform.info(`[GIT_WEBHOOK] ${label} push to ${branch} for ${slug}, deploying`);
+
+    const result = await updateFromGit(slug, {
+      // Deploy exactly the pushed commit, even if the branch moved on since
+      ref: push.commitSha || branch,
+      source: 'git-webhook',
+      onlyIfChanged: true,
+      triggeredBy: push.pusher ? `${label} push by ${push.pusher}` : `${label} push`,
+      onDeployment: (deployment) => {
+        // Git hosts time out quickly; answer before the build runs
+        delivery.deployment = deployment.id;
+        res.status(202).json({
+          success: true,
+          delivery: delivery.id,
+          deployment: deployment.id,
+          message: 'Deployment started'
+        });
+      }
+    });
+
+    if (result.body.skipped) {
+      delivery.status = 'ignored';
+    } else {
+      delivery.status = result.status === 200 ? 'deployed' : 'failed';
+    }
+    delivery.message = result.body.error || result.body.message;
+    delivery.finishedAt = new Date();
+    await delivery.save();
+
+    await Logger.log(slug, 'deploy', `${label} push deployment ${delivery.status}`, {
+      delivery: delivery.id,
+      ref: push.ref,
+      commitSha: push.commitSha,
+      pusher: push.pusher,
+      deployment: delivery.deployment
+    }, delivery.status === 'failed' ? 'error' : 'info');
+
+    if (!res.headersSent) {
+      return res.status(result.status).json({ ...result.body, delivery: delivery.id });
+    }
+  } catch (error) {
+    console.error('[GIT_WEBHOOK] Error:', error);
+
+    if (delivery) {
+      delivery.status = 'failed';
+      delivery.message = error.message;
+      delivery.finishedAt = new Date();
+      await delivery.save().catch(err => {
+        console.error('[GIT_WEBHOOK] Failed to record delivery result:', err);
+      });
+    }
+
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to process webhook'
+      });
+    }
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,33 @@
 const express = require('express');
 const Settings = require('../models/Settings');
 const Logger = require('../utils/logger');
+const platformDomains = require('../utils/platformDomains');
 
 const router = express.Router();
 
+/**
+ * Validate and normalize settings the platform itself depends on
+ * @returns {Object} - { valid: boolean, error: string|null, value: * }
+ */
+function normalizeSetting(key, value) {
+  if (key === platformDomains.SETTING_KEY) {
+    const validation = platformDomains.validateDomains(value);
+    return { valid: validation.valid, error: validation.error, value: validation.domains };
+  }
+
+  return { valid: true, error: null, value };
+}
+
+/**
+ * Apply settings that change runtime behaviour
+ */
+async function applySettings(keys) {
+  if (keys.includes(platformDomains.SETTING_KEY)) {
+    const domains = await platformDomains.loadDomainSettings();
+    console.log(`[SETTINGS] Platform domains updated: ${domains.join(', ')}`);
+  }
+}
+
 /**
  * GET /api/admin/settings
  * Get all platform settings
@@ -81,13 +105,20 @@ router.put('/', async (req, res) => {
       try {
         const { value, category = 'general', description = '', encrypted = false } = config;
         
-        await Settings.setSetting(key, value, category, description, encrypted);
+        const normalized = normalizeSetting(key, value);
+        if (!normalized.valid) {
+          errors.push({ key, error: normalized.error });
+          continue;
+        }
+        
+        await Settings.setSetting(key, normalized.value, category, description, encrypted);
         updates.push(key);
       } catch (error) {
         errors.push({ key, error: error.message });
       }
     }
     
+    await applySettings(updates);
     await Logger.log('system', 'settings', `Updated settings: ${updates.join(', ')}`);
     
     res.json({
@@ -122,13 +153,22 @@ router.put('/:key', async (req, res) => {
       });
     }
     
-    await Settings.setSetting(key, value, category, description, encrypted);
+    const normalized = normalizeSetting(key, value);
+    if (!normalized.valid) {
+      return res.status(400).json({
+        success: false,
+        error: normalized.error
+      });
+    }
+    
+    await Settings.setSetting(key, normalized.value, category, description, encrypted);
+    await applySettings([key]);
     await Logger.log('system', 'settings', `Updated setting: ${key}`);
     
     res.json({
       success: true,
       key,
-      value
+      value: normalized.value
     });
   } catch (error) {
     console.error('[SETTINGS] Error updating setting:', error);
@@ -158,6 +198,7 @@ router.delete('/:key', async (req, res) => {
       });
     }
     
+    await applySettings([key]);
     await Logger.log('system', 'settings', `Deleted setting: ${key}`);
     
     res.json({
@@ -9,6 +9,13 @@ const Logger = require('../utils/logger');
 const EnvManager = require('../utils/envManager');
 const BuildSystem = require('../utils/buildSystem');
 const AppValidator = require('../utils/appValidator');
+const releaseManager = require('../utils/releaseManager');
+const deploymentManager = require('../utils/deploymentManager');
+const lifecycleHooks = require('../utils/lifecycleHooks');
+const { getAppUrl } = require('../utils/platformDomains');
+const userManager = require('../utils/userManager');
+const { requireRole, requireScope } = require('../middleware/auth');
+const { canRunInProcess } = require('../utils/permissions');
 
 const router = express.Router();
 
@@ -135,10 +142,13 @@ async function cleanup(zipPath, extractPath) {
  * POST /api/apps/upload
  * Upload and install a ZIP file containing a Node/Express app
  */
-router.post('/upload', upload.single('file'), async (req, res) => {
+router.post('/upload', requireRole('owner', 'admin', 'developer'), requireScope('apps:create'), upload.single('file'), async (req, res) => {
   let zipPath = null;
   let extractPath = null;
   let tempExtractPath = null;
+  let release = null;
+  let deployment = null;
+  let slot = null;
 
   try {
     const { appName, entryFile = 'server.js' } = req.body;
@@ -175,9 +185,30 @@ router.post('/upload', upload.single('file'), async (req, res) => {
 
     zipPath = req.file.path;
     tempExtractPath = path.join(__dirname, '../uploads/tmp', `${appName}-${Date.now()}`);
-    extractPath = path.join(__dirname, '../apps', appName);
+
+    deployment = await deploymentManager.create(appName, {
+      source: 'zip-upload',
+      triggeredBy: req.user ? req.user.username : null
+    });
+    const onLine = deploymentManager.output(deployment);
+
+    // Wait for a build slot; deployments of the same app run one at a time
+    slot = await deploymentManager.acquireSlot(deployment);
+    const { signal } = slot;
+
+    // Another deployment may have created the app while this one was queued
+    if (await App.findBySlug(appName) || fsSync.existsSync(targetPath)) {
+      await cleanup(zipPath, null);
+      await deploymentManager.fail(deployment, `App '${appName}' already exists`);
+      return res.status(409).json({
+        success: false,
+        error: `App '${appName}' already exists. Please use a different name or delete the existing app first.`,
+        deployment: deployment.id
+      });
+    }
 
     await Logger.log(appName, 'zip-upload', `Starting ZIP upload`, { originalName: req.file.originalname });
+    deploymentManager.log(deployment, `Extracting ${req.file.originalname}`);
 
     // Extract ZIP file to temp location
     console.log(`[UPLOAD] Extracting ${zipPath} to ${tempExtractPath}...`);
@@ -214,17 +245,21 @@ router.post('/upload', upload.single('file'), async (req, res) => {
       ? req.body.appType 
       : BuildSystem.detectAppType(tempExtractPath);
     console.log(`[UPLOAD] Detected app type: ${appType}`);
+    deploymentManager.log(deployment, `App type: ${appType}`);
 
     // Validate app based on type
     console.log(`[UPLOAD] Validating ${appType} app...`);
+    await deploymentManager.setStatus(deployment, 'validating');
     const appValidation = AppValidator.validate(tempExtractPath, appType, entryFile);
     
     if (!appValidation.valid) {
       await cleanup(zipPath, tempExtractPath);
       await Logger.log(appName, 'error', `Validation failed: ${appValidation.errors.join(', ')}`);
+      await deploymentManager.fail(deployment, `Validation failed: ${appValidation.errors.join(', ')}`);
       return res.status(400).json({
         success: false,
         error: 'App validation failed',
+        deployment: deployment.id,
         details: {
           errors: appValidation.errors,
           warnings: appValidation.warnings,
@@ -237,6 +272,7 @@ router.post('/upload', upload.single('file'), async (req, res) => {
     if (appValidation.warnings.length > 0) {
       console.log(`[UPLOAD] Warnings for ${appName}:`, appValidation.warnings);
       await Logger.log(appName, 'warning', `Warnings: ${appValidation.warnings.join('; ')}`);
+      appValidation.warnings.forEach(warning => deploymentManager.log(deployment, `Warning: ${warning}`));
     }
 
     if (appValidation.recommendations.length > 0) {
@@ -245,19 +281,30 @@ router.post('/upload', upload.single('file'), async (req, res) => {
 
     // Build frontend apps if needed
     let buildDir = req.body.buildDir || null;
+    let build = {};
     if (appType === 'frontend' || appType === 'fullstack') {
       const buildConfig = BuildSystem.detectBuildConfig(tempExtractPath);
       
       if (buildConfig.hasBuildScript && !req.body.skipBuild) {
         console.log(`[UPLOAD] Building ${appType} app...`);
-        const buildResult = await BuildSystem.buildApp(tempExtractPath, appName);
+        const buildResult = await BuildSystem.buildApp(tempExtractPath, appName, {
+          onLine,
+          signal,
+          onStage: stage => deploymentManager.setStatus(deployment, stage)
+        });
+        build = {
+          success: buildResult.success,
+          output: buildResult.success ? `Build output: ${buildResult.buildDir}` : buildResult.error
+        };
         
         if (!buildResult.success) {
           await cleanup(zipPath, tempExtractPath);
           await Logger.log(appName, 'error', `Build failed: ${buildResult.error}`);
+          await deploymentManager.fail(deployment, `Build failed: ${buildResult.error}`);
           return res.status(400).json({
             success: false,
-            error: `Build failed: ${buildResult.error}`
+            error: `Build failed: ${buildResult.error}`,
+            deployment: deployment.id
           });
         }
         
@@ -265,8 +312,7 @@ router.post('/upload', upload.single('file'), async (req, res) => {
         console.log(`[UPLOAD] Build successful, output: ${buildDir}`);
       } else if (!buildDir) {
         // Try to detect pre-built output
-        const StaticServer = require('../middleware/staticServer');
-        buildDir = StaticServer.detectBuildDir(tempExtractPath);
+        buildDir = BuildSystem.findBuildOutput(tempExtractPath, buildConfig);
       }
     }
 
@@ -278,52 +324,60 @@ router.post('/upload', upload.single('file'), async (req, res) => {
       console.log(`[UPLOAD] Found .env file in ZIP`);
     }
 
-    // If app folder exists, remove it (we're doing an update)
-    if (fsSync.existsSync(extractPath)) {
-      console.log(`[UPLOAD] Removing existing app directory`);
-      await fs.rm(extractPath, { recursive: true, force: true });
-    }
-
-    // Move from temp to final location
-    await fs.rename(tempExtractPath, extractPath);
-    console.log(`[UPLOAD] Moved extracted files to ${extractPath}`);
+    // Store the extracted files as a new release
+    signal.throwIfAborted();
+    release = await releaseManager.createRelease(appName, tempExtractPath, {
+      source: 'zip-upload',
+      uploadedBy: req.user ? req.user.username : null,
+      config: { entryFile, appType, buildDir },
+      build
+    });
+    tempExtractPath = null;
+    extractPath = releaseManager.getReleasePath(appName, release.version);
+    console.log(`[UPLOAD] Moved extracted files to ${extractPath} (release v${release.version})`);
+    await deploymentManager.update(deployment, { release: release.version });
+    deploymentManager.log(deployment, `Created release v${release.version}`);
 
     // Install dependencies for backend apps
     if (appType === 'backend' || appType === 'fullstack') {
       const packageJsonPath = path.join(extractPath, 'package.json');
       if (fsSync.existsSync(packageJsonPath)) {
         console.log(`[UPLOAD] Installing dependencies for ${appName}...`);
+        await deploymentManager.setStatus(deployment, 'installing');
         try {
-          const { exec } = require('child_process');
-          const util = require('util');
-          const execPromise = util.promisify(exec);
-          
-          const { stdout, stderr } = await execPromise('npm install --production', {
-            cwd: extractPath,
-            timeout: 300000 // 5 minutes timeout
-          });
+          await BuildSystem.installDependencies(extractPath, appName, { production: true, onLine, signal });
           
           console.log(`[UPLOAD] Dependencies installed successfully`);
-          if (stderr && !stderr.includes('npm WARN')) {
-            console.warn(`[UPLOAD] npm install warnings:`, stderr);
-          }
           await Logger.log(appName, 'npm-install', 'Dependencies installed successfully');
         } catch (err) {
+          if (signal.aborted) throw err;
           console.error(`[UPLOAD] Failed to install dependencies:`, err.message);
           await Logger.log(appName, 'error', `npm install failed: ${err.message}`);
           // Don't fail the deployment, but log the error
+          deploymentManager.log(deployment, `npm install failed, continuing: ${err.message}`, 'stderr');
         }
       }
     }
 
-    // Handle .env file if it exists
-    let envVars = {};
-    if (hasEnvFile) {
-      const finalEnvPath = path.join(extractPath, '.env');
-      envVars = EnvManager.loadEnvSync(appName);
-      console.log(`[UPLOAD] Loaded ${Object.keys(envVars).length} environment variables`);
+    // Migrations and other release preparation declared by the app
+    try {
+      await lifecycleHooks.run(appName, extractPath, 'predeploy', { release: release.version, onLine, signal });
+    } catch (err) {
+      if (signal.aborted) throw err;
+      await cleanup(zipPath, null);
+      await releaseManager.fail(release, err.message);
+      await deploymentManager.fail(deployment, err.message);
+      return res.status(400).json({
+        success: false,
+        error: err.message,
+        output: err.output,
+        deployment: deployment.id
+      });
     }
 
+    // Last point where a cancelled deployment stops
+    signal.throwIfAborted();
+
     // Register or update app in MongoDB
     let app = await App.findBySlug(appName);
     
@@ -358,16 +412,35 @@ router.post('/upload', upload.single('file'), async (req, res) => {
         lastDeployedAt: new Date(),
         description: `Deployed via ZIP upload`,
         deploymentMethod: 'zip-upload',
-        entryFile
+        entryFile,
+        isolated: !canRunInProcess(req.user)
       });
       await app.save();
       console.log(`[UPLOAD] Created new app metadata`);
+      await userManager.grantCreator(req.user, appName);
+    }
+
+    // Switch the app to the new release
+    await releaseManager.activate(appName, release.version);
+
+    // The release is live; a failing postdeploy hook is only reported
+    await lifecycleHooks.run(appName, extractPath, 'postdeploy', { release: release.version, onLine }).catch(err => {
+      deploymentManager.log(deployment, `${err.message}, continuing`, 'stderr');
+    });
+    await deploymentManager.succeed(deployment);
+
+    // Handle .env file if it exists
+    let envVars = {};
+    if (hasEnvFile) {
+      envVars = EnvManager.loadEnvSync(appName);
+      console.log(`[UPLOAD] Loaded ${Object.keys(envVars).length} environment variables`);
     }
 
     // Clean up temporary ZIP file
     await fs.unlink(zipPath);
 
     await Logger.log(appName, 'zip-upload', `Successfully deployed from ZIP`, { 
+      release: release.version,
       entryFile,
       hasEnvFile,
       envVarsCount: Object.keys(envVars).length
@@ -381,15 +454,26 @@ router.post('/upload', upload.single('file'), async (req, res) => {
       entryFile,
       hasEnvFile,
       envVarsCount: Object.keys(envVars).length,
+      release: release.version,
+      deployment: deployment.id,
       message: 'App uploaded and registered successfully',
-      accessUrl: `http://${appName}.platformx.localhost:${process.env.PORT || 5000}`
+      accessUrl: getAppUrl(appName)
     });
 
   } catch (error) {
     console.error('[UPLOAD] Error:', error);
 
     // Clean up on error
-    await cleanup(zipPath, tempExtractPath || extractPath);
+    const cancelled = deploymentManager.isCancelled(deployment);
+    await cleanup(zipPath, tempExtractPath);
+    if (release && release.status === 'pending') {
+      await releaseManager.fail(release, error.message).catch(err => {
+        console.error('[UPLOAD] Failed to mark release as failed:', err);
+      });
+    }
+    await deploymentManager.fail(deployment, error.message).catch(err => {
+      console.error('[UPLOAD] Failed to mark deployment as failed:', err);
+    });
 
     const appName = req.body?.appName || 'unknown';
     await Logger.log(appName, 'error', `ZIP upload failed: ${error.message}`);
@@ -408,10 +492,13 @@ router.post('/upload', upload.single('file'), async (req, res) => {
       });
     }
 
-    return res.status(500).json({
+    return res.status(cancelled ? 409 : 500).json({
       success: false,
-      error: error.message || 'Internal server error during upload'
+      error: error.message || 'Internal server error during upload',
+      deployment: deployment ? deployment.id : undefined
     });
+  } finally {
+    if (slot) slot.release();
   }
 });
 
@@ -0,0 +1,251 @@
+const express = require('express');
+const User = require('../models/User');
+const userManager = require('../utils/userManager');
+const sessionManager = require('../utils/sessionManager');
+const apiTokenManager = require('../utils/apiTokenManager');
+const twoFactor = require('../utils/twoFactor');
+const Logger = require('../utils/logger');
+const { canManageRole } = require('../utils/permissions');
+
+const router = express.Router();
+
+/**
+ * Whether removing an owner (deleting, demoting or disabling it) would leave no active owner
+ */
+async function isLastOwner(user) {
+  if (user.role !== 'owner' || user.disabled) {
+    return false;
+  }
+  const owners = await User.countDocuments({ role: 'owner', disabled: false });
+  return owners <= 1;
+}
+
+/**
+ * GET /api/admin/users
+ * List dashboard users
+ */
+router.get('/', async (req, res) => {
+  try {
+    const users = await User.find().sort({ username: 1 });
+
+    return res.status(200).json({
+      success: true,
+      count: users.length,
+      users: users.map(user => userManager.format(user))
+    });
+  } catch (error) {
+    console.error('[USERS] Error listing users:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to list users'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users
+ * Create a user
+ * Body: { username, password, role, apps: [{ slug, role }] }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { username, password, role = 'viewer', apps = [] } = req.body || {};
+
+    if (!userManager.isValidUsername(username)) {
+      return res.status(400).json({
+        success: false,
+        error: 'username is required and may only contain lowercase letters, digits, dots, hyphens and underscores'
+      });
+    }
+
+    const error = userManager.validatePassword(password) || userManager.validateAccess(role, apps);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    if (!canManageRole(req.user, role)) {
+      return res.status(403).json({
+        success: false,
+        error: `You do not have permission to create ${role} accounts`
+      });
+    }
+
+    if (await User.findByUsername(username)) {
+      return res.status(409).json({
+        success: false,
+        error: `User '${username}' already exists`
+      });
+    }
+
+    const user = await User.create({
+      username,
+      passwordHash: await userManager.hashPassword(password),
+      role,
+      apps,
+      createdBy: req.user.username
+    });
+
+    await Logger.platform.info(`User created: ${username} (${role}) by ${req.user.username}`);
+
+    return res.status(201).json({
+      success: true,
+      user: userManager.format(user),
+      message: 'User created'
+    });
+  } catch (error) {
+    console.error('[USERS] Error creating user:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create user'
+    });
+  }
+});
+
+/**
+ * PATCH /api/admin/users/:username
+ * Change a user's role, app grants, password or disabled flag, or turn off
+ * their 2FA when they lost their device and recovery codes
+ * Body: { role, apps: [{ slug, role }], password, disabled, disableTwoFactor }
+ */
+router.patch('/:username', async (req, res) => {
+  try {
+    const { role, apps, password, disabled, disableTwoFactor } = req.body || {};
+
+    const user = await User.findByUsername(req.params.username);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: `User '${req.params.username}' not found`
+      });
+    }
+
+    const error = userManager.validateAccess(role, apps) ||
+      (password !== undefined ? userManager.validatePassword(password) : null);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    if (!canManageRole(req.user, user.role) || (role !== undefined && !canManageRole(req.user, role))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only owners can manage owner accounts'
+      });
+    }
+
+    const isSelf = user._id.toString() === req.user.id;
+    if (isSelf && ((role !== undefined && role !== user.role) || disabled === true)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role or disable your own account'
+      });
+    }
+
+    // Turning off your own 2FA needs your password, on the Settings page
+    if (isSelf && disableTwoFactor === true) {
+      return res.status(400).json({
+        success: false,
+        error: 'Disable your own two-factor authentication from Settings'
+      });
+    }
+
+    if (((role !== undefined && role !== 'owner') || disabled === true) && await isLastOwner(user)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The platform needs at least one active owner'
+      });
+    }
+
+    if (role !== undefined) user.role = role;
+    if (apps !== undefined) user.apps = apps;
+    if (typeof disabled === 'boolean') user.disabled = disabled;
+    if (password !== undefined) user.passwordHash = await userManager.hashPassword(password);
+    await user.save();
+
+    if (disableTwoFactor === true && twoFactor.isEnabled(user)) {
+      await twoFactor.disable(user);
+      await Logger.platform.info(`Two-factor authentication of ${user.username} disabled by ${req.user.username}`);
+    }
+
+    // A disabled account or reset password logs the user out everywhere
+    if (disabled === true || password !== undefined) {
+      await sessionManager.revokeAll(user._id);
+    }
+
+    await Logger.platform.info(`User updated: ${user.username} by ${req.user.username}`);
+
+    return res.status(200).json({
+      success: true,
+      user: userManager.format(user),
+      message: 'User updated'
+    });
+  } catch (error) {
+    console.error('[USERS] Error updating user:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update user'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:username
+ * Delete a user
+ */
+router.delete('/:username', async (req, res) => {
+  try {
+    const user = await User.findByUsername(req.params.username);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: `User '${req.params.username}' not found`
+      });
+    }
+
+    if (!canManageRole(req.user, user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only owners can manage owner accounts'
+      });
+    }
+
+    if (user._id.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot delete your own account'
+      });
+    }
+
+    if (await isLastOwner(user)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The platform needs at least one active owner'
+      });
+    }
+
+    await user.deleteOne();
+    await sessionManager.revokeAll(user._id);
+    await apiTokenManager.removeAll(user._id);
+
+    await Logger.platform.info(`User deleted: ${user.username} by ${req.user.username}`);
+
+    return res.status(200).json({
+      success: true,
+      username: user.username,
+      message: 'User deleted'
+    });
+  } catch (error) {
+    console.error('[USERS] Error deleting user:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to delete user'
+    });
+  }
+});
+
+module.exports = router;
@@ -10,9 +10,13 @@ const requestTimeout = require('./middleware/requestTimeout');
 const requestId = require('./middleware/requestId');
 const metricsCollector = require('./middleware/metricsCollector');
 const GracefulShutdown = require('./utils/gracefulShutdown');
+const envIsolation = require('./utils/envIsolation');
 
 dotenv.config();
 
+// Apps loaded into this process get their own process.env (see envIsolation)
+envIsolation.install();
+
 // Global error handlers
 process.on('uncaughtException', (error) => {
   Logger.platform.error('Uncaught Exception:', error);
@@ -36,18 +40,29 @@ app.use(helmet({
 }));
 
 // CORS configuration
+const { extractSubdomain } = require('./utils/subdomainExtractor');
+const platformDomains = require('./utils/platformDomains');
+
 const corsOptions = {
   origin: (origin, callback) => {
     // Allow requests with no origin (mobile apps, Postman, etc.)
     if (!origin) return callback(null, true);
     
-    // Allow platformx.localhost and all subdomains
-    if (origin.match(/^https?:\/\/([a-z0-9-]+\.)?platformx\.localhost(:\d+)?$/)) {
+    let originHost;
+    try {
+      originHost = new URL(origin).hostname;
+    } catch (err) {
+      return callback(new Error('Not allowed by CORS'));
+    }
+    
+    // Allow the platform domain(s) and app subdomains
+    const sub = extractSubdomain(originHost);
+    if (sub.isPlatform || sub.appName) {
       return callback(null, true);
     }
     
     // Allow localhost for development
-    if (origin.match(/^https?:\/\/localhost(:\d+)?$/)) {
+    if (originHost === 'localhost') {
       return callback(null, true);
     }
     
@@ -64,8 +79,14 @@ app.use(cors(corsOptions));
 app.use(compression());
 
 // Body parsing middleware with size limits
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Git webhooks are verified against the body exactly as it was sent
+const keepRawBody = (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/hooks/')) {
+        req.rawBody = buf;
+    }
+};
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
 
 // Request ID middleware - add unique ID to each request
 app.use(requestId);
@@ -97,7 +118,7 @@ app.use(lazyLoader);      // Load app on-demand
 app.use(appForwarder);    // Forward request to app
 app.use(requestCounter);  // Track request count in MongoDB
 
-// Platform API routes (for platformx.localhost only)
+// Platform API routes (for the platform domain only)
 const authRoutes = require('./routes/auth');
 const appRoutes = require('./routes/app');
 const uploadRoutes = require('./routes/upload');
@@ -106,7 +127,13 @@ const gitImportRoutes = require('./routes/gitImport');
 const apiInfoRoutes = require('./routes/apiInfo');
 const backupsRoutes = require('./routes/backups');
 const settingsRoutes = require('./routes/settings');
-const { authenticateToken } = require('./middleware/auth');
+const buildCacheRoutes = require('./routes/buildCache');
+const gitHooksRoutes = require('./routes/gitHooks');
+const envGroupsRoutes = require('./routes/envGroups');
+const usersRoutes = require('./routes/users');
+const apiTokensRoutes = require('./routes/apiTokens');
+const { authenticateToken, requireRole, requireScope, sessionOnly } = require('./middleware/auth');
+const { isAdmin, hasScope, canReadApp } = require('./utils/permissions');
 
 // Health check endpoints (no auth required)
 const { healthCheck, liveness, readiness } = require('./middleware/healthCheck');
@@ -114,9 +141,12 @@ app.get('/health', healthCheck);
 app.get('/health/live', liveness);
 app.get('/health/ready', readiness);
 
-// Metrics endpoint (auth required)
+// Metrics endpoint (auth required); platform-wide for admins, otherwise
+// only the traffic of apps the caller can read
 app.get('/api/metrics', authenticateToken, (req, res) => {
-  const metrics = metricsCollector.getMetrics();
+  const metrics = isAdmin(req.user)
+    ? metricsCollector.getMetrics()
+    : metricsCollector.getAppMetrics(slug => hasScope(req.user, 'apps:read') && canReadApp(req.user, slug));
   res.json(metrics);
 });
 
@@ -124,12 +154,17 @@ app.get('/api/metrics', authenticateToken, (req, res) => {
 app.use('/api', apiInfoRoutes);
 
 app.use('/api/auth', authRoutes);
+app.use('/api/hooks', gitHooksRoutes); // Authenticated by per-app webhook secrets
 app.use('/api', appRoutes);
 app.use('/api/apps', authenticateToken, uploadRoutes);
 app.use('/api/apps', authenticateToken, gitImportRoutes);
 app.use('/api/admin/apps', authenticateToken, appsAdminRoutes);
-app.use('/api/admin/backups', authenticateToken, backupsRoutes);
-app.use('/api/admin/settings', authenticateToken, settingsRoutes);
+app.use('/api/admin/backups', authenticateToken, requireScope('backups'), backupsRoutes);
+app.use('/api/admin/settings', authenticateToken, requireRole('owner', 'admin'), requireScope('admin'), settingsRoutes);
+app.use('/api/admin/build-cache', authenticateToken, requireRole('owner', 'admin'), requireScope('admin'), buildCacheRoutes);
+app.use('/api/admin/env-groups', authenticateToken, envGroupsRoutes);
+app.use('/api/admin/users', authenticateToken, requireRole('owner', 'admin'), requireScope('admin'), usersRoutes);
+app.use('/api/admin/api-tokens', authenticateToken, sessionOnly, apiTokensRoutes);
 
 // Platform landing page
 app.get('/', (req, res) => {
@@ -138,6 +173,7 @@ app.get('/', (req, res) => {
         version: '1.0.0',
         description: 'Multi-tenant Node.js hosting platform',
         docs: '/api',
+        domains: platformDomains.getPlatformDomains(),
         timestamp: new Date().toISOString()
     });
 });
@@ -178,6 +214,36 @@ mongoose
     })
     .then(async () => {
         console.log('✅ Connected to MongoDB (Mongoose)');
+
+        // Load base domains configured through Settings
+        try {
+            const domains = await platformDomains.loadDomainSettings();
+            console.log(`🌐 Platform domains: ${domains.join(', ')}`);
+        } catch (error) {
+            console.error('⚠️  Failed to load platform domain settings:', error.message);
+        }
+        
+        // First start: create the owner account from ADMIN_USERNAME / ADMIN_PASSWORD
+        try {
+            const userManager = require('./utils/userManager');
+            const owner = await userManager.ensureOwner();
+            if (owner) {
+                console.log(`👤 Created owner account '${owner.username}'`);
+            }
+        } catch (error) {
+            console.error('⚠️  Failed to create the owner account:', error.message);
+        }
+
+        // Deployments cut short by a restart can't finish anymore
+        try {
+            const deploymentManager = require('./utils/deploymentManager');
+            const interrupted = await deploymentManager.recoverInterrupted();
+            if (interrupted > 0) {
+                console.log(`⚠️  Marked ${interrupted} interrupted deployment(s) as failed`);
+            }
+        } catch (error) {
+            console.error('⚠️  Failed to recover interrupted deployments:', error.message);
+        }
         
         // Initialize MongoDB Manager for per-app databases
         try {
@@ -194,7 +260,7 @@ mongoose
     });
 
 // Auto-unload idle apps every 10 minutes
-const { unloadIdleApps } = require('./middleware/lazyLoader');
+const { unloadIdleApps, enforceResourceLimits } = require('./middleware/lazyLoader');
 const IDLE_UNLOAD_INTERVAL = 10 * 60 * 1000; // 10 minutes
 const IDLE_THRESHOLD = 15 * 60 * 1000; // 15 minutes
 
@@ -204,16 +270,25 @@ setInterval(() => {
 
 console.log('🧹 Auto-cleanup: Idle apps will be unloaded after 15 minutes of inactivity');
 
+// Enforce per-app memory/CPU limits
+const RESOURCE_CHECK_INTERVAL = 10 * 1000; // 10 seconds
+
+setInterval(() => {
+    enforceResourceLimits();
+}, RESOURCE_CHECK_INTERVAL);
+
 // Start the server
 const PORT = process.env.PORT || 5000;
 const server = app.listen(PORT, () => {
     console.log('');
     console.log('🚀 PlatformX is running!');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log(`📍 Platform: http://platformx.localhost:${PORT}`);
-    console.log(`📍 API:      http://platformx.localhost:${PORT}/api`);
-    console.log(`📍 Health:   http://platformx.localhost:${PORT}/health`);
-    console.log(`📍 Apps:     http://<appname>.platformx.localhost:${PORT}`);
+    const platformUrl = platformDomains.getPlatformUrl();
+    console.log(`📍 Platform: ${platformUrl}`);
+    console.log(`📍 API:      ${platformUrl}/api`);
+    console.log(`📍 Health:   ${platformUrl}/health`);
+    console.log(`📍 Apps:     ${platformDomains.getAppUrl('<appname>')}`);
+    console.log(`🌐 Domains:  ${platformDomains.getPlatformDomains().join(', ')}`);
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log(`🔒 Security: Helmet enabled`);
     console.log(`📦 Compression: Enabled`);
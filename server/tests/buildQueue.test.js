@@ -0,0 +1,94 @@
+/**
+ * Deploy pipeline slots (utils/buildQueue.js)
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const buildQueue = require('../utils/buildQueue');
+
+let queue;
+
+beforeEach(() => {
+  process.env.MAX_CONCURRENT_BUILDS = '2';
+  queue = new buildQueue.constructor();
+});
+
+// Whether a promise has settled by the next turn of the event loop
+async function settled(promise) {
+  let done = false;
+  promise.then(() => { done = true; }, () => { done = true; });
+  await new Promise(resolve => setImmediate(resolve));
+  return done;
+}
+
+test('runs up to MAX_CONCURRENT_BUILDS deployments at once', async () => {
+  const a = await queue.acquire('1', 'shop');
+  await queue.acquire('2', 'blog');
+  const third = queue.acquire('3', 'wiki');
+
+  assert.strictEqual(await settled(third), false);
+  assert.deepStrictEqual(queue.getStatus().waiting, [{ id: '3', appSlug: 'wiki', position: 1 }]);
+
+  a.release();
+  assert.strictEqual(await settled(third), true);
+});
+
+test('never runs two deployments of the same app together', async () => {
+  const first = await queue.acquire('1', 'shop');
+  const second = queue.acquire('2', 'shop');
+  const other = queue.acquire('3', 'blog');
+
+  // The blog deployment overtakes the second shop deployment
+  assert.strictEqual(await settled(other), true);
+  assert.strictEqual(await settled(second), false);
+
+  first.release();
+  assert.strictEqual(await settled(second), true);
+});
+
+test('reports queue positions until the slot is granted', async () => {
+  const positions = [];
+  const first = await queue.acquire('1', 'shop');
+  const second = queue.acquire('2', 'shop', { onPosition: position => positions.push(position) });
+
+  first.release();
+  await second;
+  assert.deepStrictEqual(positions, [1, 0]);
+});
+
+test('releasing twice frees one slot', async () => {
+  process.env.MAX_CONCURRENT_BUILDS = '1';
+  const first = await queue.acquire('1', 'shop');
+  const second = queue.acquire('2', 'blog');
+  const third = queue.acquire('3', 'wiki');
+
+  first.release();
+  first.release();
+  assert.strictEqual(await settled(second), true);
+  assert.strictEqual(await settled(third), false);
+});
+
+test('cancelling a queued deployment rejects it and lets the next one move up', async () => {
+  process.env.MAX_CONCURRENT_BUILDS = '1';
+  const first = await queue.acquire('1', 'shop');
+  const cancelled = queue.acquire('2', 'blog');
+  const next = queue.acquire('3', 'wiki', { onPosition: () => {} });
+
+  assert.strictEqual(queue.cancel('2'), 'queued');
+  await assert.rejects(cancelled, error => queue.isCancelError(error));
+  assert.deepStrictEqual(queue.getStatus().waiting, [{ id: '3', appSlug: 'wiki', position: 1 }]);
+
+  first.release();
+  assert.strictEqual(await settled(next), true);
+});
+
+test('cancelling a running deployment aborts its signal', async () => {
+  const slot = await queue.acquire('1', 'shop');
+
+  assert.strictEqual(queue.cancel(1), 'running');
+  assert.strictEqual(slot.signal.aborted, true);
+  assert.ok(queue.isCancelError(slot.signal.reason));
+  assert.strictEqual(queue.cancel('1'), 'running');
+  assert.strictEqual(queue.cancel('unknown'), null);
+});
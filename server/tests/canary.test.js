@@ -0,0 +1,87 @@
+/**
+ * Sticky canary routing (selectReleaseEntry in middleware/lazyLoader.js)
+ */
+
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+const { selectReleaseEntry } = require('../middleware/lazyLoader');
+
+const COOKIE = 'platformx_release_shop';
+
+function request({ cookie, header } = {}) {
+  return {
+    appName: 'shop',
+    baseUrl: '/shop',
+    headers: cookie ? { cookie } : {},
+    get: (name) => (name.toLowerCase() === 'x-platformx-release' ? header : undefined)
+  };
+}
+
+function response() {
+  return { cookie: mock.fn(), setHeader: mock.fn() };
+}
+
+describe('selectReleaseEntry', () => {
+  let current;
+  let candidate;
+
+  beforeEach(() => {
+    candidate = { release: 2 };
+    current = { release: 1, canary: { release: 2, weight: 30, entry: candidate } };
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('serves the current release without a canary', () => {
+    const res = response();
+    current.canary = null;
+
+    assert.strictEqual(selectReleaseEntry(request(), res, current), current);
+    assert.strictEqual(res.cookie.mock.callCount(), 0);
+  });
+
+  test('assigns new clients by the canary weight and remembers it', () => {
+    mock.method(Math, 'random', () => 0.29);
+    const res = response();
+    assert.strictEqual(selectReleaseEntry(request(), res, current), candidate);
+
+    const [name, value, options] = res.cookie.mock.calls[0].arguments;
+    assert.strictEqual(name, COOKIE);
+    assert.strictEqual(value, 'v2');
+    assert.strictEqual(options.httpOnly, true);
+    assert.strictEqual(options.path, '/shop');
+    assert.deepStrictEqual(res.setHeader.mock.calls[0].arguments, ['X-PlatformX-Release', 'v2']);
+
+    Math.random.mock.mockImplementation(() => 0.3);
+    const other = response();
+    assert.strictEqual(selectReleaseEntry(request(), other, current), current);
+    assert.strictEqual(other.cookie.mock.calls[0].arguments[1], 'v1');
+  });
+
+  test('keeps clients on the release in their cookie', () => {
+    mock.method(Math, 'random', () => 0.99);
+
+    for (const [cookie, expected] of [[`${COOKIE}=v2`, candidate], [`other=1; ${COOKIE}=v1`, current]]) {
+      const res = response();
+      assert.strictEqual(selectReleaseEntry(request({ cookie }), res, current), expected);
+      assert.strictEqual(res.cookie.mock.callCount(), 0);
+    }
+  });
+
+  test('the release header wins over the cookie', () => {
+    const res = response();
+    assert.strictEqual(selectReleaseEntry(request({ cookie: `${COOKIE}=v2`, header: '1' }), res, current), current);
+    assert.strictEqual(selectReleaseEntry(request({ header: 'v2' }), res, current), candidate);
+  });
+
+  test('clients of a release that is gone are assigned again', () => {
+    mock.method(Math, 'random', () => 0);
+    const res = response();
+
+    assert.strictEqual(selectReleaseEntry(request({ cookie: `${COOKIE}=v7` }), res, current), candidate);
+    assert.strictEqual(res.cookie.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * A tenant app that tries to get at the platform's secrets
+ * GET /probe reports what it found, POST /probe-body what its request's
+ * listeners see; every other route is left to the platform.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const SECRET_VARS = ['JWT_SECRET', 'MONGO_URI', 'ADMIN_PASSWORD', 'ENCRYPTION_KEY'];
+
+// Read at import time, like an SDK configuring itself
+const atImport = Object.fromEntries(SECRET_VARS.map(name => [name, process.env[name]]));
+
+function attempt(fn) {
+  try {
+    return { ok: true, value: fn() };
+  } catch (error) {
+    return { ok: false, error: error.code || error.message };
+  }
+}
+
+function envIsolation() {
+  return require(path.join(process.env.PROBE_PLATFORM_DIR, 'utils/envIsolation'));
+}
+
+const app = express();
+
+// Called by the platform outside of any request
+app.locals.readEnv = (name) => process.env[name];
+
+app.get('/probe', (req, res) => {
+  const files = JSON.parse(process.env.PROBE_FILES || '[]');
+
+  res.json({
+    atImport,
+    atRequest: Object.fromEntries(SECRET_VARS.map(name => [name, process.env[name]])),
+    appVariable: process.env.PROBE_APP_VARIABLE,
+    keys: Object.keys(process.env).filter(name => SECRET_VARS.includes(name)),
+    // Ways out of the app's context through the platform's own module
+    escapeHatches: {
+      runOutsideAppEnv: attempt(() => envIsolation().runOutsideAppEnv(() => process.env.JWT_SECRET)),
+      capturePlatformContext: attempt(() => envIsolation().capturePlatformContext()(() => process.env.JWT_SECRET)),
+      forgetAppDir: attempt(() => envIsolation().forgetAppDir(__dirname))
+    },
+    files: Object.fromEntries(files.map(file => [file, attempt(() => fs.readFileSync(file, 'utf8'))])),
+    tmpdir: os.tmpdir(),
+    tempWrite: attempt(() => fs.writeFileSync(path.join(os.tmpdir(), 'probe.txt'), 'probe')),
+    childProcess: attempt(() => require('child_process').execFileSync('cat', files).toString())
+  });
+});
+
+// The HTTP parser emits these events, not app code
+app.post('/probe-body', (req, res) => {
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+  });
+  req.once('end', () => {
+    res.json({
+      size,
+      atEnd: Object.fromEntries(SECRET_VARS.map(name => [name, process.env[name]])),
+      appVariable: process.env.PROBE_APP_VARIABLE
+    });
+  });
+});
+
+module.exports = app;
@@ -0,0 +1,23 @@
+/**
+ * A tenant app with one CPU-heavy and one long but idle route
+ */
+
+const express = require('express');
+
+const app = express();
+
+// Burns CPU for ?ms milliseconds
+app.get('/busy', (req, res) => {
+  const until = Date.now() + Number(req.query.ms || 0);
+  while (Date.now() < until) {
+    // Spin
+  }
+  res.json({ ok: true });
+});
+
+// Holds the request open for ?ms milliseconds, like long polling
+app.get('/wait', (req, res) => {
+  setTimeout(() => res.json({ ok: true }), Number(req.query.ms || 0));
+});
+
+module.exports = app;
@@ -0,0 +1,196 @@
+/**
+ * Push webhooks (utils/gitWebhook.js, routes/gitHooks.js)
+ *
+ * The only deploy trigger without a login: every request has to be signed
+ * with the app's secret and only pushes to the deployed branch (and
+ * subdirectory) deploy. The App model, the delivery history and the Git
+ * update are stubbed.
+ */
+
+const { test, describe, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+
+const gitWebhook = require('../utils/gitWebhook');
+const gitUpdater = require('../utils/gitUpdater');
+const App = require('../models/App');
+const Logger = require('../utils/logger');
+
+const SECRET = 'webhook-secret';
+
+const sign = (body, secret = SECRET) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+function pushPayload(overrides = {}) {
+  return {
+    ref: 'refs/heads/main',
+    after: 'a'.repeat(40),
+    pusher: { name: 'jane' },
+    commits: [{ added: ['web/index.js'], modified: [], removed: [] }],
+    ...overrides
+  };
+}
+
+describe('verify', () => {
+  const body = Buffer.from(JSON.stringify(pushPayload()));
+
+  test('accepts each provider\'s signature', () => {
+    const cases = [
+      ['github', { 'x-hub-signature-256': `sha256=${sign(body)}` }],
+      ['gitea', { 'x-gitea-signature': sign(body) }],
+      ['gitea', { 'x-forgejo-signature': sign(body) }],
+      ['gitlab', { 'x-gitlab-token': SECRET }],
+      ['generic', { 'x-platformx-signature': `sha256=${sign(body)}` }]
+    ];
+    for (const [provider, headers] of cases) {
+      assert.strictEqual(gitWebhook.verify(provider, headers, body, SECRET), true, `${provider} ${Object.keys(headers)}`);
+    }
+  });
+
+  test('refuses a wrong secret, a changed body or a missing signature', () => {
+    const tampered = Buffer.from(JSON.stringify(pushPayload({ ref: 'refs/heads/evil' })));
+    const headers = { 'x-hub-signature-256': `sha256=${sign(body)}` };
+
+    assert.strictEqual(gitWebhook.verify('github', headers, tampered, SECRET), false);
+    assert.strictEqual(gitWebhook.verify('github', { 'x-hub-signature-256': `sha256=${sign(body, 'guess')}` }, body, SECRET), false);
+    assert.strictEqual(gitWebhook.verify('github', { 'x-hub-signature-256': sign(body) }, body, SECRET), false);
+    assert.strictEqual(gitWebhook.verify('github', {}, body, SECRET), false);
+    assert.strictEqual(gitWebhook.verify('gitlab', { 'x-gitlab-token': 'guess' }, body, SECRET), false);
+    assert.strictEqual(gitWebhook.verify('github', headers, body, ''), false);
+  });
+
+  test('a GitHub signature header does not pass as Gitea', () => {
+    const headers = { 'x-gitea-event': 'push', 'x-hub-signature-256': `sha256=${sign(body)}` };
+    const provider = gitWebhook.detectProvider(headers);
+
+    assert.strictEqual(provider, 'gitea');
+    assert.strictEqual(gitWebhook.verify(provider, headers, body, SECRET), false);
+  });
+});
+
+describe('push filters', () => {
+  const parse = (payload, headers = { 'x-github-event': 'push' }) =>
+    gitWebhook.parsePush(gitWebhook.detectProvider(headers), headers, payload);
+
+  test('deploys pushes to the deployed branch', () => {
+    assert.strictEqual(gitWebhook.getIgnoreReason(parse(pushPayload()), 'main'), null);
+  });
+
+  test('ignores other events, branches and deleted branches', () => {
+    assert.match(gitWebhook.getIgnoreReason(parse({}, { 'x-github-event': 'ping' }), 'main'), /Ping received/);
+    assert.match(gitWebhook.getIgnoreReason(parse({}, { 'x-github-event': 'issues' }), 'main'), /not a push/);
+    assert.match(gitWebhook.getIgnoreReason(parse(pushPayload()), 'production'), /does not match/);
+    assert.match(gitWebhook.getIgnoreReason(parse(pushPayload({ ref: 'refs/tags/main' })), 'main'), /does not match/);
+    assert.match(gitWebhook.getIgnoreReason(parse(pushPayload({ after: '0'.repeat(40) })), 'main'), /was deleted/);
+  });
+
+  test('only deploys a subdirectory when the push changed it', () => {
+    assert.strictEqual(gitWebhook.getIgnoreReason(parse(pushPayload()), 'main', 'web'), null);
+    assert.match(gitWebhook.getIgnoreReason(parse(pushPayload()), 'main', 'api'), /does not change api\//);
+    // "web-admin/" is not inside "web/"
+    const sibling = pushPayload({ commits: [{ added: [], modified: ['web-admin/x.js'], removed: [] }] });
+    assert.match(gitWebhook.getIgnoreReason(parse(sibling), 'main', 'web'), /does not change web\//);
+  });
+
+  test('deploys when the payload does not list every changed file', () => {
+    const many = pushPayload({ commits: Array.from({ length: 20 }, () => ({ added: [], modified: ['api/x.js'], removed: [] })) });
+    const truncated = pushPayload({ total_commits_count: 3 });
+
+    assert.strictEqual(parse(many).changedFiles, null);
+    assert.strictEqual(gitWebhook.getIgnoreReason(parse(many), 'main', 'web'), null);
+    assert.strictEqual(gitWebhook.getIgnoreReason(parse(truncated), 'main', 'web'), null);
+  });
+
+  test('reads form-encoded GitHub payloads', () => {
+    const push = parse({ payload: JSON.stringify(pushPayload()) });
+    assert.strictEqual(push.ref, 'refs/heads/main');
+    assert.strictEqual(push.pusher, 'jane');
+  });
+});
+
+describe('POST /api/hooks/git/:slug', () => {
+  let server;
+  let updateFromGit;
+  let record;
+
+  function deliver(payload, headers) {
+    const body = JSON.stringify(payload);
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        port: server.address().port,
+        method: 'POST',
+        path: '/api/hooks/git/shop',
+        headers: { 'content-type': 'application/json', 'x-github-event': 'push', ...headers }
+      }, (res) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  before(() => {
+    const app = { slug: 'shop', gitWebhookSecret: SECRET, repoUrl: 'https://example.com/shop.git', repoBranch: 'main', repoPath: 'web' };
+    mock.method(App, 'findBySlug', async (slug) => (slug === 'shop' ? app : null));
+    mock.method(Logger, 'log', async () => {});
+    mock.method(Logger.platform, 'info', async () => {});
+    mock.method(Logger.platform, 'warn', async () => {});
+    // Stubbed before the route module takes its reference
+    updateFromGit = mock.method(gitUpdater, 'updateFromGit', async (slug, options) => {
+      options.onDeployment({ id: 'deployment-1' });
+      return { status: 200, body: { success: true, message: 'Updated' } };
+    });
+    const gitHooksRoutes = require('../routes/gitHooks');
+
+    const host = express();
+    host.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+    host.use('/api/hooks', gitHooksRoutes);
+    server = host.listen(0);
+  });
+
+  beforeEach(() => {
+    updateFromGit.mock.resetCalls();
+    record = mock.method(gitWebhook, 'record', async (fields) => ({ id: 'delivery-1', ...fields, save: async () => {} }));
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  test('refuses unsigned pushes without recording them', async () => {
+    const { status } = await deliver(pushPayload(), { 'x-hub-signature-256': `sha256=${sign('{}')}` });
+
+    assert.strictEqual(status, 401);
+    assert.strictEqual(record.mock.callCount(), 0);
+    assert.strictEqual(updateFromGit.mock.callCount(), 0);
+  });
+
+  test('records and ignores signed pushes to another branch', async () => {
+    const payload = pushPayload({ ref: 'refs/heads/feature' });
+    const { status, body } = await deliver(payload, { 'x-hub-signature-256': `sha256=${sign(JSON.stringify(payload))}` });
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.ignored, true);
+    assert.strictEqual(record.mock.calls[0].arguments[0].status, 'ignored');
+    assert.strictEqual(updateFromGit.mock.callCount(), 0);
+  });
+
+  test('deploys the pushed commit of a signed push', async () => {
+    const payload = pushPayload();
+    const { status, body } = await deliver(payload, { 'x-hub-signature-256': `sha256=${sign(JSON.stringify(payload))}` });
+
+    assert.strictEqual(status, 202);
+    assert.strictEqual(body.deployment, 'deployment-1');
+    const [slug, options] = updateFromGit.mock.calls[0].arguments;
+    assert.strictEqual(slug, 'shop');
+    assert.strictEqual(options.ref, 'a'.repeat(40));
+    assert.strictEqual(options.source, 'git-webhook');
+  });
+});
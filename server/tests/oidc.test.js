@@ -0,0 +1,89 @@
+/**
+ * Roles of single sign-on users (utils/oidc.js, userManager.upsertSsoUser)
+ *
+ * The User model is replaced by an in-memory list of users.
+ */
+
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+process.env.OIDC_ROLE_MAPPING = 'group:platform-admins=admin,domain:example.com=developer,email:vip@other.org=admin';
+
+const User = require('../models/User');
+const oidc = require('../utils/oidc');
+const userManager = require('../utils/userManager');
+
+const ISSUER = 'https://id.example.com';
+
+describe('mapRole', () => {
+  test('the most powerful matching rule wins', () => {
+    const claims = { groups: ['platform-admins'], email: 'jane@example.com', email_verified: true };
+    assert.strictEqual(oidc.mapRole(claims), 'admin');
+    assert.strictEqual(oidc.mapRole({ ...claims, groups: [] }), 'developer');
+  });
+
+  test('emails only count when verified', () => {
+    assert.strictEqual(oidc.mapRole({ email: 'jane@example.com', email_verified: true }), 'developer');
+    assert.strictEqual(oidc.mapRole({ email: 'jane@example.com', email_verified: false }), null);
+    assert.strictEqual(oidc.mapRole({ email: 'jane@example.com' }), null);
+    assert.strictEqual(oidc.mapRole({ email: 'vip@other.org', email_verified: 'true' }), null);
+  });
+
+  test('nothing matched gives no role', () => {
+    assert.strictEqual(oidc.mapRole({ groups: ['staff'], email: 'bob@other.org', email_verified: true }), null);
+  });
+});
+
+describe('upsertSsoUser', () => {
+  let users;
+
+  beforeEach(() => {
+    users = [];
+    mock.method(User, 'findBySso', async (issuer, subject) =>
+      users.find(user => user.sso.issuer === issuer && user.sso.subject === subject) || null);
+    mock.method(User, 'findByUsername', async (username) => users.find(user => user.username === username) || null);
+    mock.method(User.prototype, 'save', async function() {
+      if (!users.includes(this)) {
+        users.push(this);
+      }
+    });
+    mock.method(userManager, 'hashPassword', async () => 'hash');
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const login = (mappedRole, defaultRole = null) =>
+    userManager.upsertSsoUser(ISSUER, { sub: 'jane' }, mappedRole, defaultRole, 'jane');
+
+  test('new users get the mapped or default role, or are refused', async () => {
+    assert.strictEqual(await login(null), null);
+    assert.strictEqual(users.length, 0);
+
+    assert.strictEqual((await login(null, 'viewer')).role, 'viewer');
+    assert.strictEqual(users.length, 1);
+  });
+
+  test('a matching rule sets the role on every login', async () => {
+    await login('developer');
+    const user = await login('admin');
+    assert.strictEqual(user.role, 'admin');
+  });
+
+  test('a mapped role is taken away when no rule matches any more', async () => {
+    await login('admin');
+    assert.strictEqual((await login(null, 'viewer')).role, 'viewer');
+
+    await login('admin');
+    assert.strictEqual(await login(null), null);
+  });
+
+  test('a role set by an admin is kept when no rule matches', async () => {
+    const user = await login(null, 'viewer');
+    user.role = 'developer';
+
+    assert.strictEqual((await login(null, 'viewer')).role, 'developer');
+    assert.strictEqual((await login(null)).role, 'developer');
+  });
+});
@@ -0,0 +1,363 @@
+/**
+ * Roles, app grants and API token scopes (utils/permissions.js,
+ * middleware/auth.js), who may read and attach environment groups, and who
+ * may run apps in the platform process or manage loaded apps
+ *
+ * The routes run against stubbed models, so no database is needed.
+ */
+
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const permissions = require('../utils/permissions');
+const App = require('../models/App');
+const EnvGroup = require('../models/EnvGroup');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Logger = require('../utils/logger');
+const metricsCollector = require('../middleware/metricsCollector');
+const { generateToken } = require('../middleware/auth');
+const envGroupsRoutes = require('../routes/envGroups');
+const appsAdminRoutes = require('../routes/appsAdmin');
+const appRoutes = require('../routes/app');
+
+const users = {
+  owner: { username: 'olivia', role: 'owner', apps: [] },
+  admin: { username: 'alice', role: 'admin', apps: [] },
+  developer: { username: 'dave', role: 'developer', apps: [{ slug: 'shop', role: 'developer' }] },
+  // A developer role with a read-only grant, and a viewer with a developer grant
+  reader: { username: 'rita', role: 'developer', apps: [{ slug: 'shop', role: 'viewer' }] },
+  viewer: { username: 'vic', role: 'viewer', apps: [{ slug: 'shop', role: 'developer' }] },
+  // An admin's API token without the admin scope
+  adminToken: { username: 'alice', role: 'admin', apps: [], token: { scopes: ['apps:read', 'apps:config'], apps: [] } },
+  // A token limited to one app
+  shopToken: { username: 'alice', role: 'admin', apps: [], token: { scopes: ['apps:read', 'admin'], apps: ['shop'] } }
+};
+
+describe('permissions', () => {
+  test('owners and admins can access every app', () => {
+    for (const user of [users.owner, users.admin]) {
+      assert.strictEqual(permissions.getAppRole(user, 'anything'), 'admin');
+      assert.strictEqual(permissions.canWriteApp(user, 'anything'), true);
+    }
+  });
+
+  test('developers and viewers only access the apps they are granted', () => {
+    assert.strictEqual(permissions.canWriteApp(users.developer, 'shop'), true);
+    assert.strictEqual(permissions.canReadApp(users.developer, 'blog'), false);
+    assert.strictEqual(permissions.getAppRole(users.developer, 'blog'), null);
+  });
+
+  test('a grant never gives more than the user role', () => {
+    assert.strictEqual(permissions.getAppRole(users.reader, 'shop'), 'viewer');
+    assert.strictEqual(permissions.canWriteApp(users.reader, 'shop'), false);
+    assert.strictEqual(permissions.getAppRole(users.viewer, 'shop'), 'viewer');
+    assert.strictEqual(permissions.canWriteApp(users.viewer, 'shop'), false);
+  });
+
+  test('API tokens are limited to their scopes and apps', () => {
+    assert.strictEqual(permissions.hasScope(users.admin, 'admin'), true);
+    assert.strictEqual(permissions.hasScope(users.adminToken, 'admin'), false);
+    assert.strictEqual(permissions.canReadApp(users.shopToken, 'shop'), true);
+    assert.strictEqual(permissions.canReadApp(users.shopToken, 'blog'), false);
+  });
+
+  test('only admins manage users and only owners manage owners', () => {
+    assert.strictEqual(permissions.canManageRole(users.owner, 'owner'), true);
+    assert.strictEqual(permissions.canManageRole(users.admin, 'owner'), false);
+    assert.strictEqual(permissions.canManageRole(users.admin, 'developer'), true);
+    assert.strictEqual(permissions.canManageRole(users.developer, 'viewer'), false);
+  });
+
+  test('only admins with the admin scope manage environment groups', () => {
+    assert.strictEqual(permissions.canManageEnvGroups(users.owner), true);
+    assert.strictEqual(permissions.canManageEnvGroups(users.admin), true);
+    assert.strictEqual(permissions.canManageEnvGroups(users.adminToken), false);
+    assert.strictEqual(permissions.canManageEnvGroups(users.developer), false);
+  });
+
+  test('only admins with the admin scope run apps in the platform process', () => {
+    assert.strictEqual(permissions.canRunInProcess(users.owner), true);
+    assert.strictEqual(permissions.canRunInProcess(users.admin), true);
+    assert.strictEqual(permissions.canRunInProcess(users.adminToken), false);
+    assert.strictEqual(permissions.canRunInProcess(users.developer), false);
+  });
+});
+
+describe('environment group routes', () => {
+  const MASK = '••••••••';
+  let server;
+  let shop;
+
+  // A query result that can be awaited or refined with sort() and select()
+  const query = (result) => Object.assign(Promise.resolve(result), {
+    sort: async () => result,
+    select: async () => result
+  });
+
+  function request(method, path, user, body) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        port: server.address().port,
+        method,
+        path,
+        headers: { 'content-type': 'application/json', 'x-test-user': user }
+      }, (res) => {
+        let data = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          data += chunk;
+        });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+      });
+      req.on('error', reject);
+      req.end(body ? JSON.stringify(body) : undefined);
+    });
+  }
+
+  before(() => {
+    const smtp = {
+      name: 'smtp',
+      description: 'Mail settings',
+      variables: new Map([['SMTP_HOST', 'mail.example.com'], ['SMTP_PASSWORD', 'hunter2']])
+    };
+    const payments = { name: 'payments', description: '', variables: new Map([['PAY_KEY', 'sk_live']]) };
+    shop = { slug: 'shop', envGroups: ['smtp'], save: mock.fn(async () => {}) };
+
+    mock.method(EnvGroup, 'find', () => query([smtp, payments]));
+    mock.method(EnvGroup, 'findOne', async ({ name }) => [smtp, payments].find(group => group.name === name) || null);
+    mock.method(App, 'find', () => query([shop]));
+    mock.method(App, 'findBySlug', async (slug) => (slug === 'shop' ? shop : null));
+    mock.method(Logger, 'log', async () => {});
+
+    // Stands in for authenticateToken
+    const host = express();
+    host.use(express.json());
+    host.use((req, res, next) => {
+      req.user = users[req.headers['x-test-user']];
+      next();
+    });
+    host.use('/api/admin/env-groups', envGroupsRoutes);
+    host.use('/api/admin/apps', appsAdminRoutes);
+    server = host.listen(0);
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+    metricsCollector.cleanup();
+  });
+
+  test('admins see group values', async () => {
+    const { status, body } = await request('GET', '/api/admin/env-groups', 'admin');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.groups[0].variables.SMTP_PASSWORD, 'hunter2');
+  });
+
+  test('developers only see the keys of groups', async () => {
+    const list = await request('GET', '/api/admin/env-groups', 'developer');
+    assert.strictEqual(list.status, 200);
+    assert.deepStrictEqual(list.body.groups[0].variables, { SMTP_HOST: MASK, SMTP_PASSWORD: MASK });
+    assert.deepStrictEqual(list.body.groups[1].variables, { PAY_KEY: MASK });
+
+    const group = await request('GET', '/api/admin/env-groups/payments', 'developer');
+    assert.strictEqual(group.status, 200);
+    assert.deepStrictEqual(group.body.group.variables, { PAY_KEY: MASK });
+
+    const attached = await request('GET', '/api/admin/apps/shop/env-groups', 'developer');
+    assert.strictEqual(attached.status, 200);
+    assert.deepStrictEqual(attached.body.env, { SMTP_HOST: MASK, SMTP_PASSWORD: MASK });
+  });
+
+  test('an admin API token without the admin scope only sees the keys', async () => {
+    const { body } = await request('GET', '/api/admin/env-groups/smtp', 'adminToken');
+    assert.strictEqual(body.group.variables.SMTP_PASSWORD, MASK);
+  });
+
+  test('viewers cannot list groups', async () => {
+    const { status } = await request('GET', '/api/admin/env-groups', 'viewer');
+    assert.strictEqual(status, 403);
+  });
+
+  test('developers cannot change groups', async () => {
+    const { status } = await request('PATCH', '/api/admin/env-groups/smtp', 'developer', { variables: { SMTP_HOST: 'evil' } });
+    assert.strictEqual(status, 403);
+  });
+
+  test('developers cannot attach groups, even to an app they can change', async () => {
+    const { status } = await request('PUT', '/api/admin/apps/shop/env-groups', 'developer', { groups: ['smtp', 'payments'] });
+    assert.strictEqual(status, 403);
+    assert.strictEqual(shop.save.mock.callCount(), 0);
+    assert.deepStrictEqual(shop.envGroups, ['smtp']);
+  });
+
+  test('developers cannot read the groups of apps they are not granted', async () => {
+    const { status } = await request('GET', '/api/admin/apps/blog/env-groups', 'developer');
+    assert.strictEqual(status, 403);
+  });
+
+  test('admins attach groups', async () => {
+    const { status, body } = await request('PUT', '/api/admin/apps/shop/env-groups', 'admin', { groups: ['smtp', 'payments'] });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.groups, ['smtp', 'payments']);
+    assert.strictEqual(body.env.PAY_KEY, 'sk_live');
+    assert.strictEqual(shop.save.mock.callCount(), 1);
+  });
+});
+
+describe('runtime mode', () => {
+  let server;
+  let shop;
+
+  function patch(user, body) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        port: server.address().port,
+        method: 'PATCH',
+        path: '/api/admin/apps/shop',
+        headers: { 'content-type': 'application/json', 'x-test-user': user }
+      }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on('error', reject);
+      req.end(JSON.stringify(body));
+    });
+  }
+
+  before(() => {
+    mock.method(App, 'findBySlug', async (slug) => (slug === 'shop' ? shop : null));
+
+    const host = express();
+    host.use(express.json());
+    host.use((req, res, next) => {
+      req.user = users[req.headers['x-test-user']];
+      next();
+    });
+    host.use('/api/admin/apps', appsAdminRoutes);
+    server = host.listen(0);
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+    metricsCollector.cleanup();
+  });
+
+  test('developers cannot move an isolated app into the platform process', async () => {
+    shop = { slug: 'shop', isolated: true, resourceLimits: {}, save: mock.fn(async () => {}) };
+
+    assert.strictEqual(await patch('developer', { isolated: false }), 403);
+    assert.strictEqual(await patch('adminToken', { isolated: false }), 403);
+    assert.strictEqual(shop.isolated, true);
+    assert.strictEqual(shop.save.mock.callCount(), 0);
+
+    // Other changes still send the current mode
+    assert.strictEqual(await patch('developer', { description: 'Store', isolated: true }), 200);
+  });
+
+  test('developers can isolate an app and admins can run it in-process', async () => {
+    shop = { slug: 'shop', isolated: false, resourceLimits: {}, save: mock.fn(async () => {}) };
+
+    assert.strictEqual(await patch('developer', { isolated: true }), 200);
+    assert.strictEqual(shop.isolated, true);
+    assert.strictEqual(await patch('admin', { isolated: false }), 200);
+    assert.strictEqual(shop.isolated, false);
+  });
+});
+
+describe('loaded app routes', () => {
+  let server;
+  const accounts = {};
+
+  function request(method, path, user) {
+    const headers = {};
+    if (user) {
+      const account = accounts[user];
+      const token = generateToken({ id: String(account._id), username: account.username, role: account.role, sid: String(account._id) });
+      headers.authorization = `Bearer ${token}`;
+    }
+    return new Promise((resolve, reject) => {
+      const req = http.request({ port: server.address().port, method, path, headers }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  before(() => {
+    for (const key of ['admin', 'developer', 'reader']) {
+      accounts[key] = { ...users[key], _id: new mongoose.Types.ObjectId() };
+    }
+    const byId = (id) => Object.values(accounts).find(account => String(account._id) === String(id)) || null;
+
+    // Each account has one session, with the account's id
+    mock.method(User, 'findById', async (id) => byId(id));
+    mock.method(Session, 'findById', async (id) => byId(id) && {
+      _id: id,
+      userId: byId(id)._id,
+      expiresAt: new Date(Date.now() + 60 * 1000),
+      lastSeenAt: new Date()
+    });
+
+    const host = express();
+    host.use(express.json());
+    host.use('/api', appRoutes);
+    server = host.listen(0);
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  test('require a login', async () => {
+    assert.strictEqual(await request('GET', '/api/apps/cached'), 401);
+    assert.strictEqual(await request('GET', '/api/apps/shop'), 401);
+    assert.strictEqual(await request('POST', '/api/apps/shop/unload'), 401);
+    assert.strictEqual(await request('POST', '/api/apps/unload-idle'), 401);
+  });
+
+  test('only show apps the user can read', async () => {
+    assert.strictEqual(await request('GET', '/api/apps/cached', 'developer'), 200);
+    assert.strictEqual(await request('GET', '/api/apps/blog', 'developer'), 403);
+  });
+
+  test('only unload apps the user can change', async () => {
+    // Not loaded, but allowed
+    assert.strictEqual(await request('POST', '/api/apps/shop/unload', 'developer'), 404);
+    assert.strictEqual(await request('POST', '/api/apps/shop/unload', 'reader'), 403);
+    assert.strictEqual(await request('POST', '/api/apps/blog/unload', 'developer'), 403);
+  });
+
+  test('only admins unload idle apps', async () => {
+    assert.strictEqual(await request('POST', '/api/apps/unload-idle', 'developer'), 403);
+    assert.strictEqual(await request('POST', '/api/apps/unload-idle', 'admin'), 200);
+  });
+});
+
+describe('metrics', () => {
+  test('users only see the traffic of apps they can read', () => {
+    const collector = new metricsCollector.constructor();
+    const request = (appName, path) => ({ appName, method: 'GET', path, ip: '203.0.113.7' });
+
+    collector.recordAppRequest(request('shop', '/'), '/', 200, 10);
+    collector.recordAppRequest(request('shop', '/cart'), '/cart', 500, 30);
+    collector.recordAppRequest(request('blog', '/admin'), '/admin', 404, 5);
+    collector.cleanup();
+
+    const metrics = collector.getAppMetrics(slug => permissions.canReadApp(users.developer, slug));
+    assert.strictEqual(metrics.requests.total, 2);
+    assert.deepStrictEqual(metrics.requests.byPath, { '/': 1, '/cart': 1 });
+    assert.strictEqual(metrics.responseTimes.avg, 20);
+    assert.deepStrictEqual(metrics.errors.last10.map(error => error.path), ['/cart']);
+    assert.strictEqual(metrics.memory, undefined);
+  });
+});
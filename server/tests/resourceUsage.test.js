@@ -0,0 +1,100 @@
+/**
+ * Resource usage is charged to the app that used it (utils/workerManager.js)
+ *
+ * Runs tests/fixtures/usage-probe as two isolated workers: one busy, one
+ * holding a request open meanwhile. In-process apps share the platform's CPU,
+ * so they can't get CPU limits at all (routes/appsAdmin.js).
+ */
+
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+const express = require('express');
+
+const workerManager = require('../utils/workerManager');
+const envIsolation = require('../utils/envIsolation');
+const App = require('../models/App');
+const metricsCollector = require('../middleware/metricsCollector');
+const appsAdminRoutes = require('../routes/appsAdmin');
+
+const PROBE_DIR = path.join(__dirname, 'fixtures/usage-probe');
+
+function get(options) {
+  return new Promise((resolve, reject) => {
+    http.get(options, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    }).on('error', reject);
+  });
+}
+
+describe('isolated workers', () => {
+  after(async () => {
+    workerManager.stopAll();
+    await Promise.all(['usage-idle', 'usage-busy'].map(name => envIsolation.removeAppTempDir(name)));
+  });
+
+  test('a busy app does not charge an app with a concurrent idle request', async () => {
+    const options = { appPath: PROBE_DIR, entryFile: 'server.js', appEnv: {} };
+    const idle = await workerManager.start('usage-idle', options);
+    const busy = await workerManager.start('usage-busy', options);
+
+    await Promise.all([workerManager.sampleUsage(idle), workerManager.sampleUsage(busy)]);
+    const idleStart = idle.usage.cpuTimeMs;
+    const busyStart = busy.usage.cpuTimeMs;
+
+    await Promise.all([
+      get({ socketPath: idle.socketPath, path: '/wait?ms=1500' }),
+      get({ socketPath: busy.socketPath, path: '/busy?ms=800' })
+    ]);
+
+    await Promise.all([workerManager.sampleUsage(idle), workerManager.sampleUsage(busy)]);
+    assert.ok(busy.usage.cpuTimeMs - busyStart >= 400, `busy app charged ${busy.usage.cpuTimeMs - busyStart}ms`);
+    assert.ok(idle.usage.cpuTimeMs - idleStart < 200, `idle app charged ${idle.usage.cpuTimeMs - idleStart}ms`);
+  });
+});
+
+describe('in-process apps', () => {
+  let server;
+  let app;
+
+  before(() => {
+    app = { slug: 'shop', isolated: false, resourceLimits: {}, save: mock.fn(async () => {}) };
+    mock.method(App, 'findBySlug', async (slug) => (slug === 'shop' ? app : null));
+
+    const host = express();
+    host.use(express.json());
+    host.use((req, res, next) => {
+      req.user = { username: 'alice', role: 'admin', apps: [] };
+      next();
+    });
+    host.use('/api/admin/apps', appsAdminRoutes);
+    server = host.listen(0);
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+    metricsCollector.cleanup();
+  });
+
+  test('cannot get a CPU limit', async () => {
+    const status = await new Promise((resolve, reject) => {
+      const req = http.request({
+        port: server.address().port,
+        method: 'PATCH',
+        path: '/api/admin/apps/shop',
+        headers: { 'content-type': 'application/json' }
+      }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      });
+      req.on('error', reject);
+      req.end(JSON.stringify({ resourceLimits: { maxCpuTimeMs: 1000 } }));
+    });
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(app.save.mock.callCount(), 0);
+  });
+});
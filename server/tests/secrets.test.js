@@ -0,0 +1,116 @@
+/**
+ * App secrets (utils/secretsManager.js)
+ *
+ * The Secret model is stubbed with an in-memory list.
+ */
+
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+
+const { encrypt, decrypt, isEncrypted } = require('../utils/encryption');
+const Secret = require('../models/Secret');
+const secretsManager = require('../utils/secretsManager');
+
+// Resolves like a mongoose query, with or without .sort()
+function query(docs) {
+  const sorted = () => [...docs].sort((a, b) => a.key.localeCompare(b.key));
+  return {
+    sort: async () => sorted(),
+    then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject)
+  };
+}
+
+describe('secretsManager', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+    mock.method(Secret, 'find', ({ appSlug }) => query(stored.filter(secret => secret.appSlug === appSlug)));
+    mock.method(Secret, 'findOne', async ({ appSlug, key }) =>
+      stored.find(secret => secret.appSlug === appSlug && secret.key === key) || null);
+    mock.method(Secret, 'create', async (fields) => {
+      const secret = { ...fields, save: async () => {} };
+      stored.push(secret);
+      return secret;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('stores values encrypted and lists them masked', async () => {
+    await secretsManager.set('shop', 'STRIPE_KEY', 'sk_live_0123456789abcdef');
+    await secretsManager.set('shop', 'PIN', '1234');
+
+    assert.ok(isEncrypted(stored[0].value));
+    assert.strictEqual(decrypt(stored[0].value), 'sk_live_0123456789abcdef');
+
+    const listed = await secretsManager.list('shop');
+    assert.deepStrictEqual(listed.map(secret => [secret.key, secret.value]), [
+      ['PIN', '••••••••'],
+      ['STRIPE_KEY', '••••••••cdef']
+    ]);
+  });
+
+  test('rotating a secret keeps one entry', async () => {
+    const first = await secretsManager.set('shop', 'TOKEN', 'one');
+    const second = await secretsManager.set('shop', 'TOKEN', 'two');
+
+    assert.strictEqual(first.created, true);
+    assert.strictEqual(second.created, false);
+    assert.strictEqual(stored.length, 1);
+    assert.deepStrictEqual(await secretsManager.load('shop'), { TOKEN: 'two' });
+  });
+
+  test('validates values', () => {
+    assert.strictEqual(secretsManager.validateValue('x'), null);
+    assert.match(secretsManager.validateValue(''), /non-empty string/);
+    assert.match(secretsManager.validateValue(42), /non-empty string/);
+    assert.match(secretsManager.validateValue('x'.repeat(64 * 1024 + 1)), /at most/);
+  });
+
+  test('leaves out secrets that no longer decrypt', async () => {
+    const error = mock.method(console, 'error', () => {});
+    await secretsManager.set('shop', 'GOOD', 'value');
+    stored.push({ appSlug: 'shop', key: 'BAD', value: encrypt('value', Buffer.alloc(32)) });
+
+    assert.deepStrictEqual(await secretsManager.load('shop'), { GOOD: 'value' });
+    assert.match(error.mock.calls[0].arguments[0], /Failed to decrypt BAD for shop/);
+  });
+
+  describe('backups', () => {
+    test('round trip under a passphrase', async () => {
+      await secretsManager.set('shop', 'API_KEY', 'abc');
+      await secretsManager.set('shop', 'DB_PASSWORD', 'p4ss');
+
+      const data = JSON.parse(JSON.stringify(await secretsManager.exportForBackup('shop', 'backup passphrase')));
+      assert.strictEqual(data.version, 1);
+      // Not readable with the platform key
+      assert.throws(() => decrypt(data.secrets[0].value), /Failed to decrypt/);
+      assert.ok(!JSON.stringify(data).includes('p4ss'));
+
+      const secrets = secretsManager.readBackup(data, 'backup passphrase');
+      assert.deepStrictEqual(secrets.map(({ key, value }) => [key, value]), [['API_KEY', 'abc'], ['DB_PASSWORD', 'p4ss']]);
+
+      stored = [];
+      await secretsManager.restore('blog', secrets);
+      assert.deepStrictEqual(await secretsManager.load('blog'), { API_KEY: 'abc', DB_PASSWORD: 'p4ss' });
+    });
+
+    test('refuse a wrong passphrase', async () => {
+      await secretsManager.set('shop', 'API_KEY', 'abc');
+      const data = await secretsManager.exportForBackup('shop', 'backup passphrase');
+
+      assert.throws(() => secretsManager.readBackup(data, 'guess'), /Wrong passphrase/);
+    });
+
+    test('refuse unknown formats', () => {
+      assert.throws(() => secretsManager.readBackup(null, 'x'), /Unsupported secrets format/);
+      assert.throws(() => secretsManager.readBackup({ version: 2, salt: '', secrets: [] }, 'x'), /Unsupported secrets format/);
+      assert.throws(() => secretsManager.readBackup({ version: 1, salt: '' }, 'x'), /Unsupported secrets format/);
+    });
+  });
+});
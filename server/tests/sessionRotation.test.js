@@ -0,0 +1,160 @@
+/**
+ * Refresh token rotation (utils/sessionManager.js) and the session check of
+ * access tokens (middleware/auth.js)
+ *
+ * The Session model is replaced by an in-memory collection whose
+ * findOneAndUpdate is atomic, like MongoDB's.
+ */
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Session = require('../models/Session');
+const User = require('../models/User');
+const sessionManager = require('../utils/sessionManager');
+const { authenticateToken, generateToken } = require('../middleware/auth');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const req = { ip: '203.0.113.7', get: () => 'test' };
+let sessions;
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, value]) => {
+    if (value && value.$gt) {
+      return doc[key] > value.$gt;
+    }
+    return String(doc[key]) === String(value);
+  });
+}
+
+beforeEach(() => {
+  sessions = new Map();
+  const find = (filter) => [...sessions.values()].find(doc => matches(doc, filter)) || null;
+
+  mock.method(Session, 'findById', async (id) => {
+    const doc = sessions.get(String(id));
+    return doc ? { ...doc } : null;
+  });
+  mock.method(Session, 'findOneAndUpdate', async (filter, update) => {
+    const doc = find(filter);
+    if (!doc) {
+      return null;
+    }
+    Object.assign(doc, update);
+    return { ...doc };
+  });
+  mock.method(Session, 'deleteOne', async (filter) => {
+    const doc = find(filter);
+    if (doc) {
+      sessions.delete(String(doc._id));
+    }
+    return { deletedCount: doc ? 1 : 0 };
+  });
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+/**
+ * A session and its current refresh token
+ */
+function startSession(userId = new mongoose.Types.ObjectId()) {
+  const session = {
+    _id: new mongoose.Types.ObjectId(),
+    userId,
+    previousTokenHash: null,
+    rotatedAt: new Date(),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  };
+  const { token, hash } = sessionManager.issueToken(session);
+  session.tokenHash = hash;
+  sessions.set(String(session._id), session);
+  return { id: String(session._id), token };
+}
+
+test('a refresh token is exchanged for a new one', async () => {
+  const { id, token } = startSession();
+
+  const result = await sessionManager.rotate(token, req);
+  assert.ok(result);
+  assert.notStrictEqual(result.refreshToken, token);
+  assert.ok(result.refreshToken.startsWith(`${id}.`));
+
+  const next = await sessionManager.rotate(result.refreshToken, req);
+  assert.ok(next);
+});
+
+test('concurrent refreshes with the same token get one new token', async () => {
+  const { id, token } = startSession();
+
+  const results = await Promise.all([
+    sessionManager.rotate(token, req),
+    sessionManager.rotate(token, req),
+    sessionManager.rotate(token, req)
+  ]);
+
+  assert.strictEqual(results.filter(Boolean).length, 1);
+  // Within the grace period the losers don't end the session
+  assert.ok(sessions.has(id));
+  assert.ok(await sessionManager.rotate(results.find(Boolean).refreshToken, req));
+});
+
+test('reusing a replaced token after the grace period revokes the session', async () => {
+  const { id, token } = startSession();
+
+  const result = await sessionManager.rotate(token, req);
+  sessions.get(id).rotatedAt = new Date(Date.now() - 60 * 1000);
+
+  assert.strictEqual(await sessionManager.rotate(token, req), null);
+  assert.strictEqual(sessions.has(id), false);
+  assert.strictEqual(await sessionManager.rotate(result.refreshToken, req), null);
+});
+
+test('an unknown token for a session revokes it', async () => {
+  const { id } = startSession();
+
+  assert.strictEqual(await sessionManager.rotate(`${id}.forged`, req), null);
+  assert.strictEqual(sessions.has(id), false);
+});
+
+test('malformed and expired tokens are refused', async () => {
+  assert.strictEqual(await sessionManager.rotate('not-a-token', req), null);
+  assert.strictEqual(await sessionManager.rotate(undefined, req), null);
+
+  const { id, token } = startSession();
+  sessions.get(id).expiresAt = new Date(Date.now() - 1000);
+  assert.strictEqual(await sessionManager.rotate(token, req), null);
+});
+
+test('an access token only works with a session of its own account', async () => {
+  const alice = { _id: new mongoose.Types.ObjectId(), username: 'alice', role: 'developer', apps: [] };
+  const mallory = { _id: new mongoose.Types.ObjectId(), username: 'mallory', role: 'owner', apps: [] };
+  const users = new Map([[String(alice._id), alice], [String(mallory._id), mallory]]);
+  mock.method(User, 'findById', async (id) => users.get(String(id)) || null);
+  mock.method(Session, 'updateOne', async () => ({}));
+
+  async function authenticate(user, sid) {
+    const token = generateToken({ id: String(user._id), username: user.username, role: user.role, sid });
+    const request = { ...req, headers: { authorization: `Bearer ${token}` } };
+    const res = { status: mock.fn(function () { return this; }), json: mock.fn() };
+    const next = mock.fn();
+    await authenticateToken(request, res, next);
+    return { request, res, next };
+  }
+
+  const { id } = startSession(alice._id);
+
+  const own = await authenticate(alice, id);
+  assert.strictEqual(own.next.mock.callCount(), 1);
+  assert.strictEqual(own.request.user.username, 'alice');
+
+  // Signed for another account, with alice's session id
+  const mismatched = await authenticate(mallory, id);
+  assert.strictEqual(mismatched.next.mock.callCount(), 0);
+  assert.strictEqual(mismatched.res.status.mock.calls[0].arguments[0], 401);
+  assert.match(mismatched.res.json.mock.calls[0].arguments[0].message, /Session ended/);
+});
@@ -0,0 +1,160 @@
+/**
+ * TOTP codes (utils/totp.js) and the 2FA login step (utils/twoFactor.js)
+ *
+ * The User model is replaced by a single in-memory user whose
+ * findOneAndUpdate is atomic, like MongoDB's.
+ */
+
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+
+process.env.JWT_SECRET = 'test-platform-secret';
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+const twoFactor = require('../utils/twoFactor');
+const { encrypt } = require('../utils/encryption');
+
+// RFC 6238 test secret "12345678901234567890", in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  test('generates the RFC 6238 SHA-1 test vectors', () => {
+    // The RFC lists 8 digits; 6-digit codes are the last 6
+    const vectors = [
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037'],
+      [20000000000, '353130']
+    ];
+    for (const [seconds, code] of vectors) {
+      assert.strictEqual(totp.generate(RFC_SECRET, Math.floor(seconds / 30)), code, `T=${seconds}`);
+    }
+  });
+
+  test('accepts the current code and one step of drift either way', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1111111111 * 1000 });
+    const step = Math.floor(1111111111 / 30);
+
+    assert.strictEqual(totp.verify(RFC_SECRET, '050471'), step);
+    assert.strictEqual(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, step - 1)), step - 1);
+    assert.strictEqual(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, step + 1)), step + 1);
+    assert.strictEqual(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, step - 2)), null);
+    assert.strictEqual(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, step + 2)), null);
+  });
+
+  test('refuses used steps and malformed codes', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1111111111 * 1000 });
+    const step = Math.floor(1111111111 / 30);
+
+    assert.strictEqual(totp.verify(RFC_SECRET, '050471', step), null);
+    assert.strictEqual(totp.verify(RFC_SECRET, '050 471'), step);
+    for (const code of ['', '05047', '0504711', 'abcdef', null, undefined]) {
+      assert.strictEqual(totp.verify(RFC_SECRET, code), null, String(code));
+    }
+  });
+});
+
+describe('twoFactor', () => {
+  let user;
+
+  beforeEach(() => {
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      twoFactor: {
+        enabled: true,
+        secret: encrypt(RFC_SECRET),
+        recoveryCodes: [],
+        lastUsedStep: -1,
+        challengeId: null,
+        challengeAttempts: 0
+      },
+      save: mock.fn(async () => {})
+    };
+
+    mock.method(User, 'updateOne', async (filter, update) => {
+      if (String(filter._id) === String(user._id)) {
+        user.twoFactor.challengeId = update['twoFactor.challengeId'];
+        user.twoFactor.challengeAttempts = update['twoFactor.challengeAttempts'];
+      }
+    });
+    mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+      if (String(filter._id) !== String(user._id) ||
+        user.twoFactor.challengeId !== filter['twoFactor.challengeId'] ||
+        user.twoFactor.challengeAttempts >= filter['twoFactor.challengeAttempts'].$lt) {
+        return null;
+      }
+      user.twoFactor.challengeAttempts += update.$inc['twoFactor.challengeAttempts'];
+      return user;
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('an authenticator code works once', async () => {
+    const code = totp.generate(RFC_SECRET, Math.floor(Date.now() / 30000));
+
+    assert.strictEqual(await twoFactor.verify(user, code), 'totp');
+    assert.strictEqual(await twoFactor.verify(user, code), null);
+  });
+
+  test('a recovery code works once', async () => {
+    const [code] = await twoFactor.regenerateRecoveryCodes(user);
+
+    assert.strictEqual(await twoFactor.verify(user, code.toUpperCase()), 'recovery');
+    assert.strictEqual(await twoFactor.verify(user, code), null);
+    assert.strictEqual(user.twoFactor.recoveryCodes.length, 9);
+  });
+
+  test('a challenge allows five codes', async () => {
+    const token = await twoFactor.issueChallenge(user);
+
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      assert.ok(await twoFactor.claimChallenge(token), `attempt ${attempt}`);
+      assert.strictEqual(twoFactor.attemptsLeft(user), 5 - attempt);
+    }
+    assert.strictEqual(await twoFactor.claimChallenge(token), null);
+  });
+
+  test('parallel attempts share the limit', async () => {
+    const token = await twoFactor.issueChallenge(user);
+
+    const claims = await Promise.all(Array.from({ length: 20 }, () => twoFactor.claimChallenge(token)));
+    assert.strictEqual(claims.filter(Boolean).length, 5);
+  });
+
+  test('a new login replaces the challenge', async () => {
+    const first = await twoFactor.issueChallenge(user);
+    const second = await twoFactor.issueChallenge(user);
+
+    assert.strictEqual(await twoFactor.claimChallenge(first), null);
+    assert.ok(await twoFactor.claimChallenge(second));
+  });
+
+  test('a challenge is used up by a successful login', async () => {
+    const token = await twoFactor.issueChallenge(user);
+    const claimed = await twoFactor.claimChallenge(token);
+    await twoFactor.endChallenge(claimed);
+
+    assert.strictEqual(await twoFactor.claimChallenge(token), null);
+  });
+
+  test('forged and other tokens are not challenges', async () => {
+    await twoFactor.issueChallenge(user);
+    const { challengeId } = user.twoFactor;
+
+    const forged = jwt.sign({ id: user._id.toString(), purpose: '2fa', cid: challengeId }, 'another-secret');
+    const session = jwt.sign({ id: user._id.toString(), cid: challengeId }, process.env.JWT_SECRET);
+
+    assert.strictEqual(await twoFactor.claimChallenge(forged), null);
+    assert.strictEqual(await twoFactor.claimChallenge(session), null);
+    assert.strictEqual(await twoFactor.claimChallenge(undefined), null);
+  });
+});
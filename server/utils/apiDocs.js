@@ -8,11 +8,11 @@ const apiDocs = {
   title: 'PlatformX API Documentation',
   description: 'Complete API reference for the PlatformX multi-tenant hosting platform',
   
-  baseUrl: 'http://platformx.localhost:5000',
+  baseUrl: 'http://platformx.localhost:5000', // Replaced with the configured platform URL when served
   
   authentication: {
     type: 'JWT Bearer Token',
-    description: 'Most endpoints require authentication. Include token in Authorization header',
+    description: 'Most endpoints require authentication. Include token in Authorization header. What a user may do depends on their role (owner, admin, developer, viewer) and per-app grants; forbidden requests get 403',
     header: 'Authorization: Bearer <token>',
     loginEndpoint: '/api/auth/login'
   },
@@ -23,7 +23,7 @@ const apiDocs = {
       login: {
         method: 'POST',
         path: '/api/auth/login',
-        description: 'Authenticate admin user and receive JWT token',
+        description: 'Authenticate a dashboard user and receive JWT token',
         auth: false,
         rateLimit: '5 requests per 15 minutes per IP',
         body: {
@@ -34,13 +34,64 @@ const apiDocs = {
           200: {
             success: true,
             message: 'Login successful',
-            token: 'jwt-token-string',
-            user: { username: 'admin', role: 'admin' }
+            token: 'jwt-access-token (valid 15 minutes)',
+            refreshToken: 'string (single use, renews the session)',
+            expiresIn: 900,
+            user: { id: 'string', username: 'admin', role: 'owner|admin|developer|viewer', apps: [{ slug: 'string', role: 'developer|viewer' }] }
           },
+          '200 (2FA enabled)': { success: true, twoFactorRequired: true, challengeToken: 'string (valid 5 minutes, for /api/auth/login/2fa)' },
           401: 'Invalid credentials',
           429: 'Too many login attempts'
         }
       },
+      loginTwoFactor: {
+        method: 'POST',
+        path: '/api/auth/login/2fa',
+        description: 'Second login step for users with two-factor authentication: exchange the challenge token and a code for a session',
+        auth: false,
+        rateLimit: '10 requests per 15 minutes per IP',
+        body: {
+          challengeToken: 'string (required, from /api/auth/login)',
+          code: 'string (required, 6-digit authenticator code or a recovery code)'
+        },
+        responses: {
+          200: { success: true, token: 'string', refreshToken: 'string', expiresIn: 900, user: {} },
+          401: 'Invalid code (attemptsLeft), or expired or used up challenge (challengeExpired: true); a challenge allows 5 codes',
+          429: 'Too many attempts'
+        }
+      },
+      ssoConfig: {
+        method: 'GET',
+        path: '/api/auth/oidc/config',
+        description: 'Whether single sign-on is configured, for the login page',
+        auth: false,
+        responses: {
+          200: { success: true, enabled: 'boolean', label: 'Sign in with SSO' }
+        }
+      },
+      ssoLogin: {
+        method: 'GET',
+        path: '/api/auth/oidc/login',
+        description: 'Start single sign-on: redirects the browser to the OIDC provider (authorization-code flow with PKCE). The provider returns to /api/auth/oidc/callback, which redirects to the dashboard login page with ?sso=<one-time code> or ?sso_error=<message>',
+        auth: false,
+        responses: {
+          302: 'Redirect to the provider',
+          404: 'Single sign-on is not configured'
+        }
+      },
+      ssoExchange: {
+        method: 'POST',
+        path: '/api/auth/oidc/exchange',
+        description: 'Exchange the one-time code from the SSO callback (valid 60 seconds) for a session',
+        auth: false,
+        body: {
+          code: 'string (required)'
+        },
+        responses: {
+          200: { success: true, token: 'string (role mapped from the SSO claims)', refreshToken: 'string', expiresIn: 900, user: {} },
+          401: 'Unknown, used or expired code'
+        }
+      },
       verify: {
         method: 'GET',
         path: '/api/auth/verify',
@@ -50,6 +101,235 @@ const apiDocs = {
           200: { success: true, user: {} },
           401: 'Invalid or expired token'
         }
+      },
+      refresh: {
+        method: 'POST',
+        path: '/api/auth/refresh',
+        description: 'Exchange a refresh token for a new access token and refresh token. Each refresh token works once; reusing an old one ends the session',
+        auth: false,
+        body: {
+          refreshToken: 'string (required)'
+        },
+        responses: {
+          200: { success: true, token: 'string', refreshToken: 'string', expiresIn: 900, user: {} },
+          401: 'Invalid, reused or expired refresh token'
+        }
+      },
+      logout: {
+        method: 'POST',
+        path: '/api/auth/logout',
+        description: 'End the session of a refresh token',
+        auth: false,
+        body: {
+          refreshToken: 'string (required)'
+        },
+        responses: {
+          200: { success: true, message: 'Logged out.' }
+        }
+      },
+      listSessions: {
+        method: 'GET',
+        path: '/api/auth/sessions',
+        description: 'List the active sessions of the logged in user',
+        auth: true,
+        responses: {
+          200: { success: true, count: 'number', sessions: [{ id: 'string', device: 'string', ip: 'string', createdAt: 'date', lastSeenAt: 'date', current: 'boolean' }] }
+        }
+      },
+      revokeSession: {
+        method: 'DELETE',
+        path: '/api/auth/sessions/:id',
+        description: 'End one of the logged in user\'s sessions',
+        auth: true,
+        responses: {
+          200: { success: true, current: 'boolean' },
+          404: 'Session not found'
+        }
+      },
+      revokeAllSessions: {
+        method: 'DELETE',
+        path: '/api/auth/sessions',
+        description: 'Log out everywhere: end all of the logged in user\'s sessions, including the current one',
+        auth: true,
+        responses: {
+          200: { success: true, revoked: 'number' }
+        }
+      },
+      changePassword: {
+        method: 'PUT',
+        path: '/api/auth/password',
+        description: 'Change the password of the logged in user and end their other sessions',
+        auth: true,
+        body: {
+          currentPassword: 'string (required)',
+          newPassword: 'string (required, at least 8 characters)'
+        },
+        responses: {
+          200: { success: true, message: 'Password changed.' },
+          400: 'Current password is incorrect or new password too short'
+        }
+      },
+      getTwoFactor: {
+        method: 'GET',
+        path: '/api/auth/2fa',
+        description: 'Two-factor authentication status of the logged in user',
+        auth: true,
+        responses: {
+          200: { success: true, twoFactor: { enabled: 'boolean', enabledAt: 'date', recoveryCodesLeft: 'number' } }
+        }
+      },
+      setupTwoFactor: {
+        method: 'POST',
+        path: '/api/auth/2fa/setup',
+        description: 'Generate a new TOTP secret. It becomes active once confirmed with /api/auth/2fa/enable',
+        auth: true,
+        responses: {
+          200: { success: true, secret: 'base32 string', otpauthUri: 'otpauth://totp/...', qrCode: 'data:image/png;base64,...' },
+          400: 'Two-factor authentication already enabled'
+        }
+      },
+      enableTwoFactor: {
+        method: 'POST',
+        path: '/api/auth/2fa/enable',
+        description: 'Confirm the new secret with a code and enable two-factor authentication. Recovery codes are only returned here',
+        auth: true,
+        body: {
+          code: 'string (required, 6-digit code from the authenticator app)'
+        },
+        responses: {
+          200: { success: true, recoveryCodes: ['string'], twoFactor: {} },
+          400: 'Invalid code or already enabled'
+        }
+      },
+      disableTwoFactor: {
+        method: 'POST',
+        path: '/api/auth/2fa/disable',
+        description: 'Disable two-factor authentication',
+        auth: true,
+        body: {
+          password: 'string (required)'
+        },
+        responses: {
+          200: { success: true, twoFactor: {} },
+          400: 'Password is incorrect'
+        }
+      },
+      regenerateRecoveryCodes: {
+        method: 'POST',
+        path: '/api/auth/2fa/recovery-codes',
+        description: 'Replace the recovery codes; the old ones stop working',
+        auth: true,
+        body: {
+          password: 'string (required)'
+        },
+        responses: {
+          200: { success: true, recoveryCodes: ['string'], twoFactor: {} },
+          400: 'Password is incorrect or 2FA not enabled'
+        }
+      }
+    },
+
+    // Users (owners and admins)
+    users: {
+      listUsers: {
+        method: 'GET',
+        path: '/api/admin/users',
+        description: 'List dashboard users',
+        auth: true,
+        responses: {
+          200: { success: true, count: 'number', users: [{ username: 'string', role: 'string', apps: [], disabled: 'boolean', lastLoginAt: 'date' }] },
+          403: 'Not an owner or admin'
+        }
+      },
+      createUser: {
+        method: 'POST',
+        path: '/api/admin/users',
+        description: 'Create a user. Only owners can create owners',
+        auth: true,
+        body: {
+          username: 'string (required, lowercase letters, digits, dots, hyphens and underscores)',
+          password: 'string (required, at least 8 characters)',
+          role: 'owner|admin|developer|viewer (optional, default: viewer)',
+          apps: '[{ slug, role: developer|viewer }] (optional, apps a developer or viewer can access)'
+        },
+        responses: {
+          201: { success: true, user: {} },
+          400: 'Invalid username, password, role or apps',
+          403: 'Not allowed to create this role',
+          409: 'User already exists'
+        }
+      },
+      updateUser: {
+        method: 'PATCH',
+        path: '/api/admin/users/:username',
+        description: 'Change a user\'s role, app grants, password or disabled flag',
+        auth: true,
+        body: {
+          role: 'string (optional)',
+          apps: 'array (optional, replaces all grants)',
+          password: 'string (optional)',
+          disabled: 'boolean (optional)',
+          disableTwoFactor: 'boolean (optional, turn off another user\'s 2FA when they lost their device)'
+        },
+        responses: {
+          200: { success: true, user: {} },
+          400: 'Invalid values, changing your own role, or removing the last owner',
+          403: 'Only owners can manage owners',
+          404: 'User not found'
+        }
+      },
+      deleteUser: {
+        method: 'DELETE',
+        path: '/api/admin/users/:username',
+        description: 'Delete a user',
+        auth: true,
+        responses: {
+          200: { success: true, username: 'string' },
+          400: 'Deleting yourself or the last owner',
+          403: 'Only owners can manage owners',
+          404: 'User not found'
+        }
+      }
+    },
+
+    // API Tokens
+    apiTokens: {
+      listApiTokens: {
+        method: 'GET',
+        path: '/api/admin/api-tokens',
+        description: 'List your API tokens (owners and admins see every token) and the available scopes',
+        auth: true,
+        responses: {
+          200: { success: true, count: 'number', tokens: [{ id: 'string', name: 'string', prefix: 'string', username: 'string', scopes: [], apps: [], expiresAt: 'date', lastUsedAt: 'date', lastUsedIp: 'string' }], scopes: {} }
+        }
+      },
+      createApiToken: {
+        method: 'POST',
+        path: '/api/admin/api-tokens',
+        description: 'Create an API token. The token is only returned in this response. Requires a dashboard login, not an API token',
+        auth: true,
+        body: {
+          name: 'string (required)',
+          scopes: 'array (required): apps:read, apps:deploy, apps:config, apps:create, backups, admin',
+          apps: 'array (optional, app slugs; empty for every app the user can access)',
+          expiresInDays: 'number (optional, omit for no expiry)',
+          username: 'string (optional, owners and admins: create the token for another user)'
+        },
+        responses: {
+          201: { success: true, token: 'pxt_...', apiToken: {} },
+          400: 'Invalid name, scopes, apps or expiry',
+          403: 'Not allowed to create tokens for this user'
+        }
+      },
+      revokeApiToken: {
+        method: 'DELETE',
+        path: '/api/admin/api-tokens/:id',
+        description: 'Revoke an API token',
+        auth: true,
+        responses: {
+          200: { success: true, id: 'string' },
+          404: 'API token not found'
+        }
       }
     },
 
@@ -84,7 +364,7 @@ const apiDocs = {
       getMetrics: {
         method: 'GET',
         path: '/api/metrics',
-        description: 'Get server metrics (requests, response times, errors, memory)',
+        description: 'Get server metrics (requests, response times, errors, memory). Users other than owners and admins get the traffic of the apps they can read, without memory',
         auth: true,
         responses: {
           200: {
@@ -145,7 +425,9 @@ const apiDocs = {
         body: {
           name: 'string (optional)',
           description: 'string (optional)',
-          status: 'active|disabled|error (optional)'
+          status: 'active|disabled|error (optional)',
+          isolated: 'boolean (optional) - run in a dedicated worker process',
+          resourceLimits: '{ maxMemoryMB, maxCpuTimeMs, cpuWindowMs } (optional) - null removes a limit; maxMemoryMB and maxCpuTimeMs require isolated'
         }
       },
       deleteApp: {
@@ -197,30 +479,37 @@ const apiDocs = {
         description: 'Deploy app from Git repository',
         auth: true,
         body: {
-          repoUrl: 'string (required, Git URL)',
+          repoUrl: 'string (required, HTTPS or SSH URL: https://host/owner/repo.git, git@host:owner/repo.git, ssh://...)',
           appName: 'string (required)',
           branch: 'string (optional, default: main)',
+          repoPath: 'string (optional, subdirectory of the repository to deploy, for monorepos)',
+          apps: 'array (optional, [{ repoPath, appName, entryFile, appType, buildDir }] to import several apps from one repository; other fields apply to all)',
+          gitToken: 'string (optional, HTTPS access token, saved encrypted for the app)',
+          gitUsername: 'string (optional, username sent with gitToken)',
           entryFile: 'string (optional, default: server.js)',
           appType: 'backend|frontend|fullstack (optional)',
           buildDir: 'string (optional)',
           proxyConfig: 'object (optional)'
         },
         responses: {
+          200: { success: true, imported: 'number', failed: 0, results: [] },
           201: { success: true, message: 'App deployed from Git', app: {} },
-          400: 'Invalid Git URL or validation error',
+          207: { success: false, imported: 'number', failed: 'number', results: [{ appName: 'string', status: 'number', success: 'boolean' }] },
+          400: 'Invalid Git URL, repoPath not found or validation error',
           500: 'Git clone failed'
         }
       },
       gitUpdate: {
         method: 'POST',
         path: '/api/apps/git-update/:slug',
-        description: 'Update app from Git repository (pull latest code)',
+        description: 'Update app from Git repository: fetch a branch, tag or commit into a staging directory, validate and build it, then switch to it',
         auth: true,
         params: {
           slug: 'App name'
         },
         body: {
-          branch: 'string (optional, defaults to app\'s current branch)'
+          branch: 'string (optional, defaults to app\'s current branch; saved for future updates)',
+          ref: 'string (optional, branch, tag or commit SHA to deploy; defaults to branch)'
         },
         responses: {
           200: {
@@ -228,13 +517,119 @@ const apiDocs = {
             message: 'App updated',
             details: {
               branch: 'string',
-              buildStatus: 'success|failed',
-              buildOutput: 'string'
+              ref: 'string',
+              release: 'number',
+              deployment: 'string',
+              commitSha: 'string',
+              buildStatus: 'success',
+              buildOutput: 'string',
+              swapped: 'boolean',
+              swapError: 'string|null'
             }
           },
-          400: 'App not deployed via Git',
+          400: 'App not deployed via Git, revision not found, validation, build, install or predeploy hook failed',
           404: 'App not found',
-          500: 'Git pull failed'
+          409: 'Deployment cancelled'
+        }
+      },
+      gitPushWebhook: {
+        method: 'POST',
+        path: '/api/hooks/git/:slug',
+        description: 'Push webhook from GitHub, GitLab, Gitea or a generic sender; a push to the app\'s branch starts a Git update. Apps deployed from a subdirectory are skipped if the push does not change it',
+        auth: false,
+        headers: {
+          'X-Hub-Signature-256': 'sha256=<HMAC-SHA256 of the body> (GitHub, generic)',
+          'X-Gitea-Signature': '<HMAC-SHA256 hex> (Gitea/Forgejo/Gogs)',
+          'X-Gitlab-Token': 'Webhook secret (GitLab)',
+          'X-PlatformX-Signature': 'sha256=<HMAC-SHA256 of the body> (generic)'
+        },
+        body: {
+          ref: 'refs/heads/<branch> (generic senders may send branch instead)',
+          after: 'Commit SHA (generic senders may send commit)'
+        },
+        responses: {
+          200: { success: true, ignored: true, message: 'Not a push to the deployed branch, or no changes in the app\'s subdirectory' },
+          202: { success: true, delivery: 'string', deployment: 'string', message: 'Deployment started' },
+          401: 'Invalid signature',
+          404: 'App not found or webhook not enabled'
+        }
+      },
+      getGitWebhook: {
+        method: 'GET',
+        path: '/api/admin/apps/:slug/git-webhook',
+        description: 'Deploy-on-push settings of an app',
+        auth: true,
+        responses: {
+          200: { success: true, gitWebhook: { enabled: 'boolean', url: 'string', branch: 'string' } }
+        }
+      },
+      enableGitWebhook: {
+        method: 'POST',
+        path: '/api/admin/apps/:slug/git-webhook',
+        description: 'Enable deploy on push, or rotate the secret; the secret is only returned here',
+        auth: true,
+        responses: {
+          200: { success: true, gitWebhook: { enabled: true, url: 'string', secret: 'string' } },
+          400: 'App not deployed via Git'
+        }
+      },
+      disableGitWebhook: {
+        method: 'DELETE',
+        path: '/api/admin/apps/:slug/git-webhook',
+        description: 'Disable deploy on push',
+        auth: true
+      },
+      listGitWebhookDeliveries: {
+        method: 'GET',
+        path: '/api/admin/apps/:slug/git-webhook/deliveries',
+        description: 'Recent signed webhook deliveries, newest first (status: ignored|deploying|deployed|failed)',
+        auth: true,
+        query: {
+          limit: 'number (optional, default 20, max 50)'
+        },
+        responses: {
+          200: { success: true, deliveries: [] }
+        }
+      },
+      getGitCredentials: {
+        method: 'GET',
+        path: '/api/admin/apps/:slug/git-credentials',
+        description: 'Credentials used to fetch the app\'s repository; never includes the private key or token. Works before the app exists',
+        auth: true,
+        responses: {
+          200: { success: true, credentials: { type: 'ssh|token', publicKey: 'string (ssh)', fingerprint: 'string (ssh)', username: 'string|null (token)' } }
+        }
+      },
+      createDeployKey: {
+        method: 'POST',
+        path: '/api/admin/apps/:slug/git-credentials/deploy-key',
+        description: 'Generate an Ed25519 SSH deploy key, replacing the app\'s credentials; add the public key to the repository',
+        auth: true,
+        responses: {
+          200: { success: true, credentials: { type: 'ssh', publicKey: 'ssh-ed25519 AAAA... platformx-<slug>', fingerprint: 'SHA256:...' } }
+        }
+      },
+      setGitToken: {
+        method: 'PUT',
+        path: '/api/admin/apps/:slug/git-credentials/token',
+        description: 'Store an HTTPS access token (encrypted), replacing the app\'s credentials',
+        auth: true,
+        body: {
+          token: 'string (required)',
+          username: 'string (optional, defaults to what the host expects, e.g. oauth2 for gitlab.com)'
+        },
+        responses: {
+          200: { success: true, credentials: { type: 'token', username: 'string|null' } },
+          400: 'token is required'
+        }
+      },
+      deleteGitCredentials: {
+        method: 'DELETE',
+        path: '/api/admin/apps/:slug/git-credentials',
+        description: 'Remove the app\'s credentials; GitHub/GitLab repositories fall back to the global token',
+        auth: true,
+        responses: {
+          404: 'No Git credentials configured'
         }
       }
     },
@@ -261,6 +656,123 @@ const apiDocs = {
         responses: {
           200: { success: true, message: 'Environment updated' }
         }
+      },
+      getSecrets: {
+        method: 'GET',
+        path: '/api/admin/apps/:slug/secrets',
+        description: 'List app secrets; values are masked and never returned',
+        auth: true,
+        responses: {
+          200: { success: true, secrets: [{ key: 'string', value: '••••••••abcd', rotatedAt: 'date', updatedBy: 'string' }], count: 'number' }
+        }
+      },
+      setSecret: {
+        method: 'PUT',
+        path: '/api/admin/apps/:slug/secrets/:key',
+        description: 'Create or rotate a secret, encrypted at rest and injected into req.appEnv; a .env variable of the same name is removed',
+        auth: true,
+        body: {
+          value: 'string (required)'
+        },
+        responses: {
+          200: { success: true, secret: {}, movedFromEnv: 'boolean', message: 'Secret rotated' },
+          201: { success: true, secret: {}, movedFromEnv: 'boolean', message: 'Secret created' },
+          400: 'Invalid key or value',
+          404: 'App not found'
+        }
+      },
+      deleteSecret: {
+        method: 'DELETE',
+        path: '/api/admin/apps/:slug/secrets/:key',
+        description: 'Delete a secret',
+        auth: true,
+        responses: {
+          200: { success: true, message: 'Secret deleted' },
+          404: 'App or secret not found'
+        }
+      },
+      getAppEnvGroups: {
+        method: 'GET',
+        path: '/api/admin/apps/:slug/env-groups',
+        description: 'Environment groups attached to an app and their merged variables; values are masked unless you are an admin',
+        auth: true,
+        responses: {
+          200: { success: true, groups: ['string'], env: {} }
+        }
+      },
+      setAppEnvGroups: {
+        method: 'PUT',
+        path: '/api/admin/apps/:slug/env-groups',
+        description: 'Attach environment groups to an app, lowest precedence first; the app\'s own .env overrides them. Reloads the app. Owners and admins only',
+        auth: true,
+        body: {
+          groups: 'array of group names (required, [] detaches all)'
+        },
+        responses: {
+          200: { success: true, groups: ['string'], env: {}, reloaded: 'boolean' },
+          400: 'Unknown or duplicate group',
+          404: 'App not found'
+        }
+      },
+      listEnvGroups: {
+        method: 'GET',
+        path: '/api/admin/env-groups',
+        description: 'List shared environment groups with the apps using them; values are masked unless you are an admin',
+        auth: true,
+        responses: {
+          200: { success: true, count: 'number', groups: [{ name: 'string', description: 'string', variables: {}, apps: ['string'] }] }
+        }
+      },
+      getEnvGroup: {
+        method: 'GET',
+        path: '/api/admin/env-groups/:name',
+        description: 'Get an environment group; values are masked unless you are an admin',
+        auth: true,
+        responses: {
+          200: { success: true, group: {} },
+          404: 'Group not found'
+        }
+      },
+      createEnvGroup: {
+        method: 'POST',
+        path: '/api/admin/env-groups',
+        description: 'Create an environment group',
+        auth: true,
+        body: {
+          name: 'string (required, lowercase letters, digits and hyphens)',
+          description: 'string (optional)',
+          variables: 'object (optional, key-value pairs)'
+        },
+        responses: {
+          201: { success: true, group: {} },
+          400: 'Invalid name or variables',
+          409: 'Group already exists'
+        }
+      },
+      updateEnvGroup: {
+        method: 'PATCH',
+        path: '/api/admin/env-groups/:name',
+        description: 'Update an environment group and reload every app using it',
+        auth: true,
+        body: {
+          description: 'string (optional)',
+          variables: 'object (optional)',
+          action: 'merge|replace (optional, default: merge)'
+        },
+        responses: {
+          200: { success: true, group: {}, reloaded: ['string'] },
+          404: 'Group not found'
+        }
+      },
+      deleteEnvGroup: {
+        method: 'DELETE',
+        path: '/api/admin/env-groups/:name',
+        description: 'Delete an environment group, detaching it from and reloading the apps using it',
+        auth: true,
+        responses: {
+          200: { success: true, detachedFrom: ['string'], reloaded: ['string'] },
+          404: 'Group not found'
+        }
       }
     },
 
@@ -281,6 +793,208 @@ const apiDocs = {
           200: { success: true, logs: [] }
         }
       }
+    },
+
+    // Custom Domains
+    domains: {
+      listDomains: {
+        method: 'GET',
+        path: '/api/admin/apps/:slug/domains',
+        description: 'List custom domains attached to an app',
+        auth: true,
+        responses: {
+          200: { success: true, domains: [] }
+        }
+      },
+      addDomain: {
+        method: 'POST',
+        path: '/api/admin/apps/:slug/domains',
+        description: 'Attach a custom hostname (routed once verified)',
+        auth: true,
+        body: {
+          hostname: 'string (required, e.g. shop.example.com)'
+        },
+        responses: {
+          201: { success: true, domain: { hostname: 'string', verified: false, verificationToken: 'string' } },
+          400: 'Invalid hostname',
+          409: 'Domain already attached'
+        }
+      },
+      verifyDomain: {
+        method: 'POST',
+        path: '/api/admin/apps/:slug/domains/:hostname/verify',
+        description: 'Verify ownership by fetching the token from http://<hostname>/.well-known/platformx-verification',
+        auth: true,
+        responses: {
+          200: { success: true, domain: { verified: true } },
+          400: 'Token unreachable or mismatched'
+        }
+      },
+      removeDomain: {
+        method: 'DELETE',
+        path: '/api/admin/apps/:slug/domains/:hostname',
+        description: 'Detach a custom hostname',
+        auth: true,
+        responses: {
+          200: { success: true }
+        }
+      }
+    },
+
+    // Releases
+    deployments: {
+      listDeployments: {
+        method: 'GET',
+        path: '/api/admin/apps/:slug/deployments',
+        description: 'Recent deployments of an app (without logs), newest first',
+        auth: true,
+        responses: {
+          200: { success: true, deployments: [] }
+        }
+      },
+      getDeployment: {
+        method: 'GET',
+        path: '/api/admin/apps/:slug/deployments/:deploymentId',
+        description: 'A deployment with its full log',
+        auth: true,
+        responses: {
+          200: { success: true, deployment: { status: 'queued|installing|building|validating|live|failed|cancelled', queuePosition: 'number|null', logs: [] } },
+          404: 'Deployment not found'
+        }
+      },
+      watchDeployments: {
+        method: 'GET',
+        path: '/api/admin/apps/:slug/deployments/events',
+        description: 'Server-Sent Events stream of the app\'s deployments (ready, created, log, status, finished)',
+        auth: true,
+        contentType: 'text/event-stream'
+      },
+      streamDeployment: {
+        method: 'GET',
+        path: '/api/admin/apps/:slug/deployments/:deploymentId/stream',
+        description: 'Server-Sent Events stream replaying a deployment\'s log, then following it until it finishes (status, log, end)',
+        auth: true,
+        contentType: 'text/event-stream',
+        responses: {
+          404: 'Deployment not found'
+        }
+      },
+      cancelDeployment: {
+        method: 'POST',
+        path: '/api/admin/apps/:slug/deployments/:deploymentId/cancel',
+        description: 'Cancel a queued or running deployment; running build commands are killed and the partial release is removed',
+        auth: true,
+        responses: {
+          202: { success: true, message: 'Cancellation requested', deployment: {} },
+          404: 'Deployment not found',
+          409: 'Deployment has already finished'
+        }
+      }
+    },
+
+    releases: {
+      listReleases: {
+        method: 'GET',
+        path: '/api/admin/apps/:slug/releases',
+        description: 'List the release history of an app (newest first)',
+        auth: true,
+        responses: {
+          200: { success: true, currentRelease: 'number', releases: [] }
+        }
+      },
+      rollback: {
+        method: 'POST',
+        path: '/api/admin/apps/:slug/rollback/:releaseId',
+        description: 'Switch the app to an earlier release (releaseId: 3 or v3)',
+        auth: true,
+        responses: {
+          200: { success: true, previousRelease: 'number', currentRelease: 'number' },
+          400: 'Release is current, failed or pruned',
+          404: 'App or release not found'
+        }
+      },
+      getCanary: {
+        method: 'GET',
+        path: '/api/admin/apps/:slug/canary',
+        description: 'Canary status with request count, 5xx error rate and latency for the current and canary release',
+        auth: true,
+        responses: {
+          200: { success: true, currentRelease: 'number', canary: 'object|null', metrics: { current: 'object|null', canary: 'object|null' } }
+        }
+      },
+      startCanary: {
+        method: 'POST',
+        path: '/api/admin/apps/:slug/canary',
+        description: 'Route a percentage of new visitors to a candidate release (posting again for the same release changes the weight). Clients stay on one release via a cookie or the X-PlatformX-Release header',
+        auth: true,
+        body: {
+          releaseId: 'number|string (required, e.g. 3 or v3)',
+          weight: 'number (0-100, default: 10)'
+        },
+        responses: {
+          200: { success: true, canary: 'object', loaded: 'boolean' },
+          400: 'Invalid release or weight',
+          409: 'Another release is already running as a canary',
+          500: 'Candidate failed to load'
+        }
+      },
+      promoteCanary: {
+        method: 'POST',
+        path: '/api/admin/apps/:slug/canary/promote',
+        description: 'Make the canary release current and send it all traffic',
+        auth: true,
+        responses: {
+          200: { success: true, previousRelease: 'number', currentRelease: 'number' },
+          400: 'No canary is running'
+        }
+      },
+      abortCanary: {
+        method: 'POST',
+        path: '/api/admin/apps/:slug/canary/abort',
+        description: 'Stop the canary and send all traffic back to the current release',
+        auth: true,
+        responses: {
+          200: { success: true, currentRelease: 'number' },
+          400: 'No canary is running'
+        }
+      }
+    },
+
+    buildCache: {
+      getBuildCache: {
+        method: 'GET',
+        path: '/api/admin/build-cache',
+        description: 'Cached node_modules (keyed by lockfile hash) with size, apps and hit count',
+        auth: true,
+        responses: {
+          200: { success: true, count: 'number', offline: 'boolean', totalBytes: 'number', packagesBytes: 'number', entries: [] }
+        }
+      },
+      pruneBuildCache: {
+        method: 'POST',
+        path: '/api/admin/build-cache/prune',
+        description: 'Remove cached dependencies',
+        auth: true,
+        body: {
+          olderThanDays: 'number (optional) - entries unused for this many days',
+          all: 'boolean (optional) - every entry',
+          packages: 'boolean (optional) - also clear the package download caches used by offline installs'
+        },
+        responses: {
+          200: { success: true, removed: [], freedBytes: 'number' },
+          400: 'Nothing to prune specified'
+        }
+      },
+      deleteBuildCacheEntry: {
+        method: 'DELETE',
+        path: '/api/admin/build-cache/:key',
+        description: 'Remove one cached entry',
+        auth: true,
+        responses: {
+          200: { success: true, key: 'string' },
+          404: 'Cache entry not found'
+        }
+      }
     }
   },
 
@@ -497,7 +1211,7 @@ const apiDocs = {
           'Content-Type': 'application/json'
         },
         body: {
-          branch: 'main'
+          ref: 'v1.4.0'
         }
       }
     }
@@ -0,0 +1,183 @@
+/**
+ * apiTokenManager.js
+ * Long-lived API tokens for CI and automation
+ *
+ * A token is sent like an access token (Authorization: Bearer pxt_...) and
+ * acts as its user, limited to its scopes and apps. Tokens are stored as
+ * SHA-256 hashes, so they can't be shown again after creation; a lost token
+ * is revoked and replaced.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiToken = require('../models/ApiToken');
+const { SCOPES, isAdmin, canReadApp } = require('./permissions');
+
+const TOKEN_PREFIX = 'pxt_';
+
+// Characters of the token kept in the list to recognise it
+const VISIBLE_LENGTH = TOKEN_PREFIX.length + 8;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class ApiTokenManager {
+  /**
+   * Whether a bearer token is an API token rather than a JWT
+   * @param {string} token
+   * @returns {boolean}
+   */
+  isApiToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+  }
+
+  /**
+   * Check the fields of a new token
+   * @param {Object} fields - { name, scopes, apps, expiresAt }
+   * @param {Object} user - The user the token will act as
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validate({ name, scopes, apps, expiresAt }, user) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      return 'name is required (at most 100 characters)';
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES[scope])) {
+      return `scopes must be a non-empty array of: ${Object.keys(SCOPES).join(', ')}`;
+    }
+    if (scopes.includes('admin') && !isAdmin(user)) {
+      return 'Only owners and admins can have tokens with the admin scope';
+    }
+    if (!Array.isArray(apps) || apps.some(slug => typeof slug !== 'string')) {
+      return 'apps must be an array of app slugs';
+    }
+    const inaccessible = apps.filter(slug => !canReadApp(user, slug));
+    if (inaccessible.length > 0) {
+      return `No access to: ${inaccessible.join(', ')}`;
+    }
+    if (expiresAt !== null && (!(expiresAt instanceof Date) || isNaN(expiresAt) || expiresAt <= new Date())) {
+      return 'expiresAt must be a date in the future';
+    }
+    return null;
+  }
+
+  /**
+   * Create a token
+   * @param {Object} user - User document the token acts as
+   * @param {Object} fields - { name, scopes, apps, expiresAt }
+   * @param {string|null} createdBy - Username of the creator
+   * @returns {Promise<Object>} - { apiToken, token }; token is the plaintext, shown once
+   */
+  async create(user, { name, scopes, apps, expiresAt }, createdBy = null) {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+
+    const apiToken = await ApiToken.create({
+      name: name.trim(),
+      userId: user._id,
+      tokenHash: hashToken(token),
+      prefix: token.slice(0, VISIBLE_LENGTH),
+      scopes: [...new Set(scopes)],
+      apps: [...new Set(apps)],
+      expiresAt,
+      createdBy
+    });
+
+    return { apiToken, token };
+  }
+
+  /**
+   * Find the active token for a bearer token and record its use
+   * @param {string} token
+   * @param {Object} req - Express request, for the IP
+   * @returns {Promise<Object|null>} - Null if unknown or expired
+   */
+  async authenticate(token, req) {
+    const apiToken = await ApiToken.findOne({ tokenHash: hashToken(token) });
+    if (!apiToken || (apiToken.expiresAt && apiToken.expiresAt <= new Date())) {
+      return null;
+    }
+
+    await ApiToken.updateOne({ _id: apiToken._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip || null });
+    return apiToken;
+  }
+
+  /**
+   * Tokens of one user, or of every user
+   * @param {string|null} userId - Null for all tokens
+   * @returns {Promise<Array>}
+   */
+  list(userId = null) {
+    return ApiToken.find(userId ? { userId } : {})
+      .populate('userId', 'username role')
+      .sort({ createdAt: -1 });
+  }
+
+  get(id) {
+    return mongoose.isValidObjectId(id) ? ApiToken.findById(id).populate('userId', 'username role') : null;
+  }
+
+  /**
+   * Delete all tokens of a user
+   * @param {string} userId
+   */
+  async removeAll(userId) {
+    await ApiToken.deleteMany({ userId });
+  }
+
+  /**
+   * Move tokens limited to an app to its new slug
+   * @param {string} oldSlug
+   * @param {string} newSlug
+   */
+  async renameApp(oldSlug, newSlug) {
+    await ApiToken.updateMany({ apps: oldSlug }, { $set: { 'apps.$': newSlug } });
+  }
+
+  /**
+   * Remove a deleted app from the tokens limited to it
+   * A token left without apps is deleted rather than widened to every app.
+   * @param {string} slug
+   */
+  async removeApp(slug) {
+    await ApiToken.deleteMany({ apps: [slug] });
+    await ApiToken.updateMany({ apps: slug }, { $pull: { apps: slug } });
+  }
+
+  /**
+   * Restrictions of a token, as set on req.user.token
+   * @param {Object} apiToken
+   * @returns {Object}
+   */
+  toScope(apiToken) {
+    return {
+      id: apiToken._id.toString(),
+      scopes: apiToken.scopes,
+      apps: apiToken.apps
+    };
+  }
+
+  /**
+   * Format a token for API responses, without its hash
+   * @param {Object} apiToken - With userId populated
+   * @returns {Object}
+   */
+  format(apiToken) {
+    const user = apiToken.userId;
+    return {
+      id: apiToken._id.toString(),
+      name: apiToken.name,
+      prefix: apiToken.prefix,
+      username: user && user.username ? user.username : null,
+      scopes: apiToken.scopes,
+      apps: apiToken.apps,
+      expiresAt: apiToken.expiresAt,
+      expired: !!apiToken.expiresAt && apiToken.expiresAt <= new Date(),
+      lastUsedAt: apiToken.lastUsedAt,
+      lastUsedIp: apiToken.lastUsedIp,
+      createdBy: apiToken.createdBy,
+      createdAt: apiToken.createdAt
+    };
+  }
+}
+
+module.exports = new ApiTokenManager();
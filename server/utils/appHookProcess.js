@@ -0,0 +1,94 @@
+/**
+ * appHookProcess.js
+ * Entry point for app lifecycle hooks.
+ *
+ * Forked by LifecycleHooks (one process per hook run) so a hook can't take
+ * the platform down with it. Loads the hook script, calls its exported
+ * function with the app's database and environment and reports the outcome.
+ */
+
+const path = require('path');
+const MongoDBManager = require('./mongodbManager');
+
+/**
+ * Report the outcome to the platform and exit
+ */
+function finish(message, code) {
+  const exit = () => {
+    MongoDBManager.close().finally(() => process.exit(code));
+  };
+
+  if (process.connected) {
+    process.send(message, exit);
+  } else {
+    exit();
+  }
+}
+
+function fail(error) {
+  finish({
+    type: 'error',
+    message: error && error.message ? error.message : String(error),
+    error: error && error.stack ? error.stack : String(error)
+  }, 1);
+}
+
+process.on('uncaughtException', fail);
+process.on('unhandledRejection', fail);
+
+// The platform closes the IPC channel when it goes away - don't outlive it
+process.on('disconnect', () => process.exit(1));
+
+/**
+ * Resolve the function a hook script exports
+ * Supports module.exports = fn, exports.default = fn and exports.run = fn.
+ */
+function resolveHook(hookModule) {
+  if (typeof hookModule === 'function') {
+    return hookModule;
+  }
+  if (hookModule && typeof hookModule.default === 'function') {
+    return hookModule.default;
+  }
+  if (hookModule && typeof hookModule.run === 'function') {
+    return hookModule.run;
+  }
+  return null;
+}
+
+async function run(config) {
+  const { appName, appPath, hook, script, release, appEnv = {}, mongoUri } = config;
+
+  if (mongoUri) {
+    try {
+      await MongoDBManager.connect(mongoUri);
+    } catch (error) {
+      console.warn(`[Hook:${appName}] MongoDB not available: ${error.message}`);
+    }
+  }
+
+  const hookFn = resolveHook(require(path.join(appPath, script)));
+  if (!hookFn) {
+    throw new Error(`${script} must export a function (module.exports = async (context) => { ... })`);
+  }
+
+  await hookFn({
+    appName,
+    hook,
+    release,
+    appPath,
+    env: { ...appEnv },
+    db: MongoDBManager.getClient() ? MongoDBManager.getAppDatabase(appName) : null,
+    log: (...args) => console.log(...args)
+  });
+
+  finish({ type: 'done' }, 0);
+}
+
+process.on('message', (message) => {
+  if (!message || message.type !== 'init') {
+    return;
+  }
+
+  run(message.config).catch(fail);
+});
@@ -0,0 +1,111 @@
+/**
+ * appModuleLoader.js
+ * Turns an app's exported module into an Express router.
+ * Shared by the in-process lazy loader and isolated worker processes so both
+ * honour the same export contract.
+ */
+
+const path = require('path');
+
+// Max time an app's readiness check may take
+const READINESS_TIMEOUT = 20000; // 20 seconds
+
+/**
+ * Resolve the router from an app module export
+ * Supports `module.exports = app` and `module.exports = () => app`
+ * @param {*} appModule - Value exported by the app's entry file
+ * @returns {Object} - { router: Function|null, error: string|null, hint: string|null }
+ */
+function resolveAppRouter(appModule) {
+  if (typeof appModule !== 'function') {
+    return {
+      router: null,
+      error: 'App must export an Express app or a function that returns an Express app',
+      hint: 'Use: module.exports = app; or module.exports = () => app;'
+    };
+  }
+
+  // Check if it's an Express app (has .use, .get, .post, etc.)
+  if (appModule.use && appModule.get && appModule.post) {
+    return { router: appModule, error: null, hint: null };
+  }
+
+  // It's a factory function - execute it to get the router
+  const router = appModule();
+
+  if (!router || typeof router !== 'function') {
+    return {
+      router: null,
+      error: 'App function must return a valid Express router or app',
+      hint: null
+    };
+  }
+
+  return { router, error: null, hint: null };
+}
+
+/**
+ * Point the app's view engine at its own views directory
+ * @param {Function} router - Express app or router
+ * @param {string} appPath - Path to app directory
+ */
+function fixViewsPath(router, appPath) {
+  if (!router.set || !router.get) {
+    return;
+  }
+
+  const viewEngine = router.get('view engine');
+
+  // If the app uses a view engine (ejs, pug, etc.), ensure views path is correct
+  if (viewEngine) {
+    const currentViews = router.get('views');
+    const viewsPath = path.join(appPath, 'views');
+
+    // Always set to app's views directory to override default cwd behavior
+    router.set('views', viewsPath);
+    console.log(`[LazyLoader] Set views path to: ${viewsPath} (was: ${currentViews})`);
+  }
+}
+
+/**
+ * Run the optional readiness check an app exports
+ * Apps opt in with `module.exports.readinessCheck = async () => { ... }`
+ * (or `app.readinessCheck = ...`). The check fails if it throws, rejects,
+ * returns false or does not settle within the timeout.
+ * @param {*} appModule - Value exported by the app's entry file
+ * @param {Function} router - Resolved Express app or router
+ * @returns {Promise<boolean>} - Whether a check was run
+ */
+async function runReadinessCheck(appModule, router) {
+  const check = [appModule, router]
+    .map(candidate => candidate && candidate.readinessCheck)
+    .find(candidate => typeof candidate === 'function');
+
+  if (!check) {
+    return false;
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(new Error(`Readiness check did not complete within ${READINESS_TIMEOUT / 1000} seconds`));
+    }, READINESS_TIMEOUT);
+  });
+
+  try {
+    const result = await Promise.race([Promise.resolve().then(() => check()), timeout]);
+    if (result === false) {
+      throw new Error('Readiness check returned false');
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+
+  return true;
+}
+
+module.exports = {
+  resolveAppRouter,
+  fixViewsPath,
+  runReadinessCheck
+};
@@ -1,5 +1,7 @@
 const fs = require('fs');
 const path = require('path');
+const { loadProjectConfig } = require('./projectConfig');
+const buildRecipes = require('./buildRecipes');
 
 /**
  * Deprecated and problematic packages that should be blocked
@@ -38,10 +40,11 @@ const DEPRECATED_PACKAGES = {
 class AppValidator {
   /**
    * Validate frontend app requirements
-   * @param {string} appPath - Path to app directory
+   * @param {string} appPath - Path to the project directory (the app's rootDirectory)
+   * @param {Object} projectConfig - Settings from platformx.json (optional)
    * @returns {Object} - { valid: boolean, errors: [], warnings: [], recommendations: [] }
    */
-  static validateFrontendApp(appPath) {
+  static validateFrontendApp(appPath, projectConfig = null) {
     const result = {
       valid: true,
       errors: [],
@@ -62,7 +65,7 @@ class AppValidator {
       const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
       
       // Check for build script
-      if (!packageJson.scripts || !packageJson.scripts.build) {
+      if ((!packageJson.scripts || !packageJson.scripts.build) && !(projectConfig && projectConfig.buildCommand)) {
         result.warnings.push('No "build" script found in package.json. Frontend apps typically need a build step.');
         result.recommendations.push('Add a build script: "build": "react-scripts build" or similar');
       }
@@ -351,9 +354,32 @@ class AppValidator {
    * @returns {Object} - Validation result
    */
   static validate(appPath, appType, entryFile = 'server.js') {
+    const invalid = (error) => ({
+      valid: false,
+      errors: [error],
+      warnings: [],
+      recommendations: []
+    });
+
+    // Build settings from platformx.json / package.json "platformx"
+    let projectConfig;
+    try {
+      projectConfig = loadProjectConfig(appPath);
+    } catch (err) {
+      return invalid(err.message);
+    }
+
+    const projectPath = path.join(appPath, projectConfig.rootDirectory);
+    if (projectConfig.rootDirectory && !fs.existsSync(projectPath)) {
+      return invalid(`rootDirectory '${projectConfig.rootDirectory}' not found`);
+    }
+    if (projectConfig.recipe && !buildRecipes.getRecipe(projectConfig.recipe)) {
+      return invalid(`Unknown build recipe '${projectConfig.recipe}'. Available: ${buildRecipes.listRecipes().map(r => r.name).join(', ')}`);
+    }
+
     switch (appType) {
       case 'frontend':
-        return this.validateFrontendApp(appPath);
+        return this.validateFrontendApp(projectPath, projectConfig);
       case 'backend':
         return this.validateBackendApp(appPath, entryFile);
       case 'fullstack':
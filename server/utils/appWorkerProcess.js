@@ -0,0 +1,153 @@
+/**
+ * appWorkerProcess.js
+ * Entry point for isolated app workers.
+ *
+ * Forked by WorkerManager (one process per app). Loads the app's entry file
+ * using the same export contract as the in-process loader and serves it on a
+ * local socket that the platform proxies requests to.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const MongoDBManager = require('./mongodbManager');
+const { resolveAppRouter, fixViewsPath, runReadinessCheck } = require('./appModuleLoader');
+const { HEADERS } = require('./workerProtocol');
+
+/**
+ * Report a fatal error to the platform and exit
+ */
+function fail(error) {
+  const message = error && error.stack ? error.stack : String(error);
+  if (process.connected) {
+    process.send({ type: 'error', error: message }, () => process.exit(1));
+  } else {
+    process.exit(1);
+  }
+}
+
+process.on('uncaughtException', fail);
+process.on('unhandledRejection', fail);
+
+// The platform closes the IPC channel when it goes away - don't outlive it
+process.on('disconnect', () => process.exit(0));
+
+/**
+ * Rebuild the request context the platform would have attached in-process
+ */
+function restoreRequestContext(appName, appEnv) {
+  return (req, res, next) => {
+    req.appName = appName;
+    req.appEnv = { ...appEnv };
+    req.id = req.get('x-request-id');
+    req.requestId = req.id;
+
+    // Mounted under /apps/<slug> by path-based routing
+    const basePath = req.get(HEADERS.BASE_PATH);
+    if (basePath) {
+      req.baseUrl = basePath;
+    }
+
+    const appDb = MongoDBManager.getAppDatabase(appName);
+    if (appDb) {
+      req.db = appDb;
+    }
+
+    // Body was already parsed by the platform - restore it as-is
+    if (!req.get(HEADERS.PARSED_BODY)) {
+      return next();
+    }
+
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      try {
+        req.body = raw ? JSON.parse(raw) : undefined;
+      } catch (err) {
+        return next(err);
+      }
+
+      const originalType = req.get(HEADERS.ORIGINAL_CONTENT_TYPE);
+      if (originalType) {
+        req.headers['content-type'] = originalType;
+      }
+      delete req.headers[HEADERS.PARSED_BODY];
+      delete req.headers[HEADERS.ORIGINAL_CONTENT_TYPE];
+
+      next();
+    });
+  };
+}
+
+/**
+ * Load the app and start serving on the given socket
+ */
+async function start(config) {
+  const { appName, appPath, entryFile, appEnv = {}, mongoUri, socketPath } = config;
+
+  if (mongoUri) {
+    try {
+      await MongoDBManager.connect(mongoUri);
+    } catch (error) {
+      console.warn(`[Worker:${appName}] MongoDB not available: ${error.message}`);
+    }
+  }
+
+  const appModule = require(path.join(appPath, entryFile));
+  const { router, error } = resolveAppRouter(appModule);
+
+  if (!router) {
+    throw new Error(error);
+  }
+
+  fixViewsPath(router, appPath);
+
+  // Only report ready once the app says it can take traffic
+  await runReadinessCheck(appModule, router);
+
+  const host = express();
+  host.disable('x-powered-by');
+  host.use(restoreRequestContext(appName, appEnv));
+  host.use(router);
+
+  // Let the platform continue its middleware chain for unhandled routes
+  host.use((req, res) => {
+    res.setHeader(HEADERS.UNHANDLED, '1');
+    res.status(404).end();
+  });
+
+  host.use((err, req, res, next) => {
+    console.error(`[Worker:${appName}] Error in app:`, err);
+
+    if (res.headersSent) {
+      return next(err);
+    }
+
+    res.status(500).json({
+      error: 'Application error',
+      appName,
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  });
+
+  if (!socketPath.startsWith('\\\\') && fs.existsSync(socketPath)) {
+    fs.unlinkSync(socketPath);
+  }
+
+  const server = http.createServer(host);
+  server.listen(socketPath, () => {
+    process.send({ type: 'ready', pid: process.pid });
+  });
+}
+
+process.on('message', (message) => {
+  if (!message || message.type !== 'init') {
+    return;
+  }
+
+  start(message.config).catch(fail);
+});
@@ -4,6 +4,11 @@ const fsSync = require('fs');
 const AdmZip = require('adm-zip');
 const Logger = require('./logger');
 
+const SECRETS_ENTRY = 'secrets.json';
+
+// Backup file names: appname-timestamp.zip
+const BACKUP_NAME_PATTERN = /^(.+)-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}.*?)\.zip$/;
+
 /**
  * Backup and Restore Utilities
  * Create backups of apps and restore them
@@ -27,9 +32,10 @@ class BackupManager {
    * Create backup of an app
    * @param {string} appName - App name to backup
    * @param {Object} appMetadata - App metadata from database
+   * @param {Object} options - { secrets: passphrase-encrypted secrets to include (see secretsManager.exportForBackup) }
    * @returns {Promise<string>} - Path to backup file
    */
-  async createBackup(appName, appMetadata) {
+  async createBackup(appName, appMetadata, options = {}) {
     try {
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
       const backupFileName = `${appName}-${timestamp}.zip`;
@@ -65,6 +71,11 @@ class BackupManager {
       };
       
       zip.addFile('metadata.json', Buffer.from(JSON.stringify(metadata, null, 2)));
+
+      // Secrets are only included on request, never with the platform key
+      if (options.secrets) {
+        zip.addFile(SECRETS_ENTRY, Buffer.from(JSON.stringify(options.secrets, null, 2)));
+      }
       
       // Write ZIP file
       zip.writeZip(backupPath);
@@ -75,7 +86,8 @@ class BackupManager {
         success: true,
         backupPath,
         backupFileName,
-        size: fsSync.statSync(backupPath).size
+        size: fsSync.statSync(backupPath).size,
+        secretsCount: options.secrets ? options.secrets.secrets.length : 0
       };
 
     } catch (error) {
@@ -84,6 +96,16 @@ class BackupManager {
     }
   }
 
+  /**
+   * Slug of the app a backup was made from
+   * @param {string} backupFileName - Backup file name
+   * @returns {string|null} - Null if the name doesn't follow appname-timestamp.zip
+   */
+  getAppName(backupFileName) {
+    const match = String(backupFileName).match(BACKUP_NAME_PATTERN);
+    return match ? match[1] : null;
+  }
+
   /**
    * List all backups
    * @returns {Promise<Array>} - List of backup files
@@ -98,12 +120,11 @@ class BackupManager {
           const filePath = path.join(this.backupDir, file);
           const stats = await fs.stat(filePath);
           
-          // Parse filename: appname-timestamp.zip
-          const match = file.match(/^(.+)-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}.*?)\.zip$/);
+          const match = file.match(BACKUP_NAME_PATTERN);
           
           backups.push({
             filename: file,
-            appName: match ? match[1] : 'unknown',
+            appName: this.getAppName(file) || 'unknown',
             timestamp: match ? match[2].replace(/-/g, ':').replace('T', ' ') : 'unknown',
             size: stats.size,
             sizeFormatted: `${(stats.size / 1024 / 1024).toFixed(2)}MB`,
@@ -124,6 +145,21 @@ class BackupManager {
     }
   }
 
+  /**
+   * Read the encrypted secrets stored in a backup
+   * @param {string} backupFileName - Backup file name
+   * @returns {Object|null} - Contents of secrets.json, or null if the backup has none
+   */
+  readSecrets(backupFileName) {
+    const backupPath = path.join(this.backupDir, backupFileName);
+    if (!fsSync.existsSync(backupPath)) {
+      throw new Error(`Backup file not found: ${backupFileName}`);
+    }
+
+    const entry = new AdmZip(backupPath).getEntry(SECRETS_ENTRY);
+    return entry ? JSON.parse(entry.getData().toString('utf8')) : null;
+  }
+
   /**
    * Restore app from backup
    * @param {string} backupFileName - Backup file name
@@ -160,9 +196,9 @@ class BackupManager {
         throw new Error(`App directory already exists: ${appName}. Delete it first or choose a different name.`);
       }
 
-      // Extract all entries except metadata.json
+      // Extract all entries except metadata.json and secrets.json
       for (const entry of zipEntries) {
-        if (entry.entryName !== 'metadata.json') {
+        if (entry.entryName !== 'metadata.json' && entry.entryName !== SECRETS_ENTRY) {
           // Remove app name prefix from entry name if present
           let entryPath = entry.entryName;
           if (entryPath.startsWith(metadata.slug + '/')) {
@@ -0,0 +1,155 @@
+/**
+ * buildQueue.js
+ * Limits how many deploy pipelines run at once and makes sure two
+ * deployments of the same app never run at the same time.
+ *
+ * Each deployment acquires a slot before it starts working on files and
+ * releases it when done. Slots carry an AbortSignal that is triggered when
+ * the deployment is cancelled.
+ */
+
+const DEFAULT_MAX_CONCURRENT_BUILDS = 2;
+
+class BuildQueue {
+  constructor() {
+    this.waiting = []; // [{ id, appSlug, controller, onPosition, resolve, reject }]
+    this.running = new Map(); // id -> job
+  }
+
+  /**
+   * Maximum number of pipelines running at the same time (MAX_CONCURRENT_BUILDS)
+   * @returns {number}
+   */
+  getConcurrency() {
+    const max = parseInt(process.env.MAX_CONCURRENT_BUILDS, 10);
+    return max > 0 ? max : DEFAULT_MAX_CONCURRENT_BUILDS;
+  }
+
+  /**
+   * Wait for a build slot
+   * @param {string} id - Deployment id
+   * @param {string} appSlug - App being deployed
+   * @param {Object} options - { onPosition(position) } called with the 1-based
+   *   queue position while waiting and with 0 once the slot is granted
+   * @returns {Promise<Object>} - { signal, release() }; rejects if cancelled while waiting
+   */
+  acquire(id, appSlug, { onPosition = null } = {}) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({
+        id: String(id),
+        appSlug,
+        controller: new AbortController(),
+        onPosition,
+        lastPosition: null,
+        resolve,
+        reject
+      });
+      this.schedule();
+    });
+  }
+
+  /**
+   * Cancel a queued or running deployment
+   * A queued deployment leaves the queue; a running one has its slot's signal aborted.
+   * @param {string} id - Deployment id
+   * @returns {string|null} - 'queued', 'running' or null if unknown
+   */
+  cancel(id) {
+    id = String(id);
+
+    const index = this.waiting.findIndex(job => job.id === id);
+    if (index !== -1) {
+      const [job] = this.waiting.splice(index, 1);
+      job.reject(this.createCancelError());
+      this.schedule();
+      return 'queued';
+    }
+
+    const job = this.running.get(id);
+    if (job) {
+      if (!job.controller.signal.aborted) {
+        job.controller.abort(this.createCancelError());
+      }
+      return 'running';
+    }
+
+    return null;
+  }
+
+  /**
+   * Start waiting jobs while slots are free, skipping apps that already have
+   * a running deployment
+   */
+  schedule() {
+    const busyApps = new Set([...this.running.values()].map(job => job.appSlug));
+
+    for (let i = 0; i < this.waiting.length && this.running.size < this.getConcurrency();) {
+      const job = this.waiting[i];
+      if (busyApps.has(job.appSlug)) {
+        i++;
+        continue;
+      }
+
+      this.waiting.splice(i, 1);
+      this.running.set(job.id, job);
+      busyApps.add(job.appSlug);
+
+      let released = false;
+      job.resolve({
+        signal: job.controller.signal,
+        release: () => {
+          if (released) return;
+          released = true;
+          this.running.delete(job.id);
+          this.schedule();
+        }
+      });
+      this.reportPosition(job, 0);
+    }
+
+    this.waiting.forEach((job, index) => this.reportPosition(job, index + 1));
+  }
+
+  reportPosition(job, position) {
+    if (job.lastPosition === position || !job.onPosition) {
+      return;
+    }
+    job.lastPosition = position;
+
+    try {
+      job.onPosition(position);
+    } catch (err) {
+      console.error(`[BuildQueue] Position callback failed for ${job.appSlug}:`, err.message);
+    }
+  }
+
+  /**
+   * Whether an error was caused by cancelling a deployment
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isCancelError(error) {
+    return !!(error && error.cancelled);
+  }
+
+  createCancelError() {
+    const error = new Error('Deployment cancelled');
+    error.cancelled = true;
+    return error;
+  }
+
+  /**
+   * Snapshot of the queue
+   * @returns {Object} - { concurrency, running: [{ id, appSlug }], waiting: [{ id, appSlug, position }] }
+   */
+  getStatus() {
+    return {
+      concurrency: this.getConcurrency(),
+      running: [...this.running.values()].map(job => ({ id: job.id, appSlug: job.appSlug })),
+      waiting: this.waiting.map((job, index) => ({ id: job.id, appSlug: job.appSlug, position: index + 1 }))
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new BuildQueue();
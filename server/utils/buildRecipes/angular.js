@@ -0,0 +1,46 @@
+/**
+ * Angular CLI
+ * The output path comes from angular.json; the application builder
+ * (Angular 17+) writes the browser bundle to a "browser" subfolder.
+ */
+const fs = require('fs');
+const path = require('path');
+const StaticServer = require('../../middleware/staticServer');
+
+function findOutputDirectory(projectPath) {
+  const angularJsonPath = path.join(projectPath, 'angular.json');
+  if (!fs.existsSync(angularJsonPath)) {
+    return null;
+  }
+
+  try {
+    const angularJson = JSON.parse(fs.readFileSync(angularJsonPath, 'utf8'));
+    const projects = angularJson.projects || {};
+    const projectName = angularJson.defaultProject || Object.keys(projects)[0];
+    const options = projects[projectName]?.architect?.build?.options || {};
+
+    const outputPath = typeof options.outputPath === 'object'
+      ? options.outputPath.base
+      : options.outputPath || `dist/${projectName}`;
+
+    for (const dir of [path.posix.join(outputPath, 'browser'), outputPath]) {
+      if (StaticServer.hasValidBuild(projectPath, dir)) {
+        return dir;
+      }
+    }
+  } catch (err) {
+    console.error('[BuildRecipes] Error reading angular.json:', err.message);
+  }
+
+  return null;
+}
+
+module.exports = {
+  name: 'angular',
+  priority: 30,
+  detect: ({ dependencies }) => !!dependencies['@angular/core'],
+  buildEnv: {
+    NG_CLI_ANALYTICS: 'false'
+  },
+  findOutputDirectory
+};
@@ -0,0 +1,12 @@
+/**
+ * Astro (static output)
+ */
+module.exports = {
+  name: 'astro',
+  priority: 30,
+  detect: ({ dependencies }) => !!dependencies.astro,
+  buildEnv: {
+    ASTRO_TELEMETRY_DISABLED: '1'
+  },
+  outputDirectories: ['dist']
+};
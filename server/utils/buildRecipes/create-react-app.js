@@ -0,0 +1,9 @@
+/**
+ * Create React App (react-scripts)
+ */
+module.exports = {
+  name: 'create-react-app',
+  priority: 20,
+  detect: ({ dependencies }) => !!dependencies['react-scripts'],
+  outputDirectories: ['build']
+};
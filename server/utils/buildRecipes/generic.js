@@ -0,0 +1,12 @@
+/**
+ * Generic recipe - any project with a build script
+ * The output directory is detected from common build folders.
+ */
+const StaticServer = require('../../middleware/staticServer');
+
+module.exports = {
+  name: 'generic',
+  priority: -Infinity,
+  detect: () => true,
+  findOutputDirectory: (projectPath) => StaticServer.detectBuildDir(projectPath)
+};
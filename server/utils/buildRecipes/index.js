@@ -0,0 +1,93 @@
+/**
+ * Build recipes
+ * Framework-specific build defaults (output directory, build env, commands).
+ *
+ * Every other .js file in this directory is loaded as a recipe module:
+ *
+ * module.exports = {
+ *   name: 'vite',                      // Unique name, usable as "recipe" in platformx.json
+ *   priority: 10,                      // Higher runs detect() first (default 0)
+ *   detect: ({ packageJson, dependencies, projectPath }) => boolean,
+ *   buildScript: 'build',              // package.json script run by default
+ *   installCommand: null,              // Optional shell command replacing the package manager install
+ *   buildCommand: null,                // Optional shell command replacing the build script
+ *   buildEnv: {},                      // Environment variables for install and build
+ *   outputDirectories: ['dist'],       // Candidates, relative to the project
+ *   findOutputDirectory: (projectPath) => string|null  // Optional, checked first
+ * };
+ *
+ * Recipes can also be added at runtime with registerRecipe().
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const recipes = new Map();
+
+/**
+ * Add or replace a recipe
+ * @param {Object} recipe - See the module format above
+ */
+function registerRecipe(recipe) {
+  if (!recipe || typeof recipe.name !== 'string' || typeof recipe.detect !== 'function') {
+    throw new Error('A build recipe needs a name and a detect() function');
+  }
+
+  recipes.set(recipe.name, {
+    priority: 0,
+    buildScript: 'build',
+    installCommand: null,
+    buildCommand: null,
+    buildEnv: {},
+    outputDirectories: [],
+    findOutputDirectory: null,
+    ...recipe
+  });
+}
+
+/**
+ * Get a recipe by name
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function getRecipe(name) {
+  return recipes.get(name) || null;
+}
+
+/**
+ * All recipes, in detection order
+ * @returns {Array}
+ */
+function listRecipes() {
+  return [...recipes.values()].sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Find the recipe for a project
+ * @param {Object} context - { packageJson, dependencies, projectPath }
+ * @returns {Object} - Matching recipe; the generic recipe matches any project
+ */
+function detectRecipe(context) {
+  for (const recipe of listRecipes()) {
+    try {
+      if (recipe.detect(context)) {
+        return recipe;
+      }
+    } catch (err) {
+      console.error(`[BuildRecipes] ${recipe.name} detection failed:`, err.message);
+    }
+  }
+  return getRecipe('generic');
+}
+
+// Load the bundled recipes
+fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.js') && file !== 'index.js')
+  .forEach(file => registerRecipe(require(path.join(__dirname, file))));
+
+module.exports = {
+  registerRecipe,
+  getRecipe,
+  listRecipes,
+  detectRecipe
+};
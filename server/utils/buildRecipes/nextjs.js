@@ -0,0 +1,12 @@
+/**
+ * Next.js static export (output: 'export' in next.config.js)
+ */
+module.exports = {
+  name: 'nextjs',
+  priority: 30,
+  detect: ({ dependencies }) => !!dependencies.next,
+  buildEnv: {
+    NEXT_TELEMETRY_DISABLED: '1'
+  },
+  outputDirectories: ['out']
+};
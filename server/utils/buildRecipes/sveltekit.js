@@ -0,0 +1,9 @@
+/**
+ * SvelteKit with @sveltejs/adapter-static
+ */
+module.exports = {
+  name: 'sveltekit',
+  priority: 30,
+  detect: ({ dependencies }) => !!dependencies['@sveltejs/kit'],
+  outputDirectories: ['build']
+};
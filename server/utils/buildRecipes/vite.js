@@ -0,0 +1,9 @@
+/**
+ * Vite (React, Vue, Svelte, Preact... projects built with Vite)
+ */
+module.exports = {
+  name: 'vite',
+  priority: 10,
+  detect: ({ dependencies }) => !!dependencies.vite,
+  outputDirectories: ['dist']
+};
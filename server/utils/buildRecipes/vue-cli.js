@@ -0,0 +1,9 @@
+/**
+ * Vue CLI (@vue/cli-service)
+ */
+module.exports = {
+  name: 'vue-cli',
+  priority: 20,
+  detect: ({ dependencies }) => !!dependencies['@vue/cli-service'],
+  outputDirectories: ['dist']
+};
@@ -1,72 +1,435 @@
-const { exec } = require('child_process');
+const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
-const util = require('util');
+const { loadProjectConfig, PACKAGE_MANAGERS } = require('./projectConfig');
+const buildRecipes = require('./buildRecipes');
+const dependencyCache = require('./dependencyCache');
+const { getBaseEnv } = require('./envIsolation');
 
-const execPromise = util.promisify(exec);
+const INSTALL_TIMEOUT = 300000; // 5 minutes
+const BUILD_TIMEOUT = 600000; // 10 minutes
+
+// Output kept in memory per command for error messages
+const MAX_OUTPUT_LENGTH = 64 * 1024;
+
+// Grace period between SIGTERM and SIGKILL when a command is cancelled
+const KILL_GRACE_PERIOD = 5000; // 5 seconds
+
+// Default install arguments per package manager
+const INSTALL_ARGS = {
+  npm: { all: ['install'], production: ['install', '--production'] },
+  yarn: { all: ['install'], production: ['install', '--production'] },
+  pnpm: { all: ['install'], production: ['install', '--prod'] }
+};
+
+// Install arguments without network access (BUILD_OFFLINE=true): only the
+// local package cache is used and the lockfile must be up to date
+const OFFLINE_INSTALL_ARGS = {
+  npm: { all: ['ci', '--offline'], production: ['ci', '--offline', '--omit=dev'] },
+  yarn: { all: ['install', '--offline', '--frozen-lockfile'], production: ['install', '--offline', '--frozen-lockfile', '--production'] },
+  pnpm: { all: ['install', '--offline', '--frozen-lockfile'], production: ['install', '--offline', '--frozen-lockfile', '--prod'] }
+};
 
 /**
  * Build system utilities for frontend apps
  */
 class BuildSystem {
   /**
-   * Detect if app has a build script
+   * Work out how an app is installed and built
+   * Settings from platformx.json (or the "platformx" key in package.json)
+   * take precedence over the defaults of the detected build recipe.
    * @param {string} appPath - Path to app directory
-   * @returns {Object} - { hasBuildScript: boolean, buildCommand: string|null, framework: string|null }
+   * @returns {Object} - { hasBuildScript, buildCommand, installCommand, framework, recipe,
+   *   packageManager, rootDirectory, outputDirectory, buildEnv, configSource, scripts, error }
+   *   where error is set when the project settings are invalid
    */
   static detectBuildConfig(appPath) {
-    const packageJsonPath = path.join(appPath, 'package.json');
+    const result = {
+      hasBuildScript: false,
+      buildCommand: null,
+      installCommand: null,
+      framework: null,
+      recipe: null,
+      packageManager: 'npm',
+      rootDirectory: '',
+      outputDirectory: null,
+      buildEnv: {},
+      configSource: null,
+      scripts: {},
+      error: null
+    };
+
+    let config;
+    try {
+      config = loadProjectConfig(appPath);
+    } catch (err) {
+      return { ...result, error: err.message };
+    }
+
+    Object.assign(result, {
+      installCommand: config.installCommand,
+      rootDirectory: config.rootDirectory,
+      outputDirectory: config.outputDirectory,
+      configSource: config.source
+    });
+
+    const projectPath = path.join(appPath, config.rootDirectory);
+    const packageJsonPath = path.join(projectPath, 'package.json');
+    let packageJson = {};
+
+    if (fs.existsSync(packageJsonPath)) {
+      try {
+        packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+      } catch (err) {
+        console.error('[BuildSystem] Error reading package.json:', err.message);
+        return { ...result, error: `Invalid package.json: ${err.message}` };
+      }
+    } else if (!config.buildCommand) {
+      return result;
+    }
+
+    const scripts = packageJson.scripts || {};
+    
+    // Detect framework
+    const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+    let framework = null;
     
-    if (!fs.existsSync(packageJsonPath)) {
-      return { hasBuildScript: false, buildCommand: null, framework: null };
+    if (dependencies['react'] || dependencies['react-dom']) {
+      framework = 'react';
+    } else if (dependencies['vue']) {
+      framework = 'vue';
+    } else if (dependencies['@angular/core']) {
+      framework = 'angular';
+    } else if (dependencies['next']) {
+      framework = 'nextjs';
+    } else if (dependencies['svelte']) {
+      framework = 'svelte';
+    }
+
+    // Pick the build recipe
+    const recipe = config.recipe
+      ? buildRecipes.getRecipe(config.recipe)
+      : buildRecipes.detectRecipe({ packageJson, dependencies, projectPath });
+    if (!recipe) {
+      return { ...result, error: `Unknown build recipe '${config.recipe}'` };
     }
 
+    const packageManager = config.packageManager || this.detectPackageManager(projectPath, packageJson, appPath);
+
+    // Build command: declared > recipe default > the recipe's package.json script
+    const buildCommand = config.buildCommand ||
+      recipe.buildCommand ||
+      (scripts[recipe.buildScript] ? `${packageManager} run ${recipe.buildScript}` : null);
+
+    return {
+      ...result,
+      hasBuildScript: !!buildCommand,
+      buildCommand,
+      installCommand: config.installCommand || recipe.installCommand || null,
+      framework,
+      recipe: recipe.name,
+      packageManager,
+      buildEnv: { ...recipe.buildEnv, ...config.buildEnv },
+      scripts
+    };
+  }
+
+  /**
+   * Detect the package manager from package.json's "packageManager" field
+   * or the lockfile in the project (or the app root, for workspaces)
+   * @param {string} projectPath - Directory containing package.json
+   * @param {Object} packageJson - Parsed package.json
+   * @param {string} appPath - App root
+   * @returns {string} - npm, yarn or pnpm
+   */
+  static detectPackageManager(projectPath, packageJson = {}, appPath = projectPath) {
+    if (typeof packageJson.packageManager === 'string') {
+      const name = packageJson.packageManager.split('@')[0];
+      if (PACKAGE_MANAGERS.includes(name)) {
+        return name;
+      }
+    }
+
+    for (const dir of [projectPath, appPath]) {
+      if (fs.existsSync(path.join(dir, 'pnpm-lock.yaml'))) return 'pnpm';
+      if (fs.existsSync(path.join(dir, 'yarn.lock'))) return 'yarn';
+      if (fs.existsSync(path.join(dir, 'package-lock.json'))) return 'npm';
+    }
+
+    return 'npm';
+  }
+
+  /**
+   * Find a built app's output directory
+   * Uses the declared outputDirectory, then the recipe's candidates, then
+   * common build folders.
+   * @param {string} appPath - Path to app directory
+   * @param {Object} buildConfig - Result of detectBuildConfig (read when omitted)
+   * @returns {string|null} - Directory relative to appPath, or null if none contains an index.html
+   */
+  static findBuildOutput(appPath, buildConfig = this.detectBuildConfig(appPath)) {
+    if (buildConfig.error) {
+      return null;
+    }
+
+    const StaticServer = require('../middleware/staticServer');
+    const projectPath = path.join(appPath, buildConfig.rootDirectory);
+    const recipe = buildRecipes.getRecipe(buildConfig.recipe) || buildRecipes.getRecipe('generic');
+
+    let outputDir = null;
+    if (buildConfig.outputDirectory) {
+      if (StaticServer.hasValidBuild(projectPath, buildConfig.outputDirectory)) {
+        outputDir = buildConfig.outputDirectory;
+      }
+    } else {
+      outputDir = (recipe.findOutputDirectory && recipe.findOutputDirectory(projectPath)) ||
+        recipe.outputDirectories.find(dir => StaticServer.hasValidBuild(projectPath, dir)) ||
+        StaticServer.detectBuildDir(projectPath);
+    }
+
+    return outputDir ? path.posix.join(buildConfig.rootDirectory || '.', outputDir) : null;
+  }
+
+  /**
+   * Kill a command together with everything it started (npm runs scripts
+   * in child processes of its own)
+   * @param {ChildProcess} child - Spawned with detached: true on POSIX
+   * @param {string} signal
+   */
+  static killProcessTree(child, signal = 'SIGTERM') {
+    if (!child.pid) return;
+
     try {
-      const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-      const scripts = packageJson.scripts || {};
-      
-      // Detect framework
-      const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
-      let framework = null;
-      
-      if (dependencies['react'] || dependencies['react-dom']) {
-        framework = 'react';
-      } else if (dependencies['vue']) {
-        framework = 'vue';
-      } else if (dependencies['@angular/core']) {
-        framework = 'angular';
-      } else if (dependencies['next']) {
-        framework = 'nextjs';
-      } else if (dependencies['svelte']) {
-        framework = 'svelte';
+      if (process.platform === 'win32') {
+        spawn('taskkill', ['/pid', String(child.pid), '/T', '/F']);
+      } else {
+        // Negative pid: the whole process group led by the child
+        process.kill(-child.pid, signal);
+      }
+    } catch (err) {
+      // Already exited
+    }
+  }
+
+  /**
+   * Run a command and report its output line by line
+   * @param {string} command - Executable (e.g. 'npm')
+   * @param {Array} args - Arguments
+   * @param {Object} options - { cwd, env, shell, timeout, onLine(stream, line), signal } where
+   *   shell runs command as a shell command line and signal is an AbortSignal
+   *   that kills the command's process tree
+   * @returns {Promise<Object>} - { stdout, stderr }; rejects if the command fails
+   *   or with signal.reason if it was aborted
+   */
+  static runCommand(command, args, { cwd, env = process.env, shell = false, timeout = 0, onLine = null, signal = null } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        return reject(signal.reason);
       }
 
-      // Check for build script
-      const hasBuildScript = !!scripts.build;
-      const buildCommand = scripts.build || null;
+      const child = spawn(command, args, {
+        cwd,
+        env,
+        shell: shell || process.platform === 'win32',
+        // Own process group, so the command and its children can be killed together
+        detached: process.platform !== 'win32'
+      });
 
-      return {
-        hasBuildScript,
-        buildCommand,
-        framework,
-        scripts
+      const output = { stdout: '', stderr: '' };
+      const partial = { stdout: '', stderr: '' };
+      let timedOut = false;
+      let aborted = false;
+      let forceKillTimer = null;
+
+      const stop = () => {
+        this.killProcessTree(child, 'SIGTERM');
+        forceKillTimer = setTimeout(() => this.killProcessTree(child, 'SIGKILL'), KILL_GRACE_PERIOD);
+        forceKillTimer.unref();
       };
-    } catch (err) {
-      console.error('[BuildSystem] Error reading package.json:', err.message);
-      return { hasBuildScript: false, buildCommand: null, framework: null };
+
+      const onAbort = () => {
+        aborted = true;
+        stop();
+      };
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      const collect = (stream) => (data) => {
+        const text = data.toString();
+        output[stream] = (output[stream] + text).slice(-MAX_OUTPUT_LENGTH);
+
+        if (!onLine) return;
+        const lines = (partial[stream] + text).split(/\r?\n/);
+        partial[stream] = lines.pop();
+        lines.forEach(line => onLine(stream, line));
+      };
+
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
+
+      const timer = timeout ? setTimeout(() => {
+        timedOut = true;
+        stop();
+      }, timeout) : null;
+
+      const done = () => {
+        clearTimeout(timer);
+        clearTimeout(forceKillTimer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+
+      child.on('error', (error) => {
+        done();
+        reject(new Error(`Failed to run ${command}: ${error.message}`));
+      });
+
+      child.on('close', (code, exitSignal) => {
+        done();
+
+        if (aborted || timedOut) {
+          // Don't leave grandchildren behind once the command itself is gone
+          this.killProcessTree(child, 'SIGKILL');
+        }
+
+        if (onLine) {
+          ['stdout', 'stderr'].forEach(stream => {
+            if (partial[stream]) onLine(stream, partial[stream]);
+          });
+        }
+
+        if (aborted) {
+          return reject(signal.reason);
+        }
+
+        if (code === 0) {
+          return resolve(output);
+        }
+
+        const reason = timedOut
+          ? `timed out after ${Math.round(timeout / 1000)}s`
+          : `exited with ${exitSignal ? `signal ${exitSignal}` : `code ${code}`}`;
+        const error = new Error(`${[command, ...args].join(' ')} ${reason}${output.stderr ? `: ${output.stderr.trim().split('\n').slice(-5).join('\n')}` : ''}`);
+        error.exitCode = code;
+        error.stdout = output.stdout;
+        error.stderr = output.stderr;
+        reject(error);
+      });
+    });
+  }
+
+  /**
+   * Install an app's dependencies with its package manager (or the declared installCommand)
+   * node_modules is restored from the dependency cache when the app installed
+   * the lockfile before, and stored there after a fresh install.
+   * @param {string} appPath - Path to app directory
+   * @param {string} appName - App name for logging
+   * @param {Object} options - { production: boolean, onLine(stream, line), signal, buildConfig }
+   *   where buildConfig is a detectBuildConfig result (read when omitted)
+   * @returns {Promise<Object>} - { stdout, stderr, cached }; rejects if the install fails
+   */
+  static async installDependencies(appPath, appName, { production = false, onLine = null, signal = null, buildConfig = null } = {}) {
+    buildConfig = buildConfig || this.detectBuildConfig(appPath);
+    if (buildConfig.error) {
+      throw new Error(buildConfig.error);
+    }
+
+    const projectPath = path.join(appPath, buildConfig.rootDirectory);
+    const log = (line) => onLine && onLine('system', line);
+
+    // Unchanged dependencies come from the cache
+    const cacheKey = dependencyCache.computeKey(projectPath, {
+      appName,
+      packageManager: buildConfig.packageManager,
+      production,
+      installCommand: buildConfig.installCommand
+    });
+
+    if (cacheKey) {
+      try {
+        if (await dependencyCache.restore(projectPath, cacheKey.key, appName)) {
+          console.log(`[BuildSystem] Restored dependencies for ${appName} from cache (${cacheKey.key.slice(0, 12)})`);
+          log(`Restored node_modules from the dependency cache (${cacheKey.lockfile} ${cacheKey.key.slice(0, 12)})`);
+          return { stdout: '', stderr: '', cached: true };
+        }
+      } catch (err) {
+        console.error(`[BuildSystem] Dependency cache restore failed for ${appName}:`, err.message);
+        log(`Dependency cache restore failed, installing instead: ${err.message}`);
+      }
+    } else {
+      log('No lockfile found, dependencies are not cached');
     }
+
+    const options = {
+      cwd: projectPath,
+      env: { ...getBaseEnv(), ...dependencyCache.getPackageManagerEnv(), ...buildConfig.buildEnv },
+      timeout: INSTALL_TIMEOUT,
+      onLine,
+      signal
+    };
+
+    let result;
+    if (buildConfig.installCommand) {
+      console.log(`[BuildSystem] Installing dependencies for ${appName} (${buildConfig.installCommand})...`);
+      log(`$ ${buildConfig.installCommand}`);
+      result = await this.runCommand(buildConfig.installCommand, [], { ...options, shell: true });
+    } else {
+      const offline = dependencyCache.isOffline();
+      const args = (offline ? OFFLINE_INSTALL_ARGS : INSTALL_ARGS)[buildConfig.packageManager][production ? 'production' : 'all'];
+      console.log(`[BuildSystem] Installing dependencies for ${appName} (${buildConfig.packageManager} ${args.join(' ')})...`);
+      log(`$ ${buildConfig.packageManager} ${args.join(' ')}`);
+
+      try {
+        result = await this.runCommand(buildConfig.packageManager, args, options);
+      } catch (err) {
+        if (offline && !(signal && signal.aborted)) {
+          err.message = `Offline install failed (BUILD_OFFLINE=true, packages must be in the local cache): ${err.message}`;
+        }
+        throw err;
+      }
+    }
+
+    if (cacheKey) {
+      try {
+        if (await dependencyCache.save(projectPath, cacheKey.key, {
+          lockfile: cacheKey.lockfile,
+          packageManager: buildConfig.packageManager,
+          production,
+          appName
+        })) {
+          log(`Stored node_modules in the dependency cache (${cacheKey.key.slice(0, 12)})`);
+        }
+      } catch (err) {
+        console.error(`[BuildSystem] Failed to cache dependencies for ${appName}:`, err.message);
+      }
+    }
+
+    return { ...result, cached: false };
   }
 
   /**
    * Build a frontend app
    * @param {string} appPath - Path to app directory
    * @param {string} appName - App name for logging
-   * @returns {Promise<Object>} - { success: boolean, buildDir: string|null, error: string|null }
+   * @param {Object} options - { onLine(stream, line), onStage(stage), signal } where
+   *   stage is 'installing' or 'building'
+   * @returns {Promise<Object>} - { success: boolean, buildDir: string|null, error: string|null };
+   *   rejects only if aborted through signal
    */
-  static async buildApp(appPath, appName) {
+  static async buildApp(appPath, appName, { onLine = null, onStage = null, signal = null } = {}) {
     console.log(`[BuildSystem] Building ${appName}...`);
     
     const buildConfig = this.detectBuildConfig(appPath);
+
+    if (buildConfig.error) {
+      return {
+        success: false,
+        buildDir: null,
+        error: buildConfig.error
+      };
+    }
     
     if (!buildConfig.hasBuildScript) {
       return {
@@ -76,42 +439,50 @@ class BuildSystem {
       };
     }
 
+    const projectPath = path.join(appPath, buildConfig.rootDirectory);
+    if (onLine) {
+      onLine('system', `Build recipe: ${buildConfig.recipe}, package manager: ${buildConfig.packageManager}` +
+        (buildConfig.configSource ? ` (settings from ${buildConfig.configSource})` : ''));
+    }
+
     try {
       // Install dependencies if node_modules doesn't exist
-      const nodeModulesPath = path.join(appPath, 'node_modules');
+      const nodeModulesPath = path.join(projectPath, 'node_modules');
       if (!fs.existsSync(nodeModulesPath)) {
-        console.log(`[BuildSystem] Installing dependencies for ${appName}...`);
-        const { stdout, stderr } = await execPromise('npm install', {
-          cwd: appPath,
-          timeout: 300000 // 5 minutes timeout
-        });
-        
-        if (stderr && !stderr.includes('npm WARN')) {
-          console.error(`[BuildSystem] npm install stderr:`, stderr);
-        }
+        if (onStage) await onStage('installing');
+        await this.installDependencies(appPath, appName, { onLine, signal, buildConfig });
       }
 
       // Run build command
+      if (onStage) await onStage('building');
       console.log(`[BuildSystem] Running build command: ${buildConfig.buildCommand}`);
-      const { stdout, stderr } = await execPromise('npm run build', {
-        cwd: appPath,
-        timeout: 600000 // 10 minutes timeout
+      if (onLine) onLine('system', `$ ${buildConfig.buildCommand}`);
+      const { stdout, stderr } = await this.runCommand(buildConfig.buildCommand, [], {
+        cwd: projectPath,
+        env: { ...getBaseEnv(), ...buildConfig.buildEnv },
+        shell: true,
+        timeout: BUILD_TIMEOUT,
+        onLine,
+        signal
       });
 
-      console.log(`[BuildSystem] Build output:`, stdout);
-      if (stderr) {
-        console.warn(`[BuildSystem] Build stderr:`, stderr);
+      if (!onLine) {
+        console.log(`[BuildSystem] Build output:`, stdout);
+        if (stderr) {
+          console.warn(`[BuildSystem] Build stderr:`, stderr);
+        }
       }
 
       // Detect build directory
-      const StaticServer = require('../middleware/staticServer');
-      const buildDir = StaticServer.detectBuildDir(appPath);
+      const buildDir = this.findBuildOutput(appPath, buildConfig);
 
       if (!buildDir) {
         return {
           success: false,
           buildDir: null,
-          error: 'Build completed but output directory not found'
+          error: buildConfig.outputDirectory
+            ? `Build completed but output directory '${buildConfig.outputDirectory}' has no index.html`
+            : 'Build completed but output directory not found'
         };
       }
 
@@ -123,6 +494,9 @@ class BuildSystem {
       };
       
     } catch (err) {
+      if (signal && signal.aborted) {
+        throw err;
+      }
       console.error(`[BuildSystem] Build failed for ${appName}:`, err.message);
       return {
         success: false,
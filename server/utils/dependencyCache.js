@@ -0,0 +1,355 @@
+/**
+ * dependencyCache.js
+ * Content-addressed cache of installed node_modules, keyed by a hash of the
+ * project's lockfile. A deploy whose dependencies did not change restores
+ * node_modules from the cache instead of reinstalling.
+ *
+ * Entries are never shared between apps: node_modules is saved after the
+ * app's own install scripts (and .npmrc, pnpmfile...) had their say, so an
+ * entry is only as trustworthy as the app that filled it.
+ *
+ * Layout (DEPS_CACHE_DIR, default server/cache):
+ *   modules/<key>/node_modules   Installed dependencies
+ *   modules/<key>/meta.json      Lockfile, package manager, size, usage
+ *   packages/                    Package manager download caches (npm, yarn, pnpm),
+ *                                used by offline installs (BUILD_OFFLINE=true)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_ENTRIES = 20;
+
+// Lockfiles in order of preference
+const LOCKFILES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+// package.json fields that affect what gets installed
+const DEPENDENCY_FIELDS = [
+  'dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies',
+  'overrides', 'resolutions', 'pnpm'
+];
+
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+class DependencyCache {
+  getRoot() {
+    return process.env.DEPS_CACHE_DIR || path.join(__dirname, '../cache');
+  }
+
+  getModulesDir() {
+    return path.join(this.getRoot(), 'modules');
+  }
+
+  getPackagesDir() {
+    return path.join(this.getRoot(), 'packages');
+  }
+
+  /**
+   * Maximum number of cached node_modules kept (DEPS_CACHE_MAX_ENTRIES)
+   * @returns {number}
+   */
+  getMaxEntries() {
+    const max = parseInt(process.env.DEPS_CACHE_MAX_ENTRIES, 10);
+    return max > 0 ? max : DEFAULT_MAX_ENTRIES;
+  }
+
+  /**
+   * Whether installs must work without network access (BUILD_OFFLINE=true)
+   * @returns {boolean}
+   */
+  isOffline() {
+    return process.env.BUILD_OFFLINE === 'true';
+  }
+
+  /**
+   * Environment pointing the package managers at the local download cache,
+   * so online installs fill it and offline installs can use it
+   * @returns {Object}
+   */
+  getPackageManagerEnv() {
+    const packagesDir = this.getPackagesDir();
+    return {
+      npm_config_cache: path.join(packagesDir, 'npm'),
+      YARN_CACHE_FOLDER: path.join(packagesDir, 'yarn'),
+      npm_config_store_dir: path.join(packagesDir, 'pnpm')
+    };
+  }
+
+  /**
+   * Find the lockfile of a project
+   * @param {string} projectPath - Directory containing package.json
+   * @returns {string|null} - Lockfile name
+   */
+  findLockfile(projectPath) {
+    return LOCKFILES.find(file => fsSync.existsSync(path.join(projectPath, file))) || null;
+  }
+
+  /**
+   * Compute the cache key of a project's dependencies
+   * The key covers the app, the lockfile, the dependency fields of
+   * package.json, how they are installed and the Node.js ABI, so native
+   * modules are never restored into an incompatible runtime.
+   * @param {string} projectPath - Directory containing package.json
+   * @param {Object} options - { appName, packageManager, production, installCommand }
+   * @returns {Object|null} - { key, lockfile }, or null without a lockfile
+   */
+  computeKey(projectPath, { appName, packageManager, production = false, installCommand = null } = {}) {
+    const lockfile = this.findLockfile(projectPath);
+    if (!lockfile) {
+      return null;
+    }
+
+    const hash = crypto.createHash('sha256');
+    hash.update(`app:${appName}\n`);
+    hash.update(fsSync.readFileSync(path.join(projectPath, lockfile)));
+
+    try {
+      const packageJson = JSON.parse(fsSync.readFileSync(path.join(projectPath, 'package.json'), 'utf8'));
+      for (const field of DEPENDENCY_FIELDS) {
+        hash.update(`\n${field}:${JSON.stringify(packageJson[field] || null)}`);
+      }
+    } catch (err) {
+      // Without a readable package.json the lockfile alone decides
+    }
+
+    hash.update(`\n${packageManager}|${production ? 'production' : 'all'}|${installCommand || ''}`);
+    hash.update(`\n${process.platform}-${process.arch}-${process.versions.modules}`);
+
+    return { key: hash.digest('hex'), lockfile };
+  }
+
+  getEntryPath(key) {
+    return path.join(this.getModulesDir(), key);
+  }
+
+  async readMeta(key) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.getEntryPath(key), 'meta.json'), 'utf8'));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async writeMeta(key, meta) {
+    await fs.writeFile(path.join(this.getEntryPath(key), 'meta.json'), JSON.stringify(meta, null, 2));
+  }
+
+  /**
+   * Restore node_modules from the cache
+   * @param {string} projectPath - Directory to restore into
+   * @param {string} key - Cache key
+   * @param {string} appName - App being deployed, recorded in the entry
+   * @returns {Promise<boolean>} - false on a cache miss
+   */
+  async restore(projectPath, key, appName = null) {
+    const cachedModules = path.join(this.getEntryPath(key), 'node_modules');
+    const meta = await this.readMeta(key);
+    if (!meta || !fsSync.existsSync(cachedModules)) {
+      return false;
+    }
+
+    const target = path.join(projectPath, 'node_modules');
+    await fs.rm(target, { recursive: true, force: true });
+    await fs.cp(cachedModules, target, { recursive: true, verbatimSymlinks: true });
+
+    meta.lastUsedAt = new Date().toISOString();
+    meta.hits = (meta.hits || 0) + 1;
+    if (appName && !meta.apps.includes(appName)) {
+      meta.apps.push(appName);
+    }
+    await this.writeMeta(key, meta).catch(err => {
+      console.error(`[DependencyCache] Failed to update ${key}:`, err.message);
+    });
+
+    return true;
+  }
+
+  /**
+   * Store a project's freshly installed node_modules
+   * @param {string} projectPath - Directory containing node_modules
+   * @param {string} key - Cache key
+   * @param {Object} info - { lockfile, packageManager, production, appName }
+   * @returns {Promise<boolean>} - false if there was nothing to store or the key already exists
+   */
+  async save(projectPath, key, info = {}) {
+    const source = path.join(projectPath, 'node_modules');
+    const entryPath = this.getEntryPath(key);
+    if (!fsSync.existsSync(source) || fsSync.existsSync(entryPath)) {
+      return false;
+    }
+
+    // Copy next to the final location and rename, so a half-written entry is never used
+    const tempPath = path.join(this.getModulesDir(), `.tmp-${key}-${process.pid}-${Date.now()}`);
+    const buildCache = path.join(source, '.cache');
+
+    try {
+      await fs.mkdir(tempPath, { recursive: true });
+      await fs.cp(source, path.join(tempPath, 'node_modules'), {
+        recursive: true,
+        verbatimSymlinks: true,
+        filter: (src) => src !== buildCache && !src.startsWith(buildCache + path.sep)
+      });
+
+      const now = new Date().toISOString();
+      const meta = {
+        key,
+        lockfile: info.lockfile || null,
+        packageManager: info.packageManager || null,
+        production: !!info.production,
+        node: process.version,
+        sizeBytes: await this.getSize(path.join(tempPath, 'node_modules')),
+        apps: info.appName ? [info.appName] : [],
+        hits: 0,
+        createdAt: now,
+        lastUsedAt: now
+      };
+      await fs.writeFile(path.join(tempPath, 'meta.json'), JSON.stringify(meta, null, 2));
+
+      await fs.rename(tempPath, entryPath);
+    } catch (err) {
+      await fs.rm(tempPath, { recursive: true, force: true });
+      // Another deploy stored the same key first
+      if (fsSync.existsSync(entryPath)) {
+        return false;
+      }
+      throw err;
+    }
+
+    await this.enforceLimit();
+    return true;
+  }
+
+  /**
+   * List cached entries, most recently used first
+   * @returns {Promise<Array>} - meta.json contents
+   */
+  async list() {
+    let names = [];
+    try {
+      names = await fs.readdir(this.getModulesDir());
+    } catch (err) {
+      return [];
+    }
+
+    const entries = [];
+    for (const name of names.filter(n => KEY_PATTERN.test(n))) {
+      const meta = await this.readMeta(name);
+      if (meta) {
+        entries.push(meta);
+      }
+    }
+
+    return entries.sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt));
+  }
+
+  /**
+   * Remove one entry
+   * @param {string} key
+   * @returns {Promise<boolean>} - false if the entry does not exist
+   */
+  async remove(key) {
+    if (!KEY_PATTERN.test(key) || !fsSync.existsSync(this.getEntryPath(key))) {
+      return false;
+    }
+
+    await fs.rm(this.getEntryPath(key), { recursive: true, force: true });
+    console.log(`[DependencyCache] Removed ${key}`);
+    return true;
+  }
+
+  /**
+   * Remove entries
+   * @param {Object} options - { olderThanDays: remove entries unused for that long,
+   *   all: remove every entry, packages: also clear the package download caches }
+   * @returns {Promise<Object>} - { removed: [keys], freedBytes }
+   */
+  async prune({ olderThanDays = null, all = false, packages = false } = {}) {
+    const cutoff = olderThanDays !== null ? Date.now() - olderThanDays * 24 * 60 * 60 * 1000 : null;
+    const removed = [];
+    let freedBytes = 0;
+
+    for (const entry of await this.list()) {
+      if (all || (cutoff !== null && new Date(entry.lastUsedAt).getTime() < cutoff)) {
+        if (await this.remove(entry.key)) {
+          removed.push(entry.key);
+          freedBytes += entry.sizeBytes || 0;
+        }
+      }
+    }
+
+    if (packages) {
+      const packagesDir = this.getPackagesDir();
+      freedBytes += await this.getSize(packagesDir);
+      await fs.rm(packagesDir, { recursive: true, force: true });
+    }
+
+    // Leftovers of interrupted saves
+    try {
+      for (const name of await fs.readdir(this.getModulesDir())) {
+        if (name.startsWith('.tmp-')) {
+          await fs.rm(path.join(this.getModulesDir(), name), { recursive: true, force: true });
+        }
+      }
+    } catch (err) {
+      // No cache directory yet
+    }
+
+    return { removed, freedBytes };
+  }
+
+  /**
+   * Keep at most getMaxEntries() entries, dropping the least recently used
+   */
+  async enforceLimit() {
+    const entries = await this.list();
+    for (const entry of entries.slice(this.getMaxEntries())) {
+      await this.remove(entry.key);
+    }
+  }
+
+  /**
+   * Total size of a directory in bytes
+   * @param {string} dir
+   * @returns {Promise<number>}
+   */
+  async getSize(dir) {
+    let total = 0;
+    let items = [];
+    try {
+      items = await fs.readdir(dir, { withFileTypes: true });
+    } catch (err) {
+      return 0;
+    }
+
+    for (const item of items) {
+      const itemPath = path.join(dir, item.name);
+      if (item.isDirectory()) {
+        total += await this.getSize(itemPath);
+      } else if (item.isFile()) {
+        total += (await fs.stat(itemPath)).size;
+      }
+    }
+    return total;
+  }
+
+  /**
+   * Summary for the admin API
+   * @returns {Promise<Object>}
+   */
+  async getStatus() {
+    const entries = await this.list();
+    return {
+      directory: this.getRoot(),
+      offline: this.isOffline(),
+      maxEntries: this.getMaxEntries(),
+      totalBytes: entries.reduce((sum, entry) => sum + (entry.sizeBytes || 0), 0),
+      packagesBytes: await this.getSize(this.getPackagesDir()),
+      entries
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new DependencyCache();
@@ -0,0 +1,370 @@
+/**
+ * deploymentManager.js
+ * Tracks deploy pipeline runs as Deployment records and publishes their
+ * progress to live listeners (the dashboard's event streams).
+ *
+ * Log lines are kept in memory while a deployment runs and written to the
+ * database in small batches, so streaming stays cheap even for chatty builds.
+ */
+
+const EventEmitter = require('events');
+const Deployment = require('../models/Deployment');
+const buildQueue = require('./buildQueue');
+
+// Lines kept per deployment; older lines are dropped beyond this
+const MAX_LOG_LINES = 5000;
+
+// How often buffered log lines are written to the database
+const FLUSH_INTERVAL = 500; // ms
+
+const FINAL_STATUSES = ['live', 'failed', 'cancelled', 'skipped'];
+
+class DeploymentManager extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(0); // One listener per open event stream
+    this.active = new Map(); // deploymentId -> { deployment, logs, pending, timer, queuePosition, cancelled, cancelledBy }
+  }
+
+  /**
+   * Start tracking a new deployment
+   * @param {string} appSlug
+   * @param {Object} meta - { source, triggeredBy, branch }
+   * @returns {Promise<Object>} - Deployment document
+   */
+  async create(appSlug, meta = {}) {
+    const deployment = await Deployment.create({
+      appSlug,
+      source: meta.source,
+      branch: meta.branch || null,
+      triggeredBy: meta.triggeredBy || null
+    });
+
+    this.active.set(deployment.id, {
+      deployment,
+      logs: [],
+      pending: [],
+      timer: null,
+      queuePosition: null,
+      cancelled: false,
+      cancelledBy: null
+    });
+
+    this.publish('created', deployment, { deployment: this.format(deployment) });
+    this.log(deployment, `Deployment queued (${deployment.source})`);
+
+    return deployment;
+  }
+
+  /**
+   * Append output to a deployment's log
+   * @param {Object} deployment - Deployment document
+   * @param {string} text - One or more lines
+   * @param {string} stream - stdout, stderr or system
+   */
+  log(deployment, text, stream = 'system') {
+    const state = this.active.get(deployment.id);
+    if (!state) {
+      return;
+    }
+
+    for (const line of String(text).split(/\r?\n/)) {
+      if (stream !== 'system' && line.trim() === '') {
+        continue;
+      }
+
+      const entry = { timestamp: new Date(), stream, line };
+      state.logs.push(entry);
+      state.pending.push(entry);
+      this.publish('log', deployment, { entry });
+    }
+
+    if (state.logs.length > MAX_LOG_LINES) {
+      state.logs.splice(0, state.logs.length - MAX_LOG_LINES);
+      deployment.logsTruncated = true;
+    }
+
+    if (!state.timer) {
+      state.timer = setTimeout(() => {
+        this.flush(deployment).catch(err => {
+          console.error(`[DeploymentManager] Failed to save logs for ${deployment.appSlug}:`, err.message);
+        });
+      }, FLUSH_INTERVAL);
+    }
+  }
+
+  /**
+   * Get a line handler for build commands (see BuildSystem.runCommand)
+   * @param {Object} deployment - Deployment document
+   * @returns {Function} - (stream, line) => void
+   */
+  output(deployment) {
+    return (stream, line) => this.log(deployment, line, stream);
+  }
+
+  /**
+   * Wait in the build queue until the deployment may run
+   * Queue position changes are logged and published while waiting.
+   * @param {Object} deployment - Deployment document
+   * @returns {Promise<Object>} - { signal, release() }, see buildQueue.acquire;
+   *   rejects if the deployment is cancelled while queued
+   */
+  acquireSlot(deployment) {
+    return buildQueue.acquire(deployment.id, deployment.appSlug, {
+      onPosition: position => this.setQueuePosition(deployment, position)
+    });
+  }
+
+  setQueuePosition(deployment, position) {
+    const state = this.active.get(deployment.id);
+    if (!state) {
+      return;
+    }
+
+    if (position > 0) {
+      this.log(deployment, `Waiting for a build slot (position ${position} in queue)`);
+    } else if (state.queuePosition) {
+      this.log(deployment, 'Build slot acquired');
+    }
+
+    state.queuePosition = position || null;
+    this.publish('status', deployment, { deployment: this.format(deployment) });
+  }
+
+  /**
+   * Cancel a running deployment
+   * Queued deployments leave the queue; running ones have their build
+   * commands killed. The pipeline then cleans up and marks it cancelled.
+   * @param {string} deploymentId
+   * @param {string} cancelledBy - Username
+   * @returns {boolean} - false if the deployment is not running
+   */
+  cancel(deploymentId, cancelledBy = null) {
+    const state = this.active.get(String(deploymentId));
+    if (!state) {
+      return false;
+    }
+
+    if (!state.cancelled) {
+      state.cancelled = true;
+      state.cancelledBy = cancelledBy;
+      this.log(state.deployment, `Cancellation requested${cancelledBy ? ` by ${cancelledBy}` : ''}`, 'stderr');
+    }
+    buildQueue.cancel(deploymentId);
+    return true;
+  }
+
+  /**
+   * Whether cancellation was requested for a running deployment
+   * @param {Object} deployment - Deployment document (may be null)
+   * @returns {boolean}
+   */
+  isCancelled(deployment) {
+    const state = deployment && this.active.get(deployment.id);
+    return !!(state && state.cancelled);
+  }
+
+  /**
+   * Write buffered log lines to the database
+   * @param {Object} deployment - Deployment document
+   */
+  async flush(deployment) {
+    const state = this.active.get(deployment.id);
+    if (!state) {
+      return;
+    }
+
+    clearTimeout(state.timer);
+    state.timer = null;
+
+    if (state.pending.length === 0) {
+      return;
+    }
+
+    const entries = state.pending;
+    state.pending = [];
+
+    await Deployment.updateOne(
+      { _id: deployment._id },
+      {
+        $push: { logs: { $each: entries, $slice: -MAX_LOG_LINES } },
+        $set: { logsTruncated: !!deployment.logsTruncated }
+      }
+    );
+  }
+
+  /**
+   * Move a deployment to the next pipeline step
+   * @param {Object} deployment - Deployment document
+   * @param {string} status - queued, installing, building or validating
+   * @param {Object} fields - Other fields to record (release, commitSha...)
+   */
+  async setStatus(deployment, status, fields = {}) {
+    await this.update(deployment, { ...fields, status });
+    this.log(deployment, `Status: ${status}`);
+  }
+
+  /**
+   * Record details on a deployment without changing its status
+   * @param {Object} deployment - Deployment document
+   * @param {Object} fields - { release, commitSha, branch }
+   */
+  async update(deployment, fields) {
+    Object.assign(deployment, fields);
+    await Deployment.updateOne({ _id: deployment._id }, { $set: fields });
+    this.publish('status', deployment, { deployment: this.format(deployment) });
+  }
+
+  /**
+   * Mark a deployment as live
+   * @param {Object} deployment - Deployment document
+   * @param {Object} fields - Other fields to record
+   */
+  async succeed(deployment, fields = {}) {
+    this.log(deployment, deployment.release
+      ? `Release v${deployment.release} is live`
+      : 'Deployment is live');
+    await this.finish(deployment, { ...fields, status: 'live' });
+  }
+
+  /**
+   * Mark a deployment as skipped: there was nothing new to deploy
+   * @param {Object} deployment - Deployment document
+   * @param {string} reason - Shown in the deployment log
+   */
+  async skip(deployment, reason) {
+    this.log(deployment, `${reason}, nothing to deploy`);
+    await this.finish(deployment, { status: 'skipped' });
+  }
+
+  /**
+   * Mark a deployment as failed, or as cancelled if cancellation was requested
+   * Safe to call from error handlers: a missing or finished deployment is ignored.
+   * @param {Object} deployment - Deployment document (may be null)
+   * @param {string} error - Failure reason
+   */
+  async fail(deployment, error) {
+    if (!deployment || !this.active.has(deployment.id)) {
+      return;
+    }
+
+    const { cancelled, cancelledBy } = this.active.get(deployment.id);
+    if (cancelled) {
+      this.log(deployment, 'Deployment cancelled', 'stderr');
+      await this.finish(deployment, {
+        status: 'cancelled',
+        error: cancelledBy ? `Cancelled by ${cancelledBy}` : 'Cancelled'
+      });
+      return;
+    }
+
+    this.log(deployment, `Deployment failed: ${error}`, 'stderr');
+    await this.finish(deployment, { status: 'failed', error });
+  }
+
+  /**
+   * Persist the final state and stop tracking the deployment
+   */
+  async finish(deployment, fields) {
+    try {
+      await this.flush(deployment);
+      await this.update(deployment, { ...fields, finishedAt: new Date() });
+    } finally {
+      const state = this.active.get(deployment.id);
+      if (state) {
+        clearTimeout(state.timer);
+      }
+      this.active.delete(deployment.id);
+      this.publish('finished', deployment, { deployment: this.format(deployment) });
+    }
+  }
+
+  /**
+   * Whether a deployment is still running
+   * @param {string} deploymentId
+   * @returns {boolean}
+   */
+  isActive(deploymentId) {
+    return this.active.has(String(deploymentId));
+  }
+
+  /**
+   * Get the logs of a running deployment, including lines not saved yet
+   * @param {string} deploymentId
+   * @returns {Array|null} - null if the deployment is not running
+   */
+  getLiveLogs(deploymentId) {
+    const state = this.active.get(String(deploymentId));
+    return state ? state.logs.slice() : null;
+  }
+
+  /**
+   * Mark deployments left unfinished by a previous server process as failed
+   * @returns {Promise<number>} - Number of deployments updated
+   */
+  async recoverInterrupted() {
+    const result = await Deployment.updateMany(
+      { status: { $nin: FINAL_STATUSES } },
+      {
+        $set: {
+          status: 'failed',
+          error: 'Interrupted by a server restart',
+          finishedAt: new Date()
+        }
+      }
+    );
+    return result.modifiedCount || 0;
+  }
+
+  /**
+   * Notify listeners about a deployment event
+   * Listeners receive { type, deploymentId, appSlug, ...payload }.
+   */
+  publish(type, deployment, payload) {
+    this.emit('event', {
+      type,
+      deploymentId: deployment.id,
+      appSlug: deployment.appSlug,
+      ...payload
+    });
+  }
+
+  /**
+   * Format a deployment for API responses
+   * @param {Object} deployment - Deployment document
+   * @param {Object} options - { logs: include log lines }
+   * @returns {Object}
+   */
+  format(deployment, options = {}) {
+    // Prefer the in-memory document of a running deployment, it is never stale
+    const state = this.active.get(deployment.id);
+    if (state) {
+      deployment = state.deployment;
+    }
+
+    const formatted = {
+      id: deployment.id,
+      appSlug: deployment.appSlug,
+      source: deployment.source,
+      status: deployment.status,
+      release: deployment.release,
+      commitSha: deployment.commitSha,
+      branch: deployment.branch,
+      triggeredBy: deployment.triggeredBy,
+      error: deployment.error,
+      queuePosition: state ? state.queuePosition : null,
+      logsTruncated: !!deployment.logsTruncated,
+      createdAt: deployment.createdAt,
+      finishedAt: deployment.finishedAt
+    };
+
+    if (options.logs) {
+      formatted.logs = this.getLiveLogs(deployment.id) || deployment.logs || [];
+    }
+
+    return formatted;
+  }
+}
+
+// Export singleton instance
+module.exports = new DeploymentManager();
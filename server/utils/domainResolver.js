@@ -0,0 +1,143 @@
+/**
+ * domainResolver.js
+ * Maps custom hostnames to app slugs
+ */
+
+const crypto = require('crypto');
+const { matchPlatformDomain } = require('./platformDomains');
+
+// Path where the platform serves domain ownership tokens
+const VERIFICATION_PATH = '/.well-known/platformx-verification';
+
+/**
+ * Domain Resolver
+ * Keeps an in-memory hostname -> slug table loaded from the App collection.
+ * Call invalidate() whenever an app's custom domains change.
+ */
+class DomainResolver {
+  constructor() {
+    this.domains = null; // hostname -> { slug, token, verified }
+    this.loading = null;
+    this.verificationPath = VERIFICATION_PATH;
+  }
+
+  /**
+   * Load the lookup table from the database
+   */
+  async load() {
+    const App = require('../models/App');
+    const apps = await App.find(
+      { 'customDomains.0': { $exists: true } },
+      { slug: 1, customDomains: 1 }
+    );
+
+    const domains = new Map();
+    for (const app of apps) {
+      for (const domain of app.customDomains) {
+        domains.set(domain.hostname, {
+          slug: app.slug,
+          token: domain.verificationToken,
+          verified: domain.verified
+        });
+      }
+    }
+
+    console.log(`[DomainResolver] Loaded ${domains.size} custom domains`);
+    return domains;
+  }
+
+  /**
+   * Get the lookup table, loading it on first use
+   */
+  async getDomains() {
+    if (this.domains) {
+      return this.domains;
+    }
+
+    // Concurrent requests share the same load
+    if (!this.loading) {
+      this.loading = this.load()
+        .then((domains) => {
+          this.domains = domains;
+          return domains;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Resolve a hostname to the slug of the app it is attached to
+   * Only verified domains are routed.
+   * @param {string} hostname - Request hostname
+   * @returns {Promise<string|null>}
+   */
+  async resolve(hostname) {
+    if (!hostname) return null;
+
+    const domains = await this.getDomains();
+    const entry = domains.get(hostname.toLowerCase());
+
+    return entry && entry.verified ? entry.slug : null;
+  }
+
+  /**
+   * Get the ownership token for a hostname (verified or not)
+   * @param {string} hostname - Request hostname
+   * @returns {Promise<string|null>}
+   */
+  async getVerificationToken(hostname) {
+    if (!hostname) return null;
+
+    const domains = await this.getDomains();
+    const entry = domains.get(hostname.toLowerCase());
+
+    return entry ? entry.token : null;
+  }
+
+  /**
+   * Drop the cached table so the next lookup reloads it
+   */
+  invalidate() {
+    this.domains = null;
+  }
+
+  /**
+   * Generate a new ownership verification token
+   * @returns {string}
+   */
+  generateToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Validate a custom hostname
+   * @param {string} hostname
+   * @returns {Object} - { valid: boolean, error: string|null }
+   */
+  validateHostname(hostname) {
+    if (!hostname || typeof hostname !== 'string') {
+      return { valid: false, error: 'hostname is required' };
+    }
+
+    const normalized = hostname.toLowerCase();
+    const pattern = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]([a-z0-9-]{0,61}[a-z0-9])?$/;
+
+    if (!pattern.test(normalized)) {
+      return { valid: false, error: 'hostname must be a valid domain name (e.g., shop.example.com)' };
+    }
+
+    const baseDomain = matchPlatformDomain(normalized);
+    if (baseDomain) {
+      return { valid: false, error: `hostname cannot be part of the platform domain (${baseDomain})` };
+    }
+
+    return { valid: true, error: null };
+  }
+}
+
+// Export singleton instance
+module.exports = new DomainResolver();
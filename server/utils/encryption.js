@@ -0,0 +1,104 @@
+/**
+ * encryption.js
+ * Encrypts credentials and other secrets the platform stores in MongoDB
+ *
+ * Values are sealed with AES-256-GCM under a key derived from ENCRYPTION_KEY
+ * (falling back to JWT_SECRET) and stored as "enc:v1:<iv>:<tag>:<ciphertext>"
+ * in base64. Changing the key makes previously stored secrets unreadable.
+ * Secrets that leave the platform (backups) are re-encrypted under a key
+ * derived from a passphrase instead.
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+
+let warned = false;
+
+function getKey() {
+  const secret = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('ENCRYPTION_KEY is not set');
+  }
+  if (!process.env.ENCRYPTION_KEY && !warned) {
+    warned = true;
+    console.warn('[ENCRYPTION] ENCRYPTION_KEY is not set, deriving the key from JWT_SECRET');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Derive a key from a passphrase
+ * @param {string} passphrase
+ * @param {Buffer} salt
+ * @returns {Buffer}
+ */
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(String(passphrase), salt, 32);
+}
+
+/**
+ * Check whether a value was produced by encrypt()
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypt a string
+ * @param {string} plaintext
+ * @param {Buffer|null} key - Defaults to the platform key
+ * @returns {string}
+ */
+function encrypt(plaintext, key = null) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key || getKey(), iv);
+  const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return PREFIX + [iv, tag, data].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} value
+ * @param {Buffer|null} key - Defaults to the platform key
+ * @returns {string}
+ * @throws {Error} If the value is malformed or was encrypted with another key
+ */
+function decrypt(value, key = null) {
+  if (!isEncrypted(value)) {
+    throw new Error('Value is not encrypted');
+  }
+
+  const [iv, tag, data] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key || getKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error(key ? 'Failed to decrypt value, wrong key' : 'Failed to decrypt value, was ENCRYPTION_KEY changed?');
+  }
+}
+
+/**
+ * Derive a stable secret for a purpose from the platform key
+ * For credentials the platform hands out (e.g. an app's database user) that
+ * can be recomputed instead of stored.
+ * @param {string} purpose - e.g. "mongodb:app_shop"
+ * @returns {string} - 64 hex characters
+ */
+function deriveSecret(purpose) {
+  return crypto.createHmac('sha256', getKey()).update(String(purpose)).digest('hex');
+}
+
+module.exports = {
+  deriveKey,
+  deriveSecret,
+  isEncrypted,
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,150 @@
+/**
+ * envGroupManager.js
+ * Named sets of environment variables shared by several apps
+ *
+ * An app lists the groups it uses in App.envGroups, lowest precedence first.
+ * When the app's environment is built, the groups are merged in that order
+ * and the app's own .env (and secrets) are applied on top.
+ *
+ * Only admins see group values; everyone else gets the keys with masked
+ * values (see canManageEnvGroups in permissions.js).
+ */
+
+const App = require('../models/App');
+const EnvGroup = require('../models/EnvGroup');
+
+const NAME_PATTERN = /^[a-z0-9-]+$/;
+
+const MASK = '••••••••';
+
+class EnvGroupManager {
+  isValidName(name) {
+    return typeof name === 'string' && NAME_PATTERN.test(name);
+  }
+
+  /**
+   * All groups, with the apps using them
+   * @param {boolean} showValues - False to mask the values
+   * @returns {Promise<Array>}
+   */
+  async list(showValues = true) {
+    const [groups, apps] = await Promise.all([
+      EnvGroup.find().sort({ name: 1 }),
+      App.find({ 'envGroups.0': { $exists: true } }).select('slug envGroups')
+    ]);
+
+    return groups.map(group => this.format(
+      group,
+      apps.filter(app => app.envGroups.includes(group.name)).map(app => app.slug),
+      showValues
+    ));
+  }
+
+  get(name) {
+    return EnvGroup.findOne({ name });
+  }
+
+  /**
+   * Slugs of the apps using a group
+   * @param {string} name
+   * @returns {Promise<Array<string>>}
+   */
+  async getApps(name) {
+    const apps = await App.find({ envGroups: name }).select('slug');
+    return apps.map(app => app.slug);
+  }
+
+  /**
+   * Names in a list that are not existing groups
+   * @param {Array<string>} names
+   * @returns {Promise<Array<string>>}
+   */
+  async findMissing(names) {
+    const groups = await EnvGroup.find({ name: { $in: names } }).select('name');
+    const existing = new Set(groups.map(group => group.name));
+    return names.filter(name => !existing.has(name));
+  }
+
+  /**
+   * Merge groups into one set of variables, later groups winning
+   * Groups that no longer exist are skipped.
+   * @param {Array<string>} names - Lowest precedence first
+   * @returns {Promise<Object>}
+   */
+  async load(names) {
+    if (!names || names.length === 0) {
+      return {};
+    }
+
+    const groups = await EnvGroup.find({ name: { $in: names } });
+    const byName = new Map(groups.map(group => [group.name, group]));
+
+    const env = {};
+    for (const name of names) {
+      const group = byName.get(name);
+      if (group) {
+        Object.assign(env, Object.fromEntries(group.variables));
+      }
+    }
+    return env;
+  }
+
+  /**
+   * Merged group variables of an app
+   * @param {string} slug
+   * @returns {Promise<Object>} - Empty if the app doesn't exist (yet)
+   */
+  async loadForApp(slug) {
+    const app = await App.findBySlug(slug);
+    return app ? this.load(app.envGroups) : {};
+  }
+
+  /**
+   * Delete a group and detach it from the apps using it
+   * @param {string} name
+   * @returns {Promise<Array<string>|null>} - Slugs of the apps it was detached from, null if not found
+   */
+  async remove(name) {
+    const group = await this.get(name);
+    if (!group) {
+      return null;
+    }
+
+    const apps = await this.getApps(name);
+    await App.updateMany({ envGroups: name }, { $pull: { envGroups: name } });
+    await group.deleteOne();
+    return apps;
+  }
+
+  /**
+   * Variables with their values replaced by a mask
+   * @param {Object} variables
+   * @returns {Object}
+   */
+  mask(variables) {
+    return Object.fromEntries(Object.keys(variables).map(key => [key, MASK]));
+  }
+
+  /**
+   * Format a group for API responses
+   * @param {Object} group
+   * @param {Array<string>} apps - Slugs of the apps using it
+   * @param {boolean} showValues - False to mask the values
+   * @returns {Object}
+   */
+  format(group, apps = [], showValues = true) {
+    const variables = Object.fromEntries(group.variables || []);
+    return {
+      name: group.name,
+      description: group.description,
+      variables: showValues ? variables : this.mask(variables),
+      count: group.variables ? group.variables.size : 0,
+      apps,
+      createdAt: group.createdAt,
+      updatedAt: group.updatedAt
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new EnvGroupManager();
@@ -0,0 +1,341 @@
+/**
+ * envIsolation.js
+ * Keeps the platform's own configuration out of tenant apps' process.env
+ *
+ * Apps see the platform's environment without its secrets (MONGO_URI,
+ * JWT_SECRET, ADMIN_PASSWORD... plus anything listed in HIDDEN_ENV_VARS),
+ * with their own variables on top:
+ *   - isolated workers, hook processes and builds are started with that
+ *     environment
+ *   - in-process apps share the platform's process, so process.env is
+ *     replaced by a proxy that answers from the app's environment while app
+ *     code runs inside runWithAppEnv() - its module load and each request.
+ *     AsyncLocalStorage carries the context into callbacks and promises, and
+ *     bindAppListeners() into listeners the app adds to its request and
+ *     response. App code that still runs without it (events of other
+ *     platform objects) is recognized by its files on the stack.
+ * Platform code keeps seeing the real environment.
+ *
+ * Only separate processes are a security boundary. They are also confined to
+ * the app's files and temp directory with the Node.js permission model
+ * (getSandboxArgs), so they can't read the platform's .env either. In-process apps can read whatever
+ * the platform can; hiding process.env from them keeps libraries from picking
+ * up the platform's configuration, it doesn't stop hostile code.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The real environment, captured before install() replaces process.env
+const platformEnv = process.env;
+
+const HIDDEN_VARS = [
+  'MONGO_URI',
+  'JWT_SECRET',
+  'ADMIN_USERNAME',
+  'ADMIN_PASSWORD',
+  'ENCRYPTION_KEY',
+  'GITHUB_TOKEN',
+  'OIDC_CLIENT_SECRET'
+];
+
+// Platform code an app's own process loads: the worker and hook entry points
+// in this directory and their dependencies
+const PLATFORM_CODE_PATHS = [__dirname, path.join(__dirname, '../node_modules')];
+
+// Each app's own processes get a temp directory of their own under this one
+// instead of the shared temp directory
+const APP_TEMP_ROOT = path.join(os.tmpdir(), 'platformx-apps');
+
+// Stack frames looked at to tell app code from platform code
+const CALLER_STACK_DEPTH = 30;
+
+const LISTENER_METHODS = ['on', 'addListener', 'prependListener', 'once', 'prependOnceListener'];
+const listenersBound = Symbol('listenersBound');
+
+const storage = new AsyncLocalStorage();
+// Directories of in-process apps and their environments
+const appDirs = new Map();
+let installed = false;
+let sandboxWarned = false;
+
+/**
+ * Platform variables apps never see
+ * @returns {Array<string>}
+ */
+function getHiddenVars() {
+  const extra = (platformEnv.HIDDEN_ENV_VARS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+  return [...HIDDEN_VARS, ...extra];
+}
+
+/**
+ * The platform's environment without its secrets
+ * @returns {Object}
+ */
+function getBaseEnv() {
+  const env = { ...platformEnv };
+  for (const name of getHiddenVars()) {
+    delete env[name];
+  }
+  return env;
+}
+
+/**
+ * Environment an app runs with
+ * @param {Object} appEnv - The app's own variables (req.appEnv)
+ * @returns {Object}
+ */
+function buildAppEnv(appEnv = {}) {
+  return { ...getBaseEnv(), ...appEnv };
+}
+
+function realpath(dir) {
+  try {
+    return fs.realpathSync(dir);
+  } catch (error) {
+    return dir;
+  }
+}
+
+/**
+ * Environment of the in-process app whose files are on the stack, if any
+ * @returns {Object|null}
+ */
+function getCallerAppEnv() {
+  if (appDirs.size === 0) {
+    return null;
+  }
+
+  const { prepareStackTrace, stackTraceLimit } = Error;
+  const holder = {};
+  let frames;
+  try {
+    Error.prepareStackTrace = (error, callSites) => callSites;
+    Error.stackTraceLimit = CALLER_STACK_DEPTH;
+    Error.captureStackTrace(holder);
+    frames = holder.stack;
+  } finally {
+    Error.prepareStackTrace = prepareStackTrace;
+    Error.stackTraceLimit = stackTraceLimit;
+  }
+
+  for (const frame of frames) {
+    const file = frame.getFileName();
+    if (!file) {
+      continue;
+    }
+    for (const [dir, env] of appDirs) {
+      if (file.startsWith(dir + path.sep)) {
+        return env;
+      }
+    }
+  }
+  return null;
+}
+
+function current() {
+  return storage.getStore() || getCallerAppEnv() || platformEnv;
+}
+
+/**
+ * Refuse to run for app code, for functions that would let it leave its environment
+ * @param {string} name - Function name, for the error
+ */
+function assertPlatformCaller(name) {
+  const store = storage.getStore();
+  if ((store && store !== platformEnv) || getCallerAppEnv()) {
+    throw new Error(`${name}() is only available to the platform`);
+  }
+}
+
+/**
+ * Replace process.env with a proxy that follows the app context
+ * Call once at startup, before any app is loaded.
+ */
+function install() {
+  if (installed) {
+    return;
+  }
+  installed = true;
+
+  process.env = new Proxy({}, {
+    get: (target, name) => current()[name],
+    set: (target, name, value) => {
+      // Like the real process.env, values are always strings
+      current()[name] = String(value);
+      return true;
+    },
+    has: (target, name) => name in current(),
+    deleteProperty: (target, name) => delete current()[name],
+    ownKeys: () => Reflect.ownKeys(current()),
+    getOwnPropertyDescriptor: (target, name) => {
+      const descriptor = Reflect.getOwnPropertyDescriptor(current(), name);
+      return descriptor ? { ...descriptor, configurable: true } : undefined;
+    },
+    defineProperty: (target, name, descriptor) => Reflect.defineProperty(current(), name, descriptor)
+  });
+}
+
+/**
+ * Run app code with process.env pointing at the app's environment
+ * @param {Object} env - From buildAppEnv; writes by the app go here
+ * @param {Function} fn
+ * @returns {*} - Whatever fn returns
+ */
+function runWithAppEnv(env, fn) {
+  return storage.run(env, fn);
+}
+
+/**
+ * Capture the platform's context, for platform code that app code calls back
+ * (e.g. the next() of an app's router)
+ * Apps can't get one, so they have no way out of their own environment.
+ * @returns {Function} - (fn) => runs fn as platform code and returns its result
+ */
+function capturePlatformContext() {
+  assertPlatformCaller('capturePlatformContext');
+  return storage.run(platformEnv, () => AsyncLocalStorage.snapshot());
+}
+
+/**
+ * Keep listeners that app code adds to a platform object in the app's context
+ * The HTTP parser emits the events of an in-process app's request and
+ * response (data, end, close...) outside of any app context.
+ * @param {EventEmitter} emitter
+ */
+function bindAppListeners(emitter) {
+  if (emitter[listenersBound]) {
+    return;
+  }
+  emitter[listenersBound] = true;
+
+  const original = Object.fromEntries(LISTENER_METHODS.map(method => [method, emitter[method]]));
+  for (const method of LISTENER_METHODS) {
+    const add = original[method];
+    const once = method === 'once' || method === 'prependOnceListener';
+    const register = method.startsWith('prepend') ? original.prependListener : original.on;
+
+    emitter[method] = function (event, listener) {
+      const store = storage.getStore();
+      if (!store || store === platformEnv || typeof listener !== 'function') {
+        return add.call(this, event, listener);
+      }
+
+      const runInContext = AsyncLocalStorage.snapshot();
+      function bound(...args) {
+        if (once) {
+          this.removeListener(event, bound);
+        }
+        return runInContext(() => listener.apply(this, args));
+      }
+      // Lets removeListener() find it by the app's function, like once() does
+      bound.listener = listener;
+      return register.call(this, event, bound);
+    };
+  }
+}
+
+/**
+ * Remember the environment of an in-process app's code by its directory
+ * @param {string} dir - App or release directory
+ * @param {Object} env - From buildAppEnv
+ */
+function registerAppDir(dir, env) {
+  assertPlatformCaller('registerAppDir');
+  appDirs.set(realpath(dir), env);
+}
+
+/**
+ * Forget an in-process app's directory once its code is unloaded
+ * @param {string} dir - App or release directory
+ */
+function forgetAppDir(dir) {
+  assertPlatformCaller('forgetAppDir');
+  appDirs.delete(realpath(dir));
+}
+
+/**
+ * Temp directory of an app's own processes, created if needed
+ * @param {string} appName - App slug
+ * @returns {string}
+ */
+function getAppTempDir(appName) {
+  const dir = path.join(APP_TEMP_ROOT, appName);
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  return dir;
+}
+
+/**
+ * Delete an app's temp directory, so a later app with the same slug starts empty
+ * @param {string} appName - App slug
+ */
+async function removeAppTempDir(appName) {
+  await fs.promises.rm(path.join(APP_TEMP_ROOT, appName), { recursive: true, force: true });
+}
+
+/**
+ * Variables pointing an app's process (and os.tmpdir() in it) at its temp directory
+ * @param {string} tempDir - From getAppTempDir
+ * @returns {Object}
+ */
+function getTempEnv(tempDir) {
+  return { TMPDIR: tempDir, TMP: tempDir, TEMP: tempDir };
+}
+
+/**
+ * Node.js options confining an app's own process (isolated worker or hook)
+ * The process may read and write its app directory and its own temp
+ * directory and read the platform code it runs on - not the platform's .env,
+ * other apps, the shared temp directory or /proc. Child processes, worker
+ * threads and native addons are not available to it.
+ * @param {string} appPath - App or release directory
+ * @param {string} tempDir - From getAppTempDir
+ * @returns {Array<string>} - execArgv for fork(), empty on Node.js versions
+ *   without the permission model
+ */
+function getSandboxArgs(appPath, tempDir) {
+  const flags = process.allowedNodeEnvironmentFlags;
+  const permission = ['--permission', '--experimental-permission'].find(flag => flags.has(flag));
+  if (!permission) {
+    if (!sandboxWarned) {
+      sandboxWarned = true;
+      console.warn(`[ENV_ISOLATION] Node.js ${process.version} has no permission model, app processes can read the platform's files`);
+    }
+    return [];
+  }
+
+  const writable = [...new Set([appPath, realpath(appPath), tempDir, realpath(tempDir)])];
+
+  const args = [permission];
+  if (permission === '--experimental-permission' && flags.has('--disable-warning')) {
+    args.push('--disable-warning=ExperimentalWarning');
+  }
+  for (const dir of [...PLATFORM_CODE_PATHS, ...writable]) {
+    args.push(`--allow-fs-read=${dir}`);
+  }
+  for (const dir of writable) {
+    args.push(`--allow-fs-write=${dir}`);
+  }
+  return args;
+}
+
+module.exports = {
+  getHiddenVars,
+  getBaseEnv,
+  buildAppEnv,
+  install,
+  runWithAppEnv,
+  capturePlatformContext,
+  bindAppListeners,
+  registerAppDir,
+  forgetAppDir,
+  getAppTempDir,
+  removeAppTempDir,
+  getTempEnv,
+  getSandboxArgs
+};
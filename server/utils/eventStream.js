@@ -0,0 +1,60 @@
+/**
+ * eventStream.js
+ * Minimal Server-Sent Events helper for streaming endpoints
+ */
+
+// Comment line sent periodically so proxies and the request timeout
+// middleware don't treat an idle stream as stalled
+const HEARTBEAT_INTERVAL = 15000; // 15 seconds
+
+/**
+ * Switch a response to an SSE stream
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} onClose - Called once when the client disconnects or the stream is closed
+ * @returns {Object} - { send(event, data), close() }
+ */
+function openEventStream(req, res, onClose = null) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  let closed = false;
+
+  // compression() buffers output unless flushed explicitly
+  const write = (chunk) => {
+    res.write(chunk);
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  };
+
+  const heartbeat = setInterval(() => write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    if (onClose) onClose();
+  };
+
+  req.on('close', cleanup);
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      cleanup();
+      res.end();
+    }
+  };
+}
+
+module.exports = {
+  openEventStream
+};
@@ -0,0 +1,558 @@
+/**
+ * gitUpdater.js
+ * Updates a Git-deployed app: fetches the requested branch, tag or commit
+ * into a staging directory, validates and builds it like an import, stores it
+ * as a new release and switches traffic over once everything succeeded. The
+ * live app keeps serving the current release until then.
+ *
+ * Apps imported from a subdirectory of a repository (repoPath, for monorepos)
+ * are built from that directory only.
+ *
+ * Shared by the manual git-update route and the Git push webhook.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const { spawn } = require('child_process');
+const App = require('../models/App');
+const Logger = require('./logger');
+const BuildSystem = require('./buildSystem');
+const releaseManager = require('./releaseManager');
+const deploymentManager = require('./deploymentManager');
+const lifecycleHooks = require('./lifecycleHooks');
+const AppValidator = require('./appValidator');
+const gitCredentials = require('./gitCredentials');
+
+// Full or abbreviated commit SHA
+const COMMIT_SHA = /^[0-9a-f]{7,40}$/i;
+
+/**
+ * Get the commit checked out in a repository
+ * @returns {Promise<string|null>} - Full SHA or null if it can't be read
+ */
+function getCommitSha(repoPath) {
+  return new Promise((resolve) => {
+    const git = spawn('git', ['rev-parse', 'HEAD'], { cwd: repoPath });
+
+    let stdout = '';
+
+    git.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    git.on('close', (code) => {
+      resolve(code === 0 ? stdout.trim() : null);
+    });
+
+    git.on('error', () => {
+      resolve(null);
+    });
+  });
+}
+
+/**
+ * Check that a branch, tag or commit SHA is a well-formed Git ref
+ * Refs come from request bodies and end up on git's command line, so a ref
+ * that git could read as an option is refused as well.
+ * @param {string} ref
+ * @returns {Promise<boolean>}
+ */
+function isValidRef(ref) {
+  if (typeof ref !== 'string' || !ref || ref.startsWith('-')) {
+    return Promise.resolve(false);
+  }
+
+  return new Promise((resolve) => {
+    const git = spawn('git', ['check-ref-format', '--allow-onelevel', ref], { stdio: 'ignore' });
+
+    git.on('close', (code) => {
+      resolve(code === 0);
+    });
+
+    git.on('error', () => {
+      resolve(false);
+    });
+  });
+}
+
+/**
+ * Validate a repository subdirectory
+ * @param {string|null} repoPath
+ * @returns {string} - Normalized relative path ('' for the repository root)
+ * @throws {Error} If the path leaves the repository
+ */
+function normalizeRepoPath(repoPath) {
+  if (repoPath === undefined || repoPath === null || repoPath === '') {
+    return '';
+  }
+  if (typeof repoPath !== 'string') {
+    throw new Error('repoPath must be a string');
+  }
+
+  const normalized = path.posix.normalize(repoPath.trim().replace(/\\/g, '/'))
+    .replace(/^\.(\/|$)/, '')
+    .replace(/\/$/, '');
+
+  if (path.posix.isAbsolute(normalized) || normalized === '..' || normalized.startsWith('../')) {
+    throw new Error('repoPath must be a directory inside the repository');
+  }
+
+  return normalized;
+}
+
+/**
+ * Resolve an app's subdirectory inside a checkout
+ * Symlinks are followed, so a symlink committed to the repository can't
+ * point the release at a directory outside the checkout.
+ * @param {string} checkoutPath - Cloned repository
+ * @param {string} repoPath - From normalizeRepoPath ('' for the repository root)
+ * @returns {Promise<string|null>} - Real path of the directory, or null if it
+ *   doesn't exist, isn't a directory or leaves the checkout
+ */
+async function resolveRepoDir(checkoutPath, repoPath) {
+  try {
+    const root = await fs.realpath(checkoutPath);
+    const resolved = await fs.realpath(path.join(checkoutPath, repoPath));
+    if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+      return null;
+    }
+    return (await fs.stat(resolved)).isDirectory() ? resolved : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether a directory changed between two commits
+ * Works on a shallow checkout: the old commit is fetched on its own and only
+ * the two trees are compared.
+ * @param {string} repoPath - Repository containing toSha
+ * @param {string} fromSha - Commit currently deployed
+ * @param {string} toSha - Commit about to be deployed
+ * @param {string} subdir - Directory to compare
+ * @param {Object} options - { env, signal }
+ * @returns {Promise<boolean>} - False only if the directory is known to be unchanged
+ */
+async function hasChanges(repoPath, fromSha, toSha, subdir, { env = process.env, signal = null } = {}) {
+  if (fromSha === toSha) {
+    return false;
+  }
+
+  try {
+    await BuildSystem.runCommand('git', ['fetch', '--depth', '1', 'origin', fromSha], { cwd: repoPath, env, signal });
+    await BuildSystem.runCommand('git', ['diff', '--quiet', fromSha, toSha, '--', subdir], { cwd: repoPath, signal });
+    return false;
+  } catch (error) {
+    if (signal && signal.aborted) throw error;
+    // Exit code 1 means changed; if the old commit can't be fetched, deploy to be safe
+    return true;
+  }
+}
+
+/**
+ * Fetch a single revision of a repository into an empty directory and check it out
+ * Branches and tags are fetched shallowly. A commit SHA the server won't serve
+ * directly (or an abbreviated one) falls back to fetching all branches and tags.
+ * @param {string} repoUrl
+ * @param {string} ref - Branch, tag or commit SHA
+ * @param {string} targetPath - Directory to create the working tree in
+ * @param {Object} options - { env: from gitCredentials.getGitEnv, onLine(stream, line),
+ *   signal } for credentials, live output and cancellation
+ * @returns {Promise<void>} - Rejects if the revision can't be fetched
+ */
+async function fetchRevision(repoUrl, ref, targetPath, { env = process.env, onLine = null, signal = null } = {}) {
+  const git = (args) => BuildSystem.runCommand('git', args, {
+    cwd: targetPath,
+    env,
+    onLine,
+    signal
+  });
+
+  try {
+    await fs.mkdir(targetPath, { recursive: true });
+    await git(['init', '--quiet']);
+    await git(['remote', 'add', 'origin', repoUrl]);
+
+    try {
+      await git(['fetch', '--depth', '1', '--end-of-options', 'origin', ref]);
+      await git(['checkout', '--quiet', '--detach', 'FETCH_HEAD']);
+    } catch (error) {
+      if ((signal && signal.aborted) || !COMMIT_SHA.test(ref)) throw error;
+      await git(['fetch', '--tags', 'origin', '+refs/heads/*:refs/remotes/origin/*']);
+      await git(['checkout', '--quiet', '--detach', ref]);
+    }
+  } catch (error) {
+    if (signal && signal.aborted) throw error;
+    throw new Error(`Git fetch failed: ${(error.stderr || error.message).trim()}`);
+  }
+}
+
+/**
+ * Remove a staging directory
+ */
+async function cleanupStaging(stagingPath) {
+  try {
+    if (fsSync.existsSync(stagingPath)) {
+      await fs.rm(stagingPath, { recursive: true, force: true });
+    }
+  } catch (error) {
+    console.error('[GIT_UPDATE] Cleanup error:', error.message);
+  }
+}
+
+/**
+ * Update an app from its Git repository
+ * @param {string} slug
+ * @param {Object} options - { branch: branch to deploy from, saved as the
+ *   app's repoBranch (defaults to the current one), ref: branch, tag or commit
+ *   SHA to deploy once (defaults to the branch), source: deployment source
+ *   (git-update or git-webhook), triggeredBy: who or what started the update,
+ *   onlyIfChanged: skip the update if the app's repoPath has no changes since
+ *   the deployed commit, onDeployment(deployment): called as soon as the
+ *   deployment record exists, before waiting for a build slot }
+ * @returns {Promise<Object>} - { status, body }: HTTP status and JSON response
+ *   describing the outcome
+ */
+async function updateFromGit(slug, { branch = null, ref = null, source = 'git-update', triggeredBy = null, onlyIfChanged = false, onDeployment = null } = {}) {
+  const respond = (status, body) => ({ status, body });
+
+  let stagingPath = null;
+  let gitAuth = null;
+  let release = null;
+  let deployment = null;
+  let slot = null;
+
+  // The current release keeps serving traffic after any failure
+  const fail = async (error) => {
+    Logger.platform.error(`[GIT_UPDATE] Failed for ${slug}: ${error}`);
+    if (release) {
+      await releaseManager.fail(release, error);
+    }
+    await deploymentManager.fail(deployment, error);
+    await App.findOneAndUpdate(
+      { slug },
+      {
+        lastError: error,
+        updatedAt: new Date()
+      }
+    );
+  };
+
+  try {
+    // Find app
+    const app = await App.findBySlug(slug);
+    if (!app) {
+      return respond(404, {
+        success: false,
+        error: `App '${slug}' not found`
+      });
+    }
+
+    // Check if app directory exists
+    const appPath = path.join(__dirname, '../apps', slug);
+    if (!fsSync.existsSync(appPath)) {
+      return respond(404, {
+        success: false,
+        error: `App directory not found`
+      });
+    }
+
+    // Check if app has git repo info
+    if (!app.repoUrl) {
+      return respond(400, {
+        success: false,
+        error: 'App was not deployed via git. Cannot update from repository.'
+      });
+    }
+
+    const gitBranch = branch || app.repoBranch || 'main';
+    const gitRef = ref || gitBranch;
+
+    for (const [field, value] of [['branch', branch], ['ref', ref]]) {
+      if (value && !(await isValidRef(value))) {
+        return respond(400, {
+          success: false,
+          error: `Invalid ${field}: must be a branch, tag or commit SHA`
+        });
+      }
+    }
+
+    Logger.platform.info(`[GIT_UPDATE] Starting update for app '${slug}' from ${app.repoUrl} (${gitRef})`);
+
+    deployment = await deploymentManager.create(slug, {
+      source,
+      branch: gitRef,
+      triggeredBy
+    });
+    const onLine = deploymentManager.output(deployment);
+    if (onDeployment) {
+      onDeployment(deployment);
+    }
+
+    // Wait for a build slot; deployments of the same app run one at a time
+    slot = await deploymentManager.acquireSlot(deployment);
+    const { signal } = slot;
+
+    // Fetch the requested revision into a staging directory
+    const uploadDir = path.join(__dirname, '../uploads/tmp');
+    if (!fsSync.existsSync(uploadDir)) {
+      await fs.mkdir(uploadDir, { recursive: true });
+    }
+    stagingPath = path.join(uploadDir, `${slug}-${Date.now()}`);
+
+    gitAuth = await gitCredentials.getGitEnv(slug, app.repoUrl);
+    deploymentManager.log(deployment, `Fetching ${app.repoUrl} (${gitRef})`);
+    try {
+      await fetchRevision(app.repoUrl, gitRef, stagingPath, { env: gitAuth.env, onLine, signal });
+    } catch (err) {
+      if (signal.aborted) throw err;
+      await fail(err.message);
+      return respond(400, {
+        success: false,
+        error: err.message,
+        deployment: deployment.id
+      });
+    }
+
+    const commitSha = await getCommitSha(stagingPath);
+    await deploymentManager.update(deployment, { commitSha });
+    deploymentManager.log(deployment, `Checked out ${commitSha || 'unknown commit'}`);
+    Logger.platform.info(`[GIT_UPDATE] Fetched ${gitRef} (${commitSha}) for ${slug}`);
+
+    // Apps sharing a monorepo are only redeployed when their directory changed
+    if (onlyIfChanged && app.repoPath && app.deployedCommitSha && commitSha &&
+        !(await hasChanges(stagingPath, app.deployedCommitSha, commitSha, app.repoPath, { env: gitAuth.env, signal }))) {
+      const message = `No changes in ${app.repoPath}/ since ${app.deployedCommitSha.slice(0, 12)}`;
+      Logger.platform.info(`[GIT_UPDATE] ${message}, skipping ${slug}`);
+      await deploymentManager.skip(deployment, message);
+      return respond(200, {
+        success: true,
+        skipped: true,
+        message,
+        deployment: deployment.id,
+        commitSha
+      });
+    }
+
+    // A temporary deploy key file is only needed while fetching
+    await gitAuth.cleanup();
+
+    // Remove .git directory to save space
+    await fs.rm(path.join(stagingPath, '.git'), { recursive: true, force: true });
+
+    // Only the app's subdirectory becomes the release
+    const sourcePath = app.repoPath ? await resolveRepoDir(stagingPath, app.repoPath) : stagingPath;
+    if (!sourcePath) {
+      await fail(`'${app.repoPath}' is not a directory inside the repository`);
+      return respond(400, {
+        success: false,
+        error: `'${app.repoPath}' is not a directory inside the repository`,
+        deployment: deployment.id
+      });
+    }
+
+    // Validate the new code the same way an import does
+    await deploymentManager.setStatus(deployment, 'validating');
+    const appValidation = AppValidator.validate(sourcePath, app.appType, app.entryFile);
+
+    if (!appValidation.valid) {
+      await fail(`Validation failed: ${appValidation.errors.join(', ')}`);
+      return respond(400, {
+        success: false,
+        error: 'App validation failed',
+        deployment: deployment.id,
+        details: {
+          errors: appValidation.errors,
+          warnings: appValidation.warnings,
+          recommendations: appValidation.recommendations
+        }
+      });
+    }
+
+    if (appValidation.warnings.length > 0) {
+      await Logger.log(slug, 'warning', `Warnings: ${appValidation.warnings.join('; ')}`);
+      appValidation.warnings.forEach(warning => deploymentManager.log(deployment, `Warning: ${warning}`));
+    }
+
+    // Rebuild frontend/fullstack apps
+    let buildDir = app.buildDir;
+    let build = {};
+    let buildOutput = '';
+
+    if (app.appType === 'frontend' || app.appType === 'fullstack') {
+      const buildConfig = BuildSystem.detectBuildConfig(sourcePath);
+
+      if (buildConfig.hasBuildScript || buildConfig.error) {
+        Logger.platform.info(`[GIT_UPDATE] Building ${app.appType} app ${slug}`);
+        const buildResult = await BuildSystem.buildApp(sourcePath, slug, {
+          onLine,
+          signal,
+          onStage: stage => deploymentManager.setStatus(deployment, stage)
+        });
+
+        if (!buildResult.success) {
+          await fail(`Build failed: ${buildResult.error || 'Build failed'}`);
+          return respond(400, {
+            success: false,
+            error: `Build failed: ${buildResult.error || 'Build failed'}`,
+            deployment: deployment.id
+          });
+        }
+
+        buildDir = buildResult.buildDir;
+        buildOutput = `Build completed successfully, output: ${buildDir}`;
+        build = { success: true, output: buildOutput };
+        Logger.platform.info(`[GIT_UPDATE] ${buildOutput}`);
+      } else {
+        // Pre-built output committed to the repository
+        buildDir = BuildSystem.findBuildOutput(sourcePath, buildConfig) || buildDir;
+      }
+    }
+
+    // Store the checkout as a new release
+    signal.throwIfAborted();
+    release = await releaseManager.createRelease(slug, sourcePath, {
+      source,
+      commitSha,
+      branch: gitRef,
+      uploadedBy: triggeredBy,
+      config: {
+        entryFile: app.entryFile,
+        appType: app.appType,
+        buildDir
+      },
+      build
+    });
+    if (sourcePath !== stagingPath) {
+      // The rest of the repository
+      await cleanupStaging(stagingPath);
+    }
+    stagingPath = null;
+    const releasePath = releaseManager.getReleasePath(slug, release.version);
+    await deploymentManager.update(deployment, { release: release.version });
+    deploymentManager.log(deployment, `Created release v${release.version}`);
+
+    // Install dependencies for backend apps
+    if ((app.appType === 'backend' || app.appType === 'fullstack') &&
+        fsSync.existsSync(path.join(releasePath, 'package.json'))) {
+      await deploymentManager.setStatus(deployment, 'installing');
+      try {
+        await BuildSystem.installDependencies(releasePath, slug, { production: true, onLine, signal });
+        await Logger.log(slug, 'npm-install', 'Dependencies installed successfully');
+      } catch (err) {
+        if (signal.aborted) throw err;
+        // Unlike a first import there is a working release to keep serving
+        await fail(`npm install failed: ${err.message}`);
+        return respond(400, {
+          success: false,
+          error: `npm install failed: ${err.message}`,
+          release: release.version,
+          deployment: deployment.id
+        });
+      }
+    }
+
+    // Migrations and other release preparation declared by the app
+    try {
+      await lifecycleHooks.run(slug, releasePath, 'predeploy', { release: release.version, onLine, signal });
+    } catch (err) {
+      if (signal.aborted) throw err;
+      await fail(err.message);
+      return respond(400, {
+        success: false,
+        error: err.message,
+        output: err.output,
+        release: release.version,
+        deployment: deployment.id
+      });
+    }
+
+    // Switch to the new release
+    signal.throwIfAborted();
+    await releaseManager.activate(slug, release.version);
+
+    // Update app metadata
+    const updates = {
+      lastDeployedAt: new Date(),
+      updatedAt: new Date(),
+      status: 'active',
+      lastError: null
+    };
+    if (branch) {
+      updates.repoBranch = branch;
+    }
+    await App.findOneAndUpdate({ slug }, updates);
+
+    await Logger.log(slug, 'deploy', `App updated from Git (${gitRef})`, {
+      repoUrl: app.repoUrl,
+      branch: gitBranch,
+      ref: gitRef,
+      repoPath: app.repoPath,
+      release: release.version,
+      commitSha
+    });
+
+    // Switch running traffic to the new release
+    const { swapOrUnload } = require('../middleware/lazyLoader');
+    const swap = await swapOrUnload(slug);
+    if (swap.swapped) {
+      Logger.platform.info(`[GIT_UPDATE] Hot-swapped app ${slug} to release v${release.version}`);
+    } else if (swap.error) {
+      Logger.platform.warn(`[GIT_UPDATE] Hot swap failed for ${slug}, unloaded instead: ${swap.error}`);
+      deploymentManager.log(deployment, `Hot swap failed, app will reload on next request: ${swap.error}`, 'stderr');
+    }
+
+    // The release is live; a failing postdeploy hook is only reported
+    await lifecycleHooks.run(slug, releasePath, 'postdeploy', { release: release.version, onLine }).catch(err => {
+      deploymentManager.log(deployment, `${err.message}, continuing`, 'stderr');
+    });
+    await deploymentManager.succeed(deployment);
+
+    return respond(200, {
+      success: true,
+      message: `App '${slug}' updated successfully from Git`,
+      details: {
+        branch: gitBranch,
+        ref: gitRef,
+        release: release.version,
+        deployment: deployment.id,
+        commitSha,
+        buildStatus: 'success',
+        buildOutput,
+        swapped: swap.swapped,
+        swapError: swap.error
+      }
+    });
+
+  } catch (error) {
+    console.error('[GIT_UPDATE] Error:', error);
+    const cancelled = deploymentManager.isCancelled(deployment);
+    if (release && release.status === 'pending') {
+      await releaseManager.fail(release, error.message).catch(err => {
+        console.error('[GIT_UPDATE] Failed to mark release as failed:', err);
+      });
+    }
+    await deploymentManager.fail(deployment, error.message).catch(err => {
+      console.error('[GIT_UPDATE] Failed to mark deployment as failed:', err);
+    });
+    return respond(cancelled ? 409 : 500, {
+      success: false,
+      error: error.message || 'Internal server error during Git update',
+      deployment: deployment ? deployment.id : undefined
+    });
+  } finally {
+    if (gitAuth) await gitAuth.cleanup();
+    if (stagingPath) await cleanupStaging(stagingPath);
+    if (slot) slot.release();
+  }
+}
+
+module.exports = {
+  getCommitSha,
+  isValidRef,
+  normalizeRepoPath,
+  resolveRepoDir,
+  fetchRevision,
+  updateFromGit
+};
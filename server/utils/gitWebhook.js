@@ -0,0 +1,289 @@
+/**
+ * gitWebhook.js
+ * Understands push webhooks from GitHub, GitLab, Gitea (and Forgejo/Gogs) and
+ * generic senders, verifies them against the app's secret and keeps a record
+ * of every delivery.
+ *
+ * Verification per provider:
+ *   github   X-Hub-Signature-256: sha256=<HMAC-SHA256 of the body>
+ *   gitea    X-Gitea-Signature / X-Forgejo-Signature / X-Gogs-Signature: <HMAC-SHA256 hex>
+ *   gitlab   X-Gitlab-Token: <secret>
+ *   generic  X-PlatformX-Signature or X-Hub-Signature-256: sha256=<HMAC-SHA256 hex>
+ */
+
+const crypto = require('crypto');
+const GitWebhookDelivery = require('../models/GitWebhookDelivery');
+const { getPlatformUrl } = require('./platformDomains');
+
+// Deliveries kept per app; older ones are removed
+const MAX_DELIVERIES = 50;
+
+// The "after" commit of a push that deleted the branch
+const NULL_SHA = /^0+$/;
+
+// GitHub and GitLab list at most this many commits in a push payload
+const MAX_LISTED_COMMITS = 20;
+
+const PROVIDER_LABELS = {
+  github: 'GitHub',
+  gitlab: 'GitLab',
+  gitea: 'Gitea',
+  generic: 'Webhook'
+};
+
+class GitWebhook {
+  /**
+   * Create a new webhook secret
+   * @returns {string}
+   */
+  generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * URL a Git host should send push events to
+   * @param {string} slug
+   * @returns {string}
+   */
+  getHookUrl(slug) {
+    return `${getPlatformUrl()}/api/hooks/git/${slug}`;
+  }
+
+  /**
+   * Work out who sent a webhook from its headers
+   * @param {Object} headers - Lower-cased request headers
+   * @returns {string} - github, gitlab, gitea or generic
+   */
+  detectProvider(headers) {
+    // Gitea also sends X-GitHub-Event, so check it first
+    if (headers['x-gitea-event'] || headers['x-forgejo-event'] || headers['x-gogs-event']) {
+      return 'gitea';
+    }
+    if (headers['x-gitlab-event']) {
+      return 'gitlab';
+    }
+    if (headers['x-github-event']) {
+      return 'github';
+    }
+    return 'generic';
+  }
+
+  getProviderLabel(provider) {
+    return PROVIDER_LABELS[provider] || provider;
+  }
+
+  /**
+   * Check a webhook's signature (or token) against the app's secret
+   * @param {string} provider
+   * @param {Object} headers - Lower-cased request headers
+   * @param {Buffer} rawBody - Body exactly as received
+   * @param {string} secret
+   * @returns {boolean}
+   */
+  verify(provider, headers, rawBody, secret) {
+    if (!secret) {
+      return false;
+    }
+
+    if (provider === 'gitlab') {
+      return this.safeEqual(headers['x-gitlab-token'], secret);
+    }
+
+    const hmac = crypto.createHmac('sha256', secret).update(rawBody || Buffer.alloc(0)).digest('hex');
+
+    if (provider === 'gitea') {
+      const signature = headers['x-gitea-signature'] || headers['x-forgejo-signature'] || headers['x-gogs-signature'];
+      return this.safeEqual(signature, hmac);
+    }
+
+    const signature = provider === 'generic'
+      ? headers['x-platformx-signature'] || headers['x-hub-signature-256']
+      : headers['x-hub-signature-256'];
+    return this.safeEqual(signature, `sha256=${hmac}`);
+  }
+
+  safeEqual(received, expected) {
+    if (typeof received !== 'string') {
+      return false;
+    }
+    const a = Buffer.from(received.trim());
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  /**
+   * Extract the push details from a webhook
+   * @param {string} provider
+   * @param {Object} headers - Lower-cased request headers
+   * @param {Object} body - Parsed body (JSON, or form-encoded with a "payload" field)
+   * @returns {Object} - { event, deliveryId, isPush, ref, commitSha, pusher, deleted,
+   *   changedFiles: paths touched by the push, or null if the payload doesn't list them all }
+   */
+  parsePush(provider, headers, body) {
+    let payload = body || {};
+    if (typeof payload.payload === 'string') {
+      try {
+        payload = JSON.parse(payload.payload);
+      } catch (err) {
+        payload = {};
+      }
+    }
+
+    let event;
+    let deliveryId;
+    let isPush;
+    let pusher;
+
+    switch (provider) {
+      case 'github':
+        event = headers['x-github-event'];
+        deliveryId = headers['x-github-delivery'];
+        isPush = event === 'push';
+        pusher = payload.pusher && payload.pusher.name;
+        break;
+      case 'gitlab':
+        event = headers['x-gitlab-event'];
+        deliveryId = headers['x-gitlab-event-uuid'];
+        isPush = event === 'Push Hook';
+        pusher = payload.user_username || payload.user_name;
+        break;
+      case 'gitea':
+        event = headers['x-gitea-event'] || headers['x-forgejo-event'] || headers['x-gogs-event'];
+        deliveryId = headers['x-gitea-delivery'] || headers['x-forgejo-delivery'] || headers['x-gogs-delivery'];
+        isPush = event === 'push';
+        pusher = payload.pusher && (payload.pusher.login || payload.pusher.username);
+        break;
+      default:
+        event = headers['x-platformx-event'] || 'push';
+        deliveryId = headers['x-platformx-delivery'];
+        isPush = event === 'push';
+        pusher = payload.pusher && typeof payload.pusher === 'object'
+          ? payload.pusher.name || payload.pusher.login
+          : payload.pusher;
+    }
+
+    const ref = payload.ref || (payload.branch ? `refs/heads/${payload.branch}` : null);
+    const commitSha = payload.checkout_sha || payload.after || payload.commit || payload.sha || null;
+
+    return {
+      event: event || null,
+      deliveryId: deliveryId || null,
+      isPush,
+      ref: typeof ref === 'string' ? ref : null,
+      commitSha: typeof commitSha === 'string' && !NULL_SHA.test(commitSha) ? commitSha : null,
+      pusher: typeof pusher === 'string' ? pusher : null,
+      deleted: payload.deleted === true || (typeof payload.after === 'string' && NULL_SHA.test(payload.after)),
+      changedFiles: this.getChangedFiles(payload)
+    };
+  }
+
+  /**
+   * Files touched by a push, from the commit list in its payload
+   * @param {Object} payload
+   * @returns {Array<string>|null} - null if some commits or their files are not listed
+   */
+  getChangedFiles(payload) {
+    const commits = payload.commits;
+    if (!Array.isArray(commits) || commits.length === 0 || commits.length >= MAX_LISTED_COMMITS) {
+      return null;
+    }
+
+    const total = payload.total_commits_count ?? payload.total_commits ?? commits.length;
+    if (total > commits.length) {
+      return null;
+    }
+
+    const files = new Set();
+    for (const commit of commits) {
+      for (const field of ['added', 'modified', 'removed']) {
+        if (!commit || !Array.isArray(commit[field])) {
+          return null;
+        }
+        commit[field].forEach(file => files.add(file));
+      }
+    }
+    return [...files];
+  }
+
+  /**
+   * Decide whether a verified push should deploy the app
+   * @param {Object} push - From parsePush
+   * @param {string} branch - Branch the app is deployed from
+   * @param {string|null} repoPath - Subdirectory the app is deployed from (monorepos)
+   * @returns {string|null} - Why the push is ignored, or null to deploy
+   */
+  getIgnoreReason(push, branch, repoPath = null) {
+    if (!push.isPush) {
+      return push.event === 'ping'
+        ? 'Ping received, webhook is set up correctly'
+        : `Event '${push.event}' is not a push`;
+    }
+    if (push.ref !== `refs/heads/${branch}`) {
+      return `Push to ${push.ref || 'unknown ref'} does not match deployed branch '${branch}'`;
+    }
+    if (push.deleted) {
+      return `Branch '${branch}' was deleted`;
+    }
+    if (repoPath && push.changedFiles &&
+        !push.changedFiles.some(file => file === repoPath || file.startsWith(`${repoPath}/`))) {
+      return `Push does not change ${repoPath}/`;
+    }
+    return null;
+  }
+
+  /**
+   * Record a delivery, keeping the newest MAX_DELIVERIES per app
+   * @param {Object} fields - GitWebhookDelivery fields
+   * @returns {Promise<Object>} - Delivery document
+   */
+  async record(fields) {
+    const delivery = await GitWebhookDelivery.create(fields);
+
+    const stale = await GitWebhookDelivery.find({ appSlug: fields.appSlug })
+      .sort({ receivedAt: -1 })
+      .skip(MAX_DELIVERIES)
+      .select('_id');
+    if (stale.length > 0) {
+      await GitWebhookDelivery.deleteMany({ _id: { $in: stale.map(d => d._id) } });
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Recent deliveries of an app, newest first
+   * @param {string} slug
+   * @param {number} limit
+   * @returns {Promise<Array>}
+   */
+  list(slug, limit = MAX_DELIVERIES) {
+    return GitWebhookDelivery.find({ appSlug: slug })
+      .sort({ receivedAt: -1 })
+      .limit(limit);
+  }
+
+  /**
+   * Format a delivery for API responses
+   * @param {Object} delivery
+   * @returns {Object}
+   */
+  format(delivery) {
+    return {
+      id: delivery.id,
+      provider: delivery.provider,
+      event: delivery.event,
+      deliveryId: delivery.deliveryId,
+      ref: delivery.ref,
+      commitSha: delivery.commitSha,
+      pusher: delivery.pusher,
+      status: delivery.status,
+      message: delivery.message,
+      deployment: delivery.deployment,
+      receivedAt: delivery.receivedAt,
+      finishedAt: delivery.finishedAt
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new GitWebhook();
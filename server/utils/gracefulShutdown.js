@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const MongoDBManager = require('../utils/mongodbManager');
 const CleanupService = require('../utils/cleanupService');
 const metricsCollector = require('../middleware/metricsCollector');
+const workerManager = require('../utils/workerManager');
 
 /**
  * Graceful Shutdown Handler
@@ -68,15 +69,19 @@ class GracefulShutdown {
       Logger.platform.info('Step 3: Cleaning up metrics collector...');
       metricsCollector.cleanup();
 
-      // Step 4: Close MongoDB Manager connections
-      Logger.platform.info('Step 4: Closing MongoDB Manager...');
+      // Step 4: Stop isolated app workers
+      Logger.platform.info('Step 4: Stopping isolated app workers...');
+      workerManager.stopAll();
+
+      // Step 5: Close MongoDB Manager connections
+      Logger.platform.info('Step 5: Closing MongoDB Manager...');
       await MongoDBManager.disconnect();
 
-      // Step 5: Close Mongoose connection
-      Logger.platform.info('Step 5: Closing Mongoose connection...');
+      // Step 6: Close Mongoose connection
+      Logger.platform.info('Step 6: Closing Mongoose connection...');
       await mongoose.connection.close();
 
-      // Step 6: Final log
+      // Step 7: Final log
       Logger.platform.info('Graceful shutdown completed successfully');
 
       // Clear the force shutdown timer
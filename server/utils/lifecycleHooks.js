@@ -0,0 +1,282 @@
+/**
+ * lifecycleHooks.js
+ * Runs the lifecycle hooks an app declares in platformx.json:
+ *
+ *   predeploy   Before a new release goes live (migrations). A failure aborts the deploy.
+ *   postdeploy  After a release went live (seed data, cache warmup). Failures are logged.
+ *   onLoad      After the app was loaded into memory. Runs in the background.
+ *   onUnload    After the app was unloaded. Runs in the background.
+ *
+ * A hook is a script inside the app exporting an (async) function. It runs in
+ * its own process (see appHookProcess.js) with the app's directory as cwd and
+ * receives { appName, hook, release, appPath, env, db, log }, where db is the
+ * app's database - the same one the app gets as req.db.
+ */
+
+const { fork } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const dotenv = require('dotenv');
+const Logger = require('./logger');
+const EnvManager = require('./envManager');
+const secretsManager = require('./secretsManager');
+const envGroupManager = require('./envGroupManager');
+const MongoDBManager = require('./mongodbManager');
+const { buildAppEnv, getAppTempDir, getTempEnv, getSandboxArgs } = require('./envIsolation');
+const { HOOKS, loadProjectConfig } = require('./projectConfig');
+
+const HOOK_SCRIPT = path.join(__dirname, 'appHookProcess.js');
+const DEFAULT_HOOK_TIMEOUT = 300; // seconds
+const KILL_TIMEOUT = 5000; // ms between SIGTERM and SIGKILL
+
+// Lines of hook output kept in the event log
+const MAX_OUTPUT_LINES = 100;
+
+class LifecycleHooks {
+  /**
+   * Maximum run time of one hook (HOOK_TIMEOUT, in seconds)
+   * @returns {number} - Milliseconds
+   */
+  getTimeout() {
+    const seconds = parseInt(process.env.HOOK_TIMEOUT, 10);
+    return (seconds > 0 ? seconds : DEFAULT_HOOK_TIMEOUT) * 1000;
+  }
+
+  /**
+   * Get the hooks an app declares
+   * @param {string} appPath - Path to app directory
+   * @returns {Object} - { predeploy, postdeploy, onLoad, onUnload } script paths;
+   *   throws if platformx.json is invalid
+   */
+  getHooks(appPath) {
+    return loadProjectConfig(appPath).hooks;
+  }
+
+  /**
+   * Environment a hook runs with: the app's environment groups, its live
+   * .env (or the one shipped with the release for an app deployed for the
+   * first time) and its secrets
+   * @param {string} appName
+   * @param {string} appPath - Path to the release being run
+   * @returns {Promise<Object>}
+   */
+  async loadEnv(appName, appPath) {
+    return {
+      ...(await envGroupManager.loadForApp(appName)),
+      ...this.loadEnvFile(appName, appPath),
+      ...(await secretsManager.load(appName))
+    };
+  }
+
+  loadEnvFile(appName, appPath) {
+    if (EnvManager.hasEnvFile(appName)) {
+      return EnvManager.loadEnvSync(appName);
+    }
+
+    const releaseEnvPath = path.join(appPath, '.env');
+    if (!fs.existsSync(releaseEnvPath)) {
+      return {};
+    }
+    try {
+      return dotenv.parse(fs.readFileSync(releaseEnvPath, 'utf8'));
+    } catch (err) {
+      return {};
+    }
+  }
+
+  /**
+   * Run one of an app's hooks and record the outcome in the event log
+   * @param {string} appName
+   * @param {string} appPath - Path to the release the hook belongs to
+   * @param {string} hook - predeploy, postdeploy, onLoad or onUnload
+   * @param {Object} options - { release, onLine(stream, line), signal }
+   * @returns {Promise<Object>} - { ran: false } if the app declares no such hook,
+   *   { ran: true, script, durationMs } on success. Rejects on failure with
+   *   error.output holding the hook's last lines of output.
+   */
+  async run(appName, appPath, hook, { release = null, onLine = null, signal = null } = {}) {
+    if (!HOOKS.includes(hook)) {
+      throw new Error(`Unknown hook: ${hook}`);
+    }
+
+    const script = this.getHooks(appPath)[hook];
+    if (!script) {
+      return { ran: false };
+    }
+
+    const startedAt = Date.now();
+    const output = [];
+    const emit = (stream, line) => {
+      output.push(line);
+      if (output.length > MAX_OUTPUT_LINES) {
+        output.shift();
+      }
+      if (onLine) {
+        onLine(stream, line);
+      }
+    };
+
+    emit('system', `Running ${hook} hook (${script})`);
+    console.log(`[LifecycleHooks] Running ${hook} hook for ${appName}: ${script}`);
+
+    try {
+      if (!fs.existsSync(path.join(appPath, script))) {
+        throw new Error(`Hook script ${script} not found`);
+      }
+
+      await this.spawnHook({
+        appName,
+        appPath,
+        hook,
+        script,
+        release,
+        appEnv: await this.loadEnv(appName, appPath)
+      }, { emit, signal });
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
+
+      const durationMs = Date.now() - startedAt;
+      error.message = `${hook} hook failed: ${error.message}`;
+      error.output = output.join('\n');
+      emit('stderr', error.message);
+
+      console.error(`[LifecycleHooks] ${error.message} (${appName})`);
+      await Logger.log(appName, 'hook', error.message, {
+        hook,
+        script,
+        release,
+        durationMs,
+        output: error.output
+      }, 'error');
+      throw error;
+    }
+
+    const durationMs = Date.now() - startedAt;
+    emit('system', `${hook} hook finished in ${(durationMs / 1000).toFixed(1)}s`);
+    await Logger.log(appName, 'hook', `${hook} hook completed`, {
+      hook,
+      script,
+      release,
+      durationMs,
+      output: output.join('\n')
+    });
+
+    return { ran: true, script, durationMs };
+  }
+
+  /**
+   * Run a hook without waiting for it; failures are only logged
+   * Used for onLoad/onUnload, which must never hold up or break serving.
+   * @param {string} appName
+   * @param {string} appPath
+   * @param {string} hook
+   * @param {Object} options - { release }
+   */
+  runInBackground(appName, appPath, hook, options = {}) {
+    let hooks;
+    try {
+      hooks = this.getHooks(appPath);
+    } catch (err) {
+      return; // An app with invalid settings was never deployed with hooks
+    }
+    if (!hooks[hook]) {
+      return;
+    }
+
+    this.run(appName, appPath, hook, options).catch(() => {
+      // Already recorded in the event log
+    });
+  }
+
+  /**
+   * Fork the hook process and wait for it to finish
+   * @param {Object} config - Passed to appHookProcess.js
+   * @param {Object} options - { emit(stream, line), signal }
+   * @returns {Promise<void>}
+   */
+  async spawnHook(config, { emit, signal }) {
+    if (signal) {
+      signal.throwIfAborted();
+    }
+
+    // The app's own database user, never the platform's MONGO_URI
+    const mongoUri = await MongoDBManager.getAppConnectionUri(config.appName);
+
+    const tempDir = getAppTempDir(config.appName);
+
+    return new Promise((resolve, reject) => {
+      const child = fork(HOOK_SCRIPT, [], {
+        cwd: config.appPath,
+        execArgv: getSandboxArgs(config.appPath, tempDir),
+        env: { ...buildAppEnv(config.appEnv), ...getTempEnv(tempDir) },
+        stdio: ['ignore', 'pipe', 'pipe', 'ipc']
+      });
+
+      let outcome = null;
+      let failure = null;
+      let killTimer = null;
+
+      const stop = (reason) => {
+        if (failure) return;
+        failure = reason;
+        child.kill('SIGTERM');
+        killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_TIMEOUT);
+      };
+
+      const timeout = this.getTimeout();
+      const timer = setTimeout(() => {
+        stop(new Error(`timed out after ${timeout / 1000} seconds`));
+      }, timeout);
+
+      const onAbort = () => stop(signal.reason);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      readline.createInterface({ input: child.stdout }).on('line', line => emit('stdout', line));
+      readline.createInterface({ input: child.stderr }).on('line', line => emit('stderr', line));
+
+      child.on('message', (message) => {
+        if (message && (message.type === 'done' || message.type === 'error')) {
+          outcome = message;
+        }
+      });
+
+      child.on('error', (error) => {
+        if (!failure) failure = error;
+      });
+
+      // 'close' fires once the output streams are drained as well
+      child.once('close', (code, exitSignal) => {
+        clearTimeout(timer);
+        clearTimeout(killTimer);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+
+        if (failure) {
+          return reject(failure);
+        }
+        if (outcome && outcome.type === 'error') {
+          outcome.error.split('\n').forEach(line => emit('stderr', line));
+          return reject(new Error(outcome.message));
+        }
+        if (code !== 0 || !outcome) {
+          return reject(new Error(`hook process exited unexpectedly (code: ${code}, signal: ${exitSignal})`));
+        }
+        resolve();
+      });
+
+      child.send({
+        type: 'init',
+        config: { ...config, mongoUri }
+      });
+    });
+  }
+}
+
+// Export singleton instance
+module.exports = new LifecycleHooks();
@@ -22,7 +22,7 @@ const eventLogSchema = new mongoose.Schema({
   event: {
     type: String,
     required: true,
-    enum: ['load', 'unload', 'deploy', 'redeploy', 'env-update', 'git-import', 'zip-upload', 'error', 'delete', 'rename']
+    enum: ['load', 'unload', 'deploy', 'redeploy', 'env-update', 'git-import', 'zip-upload', 'error', 'delete', 'rename', 'domain', 'release', 'rollback', 'canary', 'hook', 'webhook', 'git', 'secret']
   },
   level: {
     type: String,
@@ -1,8 +1,15 @@
 const { MongoClient } = require('mongodb');
+const { deriveSecret } = require('./encryption');
 
 let globalClient = null;
 let clientPromise = null;
 
+// Databases whose app user was created or updated since startup
+const appUsers = new Set();
+
+// scheme, credentials, hosts, database and options of a connection string
+const URI_PATTERN = /^(mongodb(?:\+srv)?:\/\/)(?:([^@/]*)@)?([^/?]+)\/?([^?]*)(?:\?(.*))?$/;
+
 /**
  * MongoDB Connection Manager
  * Maintains a single MongoDB client instance for all apps
@@ -76,6 +83,55 @@ class MongoDBManager {
     return globalClient.db(dbName);
   }
 
+  /**
+   * Connection string for an app's own processes (isolated workers, hooks)
+   * The platform's MONGO_URI is never handed to app code. If it carries
+   * credentials, the app gets a database user of its own that can only use
+   * the app's database; its password is derived from the platform key, so
+   * nothing has to be stored. Without credentials the server doesn't check
+   * who connects and the address alone is passed on.
+   * @param {string} appName - App name
+   * @returns {Promise<string|null>} - null if MongoDB is not connected or the
+   *   app's user can't be set up
+   */
+  static async getAppConnectionUri(appName) {
+    const match = (process.env.MONGO_URI || '').match(URI_PATTERN);
+    if (!globalClient || !match) {
+      return null;
+    }
+
+    const [, scheme, credentials, hosts, , query] = match;
+    const dbName = this.sanitizeDatabaseName(appName);
+    const options = new URLSearchParams(query || '');
+
+    if (!credentials) {
+      return `${scheme}${hosts}/${dbName}${options.size ? `?${options}` : ''}`;
+    }
+
+    const password = deriveSecret(`mongodb:${dbName}`);
+    try {
+      if (!appUsers.has(dbName)) {
+        const db = globalClient.db(dbName);
+        const roles = [{ role: 'readWrite', db: dbName }];
+        const { users } = await db.command({ usersInfo: dbName });
+        await db.command(users.length > 0
+          ? { updateUser: dbName, pwd: password, roles }
+          : { createUser: dbName, pwd: password, roles });
+        appUsers.add(dbName);
+      }
+    } catch (error) {
+      console.error(`[MONGODB_MANAGER] Failed to set up database user for ${appName}:`, error.message);
+      return null;
+    }
+
+    // The app's user lives in the app's database and uses the default mechanism
+    options.set('authSource', dbName);
+    options.delete('authMechanism');
+    options.delete('authMechanismProperties');
+
+    return `${scheme}${dbName}:${password}@${hosts}/${dbName}?${options}`;
+  }
+
   /**
    * Sanitize app name to be a valid MongoDB database name
    * @param {string} appName - App name
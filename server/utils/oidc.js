@@ -0,0 +1,308 @@
+/**
+ * oidc.js
+ * Single sign-on with an OpenID Connect provider
+ *
+ * Uses the authorization-code flow with PKCE. The dashboard sends the browser
+ * to /api/auth/oidc/login, the provider sends it back to the callback, and the
+ * callback hands the dashboard a one-time login code that it exchanges for a
+ * normal session (the tokens themselves never appear in a URL).
+ *
+ * Users are matched on the provider's issuer and subject and created on their
+ * first login. A matching OIDC_ROLE_MAPPING rule sets their platform role on
+ * every login, e.g. "group:platform-admins=admin,domain:example.com=developer";
+ * the most powerful matching role wins. Without a match, OIDC_DEFAULT_ROLE
+ * applies (unset: the login is refused) unless an admin changed the user's
+ * role, which is then kept (see userManager.upsertSsoUser).
+ *
+ * Pending logins and login codes are kept in memory, so a login has to finish
+ * on the instance that started it.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { ROLES } = require('./permissions');
+const { getPlatformUrl } = require('./platformDomains');
+
+// Time to log in at the provider
+const PENDING_TTL = 10 * 60 * 1000;
+
+// Time for the dashboard to exchange the login code
+const LOGIN_CODE_TTL = 60 * 1000;
+
+// Provider metadata and keys are cached for an hour
+const DISCOVERY_TTL = 60 * 60 * 1000;
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Parse OIDC_ROLE_MAPPING
+ * @param {string} value - Comma-separated "group:<name>=<role>", "domain:<domain>=<role>" or "email:<address>=<role>"
+ * @returns {Array<Object>} - [{ type, value, role }]
+ */
+function parseRoleMapping(value) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const match = entry.match(/^(group|domain|email):(.+)=([a-z]+)$/);
+      if (!match || !ROLES.includes(match[3])) {
+        console.warn(`[OIDC] Ignoring invalid OIDC_ROLE_MAPPING entry: ${entry}`);
+        return null;
+      }
+      const [, type, claim, role] = match;
+      return { type, value: type === 'group' ? claim.trim() : claim.trim().toLowerCase(), role };
+    })
+    .filter(Boolean);
+}
+
+class OidcClient {
+  constructor() {
+    this.discovery = null;
+    this.keys = null;
+    this.pending = new Map();
+    this.loginCodes = new Map();
+    this.roleMapping = null;
+  }
+
+  isConfigured() {
+    return !!(process.env.OIDC_ISSUER && process.env.OIDC_CLIENT_ID);
+  }
+
+  /**
+   * Public SSO settings for the login page
+   * @returns {Object}
+   */
+  getPublicConfig() {
+    return {
+      enabled: this.isConfigured(),
+      label: process.env.OIDC_BUTTON_LABEL || 'Sign in with SSO'
+    };
+  }
+
+  getRedirectUri() {
+    return process.env.OIDC_REDIRECT_URI || `${getPlatformUrl()}/api/auth/oidc/callback`;
+  }
+
+  getDashboardUrl() {
+    return (process.env.DASHBOARD_URL || 'http://platformx.localhost:5173').replace(/\/$/, '');
+  }
+
+  /**
+   * Provider metadata from /.well-known/openid-configuration
+   * @returns {Promise<Object>}
+   */
+  async getDiscovery() {
+    if (this.discovery && Date.now() - this.discovery.fetchedAt < DISCOVERY_TTL) {
+      return this.discovery.metadata;
+    }
+
+    const issuer = process.env.OIDC_ISSUER.replace(/\/$/, '');
+    const { data } = await axios.get(`${issuer}/.well-known/openid-configuration`, { timeout: 10000 });
+    this.discovery = { metadata: data, fetchedAt: Date.now() };
+    this.keys = null;
+    return data;
+  }
+
+  /**
+   * Signing key of the provider for an ID token
+   * The key set is fetched again once if the key id is unknown (key rotation).
+   * @param {string} kid
+   * @returns {Promise<crypto.KeyObject>}
+   */
+  async getSigningKey(kid) {
+    const discovery = await this.getDiscovery();
+
+    for (const refresh of [false, true]) {
+      if (refresh || !this.keys || Date.now() - this.keys.fetchedAt > DISCOVERY_TTL) {
+        const { data } = await axios.get(discovery.jwks_uri, { timeout: 10000 });
+        this.keys = { keys: data.keys || [], fetchedAt: Date.now() };
+      }
+
+      const jwk = this.keys.keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+      if (jwk) {
+        return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      }
+    }
+    throw new Error(`Signing key ${kid || ''} not found at the provider`);
+  }
+
+  prune(map, ttl) {
+    const now = Date.now();
+    for (const [key, entry] of map) {
+      if (now - entry.createdAt > ttl) {
+        map.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Start a login: URL of the provider's authorization endpoint
+   * @returns {Promise<Object>} - { url, state }
+   */
+  async createAuthorizationUrl() {
+    const discovery = await this.getDiscovery();
+
+    const state = base64url(crypto.randomBytes(24));
+    const nonce = base64url(crypto.randomBytes(24));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    this.prune(this.pending, PENDING_TTL);
+    this.pending.set(state, { nonce, codeVerifier, createdAt: Date.now() });
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: process.env.OIDC_CLIENT_ID,
+      redirect_uri: this.getRedirectUri(),
+      scope: process.env.OIDC_SCOPES || 'openid email profile',
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    });
+
+    return { url: `${discovery.authorization_endpoint}?${params}`, state };
+  }
+
+  /**
+   * Finish a login: exchange the authorization code and verify the ID token
+   * @param {string} code - From the callback
+   * @param {string} state - From the callback
+   * @returns {Promise<Object>} - Claims of the user (ID token merged with userinfo)
+   */
+  async handleCallback(code, state) {
+    const pending = this.pending.get(state);
+    this.pending.delete(state);
+    if (!pending || Date.now() - pending.createdAt > PENDING_TTL) {
+      throw new Error('The login expired or was already used. Please try again.');
+    }
+
+    const discovery = await this.getDiscovery();
+
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: this.getRedirectUri(),
+      client_id: process.env.OIDC_CLIENT_ID,
+      code_verifier: pending.codeVerifier
+    });
+    if (process.env.OIDC_CLIENT_SECRET) {
+      body.set('client_secret', process.env.OIDC_CLIENT_SECRET);
+    }
+
+    const { data: tokens } = await axios.post(discovery.token_endpoint, body.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 10000
+    });
+    if (!tokens.id_token) {
+      throw new Error('The provider did not return an ID token');
+    }
+
+    const header = jwt.decode(tokens.id_token, { complete: true })?.header || {};
+    const key = await this.getSigningKey(header.kid);
+    const claims = jwt.verify(tokens.id_token, key, {
+      algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+      issuer: discovery.issuer,
+      audience: process.env.OIDC_CLIENT_ID
+    });
+    if (claims.nonce !== pending.nonce) {
+      throw new Error('Invalid ID token nonce');
+    }
+
+    // Groups are often only in the userinfo response
+    if (discovery.userinfo_endpoint && tokens.access_token) {
+      try {
+        const { data: userinfo } = await axios.get(discovery.userinfo_endpoint, {
+          headers: { Authorization: `Bearer ${tokens.access_token}` },
+          timeout: 10000
+        });
+        if (userinfo.sub === claims.sub) {
+          return { ...userinfo, ...claims };
+        }
+      } catch (error) {
+        console.warn(`[OIDC] Failed to fetch userinfo: ${error.message}`);
+      }
+    }
+
+    return claims;
+  }
+
+  /**
+   * Platform role of the OIDC_ROLE_MAPPING rules matching a user's claims
+   * @param {Object} claims
+   * @returns {string|null} - Null if no rule matches
+   */
+  mapRole(claims) {
+    const groupsClaim = claims[process.env.OIDC_GROUPS_CLAIM || 'groups'];
+    const groups = Array.isArray(groupsClaim) ? groupsClaim.map(String) : groupsClaim ? [String(groupsClaim)] : [];
+
+    // Domains and addresses only count for verified emails
+    const email = claims.email && claims.email_verified === true ? String(claims.email).toLowerCase() : null;
+    const domain = email ? email.split('@')[1] : null;
+
+    // Parsed once per value, so invalid entries are only reported once
+    const source = process.env.OIDC_ROLE_MAPPING || '';
+    if (!this.roleMapping || this.roleMapping.source !== source) {
+      this.roleMapping = { source, rules: parseRoleMapping(source) };
+    }
+
+    const matched = this.roleMapping.rules
+      .filter(rule => (rule.type === 'group' && groups.includes(rule.value)) ||
+        (rule.type === 'domain' && rule.value === domain) ||
+        (rule.type === 'email' && rule.value === email))
+      .map(rule => rule.role);
+
+    // ROLES is ordered from most to least powerful
+    return ROLES.find(role => matched.includes(role)) || null;
+  }
+
+  /**
+   * Role for users no rule matches, from OIDC_DEFAULT_ROLE
+   * @returns {string|null} - Null if they may not log in
+   */
+  getDefaultRole() {
+    const fallback = process.env.OIDC_DEFAULT_ROLE;
+    return ROLES.includes(fallback) ? fallback : null;
+  }
+
+  /**
+   * Username for a new SSO user, from the preferred username or email
+   * @param {Object} claims
+   * @returns {string}
+   */
+  suggestUsername(claims) {
+    const source = claims.preferred_username || (claims.email ? String(claims.email).split('@')[0] : '') || claims.sub;
+    const username = String(source).toLowerCase().replace(/[^a-z0-9._-]/g, '-').replace(/^-+|-+$/g, '');
+    return username || 'sso-user';
+  }
+
+  /**
+   * One-time code the dashboard exchanges for a session
+   * @param {Object} user - User document
+   * @returns {string}
+   */
+  createLoginCode(user) {
+    const code = base64url(crypto.randomBytes(32));
+    this.prune(this.loginCodes, LOGIN_CODE_TTL);
+    this.loginCodes.set(code, { userId: user._id.toString(), createdAt: Date.now() });
+    return code;
+  }
+
+  /**
+   * Use a login code
+   * @param {string} code
+   * @returns {string|null} - User id, or null if unknown or expired
+   */
+  consumeLoginCode(code) {
+    const entry = this.loginCodes.get(String(code || ''));
+    this.loginCodes.delete(String(code || ''));
+    if (!entry || Date.now() - entry.createdAt > LOGIN_CODE_TTL) {
+      return null;
+    }
+    return entry.userId;
+  }
+}
+
+module.exports = new OidcClient();
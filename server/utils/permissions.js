@@ -0,0 +1,134 @@
+/**
+ * permissions.js
+ * What a dashboard user may do, from their role and per-app grants
+ *
+ * Roles, most powerful first:
+ *   - owner:     everything, including managing other owners
+ *   - admin:     everything except managing owners
+ *   - developer: create apps, and deploy/configure the apps granted to them
+ *   - viewer:    read-only access to the apps granted to them
+ *
+ * Owners and admins can access every app. Developers and viewers only see
+ * apps listed in their grants; a grant is either 'developer' (read and
+ * write) or 'viewer' (read), and never gives more than the user's role.
+ *
+ * Requests made with an API token act as the token's user, limited to the
+ * token's scopes and, if it lists any, its apps (user.token).
+ */
+
+const ROLES = ['owner', 'admin', 'developer', 'viewer'];
+
+// Access a grant can give to a single app
+const APP_ROLES = ['developer', 'viewer'];
+
+// Actions an API token can be allowed
+const SCOPES = {
+  'apps:read': 'View apps, logs, releases and deployments',
+  'apps:deploy': 'Redeploy, update from Git, roll back and run canaries',
+  'apps:config': 'Change environment variables, secrets, domains, webhooks and other app settings',
+  'apps:create': 'Create apps by ZIP upload or Git import',
+  'backups': 'Create, restore and delete backups',
+  'admin': 'Administration: settings, users, environment groups, build cache, deleting and renaming apps'
+};
+
+/**
+ * Whether a request may perform an action
+ * Always true for dashboard sessions; API tokens need the scope.
+ * @param {Object} user - req.user
+ * @param {string} scope - Key of SCOPES
+ * @returns {boolean}
+ */
+function hasScope(user, scope) {
+  return !!user && (!user.token || user.token.scopes.includes(scope));
+}
+
+function isAdmin(user) {
+  return !!user && (user.role === 'owner' || user.role === 'admin');
+}
+
+/**
+ * Role a user has on an app
+ * @param {Object} user - req.user
+ * @param {string} slug
+ * @returns {string|null} - 'admin', 'developer', 'viewer' or null for no access
+ */
+function getAppRole(user, slug) {
+  if (!user) {
+    return null;
+  }
+  if (user.token && user.token.apps.length > 0 && !user.token.apps.includes(slug)) {
+    return null;
+  }
+  if (isAdmin(user)) {
+    return 'admin';
+  }
+
+  const grant = (user.apps || []).find(entry => entry.slug === slug);
+  if (!grant) {
+    return null;
+  }
+  return user.role === 'viewer' ? 'viewer' : grant.role;
+}
+
+function canReadApp(user, slug) {
+  return getAppRole(user, slug) !== null;
+}
+
+function canWriteApp(user, slug) {
+  const role = getAppRole(user, slug);
+  return role === 'admin' || role === 'developer';
+}
+
+function canCreateApps(user) {
+  return isAdmin(user) || (!!user && user.role === 'developer');
+}
+
+/**
+ * Whether a user may see the values of environment groups and attach them to apps
+ * Group values are often shared credentials, so this is left to admins.
+ * @param {Object} user - req.user
+ * @returns {boolean}
+ */
+function canManageEnvGroups(user) {
+  return isAdmin(user) && hasScope(user, 'admin');
+}
+
+/**
+ * Whether a user may run apps in the platform process (isolated: false)
+ * In-process apps can reach the platform's memory and connections, so this is
+ * left to admins; apps created by others run in their own worker.
+ * @param {Object} user - req.user
+ * @returns {boolean}
+ */
+function canRunInProcess(user) {
+  return isAdmin(user) && hasScope(user, 'admin');
+}
+
+/**
+ * Whether a user may create, change or delete accounts with a role
+ * Only owners manage owners.
+ * @param {Object} user - req.user
+ * @param {string} role - Role of the account being managed
+ * @returns {boolean}
+ */
+function canManageRole(user, role) {
+  if (!isAdmin(user)) {
+    return false;
+  }
+  return role !== 'owner' || user.role === 'owner';
+}
+
+module.exports = {
+  ROLES,
+  APP_ROLES,
+  SCOPES,
+  hasScope,
+  isAdmin,
+  getAppRole,
+  canReadApp,
+  canWriteApp,
+  canCreateApps,
+  canManageEnvGroups,
+  canRunInProcess,
+  canManageRole
+};
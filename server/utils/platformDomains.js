@@ -0,0 +1,240 @@
+/**
+ * platformDomains.js
+ * Single source of truth for the platform's base domain(s)
+ *
+ * Base domains come from the `platform.domains` setting (system category) and
+ * PLATFORM_DOMAINS in the environment (comma-separated). Apps are reachable at
+ * <slug>.<domain> on every base domain; the first domain is the primary one
+ * used when generating URLs.
+ *
+ * ROUTING_MODE selects how apps are addressed on those domains:
+ * - subdomain (default): <slug>.<domain>
+ * - path: <domain>/apps/<slug>/ (no wildcard DNS needed)
+ * - both: either form, generated URLs use subdomains
+ */
+
+const DEFAULT_DOMAIN = 'platformx.localhost';
+const SETTING_KEY = 'platform.domains';
+
+const ROUTING_MODES = ['subdomain', 'path', 'both'];
+const APP_PATH_PREFIX = '/apps';
+
+const DOMAIN_PATTERN = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/;
+
+// Domains loaded from the Settings collection
+let settingsDomains = [];
+
+/**
+ * Parse a list of domains from a comma-separated string or array
+ * @param {string|Array} value
+ * @returns {Array<string>} - Normalized, de-duplicated domains
+ */
+function parseDomains(value) {
+  if (!value) return [];
+
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const domains = list
+    .map(domain => String(domain).trim().toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set(domains)];
+}
+
+/**
+ * Validate a list of base domains
+ * @param {string|Array} value
+ * @returns {Object} - { valid: boolean, error: string|null, domains: Array<string> }
+ */
+function validateDomains(value) {
+  const domains = parseDomains(value);
+
+  const invalid = domains.filter(domain => domain.length > 253 || !DOMAIN_PATTERN.test(domain));
+  if (invalid.length > 0) {
+    return {
+      valid: false,
+      error: `Invalid domain(s): ${invalid.join(', ')}`,
+      domains
+    };
+  }
+
+  return { valid: true, error: null, domains };
+}
+
+/**
+ * Get all configured base domains (settings first, then environment)
+ * @returns {Array<string>}
+ */
+function getPlatformDomains() {
+  const envDomains = parseDomains(process.env.PLATFORM_DOMAINS)
+    .filter(domain => DOMAIN_PATTERN.test(domain));
+  const domains = [...new Set([...settingsDomains, ...envDomains])];
+
+  return domains.length > 0 ? domains : [DEFAULT_DOMAIN];
+}
+
+/**
+ * Get the primary base domain used for generated URLs
+ * @returns {string}
+ */
+function getPrimaryDomain() {
+  return getPlatformDomains()[0];
+}
+
+/**
+ * Find the base domain a hostname belongs to
+ * @param {string} hostname - e.g. "shop.platformx.localhost"
+ * @returns {string|null} - Matching base domain (longest match wins)
+ */
+function matchPlatformDomain(hostname) {
+  if (!hostname) return null;
+
+  const normalizedHost = hostname.toLowerCase();
+  let match = null;
+
+  for (const domain of getPlatformDomains()) {
+    if (normalizedHost === domain || normalizedHost.endsWith(`.${domain}`)) {
+      if (!match || domain.length > match.length) {
+        match = domain;
+      }
+    }
+  }
+
+  return match;
+}
+
+/**
+ * Get the configured routing mode
+ * @returns {string} - subdomain, path or both
+ */
+function getRoutingMode() {
+  const mode = (process.env.ROUTING_MODE || 'subdomain').toLowerCase();
+  return ROUTING_MODES.includes(mode) ? mode : 'subdomain';
+}
+
+/**
+ * Whether apps are served at <slug>.<domain>
+ */
+function isSubdomainRoutingEnabled() {
+  return getRoutingMode() !== 'path';
+}
+
+/**
+ * Whether apps are served at <domain>/apps/<slug>/
+ */
+function isPathRoutingEnabled() {
+  return getRoutingMode() !== 'subdomain';
+}
+
+/**
+ * Get the path prefix an app is mounted under in path mode
+ * @param {string} appName - App slug
+ * @returns {string} - e.g. "/apps/my-shop"
+ */
+function getAppBasePath(appName) {
+  return `${APP_PATH_PREFIX}/${appName}`;
+}
+
+/**
+ * Reload base domains from the Settings collection
+ * @returns {Promise<Array<string>>} - All configured domains
+ */
+async function loadDomainSettings() {
+  const Settings = require('../models/Settings');
+  const value = await Settings.getSetting(SETTING_KEY, []);
+  const validation = validateDomains(value);
+
+  if (!validation.valid) {
+    console.warn(`[PlatformDomains] Ignoring invalid ${SETTING_KEY} setting: ${validation.error}`);
+    settingsDomains = [];
+  } else {
+    settingsDomains = validation.domains;
+  }
+
+  return getPlatformDomains();
+}
+
+/**
+ * Build a URL for a host using the public protocol and port
+ * @param {string} host
+ * @returns {string}
+ */
+function buildUrl(host) {
+  const protocol = process.env.PLATFORM_PROTOCOL || 'http';
+  const port = String(process.env.PUBLIC_PORT || process.env.PORT || 5000);
+  const isDefaultPort = (protocol === 'http' && port === '80') || (protocol === 'https' && port === '443');
+
+  return `${protocol}://${host}${isDefaultPort ? '' : `:${port}`}`;
+}
+
+/**
+ * Get the URL of the platform dashboard/API
+ * @returns {string}
+ */
+function getPlatformUrl() {
+  return buildUrl(getPrimaryDomain());
+}
+
+/**
+ * Get the public URL of an app on the primary domain
+ * @param {string} appName - App slug
+ * @returns {string}
+ */
+function getAppUrl(appName) {
+  if (!isSubdomainRoutingEnabled()) {
+    return `${getPlatformUrl()}${getAppBasePath(appName)}/`;
+  }
+  return buildUrl(`${appName}.${getPrimaryDomain()}`);
+}
+
+/**
+ * Get the public URLs of an app on every base domain
+ * @param {string} appName - App slug
+ * @returns {Array<string>}
+ */
+function getAppUrls(appName) {
+  const urls = [];
+  for (const domain of getPlatformDomains()) {
+    if (isSubdomainRoutingEnabled()) {
+      urls.push(buildUrl(`${appName}.${domain}`));
+    }
+    if (isPathRoutingEnabled()) {
+      urls.push(`${buildUrl(domain)}${getAppBasePath(appName)}/`);
+    }
+  }
+  return urls;
+}
+
+/**
+ * Public domain configuration for clients
+ * @returns {Object}
+ */
+function getPlatformConfig() {
+  const domains = getPlatformDomains();
+  return {
+    domains,
+    primaryDomain: domains[0],
+    platformUrl: getPlatformUrl(),
+    routingMode: getRoutingMode(),
+    // Template clients fill in with an app slug
+    appUrlTemplate: getAppUrl('{slug}')
+  };
+}
+
+module.exports = {
+  SETTING_KEY,
+  APP_PATH_PREFIX,
+  parseDomains,
+  validateDomains,
+  getPlatformDomains,
+  getPrimaryDomain,
+  matchPlatformDomain,
+  getRoutingMode,
+  isSubdomainRoutingEnabled,
+  isPathRoutingEnabled,
+  getAppBasePath,
+  loadDomainSettings,
+  getPlatformUrl,
+  getAppUrl,
+  getAppUrls,
+  getPlatformConfig
+};
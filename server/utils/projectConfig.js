@@ -0,0 +1,174 @@
+/**
+ * projectConfig.js
+ * Reads the build settings an app declares in platformx.json, or in a
+ * "platformx" key in package.json when there is no platformx.json.
+ *
+ * {
+ *   "recipe": "vite",                  // Build recipe, detected when omitted
+ *   "packageManager": "pnpm",          // npm | yarn | pnpm, detected when omitted
+ *   "installCommand": "pnpm install --frozen-lockfile",
+ *   "buildCommand": "pnpm run build:prod",
+ *   "rootDirectory": "packages/web",   // Where install and build run
+ *   "outputDirectory": "dist",         // Relative to rootDirectory
+ *   "buildEnv": { "NODE_OPTIONS": "--max-old-space-size=2048" },
+ *   "hooks": {                         // Lifecycle hooks, see lifecycleHooks.js
+ *     "predeploy": "scripts/migrate.js",
+ *     "postdeploy": "scripts/seed.js",
+ *     "onLoad": "scripts/warm-cache.js",
+ *     "onUnload": "scripts/flush.js"
+ *   }
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILE = 'platformx.json';
+
+const PACKAGE_MANAGERS = ['npm', 'yarn', 'pnpm'];
+
+const STRING_FIELDS = ['recipe', 'packageManager', 'installCommand', 'buildCommand', 'rootDirectory', 'outputDirectory'];
+
+const HOOKS = ['predeploy', 'postdeploy', 'onLoad', 'onUnload'];
+
+/**
+ * Check that a configured path stays inside the app
+ * @returns {string} - Normalized relative path ('' for the app root)
+ */
+function normalizePath(value, field) {
+  const normalized = path.posix.normalize(value.replace(/\\/g, '/')).replace(/^\.(\/|$)/, '').replace(/\/$/, '');
+
+  if (path.posix.isAbsolute(normalized) || normalized === '..' || normalized.startsWith('../')) {
+    throw new Error(`${field} must be a path inside the app`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Validate and normalize raw settings
+ * @param {Object} raw - Parsed settings
+ * @param {string} source - Where they came from
+ * @param {string} label - Name used in error messages
+ * @returns {Object}
+ */
+function normalizeConfig(raw, source, label = source) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid ${label}: expected an object`);
+  }
+
+  const config = {
+    recipe: null,
+    packageManager: null,
+    installCommand: null,
+    buildCommand: null,
+    rootDirectory: '',
+    outputDirectory: null,
+    buildEnv: {},
+    hooks: {},
+    source
+  };
+
+  try {
+    for (const field of STRING_FIELDS) {
+      if (raw[field] === undefined || raw[field] === null) continue;
+
+      if (typeof raw[field] !== 'string' || !raw[field].trim()) {
+        throw new Error(`${field} must be a non-empty string`);
+      }
+      config[field] = raw[field].trim();
+    }
+
+    if (config.packageManager && !PACKAGE_MANAGERS.includes(config.packageManager)) {
+      throw new Error(`packageManager must be one of: ${PACKAGE_MANAGERS.join(', ')}`);
+    }
+
+    config.rootDirectory = config.rootDirectory ? normalizePath(config.rootDirectory, 'rootDirectory') : '';
+    if (config.outputDirectory) {
+      config.outputDirectory = normalizePath(config.outputDirectory, 'outputDirectory');
+    }
+
+    if (raw.buildEnv !== undefined && raw.buildEnv !== null) {
+      if (typeof raw.buildEnv !== 'object' || Array.isArray(raw.buildEnv)) {
+        throw new Error('buildEnv must be an object of variable names to values');
+      }
+
+      for (const [key, value] of Object.entries(raw.buildEnv)) {
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) {
+          throw new Error(`buildEnv: invalid variable name '${key}'`);
+        }
+        if (value !== null && typeof value === 'object') {
+          throw new Error(`buildEnv: ${key} must be a string, number or boolean`);
+        }
+        config.buildEnv[key] = String(value);
+      }
+    }
+
+    if (raw.hooks !== undefined && raw.hooks !== null) {
+      if (typeof raw.hooks !== 'object' || Array.isArray(raw.hooks)) {
+        throw new Error('hooks must be an object of hook names to script paths');
+      }
+
+      for (const [hook, script] of Object.entries(raw.hooks)) {
+        if (!HOOKS.includes(hook)) {
+          throw new Error(`hooks: unknown hook '${hook}' (expected one of: ${HOOKS.join(', ')})`);
+        }
+        if (typeof script !== 'string' || !script.trim()) {
+          throw new Error(`hooks: ${hook} must be a script path`);
+        }
+        config.hooks[hook] = normalizePath(script.trim(), `hooks.${hook}`);
+        if (!config.hooks[hook]) {
+          throw new Error(`hooks: ${hook} must be a script path`);
+        }
+      }
+    }
+  } catch (err) {
+    throw new Error(`Invalid ${label}: ${err.message}`);
+  }
+
+  return config;
+}
+
+/**
+ * Load an app's build settings
+ * @param {string} appPath - Path to app directory
+ * @returns {Object} - { recipe, packageManager, installCommand, buildCommand,
+ *   rootDirectory, outputDirectory, buildEnv, hooks, source } where source is
+ *   'platformx.json', 'package.json' or null when nothing is declared.
+ *   Throws if the settings are invalid.
+ */
+function loadProjectConfig(appPath) {
+  const configPath = path.join(appPath, CONFIG_FILE);
+  if (fs.existsSync(configPath)) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Invalid ${CONFIG_FILE}: ${err.message}`);
+    }
+    return normalizeConfig(raw, CONFIG_FILE);
+  }
+
+  const packageJsonPath = path.join(appPath, 'package.json');
+  if (fs.existsSync(packageJsonPath)) {
+    let packageJson = null;
+    try {
+      packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
+    } catch (err) {
+      // Reported by the app validator
+    }
+
+    if (packageJson && packageJson.platformx !== undefined) {
+      return normalizeConfig(packageJson.platformx, 'package.json', '"platformx" key in package.json');
+    }
+  }
+
+  return normalizeConfig({}, null);
+}
+
+module.exports = {
+  CONFIG_FILE,
+  PACKAGE_MANAGERS,
+  HOOKS,
+  loadProjectConfig
+};
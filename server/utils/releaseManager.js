@@ -0,0 +1,410 @@
+/**
+ * releaseManager.js
+ * Immutable, numbered releases per app with an atomically switched "current"
+ *
+ * Layout:
+ *   server/releases/<slug>/v1, v2, ...   one directory per release (never modified after activation)
+ *   server/apps/<slug> -> ../releases/<slug>/vN   symlink to the current release
+ *
+ * Everything that reads server/apps/<slug> keeps working unchanged. Switching
+ * releases replaces the symlink with rename(2), so requests never see a
+ * half-written app directory. The app's .env is configuration rather than
+ * code and is carried over to whichever release is activated.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const Logger = require('./logger');
+
+const APPS_DIR = path.join(__dirname, '../apps');
+const RELEASES_DIR = path.join(__dirname, '../releases');
+
+// Number of ready releases kept on disk per app (the current one is always kept)
+const DEFAULT_RELEASES_TO_KEEP = 10;
+
+class ReleaseManager {
+  constructor() {
+    this.appsDir = APPS_DIR;
+    this.releasesDir = RELEASES_DIR;
+  }
+
+  /**
+   * Number of ready releases kept on disk per app
+   * @returns {number}
+   */
+  getReleasesToKeep() {
+    const keep = parseInt(process.env.RELEASES_TO_KEEP, 10);
+    return keep > 0 ? keep : DEFAULT_RELEASES_TO_KEEP;
+  }
+
+  /**
+   * Get the directory holding all releases of an app
+   * @param {string} slug
+   * @returns {string}
+   */
+  getAppReleasesDir(slug) {
+    return path.join(this.releasesDir, slug);
+  }
+
+  /**
+   * Get the directory of one release
+   * @param {string} slug
+   * @param {number} version
+   * @returns {string}
+   */
+  getReleasePath(slug, version) {
+    return path.join(this.getAppReleasesDir(slug), `v${version}`);
+  }
+
+  /**
+   * Check whether server/apps/<slug> is a release symlink
+   * @param {string} slug
+   * @returns {Promise<boolean>}
+   */
+  async isReleaseManaged(slug) {
+    try {
+      const stat = await fs.lstat(path.join(this.appsDir, slug));
+      return stat.isSymbolicLink();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Allocate the next release number for an app
+   * @param {string} slug
+   * @returns {Promise<number>}
+   */
+  async getNextVersion(slug) {
+    const Release = require('../models/Release');
+    const latest = await Release.findOne({ appSlug: slug }).sort({ version: -1 });
+    return latest ? latest.version + 1 : 1;
+  }
+
+  /**
+   * Move a directory, falling back to copy + delete across filesystems
+   * @param {string} src
+   * @param {string} dest
+   */
+  async moveDirectory(src, dest) {
+    try {
+      await fs.rename(src, dest);
+    } catch (error) {
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      await fs.cp(src, dest, { recursive: true, verbatimSymlinks: true });
+      await fs.rm(src, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Turn an app directory deployed before release history existed (or restored
+   * from a backup) into a release, so it can be rolled back to later
+   * @param {string} slug
+   * @param {Object} options - { source, uploadedBy }
+   * @returns {Promise<Object|null>} - Release document, or null if nothing to adopt
+   */
+  async adoptExisting(slug, options = {}) {
+    const appPath = path.join(this.appsDir, slug);
+
+    let stat;
+    try {
+      stat = await fs.lstat(appPath);
+    } catch (error) {
+      return null;
+    }
+
+    if (stat.isSymbolicLink() || !stat.isDirectory()) {
+      return null;
+    }
+
+    const App = require('../models/App');
+    const app = await App.findBySlug(slug);
+
+    const release = await this.createRelease(slug, appPath, {
+      source: options.source || 'existing',
+      uploadedBy: options.uploadedBy || null,
+      branch: app ? app.repoBranch : null,
+      config: app ? {
+        entryFile: app.entryFile,
+        appType: app.appType,
+        buildDir: app.buildDir
+      } : {}
+    });
+
+    await this.activate(slug, release.version);
+    console.log(`[ReleaseManager] Adopted existing directory of ${slug} as v${release.version}`);
+    return release;
+  }
+
+  /**
+   * Store a prepared app directory as a new (pending) release
+   * The caller finishes the deploy inside the release directory (e.g. installs
+   * dependencies) and then calls activate() or fail().
+   * @param {string} slug
+   * @param {string} sourcePath - Directory with the app files
+   * @param {Object} meta - { source, copy, commitSha, branch, uploadedBy, config, build }
+   * @returns {Promise<Object>} - Release document
+   */
+  async createRelease(slug, sourcePath, meta = {}) {
+    const Release = require('../models/Release');
+
+    // A plain app directory would block the symlink switch
+    if (path.resolve(sourcePath) !== path.join(this.appsDir, slug)) {
+      await this.adoptExisting(slug, { uploadedBy: meta.uploadedBy });
+    }
+
+    await fs.mkdir(this.getAppReleasesDir(slug), { recursive: true });
+
+    const version = await this.getNextVersion(slug);
+    const releasePath = this.getReleasePath(slug, version);
+
+    const release = await Release.create({
+      appSlug: slug,
+      version,
+      source: meta.source,
+      commitSha: meta.commitSha || null,
+      branch: meta.branch || null,
+      uploadedBy: meta.uploadedBy || null,
+      config: meta.config || {},
+      build: meta.build || {}
+    });
+
+    try {
+      if (meta.copy) {
+        // sourcePath may be the app symlink; copy the release it points at
+        const realSource = await fs.realpath(sourcePath);
+        await fs.cp(realSource, releasePath, { recursive: true, verbatimSymlinks: true });
+      } else {
+        await this.moveDirectory(sourcePath, releasePath);
+      }
+    } catch (error) {
+      await this.fail(release, `Failed to store release files: ${error.message}`);
+      throw error;
+    }
+
+    console.log(`[ReleaseManager] Created ${slug} v${version} (${meta.source})`);
+    return release;
+  }
+
+  /**
+   * Mark a release as failed and remove its files
+   * @param {Object} release - Release document
+   * @param {string} error - Reason the deploy failed
+   */
+  async fail(release, error) {
+    try {
+      await fs.rm(this.getReleasePath(release.appSlug, release.version), { recursive: true, force: true });
+    } catch (err) {
+      console.error(`[ReleaseManager] Failed to remove files of ${release.appSlug} v${release.version}:`, err.message);
+    }
+
+    release.status = 'failed';
+    release.error = error;
+    await release.save();
+
+    await Logger.log(release.appSlug, 'release', `Release v${release.version} failed: ${error}`, {
+      version: release.version,
+      source: release.source
+    }, 'error');
+  }
+
+  /**
+   * Make a release the current one
+   * @param {string} slug
+   * @param {number} version
+   * @returns {Promise<Object>} - Activated release document
+   */
+  async activate(slug, version) {
+    const Release = require('../models/Release');
+    const App = require('../models/App');
+
+    const release = await Release.findVersion(slug, version);
+    if (!release) {
+      throw new Error(`Release v${version} not found`);
+    }
+    if (release.status === 'failed' || release.status === 'pruned') {
+      throw new Error(`Release v${version} is ${release.status} and cannot be activated`);
+    }
+
+    const releasePath = this.getReleasePath(slug, version);
+    if (!fsSync.existsSync(releasePath)) {
+      throw new Error(`Files for release v${version} are missing`);
+    }
+
+    // Carry the live .env over to the release being activated
+    const liveEnvPath = path.join(this.appsDir, slug, '.env');
+    const liveReleasePath = fsSync.existsSync(path.join(this.appsDir, slug))
+      ? await fs.realpath(path.join(this.appsDir, slug))
+      : null;
+    if (liveReleasePath && liveReleasePath !== releasePath && fsSync.existsSync(liveEnvPath)) {
+      await fs.copyFile(liveEnvPath, path.join(releasePath, '.env'));
+    }
+
+    await this.linkRelease(slug, version);
+
+    release.status = 'ready';
+    release.activatedAt = new Date();
+    await release.save();
+
+    await App.findOneAndUpdate(
+      { slug },
+      {
+        currentRelease: version,
+        entryFile: release.config.entryFile,
+        appType: release.config.appType,
+        buildDir: release.config.buildDir,
+        deployedCommitSha: release.commitSha || null,
+        updatedAt: new Date()
+      }
+    );
+
+    console.log(`[ReleaseManager] ${slug} is now on v${version}`);
+
+    await this.prune(slug, version);
+    return release;
+  }
+
+  /**
+   * Atomically point server/apps/<slug> at a release directory
+   * @param {string} slug
+   * @param {number} version
+   */
+  async linkRelease(slug, version) {
+    await fs.mkdir(this.appsDir, { recursive: true });
+
+    const target = path.relative(this.appsDir, this.getReleasePath(slug, version));
+    const tmpLink = path.join(this.getAppReleasesDir(slug), `.current-${Date.now()}`);
+
+    await fs.symlink(target, tmpLink, 'dir');
+    try {
+      await fs.rename(tmpLink, path.join(this.appsDir, slug));
+    } catch (error) {
+      await fs.rm(tmpLink, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Switch an app back to an earlier release
+   * @param {string} slug
+   * @param {number} version - Release to switch to
+   * @param {Object} options - { rolledBackBy }
+   * @returns {Promise<Object>} - { release, previousVersion }
+   */
+  async rollback(slug, version, options = {}) {
+    const App = require('../models/App');
+    const app = await App.findBySlug(slug);
+    const previousVersion = app ? app.currentRelease : null;
+
+    if (previousVersion === version) {
+      throw new Error(`Release v${version} is already current`);
+    }
+
+    const release = await this.activate(slug, version);
+
+    await Logger.log(slug, 'rollback', `Rolled back from v${previousVersion} to v${version}`, {
+      from: previousVersion,
+      to: version,
+      rolledBackBy: options.rolledBackBy || null
+    }, 'warn');
+
+    return { release, previousVersion };
+  }
+
+  /**
+   * Remove files of old releases beyond the retention limit
+   * Metadata is kept so the history stays complete.
+   * @param {string} slug
+   * @param {number} currentVersion - Release that must be kept (as is the app's canary release)
+   */
+  async prune(slug, currentVersion) {
+    const Release = require('../models/Release');
+    const App = require('../models/App');
+    const ready = await Release.find({ appSlug: slug, status: 'ready' }).sort({ version: -1 });
+    const keep = this.getReleasesToKeep();
+
+    // A release under canary is still taking traffic
+    const app = await App.findBySlug(slug);
+    const canaryVersion = app && app.canary ? app.canary.release : null;
+
+    const stale = ready
+      .filter(release => release.version !== currentVersion && release.version !== canaryVersion)
+      .slice(Math.max(0, keep - 1));
+
+    for (const release of stale) {
+      try {
+        await fs.rm(this.getReleasePath(slug, release.version), { recursive: true, force: true });
+        release.status = 'pruned';
+        await release.save();
+        console.log(`[ReleaseManager] Pruned ${slug} v${release.version}`);
+      } catch (error) {
+        console.error(`[ReleaseManager] Failed to prune ${slug} v${release.version}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Move release history along with a renamed app
+   * Call after server/apps/<oldSlug> has been renamed to server/apps/<newSlug>.
+   * @param {string} oldSlug
+   * @param {string} newSlug
+   */
+  async renameApp(oldSlug, newSlug) {
+    const Release = require('../models/Release');
+    const oldDir = this.getAppReleasesDir(oldSlug);
+
+    if (!fsSync.existsSync(oldDir)) {
+      return;
+    }
+
+    await fs.rename(oldDir, this.getAppReleasesDir(newSlug));
+    await Release.updateMany({ appSlug: oldSlug }, { appSlug: newSlug });
+
+    // The relative symlink still names the old slug
+    const App = require('../models/App');
+    const app = await App.findBySlug(newSlug);
+    if (app && app.currentRelease && await this.isReleaseManaged(newSlug)) {
+      await this.linkRelease(newSlug, app.currentRelease);
+    }
+  }
+
+  /**
+   * Remove all releases of a deleted app
+   * @param {string} slug
+   */
+  async deleteApp(slug) {
+    const Release = require('../models/Release');
+    await fs.rm(this.getAppReleasesDir(slug), { recursive: true, force: true });
+    await Release.deleteMany({ appSlug: slug });
+  }
+
+  /**
+   * Format a release for API responses
+   * @param {Object} release - Release document
+   * @param {number|null} currentVersion - App's current release
+   * @returns {Object}
+   */
+  formatRelease(release, currentVersion) {
+    return {
+      id: release.version,
+      version: release.version,
+      source: release.source,
+      status: release.status,
+      current: release.version === currentVersion,
+      commitSha: release.commitSha,
+      branch: release.branch,
+      uploadedBy: release.uploadedBy,
+      config: release.config,
+      build: release.build,
+      error: release.error,
+      createdAt: release.createdAt,
+      activatedAt: release.activatedAt
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new ReleaseManager();
@@ -0,0 +1,211 @@
+/**
+ * secretsManager.js
+ * Encrypted per-app secrets, kept apart from the plain .env file
+ *
+ * Values are encrypted with the platform key and stored in the Secret
+ * collection. The API only ever returns a masked value; the plaintext is
+ * decrypted when the app is loaded and merged into req.appEnv (secrets win
+ * over .env variables of the same name). Backups leave secrets out unless
+ * asked for, in which case they are re-encrypted under a passphrase.
+ */
+
+const crypto = require('crypto');
+const Secret = require('../models/Secret');
+const { encrypt, decrypt, deriveKey } = require('./encryption');
+
+const MASK = '••••••••';
+
+// Values at least this long show their last 4 characters when masked
+const MIN_REVEAL_LENGTH = 16;
+
+const MAX_VALUE_LENGTH = 64 * 1024;
+
+const BACKUP_FORMAT_VERSION = 1;
+
+class SecretsManager {
+  /**
+   * Masked form of a value, enough to tell two values apart
+   * @param {string} value
+   * @returns {string}
+   */
+  mask(value) {
+    return value.length >= MIN_REVEAL_LENGTH ? `${MASK}${value.slice(-4)}` : MASK;
+  }
+
+  /**
+   * Check a secret value before storing it
+   * @param {*} value
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateValue(value) {
+    if (typeof value !== 'string' || value === '') {
+      return 'value must be a non-empty string';
+    }
+    if (value.length > MAX_VALUE_LENGTH) {
+      return `value must be at most ${MAX_VALUE_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Secrets of an app, masked
+   * @param {string} slug
+   * @returns {Promise<Array>}
+   */
+  async list(slug) {
+    const secrets = await Secret.find({ appSlug: slug }).sort({ key: 1 });
+    return secrets.map(secret => this.format(secret));
+  }
+
+  /**
+   * Create or rotate a secret
+   * @param {string} slug
+   * @param {string} key
+   * @param {string} value
+   * @param {string|null} updatedBy
+   * @returns {Promise<Object>} - { secret, created }
+   */
+  async set(slug, key, value, updatedBy = null) {
+    const existing = await Secret.findOne({ appSlug: slug, key });
+    const fields = {
+      value: encrypt(value),
+      masked: this.mask(value),
+      rotatedAt: new Date(),
+      updatedBy
+    };
+
+    if (existing) {
+      Object.assign(existing, fields);
+      await existing.save();
+      return { secret: this.format(existing), created: false };
+    }
+
+    const secret = await Secret.create({ appSlug: slug, key, ...fields });
+    return { secret: this.format(secret), created: true };
+  }
+
+  /**
+   * Delete a secret
+   * @param {string} slug
+   * @param {string} key
+   * @returns {Promise<boolean>} - Whether the secret existed
+   */
+  async remove(slug, key) {
+    const result = await Secret.deleteOne({ appSlug: slug, key });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Delete all secrets of an app
+   * @param {string} slug
+   */
+  async removeAll(slug) {
+    await Secret.deleteMany({ appSlug: slug });
+  }
+
+  /**
+   * Move secrets to an app's new slug
+   * @param {string} oldSlug
+   * @param {string} newSlug
+   */
+  async rename(oldSlug, newSlug) {
+    await Secret.updateMany({ appSlug: oldSlug }, { appSlug: newSlug });
+  }
+
+  /**
+   * Decrypted secrets of an app, for its environment
+   * Secrets that can't be decrypted are left out and reported.
+   * @param {string} slug
+   * @returns {Promise<Object>} - { KEY: value }
+   */
+  async load(slug) {
+    const secrets = await Secret.find({ appSlug: slug });
+    const env = {};
+
+    for (const secret of secrets) {
+      try {
+        env[secret.key] = decrypt(secret.value);
+      } catch (error) {
+        console.error(`[SECRETS] Failed to decrypt ${secret.key} for ${slug}: ${error.message}`);
+      }
+    }
+
+    return env;
+  }
+
+  /**
+   * Secrets of an app re-encrypted under a passphrase, for a backup
+   * @param {string} slug
+   * @param {string} passphrase
+   * @returns {Promise<Object>} - Contents of the backup's secrets.json
+   */
+  async exportForBackup(slug, passphrase) {
+    const salt = crypto.randomBytes(16);
+    const key = deriveKey(passphrase, salt);
+    const secrets = await Secret.find({ appSlug: slug }).sort({ key: 1 });
+
+    return {
+      version: BACKUP_FORMAT_VERSION,
+      salt: salt.toString('base64'),
+      secrets: secrets.map(secret => ({
+        key: secret.key,
+        value: encrypt(decrypt(secret.value), key),
+        rotatedAt: secret.rotatedAt
+      }))
+    };
+  }
+
+  /**
+   * Decrypt the secrets of a backup
+   * @param {Object} data - Contents of the backup's secrets.json
+   * @param {string} passphrase
+   * @returns {Array} - [{ key, value, rotatedAt }] in plaintext
+   * @throws {Error} If the passphrase is wrong
+   */
+  readBackup(data, passphrase) {
+    if (!data || data.version !== BACKUP_FORMAT_VERSION || !Array.isArray(data.secrets)) {
+      throw new Error('Unsupported secrets format in backup');
+    }
+
+    const key = deriveKey(passphrase, Buffer.from(data.salt, 'base64'));
+    try {
+      return data.secrets.map(secret => ({
+        key: secret.key,
+        value: decrypt(secret.value, key),
+        rotatedAt: secret.rotatedAt
+      }));
+    } catch (error) {
+      throw new Error('Wrong passphrase for the secrets in this backup');
+    }
+  }
+
+  /**
+   * Store secrets read from a backup
+   * @param {string} slug
+   * @param {Array} secrets - From readBackup
+   * @param {string|null} updatedBy
+   */
+  async restore(slug, secrets, updatedBy = null) {
+    for (const { key, value } of secrets) {
+      await this.set(slug, key, value, updatedBy);
+    }
+  }
+
+  /**
+   * Format a secret for API responses, without its value
+   * @param {Object} secret
+   * @returns {Object}
+   */
+  format(secret) {
+    return {
+      key: secret.key,
+      value: secret.masked,
+      rotatedAt: secret.rotatedAt,
+      updatedBy: secret.updatedBy,
+      createdAt: secret.createdAt
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new SecretsManager();
@@ -0,0 +1,241 @@
+/**
+ * sessionManager.js
+ * Server-side login sessions and their rotating refresh tokens
+ *
+ * Logging in creates a session and returns a short-lived access token (a JWT
+ * carrying the session id) and a refresh token. Each refresh replaces the
+ * refresh token; the old one stops working. If an old token is presented
+ * again after the rotation grace period, it was copied by someone else, so
+ * the whole session is revoked.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+// Sessions end after this long without a refresh
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Concurrent refreshes (e.g. two tabs) may present the token that was just
+// replaced; within this window that is not treated as theft
+const ROTATION_GRACE = 30 * 1000; // 30 seconds
+
+// lastSeenAt is updated at most this often
+const TOUCH_INTERVAL = 60 * 1000; // 1 minute
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function sameHash(a, b) {
+  return !!a && !!b && a.length === b.length &&
+    crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+/**
+ * Short browser and OS description from a User-Agent header
+ * @param {string} userAgent
+ * @returns {string} - e.g. "Firefox on Linux"
+ */
+function describeDevice(userAgent = '') {
+  const browsers = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Firefox\//, 'Firefox'],
+    [/Chrome\//, 'Chrome'],
+    [/Safari\//, 'Safari'],
+    [/curl\//, 'curl']
+  ];
+  const systems = [
+    [/Windows/, 'Windows'],
+    [/iPhone|iPad/, 'iOS'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Android/, 'Android'],
+    [/Linux/, 'Linux']
+  ];
+
+  const browser = browsers.find(([pattern]) => pattern.test(userAgent));
+  const system = systems.find(([pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return 'Unknown device';
+  }
+  if (!system) {
+    return browser[1];
+  }
+  return browser ? `${browser[1]} on ${system[1]}` : system[1];
+}
+
+class SessionManager {
+  /**
+   * New refresh token for a session: "<session id>.<random secret>"
+   */
+  issueToken(session) {
+    const token = `${session._id}.${crypto.randomBytes(32).toString('base64url')}`;
+    return { token, hash: hashToken(token) };
+  }
+
+  /**
+   * Start a session for a user who just logged in
+   * @param {Object} user - User document
+   * @param {Object} req - Express request, for the device and IP
+   * @returns {Promise<Object>} - { session, refreshToken }
+   */
+  async create(user, req) {
+    const userAgent = req.get('user-agent') || '';
+    const session = new Session({
+      userId: user._id,
+      tokenHash: 'pending',
+      device: describeDevice(userAgent),
+      userAgent,
+      ip: req.ip || null,
+      expiresAt: new Date(Date.now() + SESSION_TTL)
+    });
+
+    const { token, hash } = this.issueToken(session);
+    session.tokenHash = hash;
+    await session.save();
+
+    return { session, refreshToken: token };
+  }
+
+  /**
+   * Exchange a refresh token for a new one
+   * @param {string} refreshToken
+   * @param {Object} req - Express request
+   * @returns {Promise<Object|null>} - { session, refreshToken }, or null if the token is not valid
+   */
+  async rotate(refreshToken, req) {
+    const session = await this.findByToken(refreshToken);
+    if (!session || session.expiresAt < new Date()) {
+      return null;
+    }
+
+    const hash = hashToken(refreshToken);
+    const { token, hash: newHash } = this.issueToken(session);
+    const now = new Date();
+
+    // Matching on the presented token makes the swap atomic: of several
+    // refreshes with the same token, only one gets a new token
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash: hash, expiresAt: { $gt: now } },
+      {
+        previousTokenHash: hash,
+        tokenHash: newHash,
+        rotatedAt: now,
+        lastSeenAt: now,
+        ip: req.ip || session.ip,
+        expiresAt: new Date(now.getTime() + SESSION_TTL)
+      },
+      { new: true }
+    );
+    if (rotated) {
+      return { session: rotated, refreshToken: token };
+    }
+
+    // Not the current token: fine if it was just replaced, otherwise reused
+    const current = await Session.findById(session._id);
+    if (!current) {
+      return null;
+    }
+    if (sameHash(hash, current.previousTokenHash) && now - current.rotatedAt < ROTATION_GRACE) {
+      return null;
+    }
+
+    console.warn(`[SESSIONS] Refresh token reused for session ${session._id}, revoking it`);
+    await Session.deleteOne({ _id: session._id });
+    return null;
+  }
+
+  /**
+   * Session a refresh token belongs to, without checking the token itself
+   * @param {string} refreshToken
+   * @returns {Promise<Object|null>}
+   */
+  async findByToken(refreshToken) {
+    const [id] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+    if (!id || !/^[a-f0-9]{24}$/.test(id)) {
+      return null;
+    }
+    return Session.findById(id);
+  }
+
+  /**
+   * Active session of an access token
+   * @param {string} id - Session id from the token
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const session = await Session.findById(id);
+    return session && session.expiresAt > new Date() ? session : null;
+  }
+
+  /**
+   * Record that a session was used
+   * @param {Object} session
+   * @param {Object} req - Express request
+   */
+  async touch(session, req) {
+    if (Date.now() - session.lastSeenAt < TOUCH_INTERVAL) {
+      return;
+    }
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date(), ip: req.ip || session.ip });
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  list(userId) {
+    return Session.find({ userId, expiresAt: { $gt: new Date() } }).sort({ lastSeenAt: -1 });
+  }
+
+  /**
+   * End one session of a user
+   * @param {string} userId
+   * @param {string} id
+   * @returns {Promise<boolean>} - Whether the session existed
+   */
+  async revoke(userId, id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return false;
+    }
+    const result = await Session.deleteOne({ _id: id, userId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * End all sessions of a user
+   * @param {string} userId
+   * @param {string|null} exceptId - Session to keep, e.g. the current one
+   * @returns {Promise<number>} - Number of sessions ended
+   */
+  async revokeAll(userId, exceptId = null) {
+    const filter = exceptId ? { userId, _id: { $ne: exceptId } } : { userId };
+    const result = await Session.deleteMany(filter);
+    return result.deletedCount;
+  }
+
+  /**
+   * Format a session for API responses
+   * @param {Object} session
+   * @param {string|null} currentId - Session of the request
+   * @returns {Object}
+   */
+  format(session, currentId = null) {
+    return {
+      id: session._id.toString(),
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === currentId
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new SessionManager();
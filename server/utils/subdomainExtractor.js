@@ -3,10 +3,11 @@
  * Extracts and validates subdomain from hostname
  */
 
-const PLATFORM_HOST = 'platformx.localhost';
+const { matchPlatformDomain } = require('./platformDomains');
 
 /**
  * Extract subdomain and determine if request is for platform or app
+ * Works against every configured base domain (see platformDomains.js)
  * @param {string} hostname - Request hostname (e.g., "shop.platformx.localhost")
  * @returns {Object} - { isPlatform: boolean, appName: string|null }
  */
@@ -19,25 +20,26 @@ function extractSubdomain(hostname) {
   }
 
   const normalizedHost = hostname.toLowerCase();
+  const baseDomain = matchPlatformDomain(normalizedHost);
 
-  // Direct platform access (no subdomain)
-  if (normalizedHost === PLATFORM_HOST) {
+  // Check if hostname is part of a platform domain
+  if (!baseDomain) {
     return {
-      isPlatform: true,
+      isPlatform: false,
       appName: null,
     };
   }
 
-  // Check if hostname is part of platform domain
-  if (!normalizedHost.endsWith(`.${PLATFORM_HOST}`)) {
+  // Direct platform access (no subdomain)
+  if (normalizedHost === baseDomain) {
     return {
-      isPlatform: false,
+      isPlatform: true,
       appName: null,
     };
   }
 
   // Extract subdomain (everything before the platform domain)
-  const subdomain = normalizedHost.slice(0, -(PLATFORM_HOST.length + 1));
+  const subdomain = normalizedHost.slice(0, -(baseDomain.length + 1));
 
   // Validate subdomain format
   const isValid = isValidAppName(subdomain);
@@ -96,6 +98,5 @@ function isValidAppName(appName) {
 
 module.exports = {
   extractSubdomain,
-  isValidAppName,
-  PLATFORM_HOST
+  isValidAppName
 };
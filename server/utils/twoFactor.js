@@ -0,0 +1,226 @@
+/**
+ * twoFactor.js
+ * Optional TOTP two-factor authentication for dashboard users
+ *
+ * Setting up stores a pending secret that only becomes active once a code
+ * from the authenticator app confirms it. Enabling returns one-time recovery
+ * codes for a lost device; only their hashes are kept.
+ *
+ * With 2FA enabled, a correct password at login only yields a short-lived
+ * challenge token, which is exchanged for a session together with a code.
+ * A challenge allows a few codes; after that the password is needed again.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const totp = require('./totp');
+const User = require('../models/User');
+const { encrypt, decrypt } = require('./encryption');
+
+const ISSUER = 'PlatformX';
+const RECOVERY_CODE_COUNT = 10;
+
+// Time to enter the code after the password
+const CHALLENGE_TTL = 5 * 60; // 5 minutes, in seconds
+
+// Codes that can be tried with one challenge
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+function hashCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+// Recovery codes are compared without dashes, spaces or case
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+class TwoFactor {
+  isEnabled(user) {
+    return !!(user.twoFactor && user.twoFactor.enabled);
+  }
+
+  /**
+   * Start setting up 2FA with a new secret
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} - { secret, otpauthUri, qrCode } where qrCode is a data URL
+   */
+  async setup(user) {
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = encrypt(secret);
+    await user.save();
+
+    const otpauthUri = totp.otpauthUri(secret, user.username, ISSUER);
+    return {
+      secret,
+      otpauthUri,
+      qrCode: await QRCode.toDataURL(otpauthUri)
+    };
+  }
+
+  /**
+   * Enable 2FA once a code confirms the pending secret
+   * @param {Object} user - User document
+   * @param {string} code
+   * @returns {Promise<string[]|null>} - Recovery codes, or null if the code is wrong
+   */
+  async enable(user, code) {
+    if (!user.twoFactor.pendingSecret) {
+      return null;
+    }
+
+    const secret = decrypt(user.twoFactor.pendingSecret);
+    const step = totp.verify(secret, code);
+    if (step === null) {
+      return null;
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    return this.regenerateRecoveryCodes(user);
+  }
+
+  /**
+   * Turn 2FA off and forget the secret and recovery codes
+   * @param {Object} user - User document
+   */
+  async disable(user) {
+    user.twoFactor = {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodes: [],
+      lastUsedStep: -1,
+      enabledAt: null,
+      challengeId: null,
+      challengeAttempts: 0
+    };
+    await user.save();
+  }
+
+  /**
+   * Replace the recovery codes
+   * @param {Object} user - User document
+   * @returns {Promise<string[]>} - The new codes, shown once
+   */
+  async regenerateRecoveryCodes(user) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    user.twoFactor.recoveryCodes = codes.map(code => hashCode(normalizeRecoveryCode(code)));
+    await user.save();
+    return codes;
+  }
+
+  /**
+   * Check a code from the authenticator app or a recovery code
+   * Used recovery codes are removed, and an app code can't be used twice.
+   * @param {Object} user - User document with 2FA enabled
+   * @param {string} code
+   * @returns {Promise<string|null>} - 'totp', 'recovery' or null if wrong
+   */
+  async verify(user, code) {
+    const step = totp.verify(decrypt(user.twoFactor.secret), code, user.twoFactor.lastUsedStep);
+    if (step !== null) {
+      user.twoFactor.lastUsedStep = step;
+      await user.save();
+      return 'totp';
+    }
+
+    const hash = hashCode(normalizeRecoveryCode(code));
+    if (user.twoFactor.recoveryCodes.includes(hash)) {
+      user.twoFactor.recoveryCodes = user.twoFactor.recoveryCodes.filter(entry => entry !== hash);
+      await user.save();
+      return 'recovery';
+    }
+
+    return null;
+  }
+
+  /**
+   * Token proving the password was correct, exchanged for a session with a code
+   * Replaces any earlier challenge of the user.
+   * @param {Object} user - User document
+   * @returns {Promise<string>}
+   */
+  async issueChallenge(user) {
+    const challengeId = crypto.randomBytes(16).toString('hex');
+    await User.updateOne(
+      { _id: user._id },
+      { 'twoFactor.challengeId': challengeId, 'twoFactor.challengeAttempts': 0 }
+    );
+
+    return jwt.sign({ id: user._id.toString(), purpose: '2fa', cid: challengeId }, process.env.JWT_SECRET, {
+      expiresIn: CHALLENGE_TTL
+    });
+  }
+
+  /**
+   * Use up one attempt of a challenge token
+   * Counted before the code is checked, so parallel guesses can't get more
+   * attempts than MAX_CHALLENGE_ATTEMPTS.
+   * @param {string} token
+   * @returns {Promise<Object|null>} - User document, or null if the challenge is invalid, replaced or used up
+   */
+  async claimChallenge(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(String(token || ''), process.env.JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+    if (decoded.purpose !== '2fa' || !decoded.cid) {
+      return null;
+    }
+
+    return User.findOneAndUpdate(
+      {
+        _id: decoded.id,
+        'twoFactor.challengeId': decoded.cid,
+        'twoFactor.challengeAttempts': { $lt: MAX_CHALLENGE_ATTEMPTS }
+      },
+      { $inc: { 'twoFactor.challengeAttempts': 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Attempts left on a user's current challenge
+   * @param {Object} user - User document returned by claimChallenge
+   * @returns {number}
+   */
+  attemptsLeft(user) {
+    return Math.max(0, MAX_CHALLENGE_ATTEMPTS - user.twoFactor.challengeAttempts);
+  }
+
+  /**
+   * Invalidate a user's challenge once it has been exchanged for a session
+   * @param {Object} user - User document
+   */
+  async endChallenge(user) {
+    user.twoFactor.challengeId = null;
+    user.twoFactor.challengeAttempts = 0;
+    await user.save();
+  }
+
+  /**
+   * 2FA status for API responses
+   * @param {Object} user - User document
+   * @returns {Object}
+   */
+  status(user) {
+    return {
+      enabled: this.isEnabled(user),
+      enabledAt: user.twoFactor ? user.twoFactor.enabledAt : null,
+      recoveryCodesLeft: user.twoFactor ? user.twoFactor.recoveryCodes.length : 0
+    };
+  }
+}
+
+module.exports = new TwoFactor();
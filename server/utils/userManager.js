@@ -0,0 +1,196 @@
+/**
+ * userManager.js
+ * Dashboard accounts: passwords, the initial owner and per-app grants
+ *
+ * The first time the platform starts with an empty user collection, an owner
+ * account is created from ADMIN_USERNAME / ADMIN_PASSWORD. After that those
+ * variables are no longer used for logging in; accounts are managed from the
+ * dashboard or /api/admin/users.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const { ROLES, APP_ROLES } = require('./permissions');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const BCRYPT_ROUNDS = 10;
+
+const USERNAME_PATTERN = /^[a-z0-9._-]+$/;
+
+class UserManager {
+  isValidUsername(username) {
+    return typeof username === 'string' && username.length <= 64 && USERNAME_PATTERN.test(username);
+  }
+
+  /**
+   * Check a new password
+   * @param {*} password
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Check a role and grants from a request body
+   * @param {*} role
+   * @param {*} apps - [{ slug, role }]
+   * @returns {string|null} - Error message, or null if valid
+   */
+  validateAccess(role, apps) {
+    if (role !== undefined && !ROLES.includes(role)) {
+      return `role must be one of: ${ROLES.join(', ')}`;
+    }
+    if (apps !== undefined) {
+      if (!Array.isArray(apps) || apps.some(grant =>
+        !grant || typeof grant.slug !== 'string' || !APP_ROLES.includes(grant.role))) {
+        return `apps must be an array of { slug, role } with role one of: ${APP_ROLES.join(', ')}`;
+      }
+    }
+    return null;
+  }
+
+  hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+  }
+
+  verifyPassword(user, password) {
+    return bcrypt.compare(password, user.passwordHash);
+  }
+
+  /**
+   * Create the initial owner from ADMIN_USERNAME / ADMIN_PASSWORD if there are no users
+   * ADMIN_PASSWORD may be plain text or a bcrypt hash.
+   * @returns {Promise<Object|null>} - The new owner, or null if nothing was created
+   */
+  async ensureOwner() {
+    if (await User.countDocuments() > 0) {
+      return null;
+    }
+
+    const username = process.env.ADMIN_USERNAME;
+    const password = process.env.ADMIN_PASSWORD;
+    if (!username || !password) {
+      return null;
+    }
+
+    const isHashed = password.startsWith('$2a$') || password.startsWith('$2b$');
+    return User.create({
+      username,
+      passwordHash: isHashed ? password : await this.hashPassword(password),
+      role: 'owner'
+    });
+  }
+
+  /**
+   * Find or create the account of a single sign-on user and apply their mapped role
+   * A role from a matching mapping rule always applies. Without one, new users
+   * and users still on the role SSO last gave them get the default role, and a
+   * role an admin has changed since is kept. App grants are kept; admins
+   * manage them as for any other user.
+   * @param {string} issuer - OIDC issuer
+   * @param {Object} claims - Verified claims (sub, email, preferred_username, ...)
+   * @param {string|null} mappedRole - Role of the matching OIDC_ROLE_MAPPING rules, null if none matched
+   * @param {string|null} defaultRole - OIDC_DEFAULT_ROLE, null if unset
+   * @param {string} username - Username to use if the account is new
+   * @returns {Promise<Object|null>} - User document, or null if the user gets no role
+   */
+  async upsertSsoUser(issuer, claims, mappedRole, defaultRole, username) {
+    let user = await User.findBySso(issuer, claims.sub);
+
+    const setByAdmin = !!user && user.sso.mappedRole !== null && user.role !== user.sso.mappedRole;
+    const role = mappedRole || (setByAdmin ? null : defaultRole);
+    if (!role && !setByAdmin) {
+      return null;
+    }
+
+    if (!user) {
+      // Never take over an existing local account with the same name
+      let candidate = username.slice(0, 60);
+      for (let suffix = 2; await User.findByUsername(candidate); suffix++) {
+        candidate = `${username.slice(0, 60)}-${suffix}`;
+      }
+
+      user = new User({
+        username: candidate,
+        // SSO users log in at the provider; this password is never revealed
+        passwordHash: await this.hashPassword(crypto.randomBytes(32).toString('hex')),
+        sso: { issuer, subject: String(claims.sub) },
+        createdBy: 'sso'
+      });
+    }
+
+    if (role) {
+      user.role = role;
+      user.sso.mappedRole = role;
+    }
+    user.sso.email = claims.email || null;
+    await user.save();
+    return user;
+  }
+
+  /**
+   * Grant a user developer access to an app they created
+   * Owners and admins already access every app.
+   * @param {Object} user - req.user
+   * @param {string} slug
+   */
+  async grantCreator(user, slug) {
+    if (!user || user.role !== 'developer') {
+      return;
+    }
+    await User.updateOne(
+      { _id: user.id, 'apps.slug': { $ne: slug } },
+      { $push: { apps: { slug, role: 'developer' } } }
+    );
+  }
+
+  /**
+   * Move grants to an app's new slug
+   * @param {string} oldSlug
+   * @param {string} newSlug
+   */
+  async renameApp(oldSlug, newSlug) {
+    await User.updateMany(
+      { 'apps.slug': oldSlug },
+      { $set: { 'apps.$[grant].slug': newSlug } },
+      { arrayFilters: [{ 'grant.slug': oldSlug }] }
+    );
+  }
+
+  /**
+   * Remove grants to a deleted app
+   * @param {string} slug
+   */
+  async removeApp(slug) {
+    await User.updateMany({ 'apps.slug': slug }, { $pull: { apps: { slug } } });
+  }
+
+  /**
+   * Format a user for API responses, without the password hash
+   * @param {Object} user
+   * @returns {Object}
+   */
+  format(user) {
+    return {
+      id: user._id ? user._id.toString() : user.id,
+      username: user.username,
+      role: user.role,
+      apps: (user.apps || []).map(grant => ({ slug: grant.slug, role: grant.role })),
+      disabled: !!user.disabled,
+      twoFactorEnabled: !!(user.twoFactor && user.twoFactor.enabled),
+      sso: !!(user.sso && user.sso.subject),
+      lastLoginAt: user.lastLoginAt || null,
+      createdBy: user.createdBy || null,
+      createdAt: user.createdAt
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new UserManager();
@@ -0,0 +1,567 @@
+const { fork, execFile } = require('child_process');
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const Logger = require('./logger');
+const MongoDBManager = require('./mongodbManager');
+const { HEADERS } = require('./workerProtocol');
+const { buildAppEnv, getAppTempDir, getTempEnv, getSandboxArgs } = require('./envIsolation');
+
+const WORKER_SCRIPT = path.join(__dirname, 'appWorkerProcess.js');
+const READY_TIMEOUT = 30000; // 30 seconds to load the app
+const KILL_TIMEOUT = 5000; // 5 seconds between SIGTERM and SIGKILL
+const DRAIN_TIMEOUT = 30000; // Max time a replaced worker may finish in-flight requests
+const USAGE_SAMPLE_INTERVAL = 5000; // How often worker memory and CPU time are measured
+
+// /proc/<pid>/stat counts CPU time in clock ticks (USER_HZ, 100 on Linux)
+const CLOCK_TICKS_PER_SECOND = 100;
+
+// Hop-by-hop headers that must not be copied from the worker response
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'upgrade'];
+
+/**
+ * Worker Manager
+ * Runs isolated apps in their own child processes and proxies requests to them
+ */
+class WorkerManager {
+  constructor() {
+    this.workers = new Map(); // appName -> worker
+    this.starting = new Map(); // appName -> Promise<worker>
+    this.retiring = new Set(); // replaced workers finishing in-flight requests
+    this.candidates = new Set(); // canary workers running next to an app's current worker
+    this.generation = 0;
+    this.sampler = null;
+  }
+
+  /**
+   * Get a unique local socket path for an app worker
+   * Each worker gets its own socket so a replacement can start while the
+   * current worker keeps serving.
+   * @param {string} appName - App name
+   * @returns {string}
+   */
+  getSocketPath(appName) {
+    this.generation += 1;
+    if (process.platform === 'win32') {
+      return `\\\\.\\pipe\\platformx-${appName}-${process.pid}-${this.generation}`;
+    }
+    // In the app's temp directory, the only one its worker may write to
+    return path.join(getAppTempDir(appName), `worker-${process.pid}-${this.generation}.sock`);
+  }
+
+  /**
+   * Fork a worker process for an app and wait until it is ready
+   * @param {string} appName - App name
+   * @param {Object} options - { appPath, entryFile, appEnv, maxMemoryMB, onExit }
+   * @returns {Promise<Object>} - Worker handle
+   */
+  start(appName, options) {
+    if (this.workers.has(appName)) {
+      return Promise.resolve(this.workers.get(appName));
+    }
+
+    // Concurrent first requests share the same startup
+    if (this.starting.has(appName)) {
+      return this.starting.get(appName);
+    }
+
+    const promise = this.spawnWorker(appName, options).finally(() => {
+      this.starting.delete(appName);
+    });
+    this.starting.set(appName, promise);
+
+    return promise;
+  }
+
+  /**
+   * Start a new worker for an app that already has one
+   * The current worker keeps serving until the new one is ready; the caller
+   * retires it once traffic has been switched over.
+   * @param {string} appName - App name
+   * @param {Object} options - Same as start()
+   * @returns {Promise<Object>} - New worker handle
+   */
+  replace(appName, options) {
+    return this.spawnWorker(appName, { ...options, standby: true });
+  }
+
+  /**
+   * Start a canary worker for a candidate release
+   * It only receives the traffic the caller forwards to it and is not the
+   * app's current worker until promoted.
+   * @param {string} appName - App name
+   * @param {Object} options - Same as start()
+   * @returns {Promise<Object>} - Candidate worker handle
+   */
+  startCandidate(appName, options) {
+    return this.spawnWorker(appName, { ...options, standby: true, candidate: true });
+  }
+
+  /**
+   * Make a candidate worker the app's current worker
+   * The previous worker should be retired by the caller.
+   * @param {Object} worker - Candidate worker handle
+   */
+  promote(worker) {
+    this.candidates.delete(worker);
+    this.workers.set(worker.appName, worker);
+  }
+
+  /**
+   * Spawn the worker process
+   */
+  spawnWorker(appName, { appPath, entryFile, appEnv = {}, maxMemoryMB = null, onExit = null, standby = false, candidate = false }) {
+    const socketPath = this.getSocketPath(appName);
+
+    // Confine the worker to the app's files and cap its heap so a runaway
+    // app fails on its own
+    const tempDir = getAppTempDir(appName);
+    const execArgv = getSandboxArgs(appPath, tempDir);
+    if (maxMemoryMB) {
+      execArgv.push(`--max-old-space-size=${maxMemoryMB}`);
+    }
+
+    const child = fork(WORKER_SCRIPT, [], {
+      cwd: appPath,
+      execArgv,
+      // The app's variables as its process.env, without the platform's secrets
+      env: { ...buildAppEnv(appEnv), ...getTempEnv(tempDir) },
+      stdio: ['ignore', 'inherit', 'inherit', 'ipc']
+    });
+
+    const worker = {
+      appName,
+      child,
+      pid: child.pid,
+      socketPath,
+      startedAt: Date.now(),
+      ready: false,
+      stopping: false,
+      activeRequests: 0,
+      lastError: null,
+      usage: null // Last measured { rss, cpuTimeMs }
+    };
+
+    return new Promise((resolve, reject) => {
+      const readyTimer = setTimeout(() => {
+        worker.lastError = `Worker did not become ready within ${READY_TIMEOUT / 1000} seconds`;
+        child.kill('SIGKILL');
+      }, READY_TIMEOUT);
+
+      child.on('message', (message) => {
+        if (!message) return;
+
+        if (message.type === 'ready') {
+          clearTimeout(readyTimer);
+          worker.ready = true;
+          if (candidate) {
+            this.candidates.add(worker);
+          } else {
+            this.workers.set(appName, worker);
+          }
+          console.log(`[WorkerManager] ✅ Worker ready for ${appName} (pid ${child.pid})`);
+          this.startSampler();
+          this.sampleUsage(worker);
+          resolve(worker);
+        } else if (message.type === 'error') {
+          worker.lastError = message.error;
+        }
+      });
+
+      child.on('error', (error) => {
+        worker.lastError = error.message;
+      });
+
+      child.once('exit', (code, signal) => {
+        clearTimeout(readyTimer);
+        this.removeSocket(socketPath);
+
+        if (this.workers.get(appName) === worker) {
+          this.workers.delete(appName);
+        }
+        const wasCandidate = this.candidates.delete(worker);
+
+        if (worker.stopping) {
+          console.log(`[WorkerManager] 🛑 Worker for ${appName} stopped`);
+          return;
+        }
+
+        const error = worker.lastError || `Worker process exited unexpectedly (code: ${code}, signal: ${signal})`;
+
+        // A replacement that fails to start leaves the current worker serving
+        if (standby && !worker.ready) {
+          console.error(`[WorkerManager] ❌ Replacement worker for ${appName} failed:`, error);
+          return reject(new Error(error));
+        }
+
+        // A replaced worker no longer receives new traffic
+        if (this.retiring.delete(worker)) {
+          console.warn(`[WorkerManager] Old worker for ${appName} exited while draining: ${error}`);
+          return;
+        }
+
+        // A crashed canary only takes itself out; the current release keeps serving
+        if (wasCandidate) {
+          console.error(`[WorkerManager] ❌ Canary worker for ${appName} crashed:`, error);
+          Logger.log(appName, 'error', `Canary worker crashed: ${error}`, { pid: worker.pid, code, signal }, 'error')
+            .catch(err => console.error('[WorkerManager] Failed to log canary crash:', err));
+          if (onExit) {
+            onExit(appName, error, worker);
+          }
+          return;
+        }
+
+        this.handleCrash(worker, error, code, signal);
+
+        if (!worker.ready) {
+          return reject(new Error(error));
+        }
+
+        if (onExit) {
+          onExit(appName, error, worker);
+        }
+      });
+
+      // The app's own database user, never the platform's MONGO_URI
+      MongoDBManager.getAppConnectionUri(appName).then((mongoUri) => {
+        if (!child.connected) return;
+        child.send({
+          type: 'init',
+          config: {
+            appName,
+            appPath,
+            entryFile,
+            appEnv,
+            mongoUri,
+            socketPath
+          }
+        });
+      }).catch((err) => {
+        // The worker waits for init; stop it so the load fails with this reason
+        worker.lastError = `Failed to set up the app's database connection: ${err.message}`;
+        child.kill('SIGKILL');
+      });
+    });
+  }
+
+  /**
+   * Measure the memory and CPU time of all workers at a regular interval
+   */
+  startSampler() {
+    if (this.sampler) {
+      return;
+    }
+
+    this.sampler = setInterval(() => {
+      for (const worker of [...this.workers.values(), ...this.candidates, ...this.retiring]) {
+        this.sampleUsage(worker);
+      }
+    }, USAGE_SAMPLE_INTERVAL);
+    this.sampler.unref();
+  }
+
+  /**
+   * Measure a worker's memory and CPU time from the platform's side
+   * The app can't report fake numbers, and a worker stuck in a busy loop is
+   * still measured (it couldn't report its own usage).
+   * @param {Object} worker - Worker handle
+   */
+  async sampleUsage(worker) {
+    try {
+      worker.usage = process.platform === 'linux'
+        ? await this.readProcUsage(worker.pid)
+        : await this.readPsUsage(worker.pid);
+    } catch (err) {
+      // The process exited between samples
+    }
+  }
+
+  /**
+   * Read a process's RSS and CPU time from /proc
+   * @param {number} pid
+   * @returns {Promise<Object>} - { rss, cpuTimeMs }
+   */
+  async readProcUsage(pid) {
+    const [stat, status] = await Promise.all([
+      fs.promises.readFile(`/proc/${pid}/stat`, 'utf8'),
+      fs.promises.readFile(`/proc/${pid}/status`, 'utf8')
+    ]);
+
+    // The command name may contain spaces, fields are counted after it
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    const ticks = Number(fields[11]) + Number(fields[12]); // utime + stime
+    const rssKB = Number((status.match(/^VmRSS:\s+(\d+)/m) || [])[1] || 0);
+
+    return {
+      rss: rssKB * 1024,
+      cpuTimeMs: (ticks / CLOCK_TICKS_PER_SECOND) * 1000
+    };
+  }
+
+  /**
+   * Read a process's RSS and CPU time with ps (macOS and other platforms)
+   * @param {number} pid
+   * @returns {Promise<Object>} - { rss, cpuTimeMs }
+   */
+  readPsUsage(pid) {
+    return new Promise((resolve, reject) => {
+      execFile('ps', ['-o', 'rss=,time=', '-p', String(pid)], (error, stdout) => {
+        if (error) {
+          return reject(error);
+        }
+
+        // time is [[dd-]hh:]mm:ss[.ss]
+        const [rssKB, time = '0'] = stdout.trim().split(/\s+/);
+        const [days, clock] = time.includes('-') ? time.split('-') : ['0', time];
+        const seconds = clock.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+
+        resolve({
+          rss: Number(rssKB) * 1024,
+          cpuTimeMs: (Number(days) * 86400 + seconds) * 1000
+        });
+      });
+    });
+  }
+
+  /**
+   * Record a worker crash on the App document and in the event log
+   */
+  async handleCrash(worker, error, code, signal) {
+    console.error(`[WorkerManager] ❌ Worker for ${worker.appName} crashed:`, error);
+
+    try {
+      const App = require('../models/App');
+      await App.findOneAndUpdate(
+        { slug: worker.appName },
+        {
+          status: 'error',
+          lastError: error,
+          updatedAt: new Date()
+        }
+      );
+    } catch (err) {
+      console.error(`[WorkerManager] Failed to update status for ${worker.appName}:`, err.message);
+    }
+
+    await Logger.log(worker.appName, 'error', `Isolated worker crashed: ${error}`, {
+      pid: worker.pid,
+      code,
+      signal
+    }, 'error');
+  }
+
+  /**
+   * Stop an app's worker process
+   * @param {string} appName - App name
+   * @returns {boolean} - Whether a worker was running
+   */
+  stop(appName) {
+    const worker = this.workers.get(appName);
+    if (!worker) {
+      return false;
+    }
+
+    this.workers.delete(appName);
+    this.stopWorker(worker);
+
+    return true;
+  }
+
+  /**
+   * Stop a replaced worker once its in-flight requests have finished
+   * @param {Object} worker - Worker handle
+   */
+  retire(worker) {
+    if (worker.stopping) {
+      return;
+    }
+
+    if (this.workers.get(worker.appName) === worker) {
+      this.workers.delete(worker.appName);
+    }
+
+    if (worker.activeRequests === 0) {
+      this.stopWorker(worker);
+      return;
+    }
+
+    console.log(`[WorkerManager] Draining ${worker.activeRequests} request(s) on old worker for ${worker.appName} (pid ${worker.pid})`);
+    this.retiring.add(worker);
+
+    const drainTimer = setTimeout(() => this.stopWorker(worker), DRAIN_TIMEOUT);
+    drainTimer.unref();
+  }
+
+  /**
+   * Terminate a worker process (SIGTERM, then SIGKILL)
+   * @param {Object} worker - Worker handle
+   */
+  stopWorker(worker) {
+    if (worker.stopping) {
+      return;
+    }
+
+    worker.stopping = true;
+    this.retiring.delete(worker);
+    this.candidates.delete(worker);
+
+    worker.child.kill('SIGTERM');
+
+    // Force kill if the app ignores SIGTERM
+    const killTimer = setTimeout(() => {
+      if (worker.child.exitCode === null && worker.child.signalCode === null) {
+        worker.child.kill('SIGKILL');
+      }
+    }, KILL_TIMEOUT);
+    killTimer.unref();
+  }
+
+  /**
+   * Stop all worker processes
+   */
+  stopAll() {
+    for (const appName of Array.from(this.workers.keys())) {
+      this.stop(appName);
+    }
+    for (const worker of [...this.retiring, ...this.candidates]) {
+      this.stopWorker(worker);
+    }
+  }
+
+  /**
+   * Check if an app has a running worker
+   * @param {string} appName - App name
+   */
+  isRunning(appName) {
+    return this.workers.has(appName);
+  }
+
+  /**
+   * Proxy a request to an app's worker over its local socket
+   * @param {Object} worker - Worker handle
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Function} next - Express next
+   */
+  forward(worker, req, res, next) {
+    const headers = {
+      ...req.headers,
+      'x-forwarded-for': req.ip,
+      'x-forwarded-host': req.hostname,
+      'x-forwarded-proto': req.protocol
+    };
+
+    if (req.id) {
+      headers['x-request-id'] = req.id;
+    }
+
+    if (req.baseUrl) {
+      headers[HEADERS.BASE_PATH] = req.baseUrl;
+    }
+
+    // Track in-flight requests so a replaced worker can drain before stopping
+    worker.activeRequests += 1;
+    res.once('close', () => {
+      worker.activeRequests -= 1;
+      if (this.retiring.has(worker) && worker.activeRequests === 0) {
+        this.stopWorker(worker);
+      }
+    });
+
+    // The platform body parsers may have consumed the stream already
+    let body = null;
+    if (req.body !== undefined) {
+      body = Buffer.from(JSON.stringify(req.body));
+      headers[HEADERS.PARSED_BODY] = '1';
+      if (req.headers['content-type']) {
+        headers[HEADERS.ORIGINAL_CONTENT_TYPE] = req.headers['content-type'];
+      }
+      headers['content-type'] = 'application/json';
+      headers['content-length'] = body.length;
+      delete headers['content-encoding'];
+      delete headers['transfer-encoding'];
+    }
+
+    const proxyReq = http.request({
+      socketPath: worker.socketPath,
+      method: req.method,
+      path: req.url,
+      headers
+    }, (proxyRes) => {
+      // App did not handle the route, pass to next middleware
+      if (proxyRes.headers[HEADERS.UNHANDLED]) {
+        proxyRes.resume();
+        return next();
+      }
+
+      res.status(proxyRes.statusCode);
+      for (const [name, value] of Object.entries(proxyRes.headers)) {
+        if (HOP_BY_HOP_HEADERS.includes(name)) {
+          continue;
+        }
+        // Keep cookies the platform already set (e.g. canary assignment)
+        if (name === 'set-cookie' && res.getHeader(name)) {
+          res.setHeader(name, [].concat(res.getHeader(name), value));
+          continue;
+        }
+        res.setHeader(name, value);
+      }
+      proxyRes.pipe(res);
+    });
+
+    proxyReq.on('error', (err) => {
+      console.error(`[WorkerManager] Error forwarding to ${worker.appName}:`, err.message);
+
+      if (!res.headersSent) {
+        res.status(502).json({
+          error: 'Application worker unavailable',
+          appName: worker.appName,
+          details: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+      }
+    });
+
+    // Abort the upstream request if the client goes away
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        proxyReq.destroy();
+      }
+    });
+
+    if (body) {
+      proxyReq.end(body);
+    } else {
+      req.pipe(proxyReq);
+    }
+  }
+
+  /**
+   * Remove a stale unix socket file
+   */
+  removeSocket(socketPath) {
+    if (process.platform === 'win32') return;
+
+    try {
+      if (fs.existsSync(socketPath)) {
+        fs.unlinkSync(socketPath);
+      }
+    } catch (err) {
+      console.error(`[WorkerManager] Failed to remove socket ${socketPath}:`, err.message);
+    }
+  }
+
+  /**
+   * Get info about running workers
+   */
+  getWorkers() {
+    return [...this.workers.values(), ...this.candidates].map(worker => ({
+      appName: worker.appName,
+      pid: worker.pid,
+      candidate: this.candidates.has(worker),
+      startedAt: new Date(worker.startedAt).toISOString()
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new WorkerManager();
@@ -0,0 +1,19 @@
+/**
+ * workerProtocol.js
+ * Headers shared between the platform and isolated app workers
+ */
+
+const HEADERS = {
+  // Set when the platform already consumed and parsed the request body
+  PARSED_BODY: 'x-platformx-parsed-body',
+  // Content-Type of the original request when the body is re-sent as JSON
+  ORIGINAL_CONTENT_TYPE: 'x-platformx-content-type',
+  // Set by the worker when no app route handled the request
+  UNHANDLED: 'x-platformx-unhandled',
+  // Path prefix the app is mounted under (path-based routing)
+  BASE_PATH: 'x-forwarded-prefix'
+};
+
+module.exports = {
+  HEADERS
+};